@@ -0,0 +1,27 @@
+// CardSections -- the card grid on the public pages, split into the org's groups.
+// `sections` comes from lib/shared.js groupCards(); `renderCard(card)` draws one card.
+// Without groups this is the plain `<main className="grid">` it always was. With groups,
+// ungrouped cards come first, then one collapsible <details> per group -- native
+// disclosure, so it works without JS and screen readers announce it as expandable.
+// Groups flagged `collapsed` start closed.
+export default function CardSections({ sections, renderCard }) {
+  const list = Array.isArray(sections) ? sections : [];
+  if (!list.some(s => s.group)) {
+    return <main className="grid">{list.flatMap(s => s.cards).map(renderCard)}</main>;
+  }
+  return (
+    <main className="card-sections">
+      {list.map(({ group, cards }) => (group ? (
+        <details key={group._id} className="card-group" open={!group.collapsed}>
+          <summary>
+            <h2>{group.title}</h2>
+            <span className="card-group-count">{cards.length} card{cards.length === 1 ? '' : 's'}</span>
+          </summary>
+          <div className="grid">{cards.map(renderCard)}</div>
+        </details>
+      ) : (
+        <div key="ungrouped" className="grid">{cards.map(renderCard)}</div>
+      )))}
+    </main>
+  );
+}
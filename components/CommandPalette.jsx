@@ -0,0 +1,195 @@
+import { useEffect, useMemo, useState } from 'react';
+import { GdsModal } from '@sovereignsquad/gds-core/client';
+import { fuzzyScore } from '../lib/shared.js';
+
+// CommandPalette -- the Cmd/Ctrl+K launcher on the public pages (/ and /organization/[slug]).
+// Functional: Fuzzy-searches the page's cards (title, then description and link) and tags
+// (label and name); ↑/↓ move through the results, Enter opens one. Cards open in a new tab
+// through /api/cards/[id]/click, like a grid click; tags go to the tag-filtered page. With
+// "Number keys open the first nine cards" switched on (saved in localStorage), pressing 1-9
+// anywhere on the page outside a text field opens that card straight away.
+// Strategic: Works only on the `cards`/`tags` props from getServerSideProps -- no extra
+// request. gds-core's own CommandPalette is a plain button list (no arrow keys, no listbox
+// semantics), so this is a GdsModal with the ARIA combobox/listbox pattern instead: the input
+// keeps focus, aria-activedescendant names the highlighted option, and a status region
+// announces the result count.
+
+const QUICK_LAUNCH_KEY = 'launcher.quickLaunch';
+const MAX_RESULTS = 50;
+
+function cardHref(card) {
+  return card._id && card.orgUuid
+    ? `/api/cards/${encodeURIComponent(card._id)}/click?orgUuid=${encodeURIComponent(card.orgUuid)}`
+    : (card.href || '#');
+}
+
+function isTextField(el) {
+  return Boolean(el && el.closest && el.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+function cardScore(query, card) {
+  // Title hits outrank description/link hits of the same quality
+  return Math.max(
+    fuzzyScore(query, card.title) * 2,
+    fuzzyScore(query, card.description),
+    fuzzyScore(query, String(card.href || '').replace(/^https?:\/\/(www\.)?/, ''))
+  );
+}
+
+export default function CommandPalette({ cards, tags, basePath }) {
+  const [opened, setOpened] = useState(false);
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const [quickLaunch, setQuickLaunch] = useState(false);
+
+  const cardList = useMemo(() => (Array.isArray(cards) ? cards : []), [cards]);
+  const tagList = useMemo(() => (Array.isArray(tags) ? tags : []).filter(t => !t.hidden), [tags]);
+
+  const results = useMemo(() => {
+    const items = [
+      ...cardList.map((c, i) => ({ kind: 'card', key: `card-${c._id || i}`, label: c.title || 'Untitled', detail: c.description || c.href || '', number: i < 9 ? i + 1 : null, card: c, tag: null })),
+      ...tagList.map(t => ({ kind: 'tag', key: `tag-${t.name}`, label: `#${t.label || t.name}`, detail: `${t.count} card${t.count === 1 ? '' : 's'}`, number: null, card: null, tag: t })),
+    ];
+    if (!query.trim()) return items.slice(0, MAX_RESULTS);
+    return items
+      .map((item, idx) => ({ item, idx, score: item.kind === 'card' ? cardScore(query, item.card) : Math.max(fuzzyScore(query, item.tag.label), fuzzyScore(query, item.tag.name)) }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score || a.idx - b.idx)
+      .slice(0, MAX_RESULTS)
+      .map(r => r.item);
+  }, [cardList, tagList, query]);
+
+  useEffect(() => {
+    try { setQuickLaunch(localStorage.getItem(QUICK_LAUNCH_KEY) === '1'); } catch { /* storage blocked */ }
+  }, []);
+
+  function toggleQuickLaunch(on) {
+    setQuickLaunch(on);
+    try { localStorage.setItem(QUICK_LAUNCH_KEY, on ? '1' : '0'); } catch { /* storage blocked */ }
+  }
+
+  function close() {
+    setOpened(false);
+    setQuery('');
+    setActive(0);
+  }
+
+  function launch(item) {
+    if (!item) return;
+    close();
+    if (item.kind === 'card') window.open(cardHref(item.card), '_blank', 'noopener');
+    else window.location.href = `${basePath}?tags=${encodeURIComponent(item.tag.name)}`;
+  }
+
+  // Global shortcuts: Cmd/Ctrl+K toggles the palette; 1-9 quick-launch when switched on
+  useEffect(() => {
+    function onKeyDown(e) {
+      if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (opened) close(); else setOpened(true);
+        return;
+      }
+      if (!quickLaunch || opened || e.metaKey || e.ctrlKey || e.altKey || isTextField(e.target)) return;
+      if (/^[1-9]$/.test(e.key) && cardList[Number(e.key) - 1]) {
+        e.preventDefault();
+        window.open(cardHref(cardList[Number(e.key) - 1]), '_blank', 'noopener');
+      }
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [opened, quickLaunch, cardList]);
+
+  // Keep the highlighted option in view while arrowing through a long list
+  useEffect(() => {
+    if (!opened) return;
+    const el = document.getElementById(`command-palette-option-${active}`);
+    if (el) el.scrollIntoView({ block: 'nearest' });
+  }, [active, opened]);
+
+  function onInputKeyDown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!results.length) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive(i => (i + step + results.length) % results.length);
+    } else if (e.key === 'Home' && results.length) {
+      e.preventDefault();
+      setActive(0);
+    } else if (e.key === 'End' && results.length) {
+      e.preventDefault();
+      setActive(results.length - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      launch(results[active]);
+    }
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        id="command-palette-trigger"
+        className="palette-trigger"
+        onClick={() => setOpened(true)}
+        aria-keyshortcuts="Control+K Meta+K"
+      >
+        Quick open <kbd>Ctrl K</kbd>
+      </button>
+      <GdsModal
+        id="command-palette"
+        opened={opened}
+        onClose={close}
+        title="Quick open"
+        description="Type to find a card or tag. Use the arrow keys to choose and Enter to open."
+        invokerId="command-palette-trigger"
+        size="lg"
+      >
+        <div className="command-palette">
+          <input
+            type="text"
+            role="combobox"
+            aria-label="Find a card or tag"
+            aria-expanded={results.length > 0}
+            aria-controls="command-palette-list"
+            aria-autocomplete="list"
+            aria-activedescendant={results.length ? `command-palette-option-${active}` : undefined}
+            placeholder="Find a card or tag"
+            value={query}
+            onChange={e => { setQuery(e.target.value); setActive(0); }}
+            onKeyDown={onInputKeyDown}
+            autoComplete="off"
+            spellCheck={false}
+            data-autofocus
+          />
+          <p className="command-palette-status" role="status" aria-live="polite">
+            {query.trim() ? `${results.length} result${results.length === 1 ? '' : 's'}` : ''}
+          </p>
+          <ul id="command-palette-list" role="listbox" aria-label="Cards and tags" className="command-palette-list">
+            {results.map((item, i) => (
+              <li
+                key={item.key}
+                id={`command-palette-option-${i}`}
+                role="option"
+                aria-selected={i === active}
+                className={`command-palette-option${i === active ? ' is-active' : ''}`}
+                onMouseMove={() => { if (i !== active) setActive(i); }}
+                onClick={() => launch(item)}
+              >
+                <span className="command-palette-label">
+                  {item.label}
+                  <span className="command-palette-detail">{item.kind === 'tag' ? `Tag · ${item.detail}` : item.detail}</span>
+                </span>
+                {quickLaunch && item.number ? <kbd aria-label={`Number key ${item.number}`}>{item.number}</kbd> : null}
+              </li>
+            ))}
+          </ul>
+          {!results.length ? <p className="command-palette-empty">{query.trim() ? `Nothing matches “${query.trim()}”.` : 'No cards on this page yet.'}</p> : null}
+          <label className="command-palette-setting">
+            <input type="checkbox" checked={quickLaunch} onChange={e => toggleQuickLaunch(e.target.checked)} />
+            Number keys 1–9 open the first nine cards on this page
+          </label>
+        </div>
+      </GdsModal>
+    </>
+  );
+}
@@ -9,7 +9,8 @@ import TourOverlay from './tour/TourOverlay';
 // WHAT: Provides consistent navigation across all public pages with auth-aware menu
 // WHY: Centralized menu reduces UI clutter and provides mobile-friendly navigation
 
-export default function Header({ orgName, onAddCard = undefined, showAddCard = false }) {
+// `orgLogo` (optional): the org's uploaded logo (UploadedImage, lib/uploads.js), shown beside its name
+export default function Header({ orgName, orgLogo = null, onAddCard = undefined, showAddCard = false }) {
   const [menuOpen, setMenuOpen] = useState(false);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
 
@@ -103,6 +104,9 @@ export default function Header({ orgName, onAddCard = undefined, showAddCard = f
           <img src="/brand/seyu-white.png" alt="SEYU" style={{ height: '26px', width: 'auto', display: 'block' }} />
           {orgName && orgName.toLowerCase() !== 'launchmass' && (
             <span style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '5px',
               fontFamily: "'Space Mono', monospace",
               fontSize: '9px',
               letterSpacing: '2px',
@@ -110,6 +114,17 @@ export default function Header({ orgName, onAddCard = undefined, showAddCard = f
               color: '#566184',
               fontWeight: 700,
             }}>
+              {orgLogo?.url ? (
+                <img
+                  src={orgLogo.url}
+                  srcSet={(orgLogo.variants || []).map(v => `${v.url} ${v.width}w`).join(', ') || undefined}
+                  sizes="16px"
+                  alt=""
+                  width={16}
+                  height={16}
+                  style={{ borderRadius: '3px' }}
+                />
+              ) : null}
               {orgName}
             </span>
           )}
@@ -221,6 +236,13 @@ export default function Header({ orgName, onAddCard = undefined, showAddCard = f
                   >
                     👥 Manage Users
                   </Link>
+                  <Link
+                    href="/admin/analytics"
+                    className="menu-item"
+                    onClick={() => setMenuOpen(false)}
+                  >
+                    📈 Analytics
+                  </Link>
                   <div style={{ borderTop: '1px solid #2A2F52', margin: '8px 0' }} />
                   <button
                     className="menu-item"
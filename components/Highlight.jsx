@@ -0,0 +1,13 @@
+import { highlightSegments } from '../lib/shared.js';
+
+// Highlight -- renders `text` with every search term wrapped in <mark>.
+// Used for card titles/descriptions in the public grids and the admin list while a
+// search is active; with no terms it renders the text unchanged.
+export default function Highlight({ text, terms }) {
+  if (!terms?.length) return <>{text}</>;
+  return (
+    <>
+      {highlightSegments(text, terms).map((seg, i) => (seg.match ? <mark key={i} className="search-hit">{seg.text}</mark> : <span key={i}>{seg.text}</span>))}
+    </>
+  );
+}
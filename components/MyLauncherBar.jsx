@@ -0,0 +1,50 @@
+// MyLauncherBar -- the "My launcher" switch for signed-in visitors (lib/useMyLauncher.js).
+// When on, the grid shows the visitor's favorites first, their personal order and none of the
+// cards they hid; this bar lists those hidden cards so they can be brought back, and resets
+// the overlay. `cards` is the page's full card list, used to name the hidden ones.
+import { useId } from 'react';
+
+export default function MyLauncherBar({ launcher, cards }) {
+  const hiddenId = useId();
+  if (!launcher.available) return null;
+  const hidden = new Set(launcher.prefs.hidden);
+  const hiddenCards = (cards || []).filter(c => hidden.has(String(c._id)));
+
+  return (
+    <div className="my-launcher-bar">
+      <button
+        type="button"
+        className="palette-trigger"
+        aria-pressed={launcher.enabled}
+        onClick={() => launcher.setEnabled(!launcher.enabled)}
+      >
+        {launcher.enabled ? '★ My launcher' : '☆ My launcher'}
+      </button>
+      {launcher.enabled ? (
+        <>
+          {hiddenCards.length ? (
+            <details className="my-launcher-hidden">
+              <summary id={hiddenId}>Hidden ({hiddenCards.length})</summary>
+              <ul aria-labelledby={hiddenId}>
+                {hiddenCards.map(c => (
+                  <li key={c._id}>
+                    <span>{c.title || 'Untitled'}</span>
+                    <button type="button" onClick={() => launcher.unhide(String(c._id))}>Show</button>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          ) : null}
+          <button
+            type="button"
+            className="my-launcher-reset"
+            onClick={() => { if (confirm('Clear your favorites, hidden cards and personal order?')) launcher.reset(); }}
+          >
+            Reset
+          </button>
+        </>
+      ) : null}
+      {launcher.error ? <p className="my-launcher-error" role="alert">{launcher.error}</p> : null}
+    </div>
+  );
+}
@@ -1,8 +1,17 @@
 import { ChoiceChip } from '@sovereignsquad/gds-core';
+import Highlight from './Highlight';
 
-export default function OversizedLink({ href, title, description, background, tags }) {
+// `tagMeta` (optional): { [name]: { label, color, description } } from the org's tag metadata
+// (lib/tags.js); chips fall back to the bare tag name without it. `highlight` (optional):
+// search terms to mark in the title and description. `actions` (optional): controls drawn
+// above the link overlay, e.g. components/PersonalCardActions.jsx. `favicon` (optional): the
+// card's cached icon, a data: URI from the link preview (lib/linkPreview.js), so rendering it
+// never calls out to the linked site. `icon` (optional): an uploaded UploadedImage
+// (lib/uploads.js), shown instead of `favicon`.
+export default function OversizedLink({ cardId, orgUuid, href, title, description, background, tags, tagMeta, highlight, actions, favicon, icon }) {
   const raw = (background || "").trim();
-  const isGradient = raw.startsWith("linear-gradient");
+  // Any gradient, layered lists included (BackgroundEditor writes linear, radial and conic)
+  const isGradient = /^(?:repeating-)?(?:linear|radial|conic)-gradient\(/.test(raw);
   const style = isGradient
     ? { background: raw, backgroundImage: raw }
     : raw
@@ -11,6 +20,13 @@ export default function OversizedLink({ href, title, description, background, ta
 
   const safeTags = Array.isArray(tags) ? tags : [];
 
+  // Clicks go through the server-side redirect so CARD_CLICK gets recorded
+  // (pages/api/cards/[id]/click.js); callers without a card id/org (e.g. previews)
+  // fall back to linking the href directly.
+  const linkHref = cardId && orgUuid
+    ? `/api/cards/${encodeURIComponent(cardId)}/click?orgUuid=${encodeURIComponent(orgUuid)}`
+    : (href || '#');
+
   return (
     <div
       className="card"
@@ -31,23 +47,31 @@ export default function OversizedLink({ href, title, description, background, ta
           the card's primary link and the tag buttons as siblings instead of nesting
           one inside the other. */}
       <a
-        href={href || '#'}
+        href={linkHref}
         target="_blank"
         rel="noopener noreferrer"
         aria-label={title || 'Untitled'}
         style={{ position: 'absolute', inset: 0, zIndex: 0, borderRadius: 'inherit' }}
       />
-      <h3 style={{ textShadow: '0 1px 2px rgba(0,0,0,0.35)', pointerEvents: 'none' }}>{title || 'Untitled'}</h3>
-      <p style={{ textShadow: '0 1px 2px rgba(0,0,0,0.25)', pointerEvents: 'none' }}>{description || ''}</p>
+      {actions ? <div style={{ position: 'absolute', top: 8, right: 8, zIndex: 1 }}>{actions}</div> : null}
+      {icon?.url ? (
+        <img className="card-favicon" src={icon.url} srcSet={(icon.variants || []).map(v => `${v.url} ${v.width}w`).join(', ') || undefined} sizes="28px" alt="" width={28} height={28} style={{ pointerEvents: 'none' }} />
+      ) : favicon ? <img className="card-favicon" src={favicon} alt="" width={28} height={28} style={{ pointerEvents: 'none' }} /> : null}
+      <h3 style={{ textShadow: '0 1px 2px rgba(0,0,0,0.35)', pointerEvents: 'none' }}><Highlight text={title || 'Untitled'} terms={highlight} /></h3>
+      <p style={{ textShadow: '0 1px 2px rgba(0,0,0,0.25)', pointerEvents: 'none' }}><Highlight text={description || ''} terms={highlight} /></p>
       {safeTags.length ? (
         <div className="tag-list" style={{ marginTop: 8, position: 'relative', zIndex: 1 }}>
-          {safeTags.map((t, i) => (
-            <ChoiceChip
-              key={i}
-              label={`#${t}`}
-              onClick={() => { window.location.href = `/?tag=${encodeURIComponent(t)}`; }}
-            />
-          ))}
+          {safeTags.map((t, i) => {
+            const meta = tagMeta?.[t];
+            return (
+              <ChoiceChip
+                key={i}
+                label={<span title={meta?.description || undefined}>#{meta?.label || t}</span>}
+                leftSection={meta?.color ? <span className="tag-swatch" style={{ background: meta.color }} aria-hidden="true" /> : undefined}
+                onClick={() => { window.location.href = `/?tag=${encodeURIComponent(t)}`; }}
+              />
+            );
+          })}
         </div>
       ) : null}
     </div>
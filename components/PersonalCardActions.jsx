@@ -0,0 +1,18 @@
+// PersonalCardActions -- pin, move and hide buttons on a card while "My launcher" is on
+// (lib/useMyLauncher.js). `shownIds` is the grid's current order, which ↑/↓ step through.
+export default function PersonalCardActions({ launcher, card, shownIds }) {
+  const id = String(card._id);
+  const title = card.title || 'Untitled';
+  const pinned = launcher.isFavorite(id);
+
+  return (
+    <div className="personal-actions">
+      <button type="button" aria-pressed={pinned} aria-label={`${pinned ? 'Unpin' : 'Pin'} ${title}`} title={pinned ? 'Unpin' : 'Pin to the top'} onClick={() => launcher.toggleFavorite(id)}>
+        {pinned ? '★' : '☆'}
+      </button>
+      <button type="button" aria-label={`Move ${title} earlier`} disabled={!launcher.canMove(id, -1, shownIds)} onClick={() => launcher.move(id, -1, shownIds)}>↑</button>
+      <button type="button" aria-label={`Move ${title} later`} disabled={!launcher.canMove(id, 1, shownIds)} onClick={() => launcher.move(id, 1, shownIds)}>↓</button>
+      <button type="button" aria-label={`Hide ${title} from my launcher`} title="Hide from my launcher" onClick={() => launcher.hide(id)}>Hide</button>
+    </div>
+  );
+}
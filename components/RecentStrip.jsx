@@ -0,0 +1,63 @@
+// RecentStrip -- the signed-in visitor's recently opened cards above the grid
+// (lib/recentCards.js). `initial` is the SSR `recent` prop, null when signed out. The list
+// refreshes when the tab regains focus, so a card opened in a new tab shows up on return.
+// Links go through the click redirect like the cards themselves.
+import { useEffect, useState } from 'react';
+
+export default function RecentStrip({ orgUuid, initial }) {
+  const [items, setItems] = useState(initial || []);
+  const [error, setError] = useState('');
+
+  // Full navigation brings fresh SSR props
+  useEffect(() => { setItems(initial || []); }, [initial]);
+
+  useEffect(() => {
+    if (!initial || !orgUuid) return undefined;
+    async function refresh() {
+      try {
+        const res = await fetch('/api/me/recent?orgUuid=' + encodeURIComponent(orgUuid), { credentials: 'include', cache: 'no-store' });
+        if (res.ok) setItems(await res.json());
+      } catch {
+        // Keep what is shown; the next focus retries
+      }
+    }
+    window.addEventListener('focus', refresh);
+    return () => window.removeEventListener('focus', refresh);
+  }, [initial, orgUuid]);
+
+  async function clear() {
+    if (!confirm('Clear your recently opened cards?')) return;
+    setError('');
+    try {
+      const res = await fetch('/api/me/recent?orgUuid=' + encodeURIComponent(orgUuid), { method: 'DELETE', credentials: 'include' });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      setItems([]);
+    } catch (e) {
+      setError('Could not clear your history: ' + String(e.message || e));
+    }
+  }
+
+  if (!initial || !items.length) return null;
+  return (
+    <nav className="recent-strip" aria-label="Recently opened cards">
+      <h2>Recent</h2>
+      <ul>
+        {items.map(c => (
+          <li key={c._id}>
+            <a
+              href={`/api/cards/${encodeURIComponent(c._id)}/click?orgUuid=${encodeURIComponent(orgUuid)}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={c.background ? { background: c.background } : undefined}
+              title={`Opened ${new Date(c.openedAt).toLocaleString()}`}
+            >
+              {c.title || 'Untitled'}
+            </a>
+          </li>
+        ))}
+      </ul>
+      <button type="button" className="my-launcher-reset" onClick={clear}>Clear history</button>
+      {error ? <p className="my-launcher-error" role="alert">{error}</p> : null}
+    </nav>
+  );
+}
@@ -0,0 +1,19 @@
+// SearchBox -- the card search field on the public grids and the admin toolbar.
+// Controlled input only; the owner decides what a change does (see lib/useCardSearch.js
+// for the public pages). Escape clears the field.
+export default function SearchBox({ value, onChange, busy = false, placeholder = 'Search cards', className = '' }) {
+  return (
+    <div className={`search-box ${className}`.trim()} role="search">
+      <input
+        type="search"
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        onKeyDown={e => { if (e.key === 'Escape' && value) { e.preventDefault(); onChange(''); } }}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        maxLength={100}
+        aria-busy={busy}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { ChoiceChip } from '@sovereignsquad/gds-core';
+
+// TagBar -- the curated tag filter bar on the public pages (/ and /organization/[slug]).
+// Functional: Shows the org's tags in their configured order (lib/tags.js listOrgTags with
+// publicOnly), with labels, color dots and descriptions as tooltips, plus an "All" chip.
+// Each chip toggles its tag in or out of the filter; with two or more selected, the
+// "Match all / any" pair switches between AND and OR. Hidden tags are left out unless one
+// is selected (someone followed a card chip).
+// Strategic: Every chip is a plain link to `basePath?tags=a,b&match=...` (lib/shared.js
+// parseTagFilter), so the filter works without client JS and the URL is always shareable.
+// A current search (`q`) is carried along, so changing tags keeps the search.
+
+function filterHref(basePath, tags, match, q) {
+  const parts = [];
+  if (tags.length) parts.push(`tags=${tags.map(encodeURIComponent).join(',')}`);
+  if (tags.length > 1 && match === 'any') parts.push('match=any');
+  if (q) parts.push(`q=${encodeURIComponent(q)}`);
+  return parts.length ? `${basePath}?${parts.join('&')}` : basePath;
+}
+
+export default function TagBar({ tags, activeTags, match, basePath, q = '' }) {
+  const active = Array.isArray(activeTags) ? activeTags : [];
+  const list = (Array.isArray(tags) ? tags : []).filter(t => !t.hidden || active.includes(t.name));
+  for (const name of active) {
+    if (!list.some(t => t.name === name)) list.push({ name, label: name, color: null, description: '' });
+  }
+  if (!list.length) return null;
+
+  return (
+    <nav className="filter-bar tag-bar" aria-label="Filter by tag">
+      <ChoiceChip active={!active.length} label="All" href={filterHref(basePath, [], match, q)} />
+      {list.map(t => {
+        const on = active.includes(t.name);
+        const next = on ? active.filter(n => n !== t.name) : [...active, t.name];
+        return (
+          <ChoiceChip
+            key={t.name}
+            active={on}
+            label={<span title={t.description || undefined}>#{t.label || t.name}</span>}
+            href={filterHref(basePath, next, match, q)}
+            leftSection={t.color ? <span className="tag-swatch" style={{ background: t.color }} aria-hidden="true" /> : undefined}
+          />
+        );
+      })}
+      {active.length > 1 ? (
+        <span className="tag-bar-match" role="group" aria-label="Match">
+          <ChoiceChip active={match !== 'any'} label="Match all" href={filterHref(basePath, active, 'all', q)} />
+          <ChoiceChip active={match === 'any'} label="Match any" href={filterHref(basePath, active, 'any', q)} />
+        </span>
+      ) : null}
+    </nav>
+  );
+}
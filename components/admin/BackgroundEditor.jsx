@@ -33,6 +33,15 @@
 // hsla(), named colors) that this app's stored values actually use.
 //
 // No non-GDS picker library, and no direct @mantine/core import, is introduced here.
+//
+// Gradient mode (v1.43.0+) edits up to MAX_LAYERS layers, each a linear (angle), radial
+// (shape + position) or conic (from-angle + position) gradient; they serialize to a plain
+// comma-separated `background` list, topmost layer first, exactly as CSS stacks them.
+//
+// Image mode (v1.42.0+): only offered when the parent passes `onUpload` (it knows the org
+// and which upload scope applies). The uploaded file goes through POST /api/uploads
+// (lib/uploads.js) and the stored value is still one CSS `background` string --
+// `url("...") center / cover no-repeat <fallback hex>` -- so nothing downstream changes.
 
 import { useLayoutEffect, useState } from 'react';
 import {
@@ -48,6 +57,27 @@ import { DEFAULT_BG, normalizeBg } from '../../lib/shared.js';
 // WHAT: A clean solid-color value: a bare `#hex` (3/4/6/8 digit) string, no prefix.
 const HEX_RE = /^#[0-9a-fA-F]{3,8}$/;
 
+// WHAT: The one image background shape Image mode writes and recognizes: an uploaded
+// image URL plus the hex color shown while it loads (or if it's gone).
+const IMAGE_RE = /^url\("([^"\s()]+)"\) center \/ cover no-repeat (#[0-9a-fA-F]{3,8})$/;
+const UPLOAD_ACCEPT = 'image/png,image/jpeg,image/webp,image/gif';
+
+function parseImage(css) {
+  const m = String(css || '').trim().match(IMAGE_RE);
+  return m ? { url: m[1], color: m[2] } : null;
+}
+
+function serializeImage(url, color) {
+  return `url("${url}") center / cover no-repeat ${color}`;
+}
+
+// WHAT: The variant to use as the background: the smallest at least `width` wide, else
+// the largest there is. CSS backgrounds can't take a srcset, so this picks one up front.
+function pickVariant(image, width) {
+  const variants = Array.isArray(image?.variants) && image.variants.length ? image.variants : [image];
+  return (variants.find(v => v.width >= width) || variants[variants.length - 1]).url;
+}
+
 // WHAT: Split a CSS function's argument list on top-level commas only, so a stop
 // color like `rgba(42, 123, 155, 1)` isn't shredded by its own internal commas.
 // WHY: `linear-gradient(90deg, rgba(42, 123, 155, 1) 0%, ...)` needs `rgba(42, 123,
@@ -83,24 +113,18 @@ function isValidCssColor(input) {
   );
 }
 
-// WHAT: Parse a single-line `linear-gradient(<angle>deg, <color> <position>%, ...)`
-// string into { angle, stops }. Returns null for anything not "clean" -- no explicit
-// `Ndeg` angle, a stop without an explicit `%` position, or an invalid stop color --
-// so callers can fall back to Advanced mode rather than corrupting an unusual value.
-// WHY (edge case, issue #20): must not misclassify a valid-but-unusual gradient
-// (multi-layer background shorthand, keyword-direction gradients like `to right`,
-// etc.) as cleanly structured-editable.
-function parseGradient(css) {
-  const v = String(css || '').trim();
-  const m = v.match(/^linear-gradient\(\s*([\s\S]+)\)\s*$/i);
-  if (!m) return null;
-  const parts = splitTopLevel(m[1]);
-  if (parts.length < 3) return null; // need an angle + at least 2 stops
-  const angleMatch = parts[0].trim().match(/^(-?\d+(?:\.\d+)?)deg$/i);
-  if (!angleMatch) return null;
-  const angle = parseFloat(angleMatch[1]);
+// WHAT: A radial/conic `at <position>`: one or two keywords or percentages.
+const POSITION_RE = /^(?:left|center|right|top|bottom|-?\d+(?:\.\d+)?%)(?:\s+(?:left|center|right|top|bottom|-?\d+(?:\.\d+)?%))?$/i;
+const POSITIONS = ['center', 'top', 'bottom', 'left', 'right', 'top left', 'top right', 'bottom left', 'bottom right'];
+const MAX_LAYERS = 4;
+// WHAT: Every layer carries every type's parameters, so switching a layer's type keeps
+// its stops and brings back what that type had before.
+const LAYER_DEFAULTS = { type: 'linear', angle: 90, shape: 'ellipse', position: 'center', from: 0 };
+
+// WHAT: Parse `<color> <n>%` stops; null if any stop isn't in that clean form.
+function parseStops(parts) {
   const stops = [];
-  for (const raw of parts.slice(1)) {
+  for (const raw of parts) {
     const stopMatch = raw.trim().match(/^(.+?)\s+(-?\d+(?:\.\d+)?)%$/);
     if (!stopMatch) return null;
     const color = stopMatch[1].trim();
@@ -108,17 +132,65 @@ function parseGradient(css) {
     if (!isValidCssColor(color)) return null;
     stops.push({ color, position });
   }
-  if (stops.length < 2) return null;
-  return { angle, stops };
+  return stops.length >= 2 ? stops : null;
 }
 
-// WHAT: Serialize { angle, stops } back to a `linear-gradient(...)` CSS string.
-// Deliberately lenient (no validation) -- it must always produce *some* string so the
-// operator's in-progress typing (including a momentarily-invalid stop color) is
-// reflected live; validity gating happens separately (see `onValidityChange`).
-function serializeGradient(angle, stops) {
-  const stopsStr = stops.map(s => `${s.color} ${s.position}%`).join(', ');
-  return `linear-gradient(${angle}deg, ${stopsStr})`;
+// WHAT: Parse one `linear-gradient(<angle>deg, ...)`, `radial-gradient([circle|ellipse]
+// [at <position>], ...)` or `conic-gradient([from <angle>deg] [at <position>], ...)` into a
+// layer. Returns null for anything not "clean" -- a keyword direction (`to right`), a
+// sizing keyword (`closest-side`), a stop without an explicit `%` position or an invalid
+// stop color -- so callers fall back to Advanced mode rather than corrupting the value.
+// WHY (edge case, issue #20): must not misclassify a valid-but-unusual gradient as
+// cleanly structured-editable.
+function parseGradient(css) {
+  const v = String(css || '').trim();
+  const m = v.match(/^(linear|radial|conic)-gradient\(\s*([\s\S]+)\)$/i);
+  if (!m) return null;
+  const type = m[1].toLowerCase();
+  const parts = splitTopLevel(m[2]);
+  const head = parts[0].trim();
+  let params = null;
+  if (type === 'linear') {
+    const angleMatch = head.match(/^(-?\d+(?:\.\d+)?)deg$/i);
+    if (angleMatch) params = { angle: parseFloat(angleMatch[1]) };
+    else return null;
+  } else {
+    const h = type === 'radial'
+      ? head.match(/^(circle|ellipse)?\s*(?:at\s+(.+))?$/i)
+      : head.match(/^(?:from\s+(-?\d+(?:\.\d+)?)deg)?\s*(?:at\s+(.+))?$/i);
+    if (h && (h[1] || h[2])) {
+      if (h[2] && !POSITION_RE.test(h[2].trim())) return null;
+      const position = h[2] ? h[2].trim().toLowerCase() : 'center';
+      params = type === 'radial' ? { shape: (h[1] || 'ellipse').toLowerCase(), position } : { from: parseFloat(h[1] || '0'), position };
+    }
+  }
+  // Radial/conic without a prelude: the first part is already a stop
+  const stops = parseStops(params ? parts.slice(1) : parts);
+  if (!stops) return null;
+  return { ...LAYER_DEFAULTS, ...params, type, stops };
+}
+
+// WHAT: Parse a whole background value as 1..MAX_LAYERS gradient layers (top first).
+function parseLayers(css) {
+  const parts = splitTopLevel(String(css || '').trim());
+  if (!parts.length || parts.length > MAX_LAYERS) return null;
+  const layers = parts.map(parseGradient);
+  return layers.every(Boolean) ? layers : null;
+}
+
+// WHAT: Serialize a layer back to its gradient function. Deliberately lenient (no
+// validation) -- it must always produce *some* string so the operator's in-progress
+// typing (including a momentarily-invalid stop color) is reflected live; validity gating
+// happens separately (see `onValidityChange`).
+function serializeGradient(layer) {
+  const stopsStr = layer.stops.map(s => `${s.color} ${s.position}%`).join(', ');
+  if (layer.type === 'radial') return `radial-gradient(${layer.shape} at ${layer.position}, ${stopsStr})`;
+  if (layer.type === 'conic') return `conic-gradient(from ${layer.from}deg at ${layer.position}, ${stopsStr})`;
+  return `linear-gradient(${layer.angle}deg, ${stopsStr})`;
+}
+
+function serializeLayers(layers) {
+  return layers.map(serializeGradient).join(', ');
 }
 
 // WHAT: Best-effort conversion of an already-valid CSS color to a `#hex` string, for
@@ -135,11 +207,12 @@ function cssColorToHex(input) {
 
 // WHAT: Classify a stored `background` CSS string into the mode that should open when
 // editing an existing card. Falls back to 'advanced' for anything not cleanly a solid
-// hex or a clean single-line linear-gradient, per the issue's edge-case guidance.
+// hex, an Image-mode value or clean gradient layers, per the issue's edge-case guidance.
 export function detectMode(cssValue) {
   const v = String(cssValue || '').trim();
   if (HEX_RE.test(v)) return 'solid';
-  if (parseGradient(v)) return 'gradient';
+  if (parseImage(v)) return 'image';
+  if (parseLayers(v)) return 'gradient';
   return 'advanced';
 }
 
@@ -150,21 +223,149 @@ const ANGLE_MARKS = [
   { value: 270, label: '270°' },
 ];
 
+const LAYER_TYPES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'radial', label: 'Radial' },
+  { value: 'conic', label: 'Conic' },
+];
+
+// WHAT: One gradient layer's controls: type, that type's parameters, and its stops.
+// Stop/field labels name the layer once there is more than one, so every control keeps a
+// unique accessible name.
+function GradientLayerFields({ layer, index, count, onChange, onMove, onRemove }) {
+  const name = count > 1 ? `Layer ${index + 1} ` : '';
+  const stops = layer.stops;
+  const setStops = next => onChange({ ...layer, stops: next });
+  const positions = POSITIONS.includes(layer.position) ? POSITIONS : [layer.position, ...POSITIONS];
+
+  return (
+    <fieldset className="bg-editor-layer">
+      {count > 1 ? <legend>Layer {index + 1}{index === 0 ? ' (top)' : index === count - 1 ? ' (bottom)' : ''}</legend> : null}
+      <GdsSegmentedControl
+        ariaLabel={`${name}gradient type`.trim()}
+        value={layer.type}
+        onChange={type => onChange({ ...layer, type })}
+        options={LAYER_TYPES}
+      />
+      {layer.type === 'linear' && (
+        <GdsSlider
+          label={`${name}Angle`}
+          value={layer.angle}
+          onChange={angle => onChange({ ...layer, angle })}
+          min={0}
+          max={360}
+          step={1}
+          marks={ANGLE_MARKS}
+        />
+      )}
+      {layer.type === 'radial' && (
+        <GdsSegmentedControl
+          ariaLabel={`${name}radial shape`.trim()}
+          value={layer.shape}
+          onChange={shape => onChange({ ...layer, shape })}
+          options={[{ value: 'ellipse', label: 'Ellipse' }, { value: 'circle', label: 'Circle' }]}
+        />
+      )}
+      {layer.type === 'conic' && (
+        <GdsSlider
+          label={`${name}From angle`}
+          value={layer.from}
+          onChange={from => onChange({ ...layer, from })}
+          min={0}
+          max={360}
+          step={1}
+          marks={ANGLE_MARKS}
+        />
+      )}
+      {layer.type !== 'linear' && (
+        <FormField label={`${name}Position`}>
+          <select value={layer.position} onChange={e => onChange({ ...layer, position: e.target.value })}>
+            {positions.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </FormField>
+      )}
+      {stops.map((stop, i) => {
+        const stopValid = isValidCssColor(stop.color);
+        return (
+          <div key={i} className="bg-editor-stop">
+            <span
+              aria-hidden="true"
+              className="bg-editor-stop-swatch"
+              style={{ background: stopValid ? stop.color : 'transparent' }}
+            />
+            <FormField
+              label={`${name}Stop ${i + 1} color`}
+              error={!stopValid ? 'Enter a valid CSS color (hex, rgb(), or rgba()).' : undefined}
+            >
+              <input
+                type="text"
+                value={stop.color}
+                onChange={e => setStops(stops.map((s, idx) => (idx === i ? { ...s, color: e.target.value } : s)))}
+              />
+            </FormField>
+            <FormField label={`${name}Stop ${i + 1} position (%)`}>
+              <NumberStepper
+                ariaLabel={`${name}Stop ${i + 1} position percent`}
+                value={stop.position}
+                min={0}
+                max={100}
+                step={1}
+                onChange={pos => setStops(stops.map((s, idx) => (idx === i ? { ...s, position: pos } : s)))}
+              />
+            </FormField>
+            <ChoiceChip
+              label="Remove"
+              onClick={() => {
+                if (stops.length <= 2) return;
+                setStops(stops.filter((_, idx) => idx !== i));
+              }}
+            />
+          </div>
+        );
+      })}
+      <div className="bg-editor-layer-actions">
+        <ChoiceChip
+          label="+ Add stop"
+          onClick={() => {
+            const last = stops[stops.length - 1];
+            const nextPos = Math.min(100, (last?.position ?? 0) + 10);
+            setStops([...stops, { color: last?.color || '#2A7B9B', position: nextPos }]);
+          }}
+        />
+        {count > 1 ? (
+          <>
+            {index > 0 ? <ChoiceChip label="Move up" onClick={() => onMove(-1)} /> : null}
+            {index < count - 1 ? <ChoiceChip label="Move down" onClick={() => onMove(1)} /> : null}
+            <ChoiceChip label="Remove layer" onClick={onRemove} />
+          </>
+        ) : null}
+      </div>
+    </fieldset>
+  );
+}
+
 /**
- * @param {{ item: Record<string, any>, onChange: (next: Record<string, any>) => void, onValidityChange: (valid: boolean) => void }} props
+ * `onUpload` (optional) stores a picked file and resolves to its UploadedImage; without it
+ * there is no Image mode and image backgrounds open in Advanced. `imageWidth` is the
+ * variant width to aim for (cards are small, page backgrounds are not).
+ *
+ * @param {{ item: Record<string, any>, onChange: (next: Record<string, any>) => void, onValidityChange: (valid: boolean) => void, onUpload?: (file: File) => Promise<import('../../lib/types.js').UploadedImage>, imageWidth?: number }} props
  */
-export default function BackgroundEditor({ item, onChange, onValidityChange }) {
+export default function BackgroundEditor({ item, onChange, onValidityChange, onUpload, imageWidth = 1280 }) {
   const value = item.background || DEFAULT_BG;
 
   // Fresh state per edit session: BackgroundEditor only renders while `editing` is
   // true (see Card below), so it unmounts/remounts each time editing starts -- these
   // initializers naturally re-run `detectMode`/`parseGradient` against the current
   // saved value each time, matching the issue's conceptual `detectMode(value)` init.
-  const [uiMode, setUiMode] = useState(() => detectMode(value));
-  const [initialGradient] = useState(() => parseGradient(value) || parseGradient(DEFAULT_BG));
-  const [angle, setAngle] = useState(initialGradient.angle);
-  const [stops, setStops] = useState(initialGradient.stops);
+  const [uiMode, setUiMode] = useState(() => {
+    const mode = detectMode(value);
+    return mode === 'image' && !onUpload ? 'advanced' : mode;
+  });
+  const [layers, setLayers] = useState(() => parseLayers(value) || parseLayers(DEFAULT_BG));
   const [solidHex, setSolidHex] = useState(() => (HEX_RE.test(value.trim()) ? value.trim() : '#2A7B9B'));
+  const [image, setImage] = useState(() => parseImage(value) || { url: '', color: '#1B1F3C' });
+  const [upload, setUpload] = useState({ busy: false, error: '' });
 
   const draft = item._bgInput ?? ('background: ' + value);
 
@@ -174,18 +375,47 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
   function pushDraft(newDraft) {
     onChange({ ...item, _bgInput: newDraft, background: normalizeBg(newDraft) });
   }
-  function updateGradient(nextAngle, nextStops) {
-    setAngle(nextAngle);
-    setStops(nextStops);
-    pushBackground(serializeGradient(nextAngle, nextStops));
+  function updateImage(next) {
+    setImage(next);
+    if (next.url) pushBackground(serializeImage(next.url, next.color));
+  }
+  async function uploadImage(file) {
+    if (!file || !onUpload) return;
+    setUpload({ busy: true, error: '' });
+    try {
+      const uploaded = await onUpload(file);
+      updateImage({ ...image, url: pickVariant(uploaded, imageWidth) });
+      setUpload({ busy: false, error: '' });
+    } catch (e) {
+      setUpload({ busy: false, error: String(e.message || 'Upload failed') });
+    }
+  }
+  function updateLayers(next) {
+    setLayers(next);
+    pushBackground(serializeLayers(next));
+  }
+  function updateLayer(index, layer) {
+    updateLayers(layers.map((l, i) => (i === index ? layer : l)));
+  }
+  function moveLayer(index, delta) {
+    const next = [...layers];
+    const [layer] = next.splice(index, 1);
+    next.splice(index + delta, 0, layer);
+    updateLayers(next);
   }
+  // A new layer goes on top as a soft highlight, so it doesn't hide the ones below
+  function addLayer() {
+    updateLayers([{ ...LAYER_DEFAULTS, type: 'radial', shape: 'circle', stops: [{ color: 'rgba(255, 255, 255, 0.35)', position: 0 }, { color: 'rgba(255, 255, 255, 0)', position: 60 }] }, ...layers]);
+  }
+  const firstStopHex = () => cssColorToHex(layers[0]?.stops[0]?.color);
 
   // Edge case (issue #20): an Advanced-mode value detectMode can't classify must not
   // be silently discarded on a mode switch -- block Solid/Gradient instead.
   const isBlocked = uiMode === 'advanced' && detectMode(value) === 'advanced';
 
   const solidValid = HEX_RE.test(String(value || '').trim());
-  const stopsValid = stops.length >= 2 && stops.every(s => isValidCssColor(s.color));
+  const stopsValid = layers.every(l => l.stops.length >= 2 && l.stops.every(s => isValidCssColor(s.color)));
+  const imageValid = !!parseImage(value);
 
   // useLayoutEffect (not useEffect) so the parent's Save-button gating reflects this
   // mode's real validity before the browser paints -- no frame where a stale
@@ -193,9 +423,10 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
   useLayoutEffect(() => {
     if (uiMode === 'solid') onValidityChange(solidValid);
     else if (uiMode === 'gradient') onValidityChange(stopsValid);
+    else if (uiMode === 'image') onValidityChange(imageValid && !upload.busy);
     else onValidityChange(true); // Advanced mode: unchanged behavior, no added gate
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [uiMode, solidValid, stopsValid]);
+  }, [uiMode, solidValid, stopsValid, imageValid, upload.busy]);
 
   function switchMode(next) {
     if (next === uiMode) return;
@@ -204,7 +435,9 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
     if (next === 'solid') {
       let hex = solidHex;
       if (uiMode === 'gradient') {
-        hex = cssColorToHex(stops[0]?.color) || solidHex;
+        hex = firstStopHex() || solidHex;
+      } else if (uiMode === 'image') {
+        hex = image.color;
       } else if (uiMode === 'advanced') {
         const v = value.trim();
         hex = HEX_RE.test(v) ? v : solidHex;
@@ -212,21 +445,17 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
       setSolidHex(hex);
       pushBackground(hex);
     } else if (next === 'gradient') {
-      let a = angle;
-      let s = stops;
+      let next = layers;
       if (uiMode === 'solid') {
-        a = 90;
-        s = [{ color: solidHex, position: 0 }, { color: solidHex, position: 100 }];
+        next = [{ ...LAYER_DEFAULTS, stops: [{ color: solidHex, position: 0 }, { color: solidHex, position: 100 }] }];
       } else if (uiMode === 'advanced') {
-        const parsed = parseGradient(value);
-        if (parsed) {
-          a = parsed.angle;
-          s = parsed.stops;
-        }
+        next = parseLayers(value) || layers;
       }
-      setAngle(a);
-      setStops(s);
-      pushBackground(serializeGradient(a, s));
+      updateLayers(next);
+    } else if (next === 'image') {
+      // Until a file is uploaded the previous background stays, and Save stays disabled
+      const color = uiMode === 'solid' ? solidHex : uiMode === 'gradient' ? (firstStopHex() || image.color) : image.color;
+      updateImage((uiMode === 'advanced' && parseImage(value)) || { ...image, color });
     } else if (next === 'advanced') {
       pushDraft('background: ' + value);
     }
@@ -234,9 +463,7 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
   }
 
   function resetToDefaultGradient() {
-    const p = parseGradient(DEFAULT_BG);
-    setAngle(p.angle);
-    setStops(p.stops);
+    setLayers(parseLayers(DEFAULT_BG));
     pushBackground(DEFAULT_BG);
     setUiMode('gradient');
   }
@@ -254,6 +481,7 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
         options={[
           { value: 'solid', label: 'Solid', disabled: isBlocked },
           { value: 'gradient', label: 'Gradient', disabled: isBlocked },
+          ...(onUpload ? [{ value: 'image', label: 'Image', disabled: isBlocked }] : []),
           { value: 'advanced', label: 'Advanced' },
         ]}
       />
@@ -262,7 +490,7 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
         <InlineAlert
           severity="warning"
           title="This background can't be edited as Solid or Gradient"
-          message="It doesn't match a plain hex color or a single linear-gradient(...) value, so Solid and Gradient mode are unavailable for it here. Keep editing the raw CSS below, or reset to the default gradient to start fresh in a structured mode."
+          message="It doesn't match a plain hex color, an uploaded image or up to four simple linear, radial or conic gradient layers, so the structured modes are unavailable for it here. Keep editing the raw CSS below, or reset to the default gradient to start fresh in a structured mode."
           action={<ChoiceChip label="Reset to default gradient" onClick={resetToDefaultGradient} />}
         />
       )}
@@ -283,68 +511,50 @@ export default function BackgroundEditor({ item, onChange, onValidityChange }) {
 
       {uiMode === 'gradient' && (
         <div className="bg-editor-gradient">
-          <GdsSlider
-            label="Angle"
-            value={angle}
-            onChange={a => updateGradient(a, stops)}
-            min={0}
-            max={360}
-            step={1}
-            marks={ANGLE_MARKS}
-          />
-          {stops.map((stop, i) => {
-            const stopValid = isValidCssColor(stop.color);
-            return (
-              <div key={i} className="bg-editor-stop">
-                <span
-                  aria-hidden="true"
-                  className="bg-editor-stop-swatch"
-                  style={{ background: stopValid ? stop.color : 'transparent' }}
-                />
-                <FormField
-                  label={`Stop ${i + 1} color`}
-                  error={!stopValid ? 'Enter a valid CSS color (hex, rgb(), or rgba()).' : undefined}
-                >
-                  <input
-                    type="text"
-                    value={stop.color}
-                    onChange={e => {
-                      const next = stops.map((s, idx) => (idx === i ? { ...s, color: e.target.value } : s));
-                      updateGradient(angle, next);
-                    }}
-                  />
-                </FormField>
-                <FormField label={`Stop ${i + 1} position (%)`}>
-                  <NumberStepper
-                    ariaLabel={`Stop ${i + 1} position percent`}
-                    value={stop.position}
-                    min={0}
-                    max={100}
-                    step={1}
-                    onChange={pos => {
-                      const next = stops.map((s, idx) => (idx === i ? { ...s, position: pos } : s));
-                      updateGradient(angle, next);
-                    }}
-                  />
-                </FormField>
-                <ChoiceChip
-                  label="Remove"
-                  onClick={() => {
-                    if (stops.length <= 2) return;
-                    updateGradient(angle, stops.filter((_, idx) => idx !== i));
-                  }}
-                />
-              </div>
-            );
-          })}
-          <ChoiceChip
-            label="+ Add stop"
-            onClick={() => {
-              const last = stops[stops.length - 1];
-              const nextPos = Math.min(100, (last?.position ?? 0) + 10);
-              updateGradient(angle, [...stops, { color: last?.color || '#2A7B9B', position: nextPos }]);
-            }}
-          />
+          {layers.map((layer, i) => (
+            <GradientLayerFields
+              key={i}
+              layer={layer}
+              index={i}
+              count={layers.length}
+              onChange={next => updateLayer(i, next)}
+              onMove={delta => moveLayer(i, delta)}
+              onRemove={() => updateLayers(layers.filter((_, idx) => idx !== i))}
+            />
+          ))}
+          {layers.length < MAX_LAYERS ? <ChoiceChip label="+ Add layer" onClick={addLayer} /> : null}
+        </div>
+      )}
+
+      {uiMode === 'image' && (
+        <div className="bg-editor-image">
+          <FormField
+            label="Image (PNG, JPEG, WebP or GIF, up to 5 MB)"
+            error={upload.error || (!imageValid && !upload.busy ? 'Upload an image to use it as the background.' : undefined)}
+          >
+            <input
+              type="file"
+              accept={UPLOAD_ACCEPT}
+              disabled={upload.busy}
+              onChange={e => { uploadImage(e.target.files?.[0]); e.target.value = ''; }}
+            />
+          </FormField>
+          {upload.busy ? <p className="bg-editor-note">Uploading…</p> : null}
+          <FormField
+            label="Fallback color (hex)"
+            error={!HEX_RE.test(image.color) ? 'Enter a valid hex color, e.g. #1B1F3C.' : undefined}
+          >
+            <input
+              type="text"
+              value={image.color}
+              onChange={e => {
+                const next = { ...image, color: e.target.value };
+                setImage(next);
+                if (next.url && HEX_RE.test(next.color)) pushBackground(serializeImage(next.url, next.color));
+              }}
+              placeholder="#1B1F3C"
+            />
+          </FormField>
         </div>
       )}
 
@@ -0,0 +1,112 @@
+// CardHistoryPanel -- version history side panel for one card in the admin grid.
+//
+// Each stored revision is the card as it was *before* a change, so the change itself is
+// the diff between that snapshot and the next-newer one (or the live card, for the newest
+// revision). "Restore" rolls the card back to the revision's snapshot via
+// POST /api/cards/[id]/revisions/[rev]/restore; the replaced state becomes a new revision,
+// so a restore is itself undoable from this panel.
+//
+// Uses GdsSidePanel (governed overlay; OverlayManagerProvider is mounted in pages/_app.js).
+
+import { useCallback, useEffect, useState } from 'react';
+import { GdsSidePanel } from '@sovereignsquad/gds-core/client';
+import { diffCardFields } from '../../lib/shared.js';
+
+const ACTION_LABELS = { update: 'Edited', delete: 'Deleted', restore: 'Restored' };
+
+export default function CardHistoryPanel({ cardId, cardTitle, orgUuid, onClose, onRestored }) {
+  const [data, setData] = useState({ current: null, revisions: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [restoring, setRestoring] = useState(0);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const headers = /** @type {Record<string, string>} */ ({});
+      if (orgUuid) headers['X-Organization-UUID'] = orgUuid;
+      const res = await fetch(`/api/cards/${encodeURIComponent(cardId)}/revisions`, { headers, credentials: 'include', cache: 'no-store' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      setData({ current: body.current, revisions: Array.isArray(body.revisions) ? body.revisions : [] });
+    } catch (e) {
+      setData({ current: null, revisions: [] });
+      setError(String(e.message || 'Failed to load history'));
+    } finally {
+      setLoading(false);
+    }
+  }, [cardId, orgUuid]);
+
+  useEffect(() => {
+    if (cardId) load();
+  }, [cardId, load]);
+
+  async function restore(rev) {
+    setRestoring(rev);
+    setError('');
+    try {
+      const headers = /** @type {Record<string, string>} */ ({});
+      if (orgUuid) headers['X-Organization-UUID'] = orgUuid;
+      const res = await fetch(`/api/cards/${encodeURIComponent(cardId)}/revisions/${rev}/restore`, { method: 'POST', headers, credentials: 'include' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      onRestored(body);
+      await load();
+    } catch (e) {
+      setError(String(e.message || 'Restore failed'));
+    } finally {
+      setRestoring(0);
+    }
+  }
+
+  const { current, revisions } = data;
+
+  return (
+    <GdsSidePanel
+      id="card-history"
+      opened={!!cardId}
+      onClose={onClose}
+      title={`History — ${cardTitle || 'Untitled'}`}
+      description="Each entry shows what a change did; restoring returns the card to the state before it."
+      position="right"
+      size="md"
+    >
+      {loading ? <p className="history-status">Loading…</p> : null}
+      {error ? <p className="history-status history-status--error" role="alert">{error}</p> : null}
+      {!loading && !revisions.length && !error ? <p className="history-status">No changes recorded yet.</p> : null}
+      <ol className="history-list">
+        {revisions.map((r, idx) => {
+          // Functional: State after this change = next-newer snapshot, or the live card
+          const after = idx === 0 ? current : revisions[idx - 1].snapshot;
+          const changes = r.action === 'delete' || !after ? [] : diffCardFields(r.snapshot, after);
+          return (
+            <li key={r.rev} className="history-entry">
+              <div className="history-entry-head">
+                <strong>{ACTION_LABELS[r.action] || r.action}</strong>
+                <span>#{r.rev} · {new Date(r.changedAt).toLocaleString()} · {r.changedByName || r.changedBy || 'unknown'}</span>
+              </div>
+              {r.action === 'delete' ? (
+                <p className="history-note">Card deleted (“{r.snapshot.title || 'Untitled'}”).</p>
+              ) : changes.length ? (
+                <dl className="history-diff">
+                  {changes.map(c => (
+                    <div key={c.field}>
+                      <dt>{c.field}</dt>
+                      <dd><del>{c.before || '—'}</del> <ins>{c.after || '—'}</ins></dd>
+                    </div>
+                  ))}
+                </dl>
+              ) : (
+                <p className="history-note">No content changes.</p>
+              )}
+              <button type="button" onClick={() => restore(r.rev)} disabled={!!restoring}>
+                {restoring === r.rev ? 'Restoring…' : 'Restore this version'}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </GdsSidePanel>
+  );
+}
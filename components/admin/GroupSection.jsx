@@ -0,0 +1,35 @@
+// GroupSection -- one launcher section in the admin card grid (lib/cardGroups.js).
+//
+// The whole section is a drop target (`group:<id>`, `group:none` for ungrouped), so a card
+// can be dropped into an empty group or past the last card; dropping onto a card places it
+// there (pages/admin/index.js onDragEnd). Groups get a header with the collapsed-by-default
+// toggle, ↑/↓ ordering, rename and delete; the ungrouped section only gets a title.
+
+import { useDroppable } from '@dnd-kit/core';
+
+export default function GroupSection({ group, count, first, last, busy, onRename, onToggleCollapsed, onMove, onDelete, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id: `group:${group ? group._id : 'none'}` });
+
+  return (
+    <section ref={setNodeRef} className={`group-section${isOver ? ' is-over' : ''}`} aria-label={group ? `Group ${group.title}` : 'Ungrouped cards'}>
+      <div className="group-section-head">
+        <h2>{group ? group.title : 'Ungrouped'}</h2>
+        <span className="group-section-count">{count} card{count === 1 ? '' : 's'}</span>
+        {group ? (
+          <span className="group-section-actions">
+            <label>
+              <input type="checkbox" checked={group.collapsed} onChange={e => onToggleCollapsed(e.target.checked)} disabled={busy} />
+              Collapsed by default
+            </label>
+            <button type="button" onClick={() => onMove(-1)} disabled={busy || first} aria-label={`Move group ${group.title} up`}>↑</button>
+            <button type="button" onClick={() => onMove(1)} disabled={busy || last} aria-label={`Move group ${group.title} down`}>↓</button>
+            <button type="button" onClick={onRename} disabled={busy}>Rename</button>
+            <button type="button" className="del" onClick={onDelete} disabled={busy}>Delete</button>
+          </span>
+        ) : null}
+      </div>
+      {children}
+      {!count ? <p className="trash-note">Drop cards here.</p> : null}
+    </section>
+  );
+}
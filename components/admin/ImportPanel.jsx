@@ -0,0 +1,136 @@
+// ImportPanel -- bulk card import (CSV, JSON, browser bookmark HTML) for the admin page.
+//
+// Two steps against POST /api/cards/import: "Preview" sends a dry run and shows every row
+// with its status (ok / invalid / duplicate) and validation errors; "Import" repeats the
+// request with dryRun: false, which inserts only the valid rows.
+//
+// Uses GdsModal (governed overlay; OverlayManagerProvider is mounted in pages/_app.js).
+
+import { useState } from 'react';
+import { GdsModal } from '@sovereignsquad/gds-core/client';
+
+const FORMAT_OPTIONS = [
+  { value: '', label: 'Detect automatically' },
+  { value: 'csv', label: 'CSV (title, href, description, tags, background)' },
+  { value: 'json', label: 'JSON array' },
+  { value: 'html', label: 'Browser bookmarks (HTML)' },
+];
+
+const STATUS_LABELS = { ok: 'Ready', invalid: 'Invalid', duplicate: 'Already exists' };
+
+export default function ImportPanel({ opened, orgUuid, onClose, onImported }) {
+  const [content, setContent] = useState('');
+  const [format, setFormat] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  function reset() {
+    setContent('');
+    setFormat('');
+    setPreview(null);
+    setError('');
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setContent(await file.text());
+    setPreview(null);
+  }
+
+  async function send(dryRun) {
+    setBusy(true);
+    setError('');
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (orgUuid) headers['X-Organization-UUID'] = orgUuid;
+      const res = await fetch('/api/cards/import', {
+        method: 'POST',
+        headers,
+        credentials: 'include',
+        body: JSON.stringify({ content, ...(format ? { format } : {}), dryRun }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'HTTP ' + res.status);
+      if (dryRun) {
+        setPreview(body);
+      } else {
+        onImported(body.inserted);
+        reset();
+        onClose();
+      }
+    } catch (e) {
+      setError(String(e.message || 'Import failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <GdsModal
+      id="card-import"
+      opened={opened}
+      onClose={() => { reset(); onClose(); }}
+      title="Import cards"
+      description="Paste or upload a CSV file, a JSON array or a bookmarks file exported from your browser. Bookmark folders become tags."
+      size="xl"
+    >
+      <div className="import-form">
+        <label>
+          Format
+          <select value={format} onChange={e => { setFormat(e.target.value); setPreview(null); }}>
+            {FORMAT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </label>
+        <label>
+          File
+          <input type="file" accept=".csv,.json,.html,.htm,text/csv,application/json,text/html" onChange={onFile} />
+        </label>
+        <label>
+          Content
+          <textarea rows={8} value={content} onChange={e => { setContent(e.target.value); setPreview(null); }} placeholder={'title,href,tags\nDocs,https://example.com/docs,help;internal'} />
+        </label>
+        {error ? <p className="import-error" role="alert">{error}</p> : null}
+        <div className="import-actions">
+          <button type="button" onClick={() => send(true)} disabled={busy || !content.trim()}>
+            {busy && !preview ? 'Checking…' : 'Preview'}
+          </button>
+          {preview ? (
+            <button type="button" className="primary" onClick={() => send(false)} disabled={busy || !preview.toInsert}>
+              {busy ? 'Importing…' : `Import ${preview.toInsert} card${preview.toInsert === 1 ? '' : 's'}`}
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      {preview ? (
+        <>
+          <p className="import-summary">
+            {preview.total} rows ({preview.format}): {preview.valid} ready, {preview.invalid} invalid, {preview.duplicates} already in this organization.
+            Invalid and duplicate rows are skipped.
+          </p>
+          <table className="import-table">
+            <thead>
+              <tr><th scope="col">#</th><th scope="col">Status</th><th scope="col">Title</th><th scope="col">Link</th><th scope="col">Tags</th></tr>
+            </thead>
+            <tbody>
+              {preview.rows.map(r => (
+                <tr key={r.row} className={`import-row import-row--${r.status}`}>
+                  <td>{r.row}</td>
+                  <td>
+                    {STATUS_LABELS[r.status] || r.status}
+                    {r.errors.length ? <ul>{r.errors.map(err => <li key={err}>{err}</li>)}</ul> : null}
+                  </td>
+                  <td>{r.card.title}</td>
+                  <td className="import-href">{r.card.href}</td>
+                  <td>{r.card.tags.join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : null}
+    </GdsModal>
+  );
+}
@@ -0,0 +1,173 @@
+// TagManager -- the admin "Tags" view for the selected organization.
+//
+// Lists GET /api/tags (every tag in use plus any with metadata only) and edits each tag's
+// metadata -- label, color, description, hidden -- via PATCH /api/tags?tag=. The ↑/↓
+// buttons set the public tag bar's order (POST /api/tags/reorder, whole list at once).
+// Rename, merge and delete are the org-wide card edits from rename.js / merge.js / DELETE.
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const DEFAULT_SWATCH = '#2c5680';
+
+export default function TagManager({ orgUuid, onChanged, onStatus }) {
+  const [tags, setTags] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [busyName, setBusyName] = useState('');
+
+  // The parent passes an inline onStatus; reading it through a ref keeps load() stable, so
+  // the list reloads when the org changes, not on every parent render
+  const onStatusRef = useRef(onStatus);
+  onStatusRef.current = onStatus;
+
+  const orgHeaders = useCallback((json = false) => {
+    const headers = /** @type {Record<string, string>} */ ({});
+    if (json) headers['Content-Type'] = 'application/json';
+    if (orgUuid) headers['X-Organization-UUID'] = orgUuid;
+    return headers;
+  }, [orgUuid]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/tags', { headers: orgHeaders(), credentials: 'include', cache: 'no-store' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'HTTP ' + res.status);
+      setTags(Array.isArray(body) ? body : []);
+      setDrafts({});
+    } catch (e) {
+      setTags([]);
+      onStatusRef.current(String(e.message || 'Failed to load tags'));
+    } finally {
+      setLoading(false);
+    }
+  }, [orgHeaders]);
+
+  useEffect(() => {
+    if (orgUuid) load(); else setTags([]);
+  }, [orgUuid, load]);
+
+  function draftFor(t) {
+    return drafts[t.name] || { label: t.label === t.name ? '' : t.label, color: t.color || '', description: t.description, hidden: t.hidden };
+  }
+
+  function setDraft(t, patch) {
+    setDrafts(prev => ({ ...prev, [t.name]: { ...draftFor(t), ...patch } }));
+  }
+
+  // Functional: Shared request wrapper -- busy flag, error surfacing, reload on success
+  async function run(name, request, doneMsg) {
+    setBusyName(name);
+    try {
+      const res = await request();
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error('HTTP ' + res.status + ' — ' + (body.error || ''));
+      }
+      onStatus(doneMsg);
+      await load();
+      onChanged();
+    } catch (e) {
+      onStatus(String(e.message || 'Tag update failed'));
+    } finally {
+      setBusyName('');
+    }
+  }
+
+  function saveMeta(t) {
+    const d = draftFor(t);
+    return run(t.name, () => fetch('/api/tags?tag=' + encodeURIComponent(t.name), {
+      method: 'PATCH', headers: orgHeaders(true), credentials: 'include',
+      body: JSON.stringify({ label: d.label, color: d.color, description: d.description, hidden: d.hidden }),
+    }), 'Tag saved');
+  }
+
+  function move(index, delta) {
+    const next = [...tags];
+    const [t] = next.splice(index, 1);
+    next.splice(index + delta, 0, t);
+    setTags(next);
+    return run(t.name, () => fetch('/api/tags/reorder', {
+      method: 'POST', headers: orgHeaders(true), credentials: 'include',
+      body: JSON.stringify({ names: next.map(x => x.name) }),
+    }), 'Order saved');
+  }
+
+  function rename(t) {
+    const to = prompt(`Rename #${t.name} on every card to:`, t.name);
+    if (!to || to.trim() === t.name) return;
+    return run(t.name, () => fetch('/api/tags/rename', {
+      method: 'POST', headers: orgHeaders(true), credentials: 'include',
+      body: JSON.stringify({ from: t.name, to }),
+    }), 'Tag renamed');
+  }
+
+  function merge(t) {
+    const target = prompt(`Merge #${t.name} into which tag?`);
+    if (!target || target.trim() === t.name) return;
+    return run(t.name, () => fetch('/api/tags/merge', {
+      method: 'POST', headers: orgHeaders(true), credentials: 'include',
+      body: JSON.stringify({ sources: [t.name], target }),
+    }), 'Tags merged');
+  }
+
+  function remove(t) {
+    if (!confirm(`Remove #${t.name} from ${t.count} card${t.count === 1 ? '' : 's'} and delete its settings?`)) return;
+    return run(t.name, () => fetch('/api/tags?tag=' + encodeURIComponent(t.name), {
+      method: 'DELETE', headers: orgHeaders(), credentials: 'include',
+    }), 'Tag deleted');
+  }
+
+  return (
+    <section className="tag-manager" aria-label="Tags">
+      <p className="trash-note">
+        Labels, colors and order apply to the public tag bar. Hidden tags stay on their cards but are left out of the bar.
+      </p>
+      {loading ? <p className="trash-note">Loading…</p> : null}
+      {!loading && !tags.length ? <p className="trash-note">No tags yet -- add some to a card first.</p> : null}
+      <ol className="tag-manager-list">
+        {tags.map((t, i) => {
+          const d = draftFor(t);
+          const busy = busyName === t.name;
+          return (
+            <li key={t.name} className="tag-manager-row">
+              <div className="tag-manager-head">
+                <span className="tag-swatch" style={{ background: d.color || 'transparent' }} aria-hidden="true" />
+                <strong>#{t.name}</strong>
+                <span className="tag-manager-count">{t.count} card{t.count === 1 ? '' : 's'}</span>
+                <span className="tag-manager-move">
+                  <button type="button" onClick={() => move(i, -1)} disabled={busy || i === 0} aria-label={`Move #${t.name} up`}>↑</button>
+                  <button type="button" onClick={() => move(i, 1)} disabled={busy || i === tags.length - 1} aria-label={`Move #${t.name} down`}>↓</button>
+                </span>
+              </div>
+              <div className="tag-manager-fields">
+                <label>Label
+                  <input value={d.label} maxLength={40} placeholder={t.name} onChange={e => setDraft(t, { label: e.target.value })} />
+                </label>
+                <label>Color
+                  <span className="tag-manager-color">
+                    <input type="color" value={d.color || DEFAULT_SWATCH} onChange={e => setDraft(t, { color: e.target.value })} />
+                    {d.color ? <button type="button" onClick={() => setDraft(t, { color: '' })}>Clear</button> : <em>default</em>}
+                  </span>
+                </label>
+                <label className="tag-manager-description">Description
+                  <input value={d.description} maxLength={200} onChange={e => setDraft(t, { description: e.target.value })} />
+                </label>
+                <label className="tag-manager-hidden">
+                  <input type="checkbox" checked={d.hidden} onChange={e => setDraft(t, { hidden: e.target.checked })} />
+                  Hide from public tag bar
+                </label>
+              </div>
+              <div className="tag-manager-actions">
+                <button type="button" onClick={() => saveMeta(t)} disabled={busy || !drafts[t.name]}>Save</button>
+                <button type="button" onClick={() => rename(t)} disabled={busy}>Rename</button>
+                <button type="button" onClick={() => merge(t)} disabled={busy}>Merge into…</button>
+                <button type="button" className="del" onClick={() => remove(t)} disabled={busy}>Delete</button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
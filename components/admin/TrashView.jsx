@@ -0,0 +1,110 @@
+// TrashView -- the admin "Trash" list for the selected organization.
+//
+// DELETE /api/cards/[id] only moves a card to the trash; this view lists trashed cards
+// (GET /api/cards/trash) with Restore and "Delete permanently" actions
+// (POST / DELETE /api/cards/trash/[id]). Cards past the retention period are purged by
+// the server when this list loads, so the purge date shown is always in the future.
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { DEFAULT_BG } from '../../lib/shared.js';
+
+export default function TrashView({ orgUuid, onRestored, onStatus }) {
+  const [cards, setCards] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState('');
+
+  // The parent passes an inline onStatus; reading it through a ref keeps load() stable, so
+  // the list reloads when the org changes, not on every parent render
+  const onStatusRef = useRef(onStatus);
+  onStatusRef.current = onStatus;
+
+  const orgHeaders = useCallback(() => {
+    const headers = /** @type {Record<string, string>} */ ({});
+    if (orgUuid) headers['X-Organization-UUID'] = orgUuid;
+    return headers;
+  }, [orgUuid]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/cards/trash', { headers: orgHeaders(), credentials: 'include', cache: 'no-store' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'HTTP ' + res.status);
+      setCards(Array.isArray(body.cards) ? body.cards : []);
+      setRetentionDays(body.retentionDays || null);
+    } catch (e) {
+      setCards([]);
+      onStatusRef.current(String(e.message || 'Failed to load trash'));
+    } finally {
+      setLoading(false);
+    }
+  }, [orgHeaders]);
+
+  useEffect(() => {
+    if (orgUuid) load(); else setCards([]);
+  }, [orgUuid, load]);
+
+  async function restore(id) {
+    setBusyId(id);
+    try {
+      const res = await fetch('/api/cards/trash/' + encodeURIComponent(id), { method: 'POST', headers: orgHeaders(), credentials: 'include' });
+      const body = await res.json();
+      if (!res.ok) throw new Error('HTTP ' + res.status + ' — ' + (body.error || ''));
+      setCards(prev => prev.filter(c => c._id !== id));
+      onRestored(body);
+      onStatus('Restored');
+    } catch (e) {
+      onStatus(String(e.message || 'Restore failed'));
+    } finally {
+      setBusyId('');
+    }
+  }
+
+  async function deleteForever(card) {
+    if (!confirm(`Permanently delete "${card.title || 'Untitled'}"? Its version history is deleted too. This cannot be undone.`)) return;
+    setBusyId(card._id);
+    try {
+      const res = await fetch('/api/cards/trash/' + encodeURIComponent(card._id), { method: 'DELETE', headers: orgHeaders(), credentials: 'include' });
+      if (!res.ok) throw new Error('HTTP ' + res.status + ' — ' + (await res.text()));
+      setCards(prev => prev.filter(c => c._id !== card._id));
+      onStatus('Deleted permanently');
+    } catch (e) {
+      onStatus(String(e.message || 'Delete failed'));
+    } finally {
+      setBusyId('');
+    }
+  }
+
+  return (
+    <section className="trash-view" aria-label="Trash">
+      <p className="trash-note">
+        {retentionDays
+          ? `Deleted cards are kept here for ${retentionDays} days, then removed for good.`
+          : 'Deleted cards are kept here until you delete them permanently.'}
+      </p>
+      {loading ? <p className="trash-note">Loading…</p> : null}
+      {!loading && !cards.length ? <p className="trash-note">The trash is empty.</p> : null}
+      <div className="admin-grid">
+        {cards.map(c => (
+          <div key={c._id} className="admin-card admin-card--trashed">
+            <div className="admin-card-inner" style={{ background: c.background || DEFAULT_BG }}>
+              <div className="admin-card-content">
+                <h3>{c.title || 'Untitled'}</h3>
+                <p>{c.description || ''}</p>
+                <p className="trash-meta">
+                  Deleted {new Date(c.deletedAt).toLocaleString()}
+                  {c.purgeAt ? ` · purged ${new Date(c.purgeAt).toLocaleDateString()}` : ''}
+                </p>
+              </div>
+              <div className="form-actions">
+                <button type="button" onClick={() => restore(c._id)} disabled={busyId === c._id}>Restore</button>
+                <button type="button" className="del" onClick={() => deleteForever(c)} disabled={busyId === c._id}>Delete permanently</button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -25,20 +25,36 @@
  *
  * Current call sites (wired in, issue #13):
  * - pages/api/cards/index.js (POST)              -> CARD_CREATE
+ * - pages/api/cards/import.js (committed import)  -> CARD_CREATE with `cardIds`, `source: 'import'`
  * - pages/api/cards/[id].js (PATCH, DELETE)       -> CARD_UPDATE, CARD_DELETE
  * - pages/api/cards/reorder.js                    -> CARD_REORDER
+ * - pages/api/tags/rename.js, merge.js, index.js (DELETE) -> TAG_RENAME, TAG_MERGE, TAG_DELETE
+ * - pages/api/tags/index.js (PATCH), reorder.js    -> TAG_UPDATE with the edited `fields`
+ * - pages/api/card-groups/index.js (POST), [id].js (PATCH, DELETE), reorder.js
+ *                                                 -> CARD_GROUP_CREATE, CARD_GROUP_UPDATE (with
+ *                                                    `fields`), CARD_GROUP_DELETE
+ * - pages/api/links/index.js (POST), [id].js (PATCH, DELETE) -> LINK_CREATE, LINK_UPDATE (with
+ *   `fields`), LINK_DELETE (v1.44.0+)
  * - pages/api/admin/users/[ssoUserId]/change-role.js  -> logAdminAction('change_role', ...)
  * - pages/api/admin/users/[ssoUserId]/grant-access.js -> logAdminAction('grant_access', ...)
  * - pages/api/admin/users/[ssoUserId]/revoke-access.js -> logAdminAction('revoke_access', ...)
  * - pages/api/oauth/callback.js (successful login) -> USER_LOGIN (additive, alongside the
  *   existing recordAuthEvent audit-trail call — analyticsEvents is for usage analytics,
  *   authLogs remains the separate security audit trail)
+ * - pages/api/cards/[id]/click.js (public redirect) -> logCardClick / CARD_CLICK (v1.25.0+;
+ *   per-IP rate limited and bot-filtered via lib/requestGuards.js before anything is queued)
+ * - pages/api/cards/[id]/revisions/[rev]/restore.js -> CARD_UPDATE / CARD_CREATE with
+ *   `restoredFromRev` (v1.27.0+)
+ * - pages/api/cards/trash/[id].js (POST restore, DELETE permanent) -> CARD_UPDATE with
+ *   `restoredFromTrash`, CARD_DELETE with `permanent` (v1.28.0+); the trashing DELETE on
+ *   pages/api/cards/[id].js carries `trashed: true`
+ * - pages/api/organizations/[uuid]/restore.js, purge.js -> ORG_UPDATE with `restored`,
+ *   ORG_DELETE with `permanent` and per-collection `removed` counts; the purge event carries
+ *   `purgedOrgUuid` instead of orgUuid so it survives the purge (v1.45.0+)
  *
  * Deliberately deferred (not wired in by issue #13, tracked as future work):
- * - logCardClick / CARD_CLICK: card clicks are a client-side navigation with no server
- *   round-trip today; wiring this needs a new beacon endpoint (POST /api/analytics/click),
- *   which is a materially larger feature (public endpoint, abuse/rate-limit surface).
- * - ORG_CREATE/UPDATE/DELETE: pages/api/organizations/** is not touched by this module yet.
+ * - ORG_CREATE, ORG_UPDATE and the soft-deleting DELETE in pages/api/organizations/index.js
+ *   and [uuid].js.
  *
  * Known limitation — best-effort delivery, not exactly-once:
  * This module's batch queue is in-memory and per-process. A partial batch (fewer than
@@ -65,6 +81,10 @@ import clientPromise from './db.js';
  * - CARD_CLICK: Most important metric for measuring card effectiveness
  * - CARD_CREATE/UPDATE/DELETE: Track content changes for audit and analytics
  * - ADMIN_ACTION: Catch-all for permission changes, role assignments, etc.
+ * - TAG_RENAME/MERGE/DELETE: One event per org-wide tag edit (a single bulk write)
+ * - TAG_UPDATE: Tag metadata edits (label, color, description, order, hidden)
+ * - CARD_GROUP_CREATE/UPDATE/DELETE: Launcher sections (title, collapsed flag, order)
+ * - LINK_CREATE/UPDATE/DELETE: The org-scoped /api/links resource
  * - USER_LOGIN: Track engagement and authentication patterns
  * - ORG_ACTION: Organization-level changes (create, settings update, etc.)
  */
@@ -83,6 +103,22 @@ export const EVENT_TYPES = {
   ROLE_UPDATE: 'role_update',     // Admin modified role permissions
   ROLE_DELETE: 'role_delete',     // Admin deleted custom role
   
+  // Tag management (org-wide bulk edits of CardDoc.tags)
+  TAG_RENAME: 'tag_rename',       // Admin renamed a tag on every card
+  TAG_MERGE: 'tag_merge',         // Admin merged several tags into one
+  TAG_DELETE: 'tag_delete',       // Admin removed a tag from every card
+  TAG_UPDATE: 'tag_update',       // Admin edited tag metadata or display order
+
+  // Card groups (launcher sections, lib/cardGroups.js)
+  CARD_GROUP_CREATE: 'card_group_create', // Admin added a section
+  CARD_GROUP_UPDATE: 'card_group_update', // Admin renamed, collapsed or reordered sections
+  CARD_GROUP_DELETE: 'card_group_delete', // Admin removed a section (its cards become ungrouped)
+
+  // Org links (/api/links, lib/links.js)
+  LINK_CREATE: 'link_create',     // Admin added a link
+  LINK_UPDATE: 'link_update',     // Admin edited a link
+  LINK_DELETE: 'link_delete',     // Admin deleted a link
+
   // User/Auth events
   USER_LOGIN: 'user_login',       // User logged in via OAuth
   USER_LOGOUT: 'user_logout',     // User logged out
@@ -266,18 +302,19 @@ if (typeof process !== 'undefined') {
 
 /**
  * Log a card click event (most common event type).
- * 
+ *
+ * Identifiers only: the destination href is deliberately not recorded (see the
+ * file-header "Schema" note) — it is recoverable from the card via cardId.
+ *
  * @param {string} cardId - MongoDB ObjectId of clicked card
  * @param {string} orgUuid - Organization UUID
- * @param {string} userId - SSO user ID (if authenticated)
- * @param {string} href - Destination URL
+ * @param {string | null} userId - SSO user ID (null for anonymous visitors)
  */
-export function logCardClick(cardId, orgUuid, userId, href) {
+export function logCardClick(cardId, orgUuid, userId) {
   logEvent(EVENT_TYPES.CARD_CLICK, {
     orgUuid,
     userId,
     cardId,
-    href,
     timestamp: new Date().toISOString(),
   });
 }
@@ -311,3 +348,84 @@ export function getQueueStatus() {
     isShuttingDown,
   };
 }
+
+// ===========================
+// Query Helpers
+// ===========================
+
+/**
+ * Supported analytics grouping dimensions.
+ *
+ * - day:  calendar day (UTC) taken from the ISO timestamp's first 10 characters
+ * - card: data.cardId (card events only)
+ * - user: userId (anonymous events are excluded)
+ */
+export const ANALYTICS_GROUP_BY = ['day', 'card', 'user'];
+
+/**
+ * Build the aggregation pipeline behind GET /api/organizations/[uuid]/analytics.
+ *
+ * Why a pure builder?
+ * - Keeps the Mongo query shape in the module that owns the event schema
+ * - The route stays a thin validation/authorization layer
+ *
+ * Org scoping: USER_LOGIN is logged with `orgUuid: null` (login is not org-specific),
+ * so logins are attributed to an org through `memberUserIds` — the org's current members.
+ *
+ * Output rows: `{ key, count, byType: [{ eventType, count }] }`, sorted by day
+ * ascending for `day`, by count descending (top-N, capped at `limit`) otherwise.
+ *
+ * @param {Object} q
+ * @param {string} q.orgUuid - Organization UUID
+ * @param {string} q.from - Inclusive lower bound (ISO 8601)
+ * @param {string} q.to - Exclusive upper bound (ISO 8601)
+ * @param {'day'|'card'|'user'} q.groupBy - One of ANALYTICS_GROUP_BY
+ * @param {string[]} [q.eventTypes] - Restrict to these EVENT_TYPES values (all when empty)
+ * @param {string[]} [q.memberUserIds] - Org members, for attributing USER_LOGIN events
+ * @param {number} [q.limit] - Max rows for card/user grouping
+ * @returns {Record<string, any>[]} Aggregation pipeline stages
+ */
+export function buildAnalyticsPipeline({ orgUuid, from, to, groupBy, eventTypes = [], memberUserIds = [], limit = 20 }) {
+  // Timestamps are ISO 8601 UTC strings with milliseconds, so lexical order is time order
+  /** @type {Record<string, any>} */
+  const match = {
+    timestamp: { $gte: from, $lt: to },
+    $or: [
+      { orgUuid },
+      { orgUuid: null, eventType: EVENT_TYPES.USER_LOGIN, userId: { $in: memberUserIds } },
+    ],
+  };
+  if (eventTypes.length) match.eventType = { $in: eventTypes };
+
+  let key;
+  if (groupBy === 'day') {
+    key = { $substrBytes: ['$timestamp', 0, 10] };
+  } else if (groupBy === 'card') {
+    key = '$data.cardId';
+    match['data.cardId'] = { $type: 'string' };
+  } else {
+    key = '$userId';
+    match.userId = { $type: 'string' };
+  }
+
+  /** @type {Record<string, any>[]} */
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: { key, eventType: '$eventType' }, count: { $sum: 1 } } },
+    {
+      $group: {
+        _id: '$_id.key',
+        count: { $sum: '$count' },
+        byType: { $push: { eventType: '$_id.eventType', count: '$count' } },
+      },
+    },
+    { $project: { _id: 0, key: '$_id', count: 1, byType: 1 } },
+  ];
+
+  if (groupBy === 'day') {
+    pipeline.push({ $sort: { key: 1 } });
+  } else {
+    pipeline.push({ $sort: { count: -1, key: 1 } }, { $limit: limit });
+  }
+  return pipeline;
+}
@@ -0,0 +1,168 @@
+// Functional: Serializers for exporting an organization's cards (CSV, JSON, bookmark HTML, OPML)
+// Strategic: Counterpart of lib/cardImport.js. The JSON format carries exactly the fields
+// import reads, visibility included, so an export re-imports unchanged (backups, staging ->
+// production moves) and a restricted card never comes back public; CSV, bookmark HTML and
+// OPML are for spreadsheets, browsers and feed/outline tools.
+// Pure functions only -- GET /api/cards/export owns the query and response headers.
+
+import { CARD_REVISION_FIELDS } from './shared.js';
+
+/** @typedef {import('./types.js').CardDoc} CardDoc */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'html', 'opml'];
+
+// Functional: Content-Type and file extension per format
+export const EXPORT_CONTENT_TYPES = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  json: { type: 'application/json; charset=utf-8', ext: 'json' },
+  html: { type: 'text/html; charset=utf-8', ext: 'html' },
+  opml: { type: 'text/x-opml; charset=utf-8', ext: 'opml' },
+};
+
+// Functional: Version marker for the JSON envelope; bump if the card shape changes
+const JSON_EXPORT_VERSION = 1;
+
+function isoOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Functional: The portable part of a card -- content fields (CARD_REVISION_FIELDS) plus
+// visibility, favicon, group and icon; no _id/order/orgUuid. groupId and icon only resolve
+// when re-imported into the same organization (import drops them elsewhere).
+function portableCard(card) {
+  const out = {};
+  for (const k of CARD_REVISION_FIELDS) out[k] = card[k] ?? null;
+  out.description = out.description || '';
+  out.tags = Array.isArray(card.tags) ? card.tags : [];
+  out.publishAt = isoOrNull(card.publishAt);
+  out.expireAt = isoOrNull(card.expireAt);
+  out.visibility = card.visibility || 'public';
+  out.favicon = card.favicon || null;
+  out.groupId = card.groupId ? String(card.groupId) : null;
+  out.icon = card.icon || null;
+  return out;
+}
+
+function escapeXml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+    // Newlines as character references: XML parsers fold literal ones in attributes to spaces
+    .replace(/\r/g, '&#13;').replace(/\n/g, '&#10;');
+}
+
+// Functional: Group cards under their first tag (a bookmark or outline node has exactly one
+// parent); untagged cards stay at the top level. Card order is preserved within each group.
+function groupByFirstTag(cards) {
+  const groups = new Map();
+  const loose = [];
+  for (const c of cards) {
+    const first = Array.isArray(c.tags) && c.tags.length ? c.tags[0] : '';
+    if (!first) { loose.push(c); continue; }
+    if (!groups.has(first)) groups.set(first, []);
+    groups.get(first).push(c);
+  }
+  return { groups, loose };
+}
+
+/**
+ * Functional: JSON export -- `{ format, version, exportedAt, organization, cards }`
+ * Strategic: POST /api/cards/import accepts this envelope as-is
+ *
+ * @param {CardDoc[]} cards - In display order
+ * @param {{ uuid: string, slug?: string, name?: string }} org
+ * @returns {string}
+ */
+export function cardsToJson(cards, org) {
+  return JSON.stringify({
+    format: 'launchmass-cards',
+    version: JSON_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    organization: { uuid: org.uuid, slug: org.slug || '', name: org.name || '' },
+    cards: cards.map(portableCard),
+  }, null, 2);
+}
+
+/**
+ * Functional: CSV export with a header row; tags and visibility role ids are `; `-separated
+ * Strategic: Column names match what lib/cardImport.js reads, so CSV round-trips too
+ *
+ * @param {CardDoc[]} cards
+ * @returns {string}
+ */
+export function cardsToCsv(cards) {
+  const cell = (v) => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const header = ['title', 'href', 'description', 'tags', 'background', 'publishAt', 'expireAt', 'visibility'];
+  const lines = [header.join(',')];
+  for (const c of cards.map(portableCard)) {
+    const visibility = Array.isArray(c.visibility) ? c.visibility.join('; ') : c.visibility;
+    lines.push([c.title, c.href, c.description, c.tags.join('; '), c.background, c.publishAt, c.expireAt, visibility].map(cell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Functional: Netscape bookmark file, the format Chrome, Firefox, Safari and Edge import
+ * Strategic: Each card's first tag becomes its folder; the full tag list is kept in the
+ * TAGS attribute (Firefox reads it; lib/cardImport.js reads it back)
+ *
+ * @param {CardDoc[]} cards
+ * @param {{ name?: string, slug?: string }} org
+ * @returns {string}
+ */
+export function cardsToBookmarksHtml(cards, org) {
+  const now = Math.floor(Date.now() / 1000);
+  const link = (c, indent) => {
+    const tags = Array.isArray(c.tags) && c.tags.length ? ` TAGS="${escapeXml(c.tags.join(','))}"` : '';
+    let out = `${indent}<DT><A HREF="${escapeXml(c.href)}" ADD_DATE="${now}"${tags}>${escapeXml(c.title)}</A>\n`;
+    if (c.description) out += `${indent}<DD>${escapeXml(c.description)}\n`;
+    return out;
+  };
+  const { groups, loose } = groupByFirstTag(cards);
+  let body = '';
+  for (const [tag, list] of groups) {
+    body += `    <DT><H3 ADD_DATE="${now}">${escapeXml(tag)}</H3>\n    <DL><p>\n`;
+    for (const c of list) body += link(c, '        ');
+    body += '    </DL><p>\n';
+  }
+  for (const c of loose) body += link(c, '    ');
+
+  const title = escapeXml(org.name || org.slug || 'launchmass');
+  return '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n'
+    + '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->\n'
+    + '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n'
+    + `<TITLE>Bookmarks</TITLE>\n<H1>${title}</H1>\n<DL><p>\n${body}</DL><p>\n`;
+}
+
+/**
+ * Functional: OPML 2.0 outline -- one `type="link"` outline per card, grouped by first tag
+ *
+ * @param {CardDoc[]} cards
+ * @param {{ name?: string, slug?: string }} org
+ * @returns {string}
+ */
+export function cardsToOpml(cards, org) {
+  const outline = (c, indent) => {
+    const desc = c.description ? ` description="${escapeXml(c.description)}"` : '';
+    const tags = Array.isArray(c.tags) && c.tags.length ? ` category="${escapeXml(c.tags.join(','))}"` : '';
+    return `${indent}<outline text="${escapeXml(c.title)}" type="link" url="${escapeXml(c.href)}"${desc}${tags}/>\n`;
+  };
+  const { groups, loose } = groupByFirstTag(cards);
+  let body = '';
+  for (const [tag, list] of groups) {
+    body += `    <outline text="${escapeXml(tag)}">\n`;
+    for (const c of list) body += outline(c, '      ');
+    body += '    </outline>\n';
+  }
+  for (const c of loose) body += outline(c, '    ');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<opml version="2.0">\n  <head>\n'
+    + `    <title>${escapeXml(org.name || org.slug || 'launchmass')}</title>\n`
+    + `    <dateCreated>${new Date().toUTCString()}</dateCreated>\n`
+    + `  </head>\n  <body>\n${body}  </body>\n</opml>\n`;
+}
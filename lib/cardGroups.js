@@ -0,0 +1,187 @@
+// Functional: Card groups -- the org's named launcher sections ("Tools", "Docs", ...) kept in
+// `cardGroups`, each with a title, position and collapsed-by-default flag
+// Strategic: A card points at its section through CardDoc.groupId (the stringified group id);
+// no groupId, or one whose group was deleted, means ungrouped. Cards keep one org-wide
+// `order`, which POST /api/cards/reorder assigns section by section, so flat listings (the
+// API, exports, search) still come out in launcher order. Used by /api/card-groups, the
+// reorder route and the public pages.
+
+import { ObjectId } from 'mongodb';
+import clientPromise from './db.js';
+
+/** @typedef {import('./types.js').CardGroupDoc} CardGroupDoc */
+/** @typedef {import('./types.js').CardGroup} CardGroup */
+
+export const GROUP_TITLE_MAX = 60;
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardRevisions.js
+let groupsIndexesEnsured = false;
+
+/**
+ * Functional: Get the cardGroups collection with automatic index creation
+ *
+ * @returns {Promise<import('mongodb').Collection<CardGroupDoc>>}
+ */
+export async function getCardGroupsCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('cardGroups');
+
+  if (!groupsIndexesEnsured) {
+    await col.createIndex({ orgUuid: 1, order: 1 });
+    groupsIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<CardGroupDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Shape a CardGroupDoc for the client (string id, no org/timestamps)
+ *
+ * @param {CardGroupDoc} doc
+ * @returns {CardGroup}
+ */
+export function toCardGroup(doc) {
+  return { _id: String(doc._id), title: doc.title, order: doc.order, collapsed: doc.collapsed === true };
+}
+
+/**
+ * Functional: Parse a group reference from request input
+ * Strategic: Same tri-state as lib/shared.js parseScheduleDate(): null for an explicit
+ * "ungrouped" (null or ''), the id string when it is a well-formed ObjectId, undefined for
+ * anything else so callers can answer 400. Whether the group exists is checked separately.
+ *
+ * @param {unknown} raw
+ * @returns {string|null|undefined}
+ */
+export function parseGroupId(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  return typeof raw === 'string' && /^[0-9a-f]{24}$/i.test(raw) ? raw.toLowerCase() : undefined;
+}
+
+/**
+ * Functional: Validate a group create/edit body; only fields present are checked
+ *
+ * @param {Record<string, unknown>} body
+ * @param {{ create?: boolean }} [options] - `create` makes `title` required
+ * @returns {{ fields: Partial<Pick<CardGroupDoc, 'title'|'collapsed'>>, errors: string[] }}
+ */
+export function validateCardGroup(body, { create = false } = {}) {
+  const src = body && typeof body === 'object' ? body : {};
+  /** @type {Partial<Pick<CardGroupDoc, 'title'|'collapsed'>>} */
+  const fields = {};
+  const errors = [];
+
+  if ('title' in src || create) {
+    const title = typeof src.title === 'string' ? src.title.trim() : '';
+    if (!title) errors.push('title is required');
+    else if (title.length > GROUP_TITLE_MAX) errors.push(`title must be at most ${GROUP_TITLE_MAX} characters`);
+    else fields.title = title;
+  }
+  if ('collapsed' in src) {
+    if (typeof src.collapsed === 'boolean') fields.collapsed = src.collapsed;
+    else errors.push('collapsed must be true or false');
+  }
+  return { fields, errors };
+}
+
+/**
+ * Functional: List an org's groups in display order
+ *
+ * @param {string} orgUuid
+ * @returns {Promise<CardGroup[]>}
+ */
+export async function listCardGroups(orgUuid) {
+  const col = await getCardGroupsCollection();
+  const docs = await col.find({ orgUuid: String(orgUuid) }).sort({ order: 1, _id: 1 }).toArray();
+  return docs.map(toCardGroup);
+}
+
+/**
+ * Functional: Which of `ids` are groups of this org
+ * Strategic: Card writes and the reorder route use it to refuse another org's group ids
+ *
+ * @param {string} orgUuid
+ * @param {string[]} ids - Output of parseGroupId()
+ * @returns {Promise<Set<string>>}
+ */
+export async function findOrgGroupIds(orgUuid, ids) {
+  if (!ids.length) return new Set();
+  const col = await getCardGroupsCollection();
+  const docs = await col
+    .find({ orgUuid: String(orgUuid), _id: { $in: ids.map(id => new ObjectId(id)) } })
+    .project({ _id: 1 })
+    .toArray();
+  return new Set(docs.map(d => String(d._id)));
+}
+
+/**
+ * Functional: Create a group at the end of the org's list
+ *
+ * @param {string} orgUuid
+ * @param {{ title: string, collapsed?: boolean }} input - Output of validateCardGroup()
+ * @returns {Promise<CardGroup>}
+ */
+export async function createCardGroup(orgUuid, { title, collapsed = false }) {
+  const col = await getCardGroupsCollection();
+  const last = await col.find({ orgUuid: String(orgUuid) }).sort({ order: -1 }).limit(1).toArray();
+  const now = new Date();
+  /** @type {CardGroupDoc} */
+  const doc = { orgUuid: String(orgUuid), title, order: last.length ? Number(last[0].order) + 1 : 0, collapsed, createdAt: now, updatedAt: now };
+  const r = await col.insertOne(doc);
+  return toCardGroup({ ...doc, _id: r.insertedId });
+}
+
+/**
+ * Functional: Edit a group's title or collapsed flag
+ *
+ * @param {string} orgUuid
+ * @param {string} id - Output of parseGroupId()
+ * @param {Partial<Pick<CardGroupDoc, 'title'|'collapsed'>>} fields
+ * @returns {Promise<CardGroup|null>} null when the org has no such group
+ */
+export async function updateCardGroup(orgUuid, id, fields) {
+  const col = await getCardGroupsCollection();
+  const doc = await col.findOneAndUpdate(
+    { _id: new ObjectId(id), orgUuid: String(orgUuid) },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return doc ? toCardGroup(doc) : null;
+}
+
+/**
+ * Functional: Give the listed groups the display order they are listed in (0, 1, 2, ...)
+ *
+ * @param {string} orgUuid
+ * @param {string[]} ids - Group ids in the wanted order
+ * @returns {Promise<number>} How many groups of this org were matched
+ */
+export async function reorderCardGroups(orgUuid, ids) {
+  if (!ids.length) return 0;
+  const col = await getCardGroupsCollection();
+  const now = new Date();
+  const r = await col.bulkWrite(ids.map((id, idx) => ({
+    updateOne: { filter: { _id: new ObjectId(id), orgUuid: String(orgUuid) }, update: { $set: { order: idx, updatedAt: now } } },
+  })));
+  return r.matchedCount;
+}
+
+/**
+ * Functional: Delete a group; its cards become ungrouped (they are never deleted with it)
+ * Strategic: Trashed cards are ungrouped too, so restoring one never points at a dead group
+ *
+ * @param {string} orgUuid
+ * @param {string} id - Output of parseGroupId()
+ * @returns {Promise<{ deleted: boolean, ungrouped: number }>}
+ */
+export async function deleteCardGroup(orgUuid, id) {
+  const col = await getCardGroupsCollection();
+  const r = await col.deleteOne({ _id: new ObjectId(id), orgUuid: String(orgUuid) });
+  if (!r.deletedCount) return { deleted: false, ungrouped: 0 };
+  const client = await clientPromise;
+  const cards = client.db(process.env.DB_NAME || 'launchmass').collection('cards');
+  const u = await cards.updateMany({ orgUuid: String(orgUuid), groupId: id }, { $set: { groupId: null, updatedAt: new Date() } });
+  return { deleted: true, ungrouped: u.modifiedCount };
+}
@@ -0,0 +1,258 @@
+// Functional: Parsing and validation for bulk card import (CSV, JSON, browser bookmark HTML)
+// Strategic: seed-launchmass-cards.js / scripts/seed-cards.cjs only replay a hard-coded
+// dataset; POST /api/cards/import uses this module to turn whatever an admin pastes or
+// uploads into validated card rows, so an org's existing links can be onboarded in one go.
+// Pure functions only (no DB access) -- the route owns duplicate checks and inserts.
+
+import { DEFAULT_BG, normalizeBg, normalizeTags, parseScheduleDate } from './shared.js';
+import { parseVisibility } from './cardVisibility.js';
+import { parseFavicon } from './linkPreview.js';
+
+export const IMPORT_FORMATS = ['csv', 'json', 'html'];
+
+// Functional: Upper bound on rows per import request
+// Strategic: Keeps one request's insertMany and preview payload bounded
+export const MAX_IMPORT_ROWS = 1000;
+
+// Functional: URL schemes a card may link to
+// Strategic: Imported files are untrusted; `javascript:`/`data:` hrefs must never reach a card
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+// Functional: Column-name aliases accepted in CSV headers and JSON objects
+const FIELD_ALIASES = {
+  title: ['title', 'name'],
+  href: ['href', 'url', 'link'],
+  description: ['description', 'desc', 'notes'],
+  background: ['background', 'bg'],
+  tags: ['tags', 'tag', 'labels'],
+  publishAt: ['publishat', 'publish_at'],
+  expireAt: ['expireat', 'expire_at'],
+  visibility: ['visibility'],
+  favicon: ['favicon'],
+  groupId: ['groupid', 'group_id'],
+  icon: ['icon'],
+};
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} row - 1-based position in the source (data rows only)
+ * @property {Record<string, any>} raw - Source fields keyed by lowercased name
+ */
+
+/**
+ * @typedef {Object} ImportCard
+ * @property {string} title
+ * @property {string} href
+ * @property {string} description
+ * @property {string} background
+ * @property {string[]} tags
+ * @property {Date|null} publishAt
+ * @property {Date|null} expireAt
+ * @property {import('./types.js').CardVisibility} visibility - 'public' when the source has none
+ * @property {string|null} favicon
+ * @property {string|null} groupId - As sent; the caller keeps it if it names a group of the
+ *   target org (a bundle: one of the bundle's groups)
+ * @property {Record<string, any>|null} icon - As sent; the caller keeps it if it is an upload
+ *   of the target org (lib/uploads.js parseUploadedImage)
+ */
+
+// Functional: Guess the format from content when the caller did not say
+export function detectImportFormat(content) {
+  if (Array.isArray(content) || (content && typeof content === 'object')) return 'json';
+  const text = String(content || '').trimStart();
+  if (/^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(text) || /^<(html|dl|dt|meta|title)\b/i.test(text)) return 'html';
+  if (text.startsWith('[') || text.startsWith('{')) return 'json';
+  return 'csv';
+}
+
+// Functional: RFC 4180 CSV -> array of string arrays (quoted fields, "" escapes, CRLF/LF)
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  return records.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function parseCsv(text) {
+  const [header, ...data] = parseCsvRecords(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return data.map((cells, idx) => ({
+    row: idx + 1,
+    raw: Object.fromEntries(keys.map((k, i) => [k, cells[i] ?? ''])),
+  }));
+}
+
+function parseJson(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  // Accepts a bare array or the { cards: [...] } envelope written by /api/cards/export
+  const list = Array.isArray(data) ? data : (Array.isArray(data?.cards) ? data.cards : null);
+  if (!list) throw new Error('JSON import must be an array of cards or { "cards": [...] }');
+  return list.map((item, idx) => ({
+    row: idx + 1,
+    raw: item && typeof item === 'object'
+      ? Object.fromEntries(Object.entries(item).map(([k, v]) => [k.toLowerCase(), v]))
+      : {},
+  }));
+}
+
+function decodeEntities(s) {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Functional: Netscape bookmark file (what Chrome, Firefox, Safari and Edge export).
+// Each <A> becomes a row tagged with the names of its enclosing folders (<H3> followed by a
+// nested <DL>). The browsers' own root folders ("Bookmarks bar", "Bookmarks Toolbar",
+// "Other Bookmarks") are flagged with PERSONAL_TOOLBAR_FOLDER / UNFILED_BOOKMARKS_FOLDER and
+// are not turned into tags. A TAGS="a,b" attribute (Firefox; also written by
+// lib/cardExport.js) adds its tags too. A <DD> right after a link is its description.
+function parseBookmarksHtml(html) {
+  const rows = [];
+  const folders = [];
+  let pendingFolder = null;
+  const token = /<h3([^>]*)>([\s\S]*?)<\/h3>|<dl\b[^>]*>|<\/dl>|<a\s([^>]*)>([\s\S]*?)<\/a>|<dd>([^<]*)/gi;
+  let m;
+  while ((m = token.exec(String(html)))) {
+    const tag = m[0].slice(0, 3).toLowerCase();
+    if (m[2] !== undefined) {
+      const isRoot = /PERSONAL_TOOLBAR_FOLDER|UNFILED_BOOKMARKS_FOLDER/i.test(m[1]);
+      pendingFolder = isRoot ? '' : decodeEntities(m[2]).trim();
+    } else if (tag === '<dl') {
+      folders.push(pendingFolder);
+      pendingFolder = null;
+    } else if (tag === '</d') {
+      folders.pop();
+    } else if (m[3] !== undefined) {
+      const hrefMatch = /href\s*=\s*"([^"]*)"/i.exec(m[3]);
+      const tagsMatch = /tags\s*=\s*"([^"]*)"/i.exec(m[3]);
+      rows.push({
+        row: rows.length + 1,
+        raw: {
+          title: decodeEntities(m[4].replace(/<[^>]*>/g, '')).trim(),
+          href: hrefMatch ? decodeEntities(hrefMatch[1]).trim() : '',
+          tags: [...folders.filter(Boolean), ...(tagsMatch ? decodeEntities(tagsMatch[1]).split(',') : [])],
+        },
+      });
+    } else if (m[5] !== undefined && rows.length) {
+      const last = rows[rows.length - 1].raw;
+      if (!last.description) last.description = decodeEntities(m[5]).trim();
+    }
+  }
+  return rows;
+}
+
+/**
+ * Functional: Parse import content into raw rows
+ * Strategic: Throws on a file that cannot be read at all (bad JSON, unknown format); per-row
+ * problems are left to validateImportRow so the preview can show them individually
+ *
+ * @param {'csv'|'json'|'html'} format
+ * @param {string|Array<any>|Record<string, any>} content - Text, or already-parsed JSON
+ * @returns {ImportRow[]}
+ */
+export function parseImport(format, content) {
+  if (format === 'csv') return parseCsv(String(content ?? ''));
+  if (format === 'json') return parseJson(content);
+  if (format === 'html') return parseBookmarksHtml(String(content ?? ''));
+  throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+}
+
+function pick(raw, field) {
+  for (const alias of FIELD_ALIASES[field]) {
+    if (raw[alias] !== undefined && raw[alias] !== null) return raw[alias];
+  }
+  return undefined;
+}
+
+/**
+ * Functional: Validate and normalize one raw row into a card (normalizeBg / normalizeTags)
+ *
+ * @param {Record<string, any>} raw
+ * @returns {{ card: ImportCard, errors: string[] }}
+ */
+export function validateImportRow(raw) {
+  const errors = [];
+  const href = String(pick(raw, 'href') ?? '').trim();
+  let title = String(pick(raw, 'title') ?? '').trim();
+
+  if (!href) {
+    errors.push('href is required');
+  } else {
+    let url = null;
+    try { url = new URL(href); } catch { /* reported below */ }
+    if (!url) errors.push('href is not a valid absolute URL');
+    else if (!ALLOWED_PROTOCOLS.has(url.protocol)) errors.push(`href scheme ${url.protocol} is not allowed`);
+    else if (!title) title = url.hostname || href;
+  }
+  if (!title) errors.push('title is required');
+
+  // Tags: an array (JSON / bookmark folders) or a ; , or | separated string (CSV)
+  const rawTags = pick(raw, 'tags');
+  const tags = normalizeTags(Array.isArray(rawTags) ? rawTags.map(String) : String(rawTags ?? '').split(/[;,|]/));
+
+  const rawBg = pick(raw, 'background');
+  const background = typeof rawBg === 'string' && rawBg.trim() ? normalizeBg(rawBg) : DEFAULT_BG;
+
+  const publishAt = parseScheduleDate(pick(raw, 'publishAt'));
+  const expireAt = parseScheduleDate(pick(raw, 'expireAt'));
+  if (publishAt === undefined) errors.push('publishAt is not a valid timestamp');
+  if (expireAt === undefined) errors.push('expireAt is not a valid timestamp');
+  if (publishAt && expireAt && expireAt <= publishAt) errors.push('expireAt must be later than publishAt');
+
+  // Visibility: 'public' | 'members' | role ids, as an array (JSON) or ; , | separated (CSV).
+  // Never defaults to public when a value is present but unreadable -- that would publish a
+  // restricted card's URL.
+  const rawVis = pick(raw, 'visibility');
+  const visibility = parseVisibility(typeof rawVis === 'string' && rawVis.trim() && rawVis.trim() !== 'public' && rawVis.trim() !== 'members'
+    ? rawVis.split(/[;,|]/).map(r => r.trim()).filter(Boolean)
+    : (typeof rawVis === 'string' ? rawVis.trim() : rawVis));
+  if (visibility === undefined) errors.push("visibility must be 'public', 'members' or role ids");
+
+  const favicon = parseFavicon(pick(raw, 'favicon'));
+  if (favicon === undefined) errors.push('favicon must be a small image data: URI or empty');
+  const rawGroup = pick(raw, 'groupId');
+  const rawIcon = pick(raw, 'icon');
+  if (rawIcon !== undefined && rawIcon !== '' && typeof rawIcon !== 'object') errors.push('icon must be an uploaded image or empty');
+
+  return {
+    card: {
+      title,
+      href,
+      description: String(pick(raw, 'description') ?? '').trim(),
+      background,
+      tags,
+      publishAt: publishAt || null,
+      expireAt: expireAt || null,
+      visibility: visibility || 'public',
+      favicon: favicon || null,
+      groupId: typeof rawGroup === 'string' && rawGroup ? rawGroup : null,
+      icon: rawIcon && typeof rawIcon === 'object' ? rawIcon : null,
+    },
+    errors,
+  };
+}
@@ -0,0 +1,112 @@
+// Functional: Card version history — snapshots of a card taken before every update/delete
+// Strategic: PATCH /api/cards/[id] overwrites in place and DELETE removes outright, so a
+// clobbered title or description was simply gone; cardRevisions keeps the previous document
+// (with who/when) so editors can diff and restore
+
+import clientPromise from './db.js';
+
+/** @typedef {import('./types.js').CardDoc} CardDoc */
+/** @typedef {import('./types.js').CardRevisionDoc} CardRevisionDoc */
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/users.js's getUsersCollection
+let revisionsIndexesEnsured = false;
+
+// Functional: Retries for the rev-number race (two concurrent edits of the same card)
+// Strategic: The unique { cardId, rev } index turns the race into a duplicate-key error;
+// re-reading the latest rev and retrying resolves it without a separate counter collection
+const MAX_REV_ATTEMPTS = 3;
+
+/**
+ * Functional: Get the cardRevisions collection with automatic index creation
+ * Strategic: Single access point with guaranteed indexes, mirroring getUsersCollection()
+ *
+ * @returns {Promise<import('mongodb').Collection<CardRevisionDoc>>}
+ */
+export async function getCardRevisionsCollection() {
+  const client = await clientPromise;
+  const db = client.db(process.env.DB_NAME || 'launchmass');
+  const col = db.collection('cardRevisions');
+
+  if (!revisionsIndexesEnsured) {
+    await Promise.all([
+      // Unique per-card sequence; also serves the newest-first history listing
+      col.createIndex({ cardId: 1, rev: -1 }, { unique: true }),
+      col.createIndex({ orgUuid: 1, changedAt: -1 }),
+    ]);
+    revisionsIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<CardRevisionDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Store `previous` (the card as it was before a change) as the card's next revision
+ * Strategic: Called by every write path that replaces or removes card content, before or
+ * right after the write, with the pre-change document it already read
+ *
+ * @param {CardDoc} previous - Full card document as it was before the change (must have _id)
+ * @param {'update'|'delete'|'restore'} action - The change being made
+ * @param {string} changedBy - ssoUserId of the acting user
+ * @returns {Promise<number>} The new revision number
+ */
+export async function recordCardRevision(previous, action, changedBy) {
+  const col = await getCardRevisionsCollection();
+  const cardId = previous._id.toString();
+
+  for (let attempt = 1; ; attempt++) {
+    const last = /** @type {{rev: number} | null} */ (await col.findOne(
+      { cardId },
+      { sort: { rev: -1 }, projection: { rev: 1, _id: 0 } }
+    ));
+    const rev = (last?.rev || 0) + 1;
+    try {
+      await col.insertOne({
+        cardId,
+        orgUuid: previous.orgUuid,
+        rev,
+        action,
+        snapshot: previous,
+        changedBy: String(changedBy || ''),
+        changedAt: new Date().toISOString(),
+      });
+      return rev;
+    } catch (err) {
+      // 11000 = duplicate key: a concurrent writer took this rev number; re-read and retry
+      if (err?.code !== 11000 || attempt >= MAX_REV_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Functional: List a card's revisions, newest first, scoped to the owning organization
+ *
+ * @param {string} orgUuid - Organization UUID (tenant isolation)
+ * @param {string} cardId - Stringified card _id
+ * @returns {Promise<CardRevisionDoc[]>}
+ */
+export async function listCardRevisions(orgUuid, cardId) {
+  const col = await getCardRevisionsCollection();
+  return /** @type {CardRevisionDoc[]} */ (await col
+    .find({ orgUuid: String(orgUuid), cardId: String(cardId) })
+    .sort({ rev: -1 })
+    .toArray());
+}
+
+/**
+ * Functional: Fetch one revision of a card, scoped to the owning organization
+ *
+ * @param {string} orgUuid - Organization UUID (tenant isolation)
+ * @param {string} cardId - Stringified card _id
+ * @param {number} rev - Revision number
+ * @returns {Promise<CardRevisionDoc | null>}
+ */
+export async function getCardRevision(orgUuid, cardId, rev) {
+  const col = await getCardRevisionsCollection();
+  return /** @type {CardRevisionDoc | null} */ (await col.findOne({
+    orgUuid: String(orgUuid),
+    cardId: String(cardId),
+    rev: Number(rev),
+  }));
+}
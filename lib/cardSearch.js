@@ -0,0 +1,72 @@
+// Functional: Card search -- relevance-ranked full-text matching on title, description and href
+// Strategic: A Mongo text index ranks whole-word hits (title weighted highest), but it never
+// matches a word the user is still typing ("launc"); the search boxes filter as you type, so
+// a substring pass adds those cards after the ranked ones. Both passes run inside the
+// caller's filter (org, publish window, trash, tags), so search can never widen a listing.
+
+import clientPromise from './db.js';
+import { searchTerms } from './shared.js';
+
+/** @typedef {import('./types.js').CardDoc} CardDoc */
+
+export const CARD_TEXT_INDEX = 'cards_text_search';
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardRevisions.js; $text fails outright
+// without the index, so it cannot be left to scripts/create-indexes.mjs alone
+let textIndexEnsured = false;
+
+async function cardsCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('cards');
+  if (!textIndexEnsured) {
+    // default_language 'none': no stemming or stop words -- card titles are names and
+    // mixed-language labels, and a plain token match is what the highlighting shows
+    await col.createIndex(
+      { title: 'text', description: 'text', href: 'text' },
+      { name: CARD_TEXT_INDEX, weights: { title: 10, description: 4, href: 2 }, default_language: 'none' }
+    );
+    textIndexEnsured = true;
+  }
+  return col;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Functional: Find the cards matching `q` within `filter`, best match first
+ * Strategic: Text-index hits come first by score (ties in display order), then cards that
+ * only contain every term as a substring, in display order. Each text hit carries its
+ * `score`; callers page through the returned array themselves.
+ *
+ * @param {Record<string, any>} filter - The listing's own filter (org, publish window, trash, tags)
+ * @param {string} q - Search string, see lib/shared.js parseSearchQuery()
+ * @returns {Promise<(CardDoc & { score?: number })[]>}
+ */
+export async function searchCards(filter, q) {
+  const terms = searchTerms(q);
+  if (!terms.length) return [];
+  const col = await cardsCollection();
+
+  const ranked = /** @type {(CardDoc & { score: number })[]} */ (/** @type {unknown} */ (await col
+    .find({ $and: [filter, { $text: { $search: q } }] })
+    .project({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, order: 1, _id: 1 })
+    .toArray()));
+
+  const seen = new Set(ranked.map(d => String(d._id)));
+  const substring = {
+    $and: [
+      filter,
+      ...terms.map(t => {
+        const re = new RegExp(escapeRegex(t), 'i');
+        return { $or: [{ title: re }, { description: re }, { href: re }] };
+      }),
+    ],
+  };
+  const partial = /** @type {CardDoc[]} */ (/** @type {unknown} */ (await col.find(substring).sort({ order: 1, _id: 1 }).toArray()));
+
+  return [...ranked, ...partial.filter(d => !seen.has(String(d._id)))];
+}
@@ -0,0 +1,67 @@
+// Functional: Card trash bin — retention setting and the purge of expired trashed cards
+// Strategic: DELETE /api/cards/[id] only marks a card (deletedAt/deletedBy) so a misclick can
+// be undone from the admin Trash view; this module owns how long trashed cards are kept
+// and the one place that actually removes them
+
+import clientPromise from './db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Functional: Days a trashed card is kept before purge (CARD_TRASH_RETENTION_DAYS, default 30)
+// Strategic: 0 or a negative value disables automatic purge; trashed cards then stay until
+// someone deletes them permanently from the Trash view
+const parsedRetention = Number.parseInt(process.env.CARD_TRASH_RETENTION_DAYS || '30', 10);
+export const TRASH_RETENTION_DAYS = Number.isFinite(parsedRetention) ? parsedRetention : 30;
+
+/**
+ * Functional: When a card trashed at `deletedAt` becomes eligible for purge
+ *
+ * @param {Date|string} deletedAt - Trash timestamp
+ * @returns {string|null} ISO 8601 purge time, or null when automatic purge is disabled
+ */
+export function trashPurgeAt(deletedAt) {
+  if (TRASH_RETENTION_DAYS <= 0 || !deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Functional: Permanently remove trashed cards (and their version history) by filter
+ * Strategic: Shared by the per-card "Delete permanently" action and the retention purge so
+ * both leave nothing behind in cardRevisions; the deletedAt guard means a live card can
+ * never be hard-deleted through this path
+ *
+ * @param {Record<string, any>} filter - Extra card filter (e.g. { _id, orgUuid })
+ * @returns {Promise<number>} Number of cards removed
+ */
+export async function deleteTrashedCards(filter) {
+  const client = await clientPromise;
+  const db = client.db(process.env.DB_NAME || 'launchmass');
+  const cards = db.collection('cards');
+
+  // A caller-supplied deletedAt range (the purge cutoff) replaces the guard; it excludes null too
+  const query = { deletedAt: { $ne: null }, ...filter };
+  const doomed = await cards.find(query).project({ _id: 1 }).toArray();
+  if (!doomed.length) return 0;
+
+  const ids = doomed.map(c => c._id);
+  const r = await cards.deleteMany({ ...query, _id: { $in: ids } });
+  await db.collection('cardRevisions').deleteMany({ cardId: { $in: ids.map(id => id.toString()) } });
+  return r.deletedCount;
+}
+
+/**
+ * Functional: Purge cards that have been in the trash longer than TRASH_RETENTION_DAYS
+ * Strategic: Runs opportunistically when an org's Trash view is opened (scoped to that org)
+ * and from scripts/purge-card-trash.mjs for a scheduled, all-org sweep
+ *
+ * @param {{ orgUuid?: string, now?: Date }} [options]
+ * @returns {Promise<number>} Number of cards purged (0 when purge is disabled)
+ */
+export async function purgeExpiredTrash({ orgUuid, now = new Date() } = {}) {
+  if (TRASH_RETENTION_DAYS <= 0) return 0;
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  return deleteTrashedCards({
+    ...(orgUuid ? { orgUuid: String(orgUuid) } : {}),
+    deletedAt: { $lte: cutoff },
+  });
+}
@@ -0,0 +1,96 @@
+// Functional: Per-card visibility -- who may see a card on the public pages and GET /api/cards
+// Strategic: CardDoc.visibility is 'public' (or absent, so every existing card stays public),
+// 'members' (any member of the card's org) or an array of role ids ('admin', 'user' or a
+// custom organizationRoles roleId). The rule is a Mongo filter fragment spread into the
+// listing's own filter, like publishWindowFilter(), so search, tag filters and counts can
+// never see past it. Org admins and superadmins see every card.
+
+import { validateSsoSession } from './auth-oauth.js';
+import { getUserOrgRole, isSuperAdmin } from './permissions.js';
+
+/** @typedef {import('./types.js').CardVisibility} CardVisibility */
+/** @typedef {import('./types.js').CardViewer} CardViewer */
+
+export const MAX_VISIBILITY_ROLES = 20;
+export const ROLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/** @type {CardViewer} Signed-out visitor: public cards only */
+export const ANONYMOUS_VIEWER = Object.freeze({ all: false, role: null, userId: null });
+
+/**
+ * Functional: Parse a card's visibility from request input
+ * Strategic: Same tri-state as lib/shared.js parseScheduleDate(): null/'' means 'public'
+ * (the default), undefined means invalid so callers can answer 400. Role lists are trimmed
+ * and de-duplicated; an empty list is invalid rather than silently "nobody".
+ *
+ * @param {unknown} raw
+ * @returns {CardVisibility|undefined}
+ */
+export function parseVisibility(raw) {
+  if (raw === null || raw === undefined || raw === '' || raw === 'public') return 'public';
+  if (raw === 'members') return 'members';
+  if (!Array.isArray(raw)) return undefined;
+  const roles = [...new Set(raw.map(r => (typeof r === 'string' ? r.trim() : '')))];
+  if (!roles.length || roles.length > MAX_VISIBILITY_ROLES) return undefined;
+  // 'public'/'members' would read as the keywords in visibilityFilter()'s $in
+  if (!roles.every(r => ROLE_ID_PATTERN.test(r) && r !== 'public' && r !== 'members')) return undefined;
+  return roles;
+}
+
+/**
+ * Functional: The signed-in user behind an optionally authenticated request, or null
+ * Strategic: Only requests that carry an `sso_session` cookie go through
+ * validateSsoSession() (as in the click redirect): it writes an authLogs entry for a
+ * missing cookie, and anonymous visitors of the public launcher must not flood that audit
+ * trail.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<import('./types.js').UserDoc|null>}
+ */
+export async function getOptionalUser(req) {
+  if (!/(?:^|;\s*)sso_session=/.test(req.headers.cookie || '')) return null;
+  const { isValid, user } = await validateSsoSession(req);
+  return isValid && user ? user : null;
+}
+
+/**
+ * Functional: Work out who is looking at an org's cards (anonymous without a session)
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {string} orgUuid
+ * @returns {Promise<CardViewer>}
+ */
+export async function getCardViewer(req, orgUuid) {
+  const user = await getOptionalUser(req);
+  return user ? cardViewerFor(user, orgUuid) : ANONYMOUS_VIEWER;
+}
+
+/**
+ * Functional: The CardViewer for an already-authenticated user (e.g. req.user behind
+ * withSsoAuth), without validating the session a second time
+ *
+ * @param {import('./types.js').UserDoc} user
+ * @param {string} orgUuid
+ * @returns {Promise<CardViewer>}
+ */
+export async function cardViewerFor(user, orgUuid) {
+  if (isSuperAdmin(user)) return { all: true, role: null, userId: user.ssoUserId };
+  const role = await getUserOrgRole(user.ssoUserId, orgUuid);
+  return { all: role === 'admin', role, userId: user.ssoUserId };
+}
+
+/**
+ * Functional: Mongo filter fragment matching the cards `viewer` may see
+ * Strategic: `$in` on CardDoc.visibility matches the missing field (null), the two keywords
+ * and, for an array value, any listed role -- one indexable condition for every case.
+ * Spread into an existing filter: `{ orgUuid, ...visibilityFilter(viewer) }`.
+ *
+ * @param {CardViewer} viewer
+ * @returns {Record<string, any>}
+ */
+export function visibilityFilter(viewer) {
+  if (viewer.all) return {};
+  const allowed = [null, 'public'];
+  if (viewer.role) allowed.push('members', viewer.role);
+  return { visibility: { $in: allowed } };
+}
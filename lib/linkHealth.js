@@ -0,0 +1,170 @@
+// Functional: Link health checker — probes card hrefs and records the result on the card
+// (lastCheckedAt, lastStatus, brokenSince)
+// Strategic: Each distinct http(s) URL is requested once per run, HEAD first with a GET
+// fallback for servers that reject or mishandle HEAD, with a per-request timeout and a small
+// concurrency limit so a sweep never hammers one host or ties up the process. brokenSince
+// keeps the first failing run, so the admin grid can say how long a link has been dead.
+// The hrefs are editor-supplied but the requests leave from our server, so they go through
+// the link preview's SSRF guard (lib/linkPreview.js), every redirect hop included. A link to
+// a private address or a non-default port is never requested: it is recorded as checked
+// with no status and not broken, so the stored result can't be used to probe internal hosts.
+// Used by scripts/check-links.mjs (all orgs, scheduled) and POST /api/cards/check-links
+// (one org, admin-triggered).
+
+import clientPromise from './db.js';
+import { notTrashedFilter } from './shared.js';
+import { guardedFetch, parsePreviewUrl } from './linkPreview.js';
+
+// Functional: Per-request timeout (LINK_CHECK_TIMEOUT_MS, default 8000) and parallel
+// requests per run (LINK_CHECK_CONCURRENCY, default 4)
+const parsedTimeout = Number.parseInt(process.env.LINK_CHECK_TIMEOUT_MS || '8000', 10);
+export const LINK_CHECK_TIMEOUT_MS = Number.isFinite(parsedTimeout) && parsedTimeout > 0 ? parsedTimeout : 8000;
+const parsedConcurrency = Number.parseInt(process.env.LINK_CHECK_CONCURRENCY || '4', 10);
+export const LINK_CHECK_CONCURRENCY = Number.isFinite(parsedConcurrency) && parsedConcurrency > 0 ? parsedConcurrency : 4;
+
+const USER_AGENT = 'launchmass-link-checker/1.0';
+
+/**
+ * @typedef {Object} LinkCheckResult
+ * @property {number|null} status - Final HTTP status after redirects; null when no response
+ *   arrived (DNS failure, refused connection, timeout)
+ * @property {boolean} ok - 2xx/3xx
+ * @property {boolean} refused - The URL, or a redirect hop, was not allowed to be requested
+ *   (private network address, non-default port, credentials); status is null and ok false
+ */
+
+/**
+ * @typedef {Object} LinkCheckSummary
+ * @property {number} checked - Cards whose health was recorded
+ * @property {number} broken - Of those, cards whose link failed
+ * @property {number} skipped - Of those, cards whose link was refused by the SSRF guard
+ * @property {number} urls - Distinct URLs requested
+ */
+
+/**
+ * Functional: Whether the link checker can probe `href` (absolute http/https URLs only)
+ * Strategic: mailto:, relative and malformed hrefs are left alone rather than reported broken
+ *
+ * @param {unknown} href
+ * @returns {boolean}
+ */
+export function isCheckableHref(href) {
+  try {
+    const u = new URL(String(href));
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @callback LinkProbe
+ * @param {string} url
+ * @param {{ method: 'HEAD'|'GET', timeoutMs: number }} options
+ * @returns {Promise<{ status: number }>} Rejects when no response arrived; an error with
+ *   `status: 400` means the URL was refused and is not retried
+ */
+
+/**
+ * Functional: The production probe — one SSRF-guarded request (lib/linkPreview.js) that
+ * resolves as soon as the response headers arrive
+ *
+ * @type {LinkProbe}
+ */
+async function guardedProbe(url, { method, timeoutMs }) {
+  return guardedFetch(parsePreviewUrl(url), { method, headersOnly: true, userAgent: USER_AGENT, accept: '*/*', maxBytes: 0, timeoutMs });
+}
+
+/**
+ * Functional: Probe one URL — HEAD, then GET when HEAD fails or answers with an error status
+ * Strategic: The GET body is never read; only the status matters. Redirects are followed by
+ * guardedFetch, which vets each hop the same way as the first URL. `fetchImpl` replaces that
+ * request, so tests can point the checker at a local stub server the guard would refuse.
+ *
+ * @param {string} url
+ * @param {{ timeoutMs?: number, fetchImpl?: LinkProbe }} [options]
+ * @returns {Promise<LinkCheckResult>}
+ */
+export async function checkUrl(url, { timeoutMs = LINK_CHECK_TIMEOUT_MS, fetchImpl = guardedProbe } = {}) {
+  let status = null;
+  for (const method of /** @type {const} */ (['HEAD', 'GET'])) {
+    try {
+      const res = await fetchImpl(url, { method, timeoutMs });
+      status = res.status;
+      if (res.status < 400) return { status, ok: true, refused: false };
+    } catch (e) {
+      // A refused URL or hop (status 400) is final; anything else means no response to
+      // this method, and the GET fallback (or the result below) covers it
+      if (e.status === 400) return { status: null, ok: false, refused: true };
+    }
+  }
+  return { status, ok: false, refused: false };
+}
+
+/**
+ * Functional: Run `fn` over `items` with at most `limit` calls in flight
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<void>} fn
+ * @returns {Promise<void>}
+ */
+async function runPool(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Functional: Check the links of non-trashed cards and store the outcome on each card
+ * Strategic: Least recently checked cards go first (never-checked ones before all), so a
+ * `limit`ed run from the admin route works through a large org over successive clicks.
+ * Refused links still get lastCheckedAt, so they don't hold the front of that queue.
+ *
+ * @param {{ orgUuid?: string, limit?: number, now?: Date, timeoutMs?: number, concurrency?: number, fetchImpl?: LinkProbe }} [options]
+ * @returns {Promise<LinkCheckSummary & { remaining: number }>} `remaining`: checkable cards
+ *   not reached because of `limit`
+ */
+export async function checkCardLinks({ orgUuid, limit, now = new Date(), timeoutMs, concurrency = LINK_CHECK_CONCURRENCY, fetchImpl } = {}) {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('cards');
+  const docs = await col
+    .find({ ...(orgUuid ? { orgUuid: String(orgUuid) } : {}), ...notTrashedFilter(), href: { $regex: /^https?:\/\//i } })
+    .project({ href: 1 })
+    .sort({ lastCheckedAt: 1, _id: 1 })
+    .toArray();
+  const cards = docs.filter(d => isCheckableHref(d.href));
+  const batch = Number.isFinite(limit) && limit > 0 ? cards.slice(0, limit) : cards;
+
+  /** @type {Map<string, import('mongodb').ObjectId[]>} */
+  const byUrl = new Map();
+  for (const c of batch) {
+    const url = String(c.href).trim();
+    if (!byUrl.has(url)) byUrl.set(url, []);
+    byUrl.get(url).push(c._id);
+  }
+
+  const ops = [];
+  let broken = 0;
+  let skipped = 0;
+  await runPool([...byUrl.keys()], concurrency, async (url) => {
+    const { status, ok, refused } = await checkUrl(url, { timeoutMs, fetchImpl });
+    for (const _id of byUrl.get(url)) {
+      if (refused) skipped++;
+      else if (!ok) broken++;
+      ops.push({
+        updateOne: {
+          filter: { _id },
+          // Pipeline update: brokenSince keeps the first failing run's time
+          update: [{ $set: { lastCheckedAt: now, lastStatus: status, brokenSince: ok || refused ? null : { $ifNull: ['$brokenSince', now] } } }],
+        },
+      });
+    }
+  });
+  if (ops.length) await col.bulkWrite(ops, { ordered: false });
+
+  return { checked: ops.length, broken, skipped, urls: byUrl.size, remaining: cards.length - batch.length };
+}
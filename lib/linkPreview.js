@@ -0,0 +1,394 @@
+// Functional: Link preview metadata — fetch a page and pull its title, description, site name
+// and favicon, for prefilling a card in the admin editor
+// Strategic: The URL comes from an admin, but the request leaves from our server, so every
+// hop is guarded against SSRF: http(s) on the default ports only, and the address each
+// connection actually uses (checked in the socket's DNS lookup, so a rebinding answer can't
+// slip past an earlier check) must be a public one. Responses are size-capped and timed
+// out, and results — failures included, for a shorter time — are cached in `linkPreviews`
+// so repeated lookups of the same URL don't refetch it.
+
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+import zlib from 'node:zlib';
+import clientPromise from './db.js';
+
+/** @typedef {import('./types.js').LinkPreview} LinkPreview */
+/** @typedef {import('./types.js').LinkPreviewDoc} LinkPreviewDoc */
+
+export const PREVIEW_TIMEOUT_MS = 6000;
+// Enough for any <head>; the body stops being read once </head> has been seen
+export const PREVIEW_MAX_BYTES = 512 * 1024;
+export const FAVICON_MAX_BYTES = 32 * 1024;
+const MAX_REDIRECTS = 5;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const ERROR_CACHE_TTL_MS = 10 * 60 * 1000;
+const USER_AGENT = 'launchmass-link-preview/1.0';
+const FAVICON_TYPES = ['image/png', 'image/x-icon', 'image/vnd.microsoft.icon', 'image/svg+xml', 'image/gif', 'image/jpeg', 'image/webp'];
+
+// Functional: An Error carrying the HTTP status the preview route answers with (400 = refused
+// URL, 502 = the remote side failed); anything without one is a 502
+function failure(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardRevisions.js
+let previewIndexesEnsured = false;
+
+/**
+ * Functional: Get the linkPreviews collection with automatic index creation
+ * Strategic: A TTL index on expiresAt lets MongoDB drop stale entries by itself
+ *
+ * @returns {Promise<import('mongodb').Collection<LinkPreviewDoc>>}
+ */
+export async function getLinkPreviewsCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('linkPreviews');
+
+  if (!previewIndexesEnsured) {
+    await col.createIndex({ url: 1 }, { unique: true });
+    await col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    previewIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<LinkPreviewDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Whether an IP address is one the preview fetcher must not connect to
+ * Strategic: Loopback, private (RFC 1918 / ULA), link-local (cloud metadata lives there),
+ * CGNAT, multicast, reserved and unspecified ranges, plus IPv4-mapped IPv6 forms of them.
+ *
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export function isPrivateAddress(ip) {
+  const addr = String(ip).toLowerCase();
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  // The same, as URL parsing normalizes it: ::ffff:7f00:1
+  const hex = addr.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  if (net.isIPv4(addr)) {
+    const [a, b] = addr.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 192 && b === 0)
+      || (a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(addr)) {
+    return addr === '::' || addr === '::1'
+      || /^f[cd]/.test(addr)
+      || /^fe[89ab]/.test(addr)
+      || /^ff/.test(addr)
+      || addr.startsWith('64:ff9b:')
+      || addr.startsWith('2001:db8:');
+  }
+  return true;
+}
+
+/**
+ * Functional: Parse and vet a URL the preview fetcher is asked to load
+ *
+ * @param {unknown} raw
+ * @returns {URL} Normalized URL (fragment dropped)
+ * @throws {Error} With `status` 400 when the URL is malformed or not allowed
+ */
+export function parsePreviewUrl(raw) {
+  let u;
+  try { u = new URL(String(raw || '').trim()); } catch { throw failure('url must be an absolute http(s) URL', 400); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw failure('url must be an absolute http(s) URL', 400);
+  if (u.username || u.password) throw failure('url must not contain credentials', 400);
+  if (u.port && u.port !== (u.protocol === 'https:' ? '443' : '80')) throw failure('url must use the default port', 400);
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    throw failure('url points to a private network address', 400);
+  }
+  u.hash = '';
+  return u;
+}
+
+// Functional: dns.lookup replacement for http(s).request that refuses private addresses, so
+// the check happens on the address the socket really connects to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const list = /** @type {dns.LookupAddress[]} */ (/** @type {unknown} */ (addresses));
+    const bad = list.find(a => isPrivateAddress(a.address));
+    if (bad || !list.length) return callback(failure('url points to a private network address', 400));
+    if (options.all) return callback(null, list);
+    return callback(null, list[0].address, list[0].family);
+  });
+}
+
+/**
+ * Functional: One guarded request of `url` (no redirect handling), body capped at `maxBytes`
+ * Strategic: `stopAt` ends the read early once the marker shows up (</head> for pages);
+ * `headersOnly` skips the body altogether (the link checker only wants the status).
+ *
+ * @param {URL} url
+ * @param {{ method?: 'GET'|'HEAD', headersOnly?: boolean, userAgent?: string, maxBytes: number, accept: string, stopAt?: string, deadline: number }} options
+ * @returns {Promise<{ status: number, headers: import('http').IncomingHttpHeaders, body: Buffer }>}
+ */
+function requestOnce(url, { method = 'GET', headersOnly = false, userAgent = USER_AGENT, maxBytes, accept, stopAt, deadline }) {
+  return new Promise((resolve, reject) => {
+    const timeLeft = deadline - Date.now();
+    if (timeLeft <= 0) return reject(failure('Timed out fetching the page', 502));
+    const lib = url.protocol === 'https:' ? https : http;
+    let done = false;
+    // Settles once: the deadline, a request error or the end of the read, whichever is first
+    const settle = (err, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      req.destroy();
+      if (err) return reject(err);
+      resolve(value);
+    };
+    const req = lib.request(url, {
+      method,
+      lookup: /** @type {any} */ (guardedLookup),
+      headers: { 'User-Agent': userAgent, Accept: accept, 'Accept-Encoding': 'gzip, deflate, br' },
+      timeout: timeLeft,
+    }, (res) => {
+      if (headersOnly) return settle(null, { status: res.statusCode || 0, headers: res.headers, body: Buffer.alloc(0) });
+      const encoding = String(res.headers['content-encoding'] || '').toLowerCase();
+      /** @type {import('stream').Readable} */
+      let stream = res;
+      if (encoding === 'gzip' || encoding === 'x-gzip') stream = res.pipe(zlib.createGunzip());
+      else if (encoding === 'deflate') stream = res.pipe(zlib.createInflate());
+      else if (encoding === 'br') stream = res.pipe(zlib.createBrotliDecompress());
+
+      const chunks = [];
+      let size = 0;
+      const finish = (err) => settle(err, { status: res.statusCode || 0, headers: res.headers, body: Buffer.concat(chunks) });
+      stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) {
+          if (stopAt) return finish();
+          return finish(failure('Response is too large', 502));
+        }
+        if (stopAt && chunk.toString('latin1').toLowerCase().includes(stopAt)) finish();
+      });
+      stream.on('end', () => finish());
+      stream.on('error', () => finish(failure('Could not read the response', 502)));
+    });
+    // The deadline runs from the moment the request goes out, so a host that accepts the
+    // connection but never answers (or trickles headers) is cut off on time too; the
+    // socket `timeout` option above only fires on an idle socket.
+    const timer = setTimeout(() => settle(failure('Timed out fetching the page', 502)), timeLeft);
+    req.on('timeout', () => settle(failure('Timed out fetching the page', 502)));
+    req.on('error', (e) => settle(/** @type {any} */ (e).status ? e : failure('Could not reach the URL', 502)));
+    req.end();
+  });
+}
+
+/**
+ * Functional: Guarded GET (or HEAD) that follows up to MAX_REDIRECTS redirects, vetting every
+ * hop; a refused hop throws with `status` 400
+ *
+ * @param {URL} url
+ * @param {{ method?: 'GET'|'HEAD', headersOnly?: boolean, userAgent?: string, maxBytes: number, accept: string, stopAt?: string, timeoutMs?: number }} options
+ * @returns {Promise<{ status: number, headers: import('http').IncomingHttpHeaders, body: Buffer, finalUrl: URL }>}
+ */
+export async function guardedFetch(url, { method, headersOnly, userAgent, maxBytes, accept, stopAt, timeoutMs = PREVIEW_TIMEOUT_MS }) {
+  const deadline = Date.now() + timeoutMs;
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const res = await requestOnce(current, { method, headersOnly, userAgent, maxBytes, accept, stopAt, deadline });
+    if (res.status >= 300 && res.status < 400 && res.headers.location) {
+      current = parsePreviewUrl(new URL(res.headers.location, current).toString());
+      continue;
+    }
+    return { ...res, finalUrl: current };
+  }
+  throw failure('Too many redirects', 502);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function clean(text, max) {
+  const t = decodeEntities(String(text || '')).replace(/\s+/g, ' ').trim();
+  return t.length > max ? t.slice(0, max - 1).trimEnd() + '…' : t;
+}
+
+function attributes(tag) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  for (const m of tag.matchAll(/([a-zA-Z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    out[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return out;
+}
+
+/**
+ * Functional: Extract preview fields from a page's HTML
+ * Strategic: OpenGraph first, then Twitter cards, then plain <title>/meta description; the
+ * favicon is the largest declared icon link, or /favicon.ico. Regex-based on purpose — only
+ * a handful of <head> tags matter and no HTML parser is a dependency.
+ *
+ * @param {string} html
+ * @param {URL} baseUrl - Final page URL, for resolving relative icon links
+ * @returns {{ title: string, description: string, siteName: string, iconUrl: string }}
+ */
+export function parsePreviewHtml(html, baseUrl) {
+  const head = html.split(/<\/head>/i)[0];
+  /** @type {Record<string, string>} */
+  const meta = {};
+  for (const m of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const a = attributes(m[0]);
+    const key = (a.property || a.name || '').toLowerCase();
+    if (key && a.content && !(key in meta)) meta[key] = a.content;
+  }
+  const titleTag = head.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '';
+
+  let icon = null;
+  let iconSize = -Infinity;
+  for (const m of head.matchAll(/<link\b[^>]*>/gi)) {
+    const a = attributes(m[0]);
+    const rel = (a.rel || '').toLowerCase().split(/\s+/);
+    if (!a.href || !(rel.includes('icon') || rel.includes('apple-touch-icon'))) continue;
+    const size = Number((a.sizes || '').split('x')[0]) || (rel.includes('apple-touch-icon') ? 180 : 16);
+    // Prefer the size closest to the card's ~32px rendering over huge touch icons
+    const score = -Math.abs(size - 32);
+    if (score > iconSize) { icon = a.href; iconSize = score; }
+  }
+  let iconUrl = '';
+  try { iconUrl = new URL(icon || '/favicon.ico', baseUrl).toString(); } catch { iconUrl = ''; }
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || titleTag, 120),
+    description: clean(meta['og:description'] || meta['description'] || meta['twitter:description'], 300),
+    siteName: clean(meta['og:site_name'] || meta['application-name'], 80),
+    iconUrl,
+  };
+}
+
+/**
+ * Functional: Validate a card's favicon from request input (a data: URI from the preview)
+ * Strategic: Same tri-state as lib/shared.js parseScheduleDate(): null/'' clears it,
+ * undefined means invalid so callers can answer 400. Only base64 image data URIs of the
+ * preview's own types and size fit, so a card never hot-links a third-party icon.
+ *
+ * @param {unknown} raw
+ * @returns {string|null|undefined}
+ */
+export function parseFavicon(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw !== 'string') return undefined;
+  const m = raw.match(/^data:([a-z+./-]+);base64,([A-Za-z0-9+/]+={0,2})$/);
+  if (!m || !FAVICON_TYPES.includes(m[1])) return undefined;
+  return Buffer.byteLength(m[2], 'base64') <= FAVICON_MAX_BYTES ? raw : undefined;
+}
+
+async function fetchFavicon(iconUrl) {
+  try {
+    const res = await guardedFetch(parsePreviewUrl(iconUrl), { maxBytes: FAVICON_MAX_BYTES, accept: 'image/*', timeoutMs: 4000 });
+    if (res.status !== 200 || !res.body.length) return null;
+    let type = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!FAVICON_TYPES.includes(type) && /\.ico$/i.test(res.finalUrl.pathname)) type = 'image/x-icon';
+    if (!FAVICON_TYPES.includes(type)) return null;
+    return `data:${type};base64,${res.body.toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+function decodeHtml(body, contentType) {
+  const charset = /charset=([\w-]+)/i.exec(contentType || '')?.[1]
+    || /<meta[^>]+charset=["']?([\w-]+)/i.exec(body.toString('latin1'))?.[1]
+    || 'utf-8';
+  try { return new TextDecoder(charset.toLowerCase()).decode(body); } catch { return new TextDecoder('utf-8').decode(body); }
+}
+
+/**
+ * Functional: Preview metadata for `rawUrl`, from the cache when fresh
+ * Strategic: Never throws for a bad or unreachable URL; `status` is what the route answers
+ * (200, 400 for a refused URL, 502 when the page can't be fetched or read).
+ *
+ * @param {unknown} rawUrl
+ * @returns {Promise<{ preview: LinkPreview|null, cached: boolean, error: string, status: number }>}
+ */
+export async function getLinkPreview(rawUrl) {
+  let url;
+  try { url = parsePreviewUrl(rawUrl); } catch (e) { return { preview: null, cached: false, error: e.message, status: 400 }; }
+  const key = url.toString();
+  const col = await getLinkPreviewsCollection();
+
+  const hit = await col.findOne({ url: key, expiresAt: { $gt: new Date() } });
+  if (hit) {
+    if (hit.error) return { preview: null, cached: true, error: hit.error, status: hit.errorStatus || 502 };
+    return { preview: toLinkPreview(hit), cached: true, error: '', status: 200 };
+  }
+
+  const now = new Date();
+  try {
+    const res = await guardedFetch(url, { maxBytes: PREVIEW_MAX_BYTES, accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1', stopAt: '</head>' });
+    if (res.status >= 400) throw failure(`The page answered HTTP ${res.status}`, 502);
+    const type = String(res.headers['content-type'] || '');
+    if (type && !/html/i.test(type)) throw failure('The URL is not an HTML page', 502);
+
+    const parsed = parsePreviewHtml(decodeHtml(res.body, type), res.finalUrl);
+    const favicon = parsed.iconUrl ? await fetchFavicon(parsed.iconUrl) : null;
+    /** @type {LinkPreviewDoc} */
+    const doc = {
+      url: key,
+      finalUrl: res.finalUrl.toString(),
+      title: parsed.title,
+      description: parsed.description,
+      siteName: parsed.siteName,
+      favicon,
+      error: null,
+      errorStatus: null,
+      fetchedAt: now,
+      expiresAt: new Date(now.getTime() + CACHE_TTL_MS),
+    };
+    await col.updateOne({ url: key }, { $set: doc }, { upsert: true });
+    return { preview: toLinkPreview(doc), cached: false, error: '', status: 200 };
+  } catch (e) {
+    const status = e.status || 502;
+    const error = e.status ? e.message : 'Could not fetch the page';
+    await col.updateOne(
+      { url: key },
+      { $set: { url: key, error, errorStatus: status, fetchedAt: now, expiresAt: new Date(now.getTime() + ERROR_CACHE_TTL_MS) } },
+      { upsert: true }
+    );
+    return { preview: null, cached: false, error, status };
+  }
+}
+
+/**
+ * @param {LinkPreviewDoc} doc
+ * @returns {LinkPreview}
+ */
+function toLinkPreview(doc) {
+  return {
+    url: doc.url,
+    finalUrl: doc.finalUrl || doc.url,
+    title: doc.title || '',
+    description: doc.description || '',
+    siteName: doc.siteName || '',
+    favicon: doc.favicon || null,
+    fetchedAt: new Date(doc.fetchedAt).toISOString(),
+  };
+}
@@ -0,0 +1,184 @@
+// Functional: Org links -- the `links` collection behind /api/links, one document per link
+// with href, title, description and an org-wide order
+// Strategic: `links` used to be a single unscoped list that PUT /api/links replaced
+// wholesale with no authentication. Every document now carries `orgUuid`, and every query
+// here is filtered by it, so one org can never read or touch another's links. Legacy
+// documents without an org are invisible to the API; scripts/migrate-links-to-cards.mjs
+// folds them into an org's cards.
+
+import { ObjectId } from 'mongodb';
+import clientPromise from './db.js';
+
+/** @typedef {import('./types.js').LinkDoc} LinkDoc */
+/** @typedef {import('./types.js').Link} Link */
+
+// Functional: URL schemes a link may point at (same rule as lib/cardImport.js)
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+export const LINK_TITLE_MAX = 200;
+export const LINK_DESCRIPTION_MAX = 2000;
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardGroups.js
+let linksIndexesEnsured = false;
+
+/**
+ * Functional: Get the links collection with automatic index creation
+ *
+ * @returns {Promise<import('mongodb').Collection<LinkDoc>>}
+ */
+export async function getLinksCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('links');
+
+  if (!linksIndexesEnsured) {
+    await col.createIndex({ orgUuid: 1, order: 1 });
+    linksIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<LinkDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Shape a LinkDoc for the client (string id, ISO timestamps, no org)
+ *
+ * @param {LinkDoc} doc
+ * @returns {Link}
+ */
+export function toLink(doc) {
+  const iso = (v) => (v instanceof Date ? v.toISOString() : String(v || ''));
+  return {
+    _id: String(doc._id),
+    href: doc.href,
+    title: doc.title,
+    description: doc.description || '',
+    order: Number(doc.order) || 0,
+    createdAt: iso(doc.createdAt),
+    updatedAt: iso(doc.updatedAt),
+  };
+}
+
+/**
+ * Functional: Parse a link id from the route; undefined unless a well-formed ObjectId
+ *
+ * @param {unknown} raw
+ * @returns {string|undefined}
+ */
+export function parseLinkId(raw) {
+  return typeof raw === 'string' && /^[0-9a-f]{24}$/i.test(raw) ? raw.toLowerCase() : undefined;
+}
+
+/**
+ * Functional: Validate a link create/edit body; only fields present are checked
+ * Strategic: Same shape as lib/cardGroups.js validateCardGroup(). A missing title on create
+ * falls back to the href's host, as card imports do.
+ *
+ * @param {Record<string, unknown>} body
+ * @param {{ create?: boolean }} [options] - `create` makes `href` required
+ * @returns {{ fields: Partial<Pick<LinkDoc, 'href'|'title'|'description'|'order'>>, errors: string[] }}
+ */
+export function validateLink(body, { create = false } = {}) {
+  const src = body && typeof body === 'object' ? body : {};
+  /** @type {Partial<Pick<LinkDoc, 'href'|'title'|'description'|'order'>>} */
+  const fields = {};
+  const errors = [];
+
+  let host = '';
+  if ('href' in src || create) {
+    const href = typeof src.href === 'string' ? src.href.trim() : '';
+    let url = null;
+    try { url = new URL(href); } catch { /* reported below */ }
+    if (!href) errors.push('href is required');
+    else if (!url) errors.push('href is not a valid absolute URL');
+    else if (!ALLOWED_PROTOCOLS.has(url.protocol)) errors.push(`href scheme ${url.protocol} is not allowed`);
+    else { fields.href = href; host = url.hostname; }
+  }
+  if ('title' in src || create) {
+    const title = typeof src.title === 'string' ? src.title.trim() : '';
+    if (title.length > LINK_TITLE_MAX) errors.push(`title must be at most ${LINK_TITLE_MAX} characters`);
+    else if (title) fields.title = title;
+    else if (create && fields.href) fields.title = host || fields.href;
+    else errors.push('title is required');
+  }
+  if ('description' in src) {
+    if (typeof src.description !== 'string') errors.push('description must be a string');
+    else if (src.description.length > LINK_DESCRIPTION_MAX) errors.push(`description must be at most ${LINK_DESCRIPTION_MAX} characters`);
+    else fields.description = src.description.trim();
+  }
+  if ('order' in src) {
+    if (Number.isInteger(src.order) && Number(src.order) >= 0) fields.order = Number(src.order);
+    else errors.push('order must be a non-negative integer');
+  }
+  return { fields, errors };
+}
+
+/**
+ * Functional: List an org's links in order
+ *
+ * @param {string} orgUuid
+ * @returns {Promise<Link[]>}
+ */
+export async function listLinks(orgUuid) {
+  const col = await getLinksCollection();
+  const docs = await col.find({ orgUuid: String(orgUuid) }).sort({ order: 1, _id: 1 }).toArray();
+  return docs.map(toLink);
+}
+
+/**
+ * @param {string} orgUuid
+ * @param {string} id - Output of parseLinkId()
+ * @returns {Promise<Link|null>} null when the org has no such link
+ */
+export async function getLink(orgUuid, id) {
+  const col = await getLinksCollection();
+  const doc = await col.findOne({ _id: new ObjectId(id), orgUuid: String(orgUuid) });
+  return doc ? toLink(doc) : null;
+}
+
+/**
+ * Functional: Create a link, at the end of the org's list unless `order` is given
+ *
+ * @param {string} orgUuid
+ * @param {{ href: string, title: string, description?: string, order?: number }} input - Output of validateLink()
+ * @returns {Promise<Link>}
+ */
+export async function createLink(orgUuid, { href, title, description = '', order }) {
+  const col = await getLinksCollection();
+  let position = order;
+  if (position === undefined) {
+    const last = await col.find({ orgUuid: String(orgUuid) }).sort({ order: -1 }).limit(1).toArray();
+    position = last.length ? Number(last[0].order) + 1 : 0;
+  }
+  const now = new Date();
+  /** @type {LinkDoc} */
+  const doc = { orgUuid: String(orgUuid), href, title, description, order: position, createdAt: now, updatedAt: now };
+  const r = await col.insertOne(doc);
+  return toLink({ ...doc, _id: r.insertedId });
+}
+
+/**
+ * @param {string} orgUuid
+ * @param {string} id - Output of parseLinkId()
+ * @param {Partial<Pick<LinkDoc, 'href'|'title'|'description'|'order'>>} fields
+ * @returns {Promise<Link|null>} null when the org has no such link
+ */
+export async function updateLink(orgUuid, id, fields) {
+  const col = await getLinksCollection();
+  const doc = await col.findOneAndUpdate(
+    { _id: new ObjectId(id), orgUuid: String(orgUuid) },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return doc ? toLink(doc) : null;
+}
+
+/**
+ * @param {string} orgUuid
+ * @param {string} id - Output of parseLinkId()
+ * @returns {Promise<boolean>} Whether a link of this org was deleted
+ */
+export async function deleteLink(orgUuid, id) {
+  const col = await getLinksCollection();
+  const r = await col.deleteOne({ _id: new ObjectId(id), orgUuid: String(orgUuid) });
+  return r.deletedCount > 0;
+}
@@ -23,19 +23,41 @@ async function ensureOrgIndexes(db) {
   await Promise.all([
     col.createIndex({ slug: 1 }, { unique: true }),
     col.createIndex({ uuid: 1 }, { unique: true }),
-    col.createIndex({ isActive: 1 })
+    col.createIndex({ isActive: 1 }),
+    col.createIndex({ slugHistory: 1 })
   ]);
   indexesEnsured = true;
 }
 
-function normalizeSlug(input) {
+/**
+ * Functional: Lowercase, trimmed form every stored slug takes
+ *
+ * @param {unknown} input
+ * @returns {string}
+ */
+export function normalizeSlug(input) {
   return String(input || '').trim().toLowerCase();
 }
 
+/**
+ * Functional: The one slug rule for creating, renaming and cloning orgs: a-z, 0-9 and dashes,
+ * at least two characters (expects normalizeSlug() output)
+ *
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export function validateSlug(slug) {
+  return /^[a-z0-9-]{2,}$/.test(slug);
+}
+
 /**
  * Functional: Resolve an organization by slug, using a small in-memory TTL cache.
  * Strategic: Slug-based lookups happen on nearly every public-page request; the cache
- * avoids a DB round trip for the common case of a stable, already-seen slug.
+ * avoids a DB round trip for the common case of a stable, already-seen slug. A slug the
+ * org was renamed away from (OrgDoc.slugHistory) still resolves to it, so old links keep
+ * working; callers compare `org.slug` with what they asked for to redirect. Those
+ * fallback hits are not cached: invalidateOrgCacheBySlug() is only ever called with
+ * current slugs.
  *
  * @param {string} slug - Organization slug (case-insensitive; normalized internally)
  * @returns {Promise<OrgDoc | null>} The organization document, or null if not found
@@ -62,7 +84,27 @@ export async function getOrgBySlugCached(slug) {
   // Only cache positive results. Caching a null miss for the full TTL would hide a
   // newly-created org for up to ORG_CACHE_TTL_MS; misses are cheap and rare.
   if (org) cacheBySlug.set(slugLower, { org, expiresAt: now + ORG_CACHE_TTL_MS });
-  return org;
+  return org || orgsCol.findOne({ slugHistory: slugLower });
+}
+
+/**
+ * Functional: The organization that holds a slug, as its current slug or a previous one
+ * Strategic: Old slugs stay reserved so a bookmarked /organization/<old-slug> can never
+ * start showing another org. Every create, rename, clone and import checks here; archived
+ * orgs keep theirs too.
+ *
+ * @param {string} slug - normalizeSlug() output
+ * @param {string} [exceptUuid] - Ignore this org (a rename may go back to its own old slug)
+ * @returns {Promise<OrgDoc | null>}
+ */
+export async function findOrgHoldingSlug(slug, exceptUuid) {
+  const client = await clientPromise;
+  const db = client.db(process.env.DB_NAME || 'launchmass');
+  await ensureOrgIndexes(db);
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  const orgsCol = /** @type {import('mongodb').Collection<OrgDoc>} */ (db.collection('organizations'));
+  const filter = { $or: [{ slug }, { slugHistory: slug }] };
+  return orgsCol.findOne(exceptUuid ? { ...filter, uuid: { $ne: exceptUuid } } : filter);
 }
 
 /**
@@ -0,0 +1,147 @@
+// Functional: Archived organizations -- list the soft-deleted ones, restore one, or purge one
+// together with everything scoped to it
+// Strategic: DELETE /api/organizations/[uuid] only sets isActive:false, so a mistaken delete is
+// recoverable. This is the superadmin side of that: the routes under
+// /api/organizations/archived and /api/organizations/[uuid]/{restore,purge} are thin wrappers.
+// A purge only ever applies to an org that is already archived, so no single call can wipe
+// an active organization.
+
+import clientPromise from './db.js';
+import { invalidateOrgCacheBySlug } from './org.js';
+import { getUploadStorage } from './uploadStorage.js';
+
+/** @typedef {import('./types.js').OrgDoc} OrgDoc */
+/** @typedef {import('./types.js').ArchivedOrg} ArchivedOrg */
+/** @typedef {import('./types.js').OrgPurgeResult} OrgPurgeResult */
+
+// Functional: Collections whose documents belong to one org through `orgUuid`, in the order a
+// purge empties them
+// Strategic: `organizations` itself is removed last, so a purge interrupted halfway leaves an
+// archived org that can simply be purged again.
+export const ORG_SCOPED_COLLECTIONS = [
+  'cards',
+  'cardRevisions',
+  'cardGroups',
+  'tags',
+  'links',
+  'userPreferences',
+  'recentCards',
+  'organizationMembers',
+  'organizationRoles',
+  'analyticsEvents',
+];
+
+function isoNow() { return new Date().toISOString(); }
+
+async function getDb() {
+  const client = await clientPromise;
+  return client.db(process.env.DB_NAME || 'launchmass');
+}
+
+/**
+ * @param {import('mongodb').Db} db
+ * @returns {import('mongodb').Collection<OrgDoc>}
+ */
+function orgsCollection(db) {
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<OrgDoc>} */ (db.collection('organizations'));
+}
+
+/**
+ * Functional: Every archived organization, most recently archived first, with how many cards
+ * and members it still holds (what a purge would remove)
+ *
+ * @returns {Promise<ArchivedOrg[]>}
+ */
+export async function listArchivedOrgs() {
+  const db = await getDb();
+  const docs = await orgsCollection(db).find({ isActive: false }).sort({ archivedAt: -1, updatedAt: -1 }).toArray();
+  if (!docs.length) return [];
+
+  const uuids = docs.map(d => d.uuid);
+  const countBy = async (name) => {
+    const rows = await db.collection(name).aggregate([
+      { $match: { orgUuid: { $in: uuids } } },
+      { $group: { _id: '$orgUuid', n: { $sum: 1 } } },
+    ]).toArray();
+    return new Map(rows.map(r => [r._id, r.n]));
+  };
+  const [cards, members] = await Promise.all([countBy('cards'), countBy('organizationMembers')]);
+
+  return docs.map(d => ({
+    _id: String(d._id),
+    uuid: d.uuid,
+    name: d.name,
+    slug: d.slug,
+    description: d.description || '',
+    archivedAt: d.archivedAt || d.updatedAt,
+    archivedBy: d.archivedBy || null,
+    cardCount: cards.get(d.uuid) || 0,
+    memberCount: members.get(d.uuid) || 0,
+  }));
+}
+
+/**
+ * Functional: Reactivate an archived organization
+ * Strategic: Slugs stay reserved while an org is archived (creation and renames check every
+ * org, active or not), so the slug is still free. The default flag is dropped if another org
+ * became the default in the meantime -- there is only ever one.
+ *
+ * @param {string} uuid
+ * @returns {Promise<OrgDoc|null>} The restored org; null when no archived org has this uuid
+ */
+export async function restoreOrg(uuid) {
+  const db = await getDb();
+  const orgs = orgsCollection(db);
+  const org = await orgs.findOne({ uuid: String(uuid), isActive: false });
+  if (!org) return null;
+
+  /** @type {Partial<OrgDoc>} */
+  const set = { isActive: true, updatedAt: isoNow() };
+  if (org.isDefault && await orgs.findOne({ uuid: { $ne: org.uuid }, isActive: { $ne: false }, isDefault: true })) {
+    set.isDefault = false;
+  }
+  const restored = await orgs.findOneAndUpdate(
+    { uuid: org.uuid, isActive: false },
+    { $set: set, $unset: { archivedAt: '', archivedBy: '' } },
+    { returnDocument: 'after' }
+  );
+  if (restored) invalidateOrgCacheBySlug(restored.slug);
+  return restored;
+}
+
+/**
+ * Functional: Permanently delete an archived organization and every document scoped to it
+ * (ORG_SCOPED_COLLECTIONS), plus its uploaded images
+ * Strategic: Users themselves are app-wide and are kept; only their membership in this org
+ * goes. Analytics events still queued in memory for the org may be written after the purge;
+ * they are orphaned rows, not data anyone can reach.
+ *
+ * @param {string} uuid
+ * @returns {Promise<OrgPurgeResult|null>} What was removed; null when no archived org has this uuid
+ */
+export async function purgeOrg(uuid) {
+  const db = await getDb();
+  const orgs = orgsCollection(db);
+  const org = await orgs.findOne({ uuid: String(uuid), isActive: false });
+  if (!org) return null;
+
+  /** @type {Record<string, number>} */
+  const removed = {};
+  for (const name of ORG_SCOPED_COLLECTIONS) {
+    removed[name] = (await db.collection(name).deleteMany({ orgUuid: org.uuid })).deletedCount;
+  }
+
+  let uploadsRemoved = true;
+  try {
+    await getUploadStorage().removeOrg(org.uuid);
+  } catch (e) {
+    // Files left behind are unreachable once the org is gone; don't fail the purge over them
+    uploadsRemoved = false;
+    console.error('[orgArchive] Failed to remove uploads for', org.uuid, e.message);
+  }
+
+  removed.organizations = (await orgs.deleteOne({ uuid: org.uuid, isActive: false })).deletedCount;
+  invalidateOrgCacheBySlug(org.slug);
+  return { uuid: org.uuid, slug: org.slug, name: org.name, removed, uploadsRemoved };
+}
@@ -0,0 +1,554 @@
+// Functional: Portable organization bundles -- export an org to one versioned JSON document and
+// import it on another launchmass instance (GET /api/organizations/[uuid]/bundle, POST
+// /api/organizations/import)
+// Strategic: Replaces hand-run scripts (scripts/migrate-organizations.mjs and friends) for
+// staging -> production moves. A bundle holds the org document, its live cards, card groups,
+// tag metadata and custom roles, optionally its members, and the uploaded images those
+// reference (base64, by storage key), so nothing points back at the source instance. Ids are
+// instance-local: cards and groups get fresh ObjectIds on import and group references are
+// remapped. Import is planned first (planOrgImport, what the dry run returns) and then
+// applied (applyOrgImport); uuid and slug conflicts fail, rename or overwrite.
+
+import crypto from 'node:crypto';
+import { ObjectId } from 'mongodb';
+import clientPromise from './db.js';
+import { normalizeSlug, validateSlug, invalidateOrgCacheBySlug, findOrgHoldingSlug } from './org.js';
+import { normalizeBg, notTrashedFilter } from './shared.js';
+import { MAX_IMPORT_ROWS, validateImportRow } from './cardImport.js';
+import { validateCardGroup } from './cardGroups.js';
+import { normalizeTag, validateTagMeta } from './tags.js';
+import { ROLE_ID_PATTERN } from './cardVisibility.js';
+import { hasOrgPermission, isSuperAdmin, getUserOrgRole } from './permissions.js';
+import { createUploadCollector, createUploadCopier, createUploadKeyCollector, parseUploadedImage, renderVariant } from './uploads.js';
+import { UPLOAD_KEY_RE, getUploadStorage } from './uploadStorage.js';
+
+/** @typedef {import('./types.js').OrgDoc} OrgDoc */
+/** @typedef {import('./types.js').UserDoc} UserDoc */
+/** @typedef {import('./types.js').OrgBundle} OrgBundle */
+/** @typedef {import('./types.js').OrgImportPlan} OrgImportPlan */
+
+export const BUNDLE_FORMAT = 'launchmass-org-bundle';
+// Functional: Bump when the bundle shape changes; imports refuse other versions
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_CONFLICT_MODES = ['fail', 'rename', 'overwrite'];
+
+const MAX_BUNDLE_GROUPS = 100;
+const MAX_BUNDLE_TAGS = 500;
+const MAX_BUNDLE_ROLES = 50;
+const MAX_BUNDLE_MEMBERS = 5000;
+const MAX_BUNDLE_FILES = 2000;
+const ROLE_NAME_MAX = 60;
+// Same segment UPLOAD_KEY_RE allows for the org, so imported uuids can own uploads
+const ORG_UUID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+const PERMISSION_PATTERN = /^[a-z_]+\.[a-z_]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+// Functional: What an overwriting import clears in the target org, emptied in this order
+// Strategic: Cards get fresh ids, so `links`, `userPreferences` (favorites/hidden/order) and
+// `recentCards` -- which point at the old cards -- go with them, as do card revisions. System
+// roles, the importer's own membership and other admins are never touched; members only when
+// the bundle's are imported (OrgImportPlan.importMembers). analyticsEvents stay: they are the org's usage history, not its content.
+const OVERWRITE_CLEARS = ['cards', 'cardRevisions', 'cardGroups', 'tags', 'links', 'userPreferences', 'recentCards', 'organizationRoles', 'organizationMembers'];
+
+function isoNow() { return new Date().toISOString(); }
+
+function isoOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+async function getDb() {
+  const client = await clientPromise;
+  return client.db(process.env.DB_NAME || 'launchmass');
+}
+
+/**
+ * Functional: Build the bundle for an organization
+ *
+ * @param {OrgDoc} org
+ * @param {{ includeMembers?: boolean }} [options]
+ * @returns {Promise<OrgBundle>}
+ */
+export async function buildOrgBundle(org, { includeMembers = false } = {}) {
+  const db = await getDb();
+  const uploads = createUploadCollector();
+
+  const [groups, cards, tags, roles] = await Promise.all([
+    db.collection('cardGroups').find({ orgUuid: org.uuid }).sort({ order: 1, _id: 1 }).toArray(),
+    db.collection('cards').find({ orgUuid: org.uuid, ...notTrashedFilter() }).sort({ order: 1, _id: 1 }).toArray(),
+    db.collection('tags').find({ orgUuid: org.uuid }).sort({ name: 1 }).toArray(),
+    db.collection('organizationRoles').find({ orgUuid: org.uuid, isSystem: { $ne: true } }).sort({ roleId: 1 }).toArray(),
+  ]);
+
+  const bundleCards = [];
+  for (const c of cards) {
+    bundleCards.push({
+      title: c.title,
+      href: c.href,
+      description: c.description || '',
+      background: await uploads.background(c.background),
+      tags: Array.isArray(c.tags) ? c.tags : [],
+      publishAt: isoOrNull(c.publishAt),
+      expireAt: isoOrNull(c.expireAt),
+      groupId: c.groupId || null,
+      visibility: c.visibility || 'public',
+      favicon: c.favicon || null,
+      icon: await uploads.image(c.icon),
+    });
+  }
+
+  let members = null;
+  if (includeMembers) {
+    const memberships = await db.collection('organizationMembers').find({ orgUuid: org.uuid }).sort({ addedAt: 1 }).toArray();
+    const users = await db.collection('users')
+      .find({ ssoUserId: { $in: memberships.map(m => m.ssoUserId) } })
+      .project({ ssoUserId: 1, email: 1, _id: 0 })
+      .toArray();
+    const emails = new Map(users.map(u => [u.ssoUserId, u.email || null]));
+    members = memberships.map(m => ({ ssoUserId: m.ssoUserId, email: emails.get(m.ssoUserId) || null, role: m.role }));
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: isoNow(),
+    organization: {
+      uuid: org.uuid,
+      name: org.name,
+      slug: org.slug,
+      description: org.description || '',
+      useSlugAsPublicUrl: !!org.useSlugAsPublicUrl,
+      background: await uploads.background(org.background) || '',
+      logo: await uploads.image(org.logo),
+    },
+    cardGroups: groups.map(g => ({ id: String(g._id), title: g.title, collapsed: !!g.collapsed })),
+    cards: bundleCards,
+    tags: tags.map(t => ({ name: t.name, label: t.label ?? null, color: t.color ?? null, description: t.description || '', order: t.order ?? null, hidden: !!t.hidden })),
+    roles: roles.map(r => ({ roleId: r.roleId, roleName: r.roleName || r.roleId, description: r.description || '', permissions: Array.isArray(r.permissions) ? r.permissions : [] })),
+    members,
+    files: uploads.files(),
+  };
+}
+
+// Functional: Check one list section's type and size; errors go to `errors`
+function listOf(raw, name, max, errors, { optional = false } = {}) {
+  if (raw === undefined || raw === null) {
+    if (!optional) errors.push(`${name} must be an array`);
+    return null;
+  }
+  if (!Array.isArray(raw)) { errors.push(`${name} must be an array`); return null; }
+  if (raw.length > max) { errors.push(`${name} has ${raw.length} entries; the limit is ${max}`); return null; }
+  return raw;
+}
+
+/**
+ * Functional: Validate and normalize an uploaded bundle
+ * Strategic: All or nothing -- a bundle is an export, so any invalid entry means it was edited
+ * or truncated, and importing the rest would silently lose data. Every error is reported,
+ * prefixed with its path (e.g. `cards[3]: href is required`). Once the shape is valid, every
+ * file is decoded and re-encoded (lib/uploads.js renderVariant), so what gets stored is a
+ * WebP we produced, as with POST /api/uploads; one that isn't a readable image fails the
+ * bundle.
+ *
+ * @param {unknown} raw
+ * @returns {Promise<{ bundle: OrgBundle|null, errors: string[] }>}
+ */
+export async function parseOrgBundle(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { bundle: null, errors: ['bundle must be a JSON object'] };
+  const src = /** @type {Record<string, any>} */ (raw);
+  if (src.format !== BUNDLE_FORMAT) return { bundle: null, errors: [`format must be "${BUNDLE_FORMAT}"`] };
+  if (src.version !== BUNDLE_VERSION) {
+    return { bundle: null, errors: [`Unsupported bundle version ${src.version}; this instance reads version ${BUNDLE_VERSION}`] };
+  }
+
+  const errors = [];
+  const o = src.organization && typeof src.organization === 'object' ? src.organization : {};
+  const name = typeof o.name === 'string' ? o.name.trim() : '';
+  const slug = normalizeSlug(o.slug);
+  if (!name) errors.push('organization.name is required');
+  if (!validateSlug(slug)) errors.push('organization.slug is not a valid slug');
+  if (typeof o.uuid !== 'string' || !ORG_UUID_PATTERN.test(o.uuid)) errors.push('organization.uuid is not a valid UUID');
+  if (o.logo != null && typeof o.logo !== 'object') errors.push('organization.logo must be an uploaded image or null');
+
+  const groups = [];
+  const groupIds = new Set();
+  (listOf(src.cardGroups, 'cardGroups', MAX_BUNDLE_GROUPS, errors) || []).forEach((g, i) => {
+    const { fields, errors: groupErrors } = validateCardGroup(g, { create: true });
+    if (typeof g?.id !== 'string' || !g.id || groupIds.has(g.id)) groupErrors.push('id must be a unique string');
+    groupErrors.forEach(e => errors.push(`cardGroups[${i}]: ${e}`));
+    if (!groupErrors.length) {
+      groupIds.add(g.id);
+      groups.push({ id: g.id, title: fields.title, collapsed: !!fields.collapsed });
+    }
+  });
+
+  const cards = [];
+  (listOf(src.cards, 'cards', MAX_IMPORT_ROWS, errors) || []).forEach((c, i) => {
+    // validateImportRow reads lowercased keys (as parseImport hands them over) and also checks
+    // visibility, favicon and the icon's shape
+    const row = c && typeof c === 'object' && !Array.isArray(c)
+      ? Object.fromEntries(Object.entries(c).map(([k, v]) => [k.toLowerCase(), v]))
+      : {};
+    const { card, errors: cardErrors } = validateImportRow(row);
+    if (c?.groupId != null && !groupIds.has(c.groupId)) cardErrors.push('groupId does not name a group in this bundle');
+    cardErrors.forEach(e => errors.push(`cards[${i}]: ${e}`));
+    if (!cardErrors.length) cards.push({ ...card, groupId: c.groupId ?? null });
+  });
+
+  const tags = [];
+  const tagNames = new Set();
+  (listOf(src.tags, 'tags', MAX_BUNDLE_TAGS, errors) || []).forEach((t, i) => {
+    const tagName = normalizeTag(t?.name);
+    const { meta, errors: tagErrors } = validateTagMeta(t);
+    if (!tagName || tagNames.has(tagName)) tagErrors.push('name must be a unique, non-empty tag');
+    tagErrors.forEach(e => errors.push(`tags[${i}]: ${e}`));
+    if (!tagErrors.length) {
+      tagNames.add(tagName);
+      tags.push({ label: null, color: null, description: '', order: null, hidden: false, ...meta, name: tagName });
+    }
+  });
+
+  const roles = [];
+  const roleIds = new Set();
+  (listOf(src.roles, 'roles', MAX_BUNDLE_ROLES, errors) || []).forEach((r, i) => {
+    const roleErrors = [];
+    const roleId = typeof r?.roleId === 'string' ? r.roleId.trim() : '';
+    const roleName = typeof r?.roleName === 'string' ? r.roleName.trim() : '';
+    if (!ROLE_ID_PATTERN.test(roleId) || roleId === 'admin' || roleId === 'user' || roleIds.has(roleId)) {
+      roleErrors.push('roleId must be a unique custom role id');
+    }
+    if (!roleName || roleName.length > ROLE_NAME_MAX) roleErrors.push(`roleName is required (at most ${ROLE_NAME_MAX} characters)`);
+    if (!Array.isArray(r?.permissions) || !r.permissions.every(p => typeof p === 'string' && PERMISSION_PATTERN.test(p))) {
+      roleErrors.push('permissions must be an array of permission names');
+    }
+    roleErrors.forEach(e => errors.push(`roles[${i}]: ${e}`));
+    if (!roleErrors.length) {
+      roleIds.add(roleId);
+      roles.push({ roleId, roleName, description: typeof r.description === 'string' ? r.description : '', permissions: [...new Set(r.permissions)] });
+    }
+  });
+
+  let members = null;
+  const rawMembers = listOf(src.members, 'members', MAX_BUNDLE_MEMBERS, errors, { optional: true });
+  if (rawMembers) {
+    members = [];
+    rawMembers.forEach((m, i) => {
+      const ok = typeof m?.ssoUserId === 'string' && m.ssoUserId && typeof m.role === 'string' && ROLE_ID_PATTERN.test(m.role);
+      if (!ok) errors.push(`members[${i}]: ssoUserId and role are required`);
+      else members.push({ ssoUserId: m.ssoUserId, email: typeof m.email === 'string' ? m.email : null, role: m.role });
+    });
+  }
+
+  /** @type {Record<string, { contentType: string, data: string }>} */
+  const files = {};
+  const rawFiles = src.files && typeof src.files === 'object' && !Array.isArray(src.files) ? src.files : {};
+  const fileKeys = Object.keys(rawFiles);
+  if (fileKeys.length > MAX_BUNDLE_FILES) errors.push(`files has ${fileKeys.length} entries; the limit is ${MAX_BUNDLE_FILES}`);
+  else {
+    for (const key of fileKeys) {
+      const f = rawFiles[key];
+      if (!UPLOAD_KEY_RE.test(key) || f?.contentType !== 'image/webp' || typeof f.data !== 'string' || !BASE64_PATTERN.test(f.data)) {
+        errors.push(`files["${key}"]: not an uploaded WebP image`);
+      } else files[key] = { contentType: f.contentType, data: f.data };
+    }
+  }
+
+  if (errors.length) return { bundle: null, errors };
+
+  // One at a time: each decode holds a full image in memory
+  for (const [key, f] of Object.entries(files)) {
+    const [, kind, name] = key.split('/');
+    const width = Number(name.slice(name.lastIndexOf('-') + 1, -'.webp'.length));
+    try {
+      const body = await renderVariant(Buffer.from(f.data, 'base64'), f.contentType, /** @type {'icon'|'background'} */ (kind), width);
+      files[key] = { contentType: 'image/webp', data: body.toString('base64') };
+    } catch (e) {
+      errors.push(`files["${key}"]: ${e.message}`);
+    }
+  }
+  if (errors.length) return { bundle: null, errors };
+
+  return {
+    bundle: {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: typeof src.exportedAt === 'string' ? src.exportedAt : '',
+      organization: {
+        uuid: o.uuid,
+        name,
+        slug,
+        description: typeof o.description === 'string' ? o.description : '',
+        useSlugAsPublicUrl: o.useSlugAsPublicUrl === true,
+        background: normalizeBg(o.background),
+        logo: o.logo ?? null,
+      },
+      cardGroups: groups,
+      cards,
+      tags,
+      roles,
+      members,
+      files,
+    },
+    errors: [],
+  };
+}
+
+// Functional: First free `<slug>-2`, `<slug>-3`, ... (active and archived orgs both hold slugs,
+// and previous slugs stay reserved -- lib/org.js findOrgHoldingSlug())
+async function freeSlug(db, slug) {
+  const pattern = new RegExp(`^${slug}(-\\d+)?$`);
+  const holders = await db.collection('organizations')
+    .find({ $or: [{ slug: pattern }, { slugHistory: pattern }] })
+    .project({ slug: 1, slugHistory: 1 })
+    .toArray();
+  const taken = new Set(holders.flatMap(o => [o.slug, ...(o.slugHistory || [])]));
+  for (let n = 2; n < 1000; n++) {
+    if (!taken.has(`${slug}-${n}`)) return `${slug}-${n}`;
+  }
+  return `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Functional: Bundle members that can be added here -- the user must exist on this instance
+// (they signed in at least once), and the role must be 'user' or one the import creates
+// Strategic: Nobody listed in a bundle agreed to join, so admin is never granted from one;
+// the importer can promote members afterwards like any other. For the same reason an
+// overwrite keeps the org's existing admins (`orgUuid`), whatever the bundle says about them.
+async function resolveMembers(db, members, roleIds, callerId, orgUuid) {
+  if (!members) return { members: null, skipped: [] };
+  const ids = [...new Set(members.map(m => m.ssoUserId))];
+  const known = new Set((await db.collection('users').find({ ssoUserId: { $in: ids } }).project({ ssoUserId: 1, _id: 0 }).toArray()).map(u => u.ssoUserId));
+  const admins = new Set(orgUuid
+    ? (await db.collection('organizationMembers').find({ orgUuid, role: 'admin' }).project({ ssoUserId: 1, _id: 0 }).toArray()).map(m => m.ssoUserId)
+    : []);
+  const out = [];
+  const skipped = [];
+  const seen = new Set([callerId]);
+  for (const m of members) {
+    if (seen.has(m.ssoUserId)) continue;
+    seen.add(m.ssoUserId);
+    const label = m.email || m.ssoUserId;
+    if (!known.has(m.ssoUserId)) skipped.push(`${label} (no such user on this instance)`);
+    else if (admins.has(m.ssoUserId)) skipped.push(`${label} (already an admin here; kept as is)`);
+    else if (m.role === 'admin') skipped.push(`${label} (admin is never granted from a bundle)`);
+    else if (m.role !== 'user' && !roleIds.has(m.role)) skipped.push(`${label} (unknown role ${m.role})`);
+    else out.push(m);
+  }
+  return { members: out, skipped };
+}
+
+/**
+ * Functional: Work out what importing a bundle would do -- the dry run's answer
+ * Strategic: Conflicts are an org with the bundle's uuid or slug, archived ones included
+ * (both are unique across every org), or one that had the slug before a rename. 'fail'
+ * reports them; 'rename' imports as a new org with a fresh uuid and/or the next free slug;
+ * 'overwrite' replaces the org holding the uuid (or else the slug) in place, keeping its uuid,
+ * and needs 'org.write' there. An overwrite never touches system roles, the importing user's
+ * own membership or the org's other admins. A bundle's members put existing users into the org, so they are
+ * only imported by a superadmin or by an admin of the org being overwritten; for anyone
+ * else they are all skipped.
+ *
+ * @param {OrgBundle} bundle - Output of parseOrgBundle()
+ * @param {{ onConflict: 'fail'|'rename'|'overwrite', user: UserDoc }} options
+ * @returns {Promise<OrgImportPlan>}
+ */
+export async function planOrgImport(bundle, { onConflict, user }) {
+  const db = await getDb();
+  const orgs = db.collection('organizations');
+  const { uuid, slug, name } = bundle.organization;
+  const [byUuid, bySlug] = await Promise.all([orgs.findOne({ uuid }), findOrgHoldingSlug(slug)]);
+
+  /** @type {OrgImportPlan} */
+  const plan = {
+    action: 'create',
+    onConflict,
+    organization: { uuid, slug, name },
+    conflicts: { uuid: !!byUuid, slug: !!bySlug },
+    counts: {
+      cards: bundle.cards.length,
+      cardGroups: bundle.cardGroups.length,
+      tags: bundle.tags.length,
+      roles: bundle.roles.length,
+      members: 0,
+      files: Object.keys(bundle.files).length,
+    },
+    importMembers: false,
+    skippedMembers: [],
+    errors: [],
+    status: 200,
+  };
+
+  if (byUuid || bySlug) {
+    if (onConflict === 'fail') {
+      if (byUuid) plan.errors.push(`An organization with uuid ${uuid} already exists`);
+      if (bySlug) plan.errors.push(`Slug "${slug}" is already taken`);
+      plan.status = 409;
+    } else if (onConflict === 'rename') {
+      if (byUuid) plan.organization.uuid = crypto.randomUUID();
+      if (bySlug) plan.organization.slug = await freeSlug(db, slug);
+    } else {
+      const target = byUuid || bySlug;
+      plan.action = 'overwrite';
+      plan.organization.uuid = target.uuid;
+      if (byUuid && bySlug && byUuid.uuid !== bySlug.uuid) {
+        plan.errors.push(`The uuid and the slug "${slug}" belong to two different organizations`);
+        plan.status = 409;
+      } else if (target.isActive === false) {
+        plan.errors.push(`Organization ${target.uuid} is archived; restore it before overwriting`);
+        plan.status = 409;
+      } else if (!(await hasOrgPermission(user, target.uuid, 'org.write'))) {
+        plan.errors.push(`Overwriting ${target.slug} requires org.write in it`);
+        plan.status = 403;
+      }
+    }
+  }
+
+  if (bundle.members) {
+    plan.importMembers = isSuperAdmin(user)
+      || (plan.action === 'overwrite' && !plan.errors.length && await getUserOrgRole(user.ssoUserId, plan.organization.uuid) === 'admin');
+  }
+  if (bundle.members && !plan.importMembers) {
+    plan.skippedMembers = [`All ${bundle.members.length} member(s): importing members needs a superadmin, or an admin of the organization being overwritten`];
+    return plan;
+  }
+  const { members, skipped } = await resolveMembers(db, bundle.members, new Set(bundle.roles.map(r => r.roleId)), user.ssoUserId, plan.action === 'overwrite' ? plan.organization.uuid : undefined);
+  plan.counts.members = members ? members.length : 0;
+  plan.skippedMembers = skipped;
+  return plan;
+}
+
+/**
+ * Functional: Carry out a plan from planOrgImport() (which must have no errors)
+ * Strategic: On create the org document goes in first, so the unique uuid/slug indexes settle a
+ * race with another create (the caller maps code 11000 to 409). The importing user becomes
+ * admin of a created org, as on POST /api/organizations. Uploaded images are written under
+ * the target org from the bundle's files, as parseOrgBundle() re-encoded them; an image whose
+ * files are missing is dropped. An overwrite empties the org first (OVERWRITE_CLEARS), one
+ * collection at a time and all before anything is inserted, so a failure leaves it emptied
+ * rather than half old and half new, and running the import again completes it. The old
+ * org's uploaded files that nothing references any more are removed at the end.
+ *
+ * @param {OrgBundle} bundle
+ * @param {OrgImportPlan} plan
+ * @param {{ ssoUserId: string }} caller
+ * @returns {Promise<{ organization: Omit<OrgDoc, '_id'> & { _id: string }, imported: OrgImportPlan['counts'] }>}
+ */
+export async function applyOrgImport(bundle, plan, { ssoUserId }) {
+  const db = await getDb();
+  const orgs = db.collection('organizations');
+  const { uuid, slug } = plan.organization;
+  const now = isoNow();
+  const oldFiles = createUploadKeyCollector();
+  const uploads = createUploadCopier(uuid, async (key) => {
+    const f = bundle.files[key];
+    return f ? { body: Buffer.from(f.data, 'base64'), contentType: f.contentType } : null;
+  });
+
+  const src = bundle.organization;
+  const fields = {
+    name: src.name,
+    slug,
+    description: src.description,
+    useSlugAsPublicUrl: src.useSlugAsPublicUrl,
+    background: await uploads.background(src.background),
+    logo: parseUploadedImage(await uploads.image(src.logo), uuid, 'icon') || null,
+  };
+
+  if (plan.action === 'overwrite') {
+    const target = await orgs.findOne({ uuid });
+    // WHAT: Note the files the org uses now (trashed cards included) before they are deleted
+    if (target) {
+      await oldFiles.image(target.logo);
+      await oldFiles.background(target.background);
+    }
+    for (const c of await db.collection('cards').find({ orgUuid: uuid }).project({ icon: 1, background: 1 }).toArray()) {
+      await oldFiles.image(c.icon);
+      await oldFiles.background(c.background);
+    }
+    for (const name of OVERWRITE_CLEARS) {
+      if (name === 'organizationMembers' && !plan.importMembers) continue;
+      const filter = name === 'organizationRoles' ? { orgUuid: uuid, isSystem: { $ne: true } }
+        : name === 'organizationMembers' ? { orgUuid: uuid, ssoUserId: { $ne: ssoUserId }, role: { $ne: 'admin' } }
+          : { orgUuid: uuid };
+      await db.collection(name).deleteMany(filter);
+    }
+    // WHAT: A slug change records the old slug, as a rename through PUT does
+    const renamed = target && target.slug !== slug
+      ? { slugHistory: [...(target.slugHistory || []).filter(s => s !== slug && s !== target.slug), target.slug] }
+      : {};
+    await orgs.updateOne({ uuid }, { $set: { ...fields, ...renamed, updatedAt: now } });
+    if (target?.slug) invalidateOrgCacheBySlug(target.slug);
+    invalidateOrgCacheBySlug(slug);
+  } else {
+    await orgs.insertOne({ uuid, ...fields, isActive: true, createdAt: now, updatedAt: now });
+    await db.collection('organizationMembers').insertOne({ orgUuid: uuid, ssoUserId, role: 'admin', addedBy: ssoUserId, addedAt: now, updatedAt: now });
+  }
+
+  /** @type {Map<string, string>} */
+  const groupIds = new Map();
+  const docTime = new Date();
+  const groups = bundle.cardGroups.map((g, order) => {
+    const _id = new ObjectId();
+    groupIds.set(g.id, String(_id));
+    return { _id, orgUuid: uuid, title: g.title, order, collapsed: g.collapsed, createdAt: docTime, updatedAt: docTime };
+  });
+  if (groups.length) await db.collection('cardGroups').insertMany(groups);
+
+  const cards = [];
+  for (const [order, c] of bundle.cards.entries()) {
+    cards.push({
+      ...c,
+      _id: new ObjectId(),
+      background: await uploads.background(c.background),
+      icon: parseUploadedImage(await uploads.image(c.icon), uuid, 'icon') || null,
+      groupId: c.groupId ? groupIds.get(c.groupId) || null : null,
+      order,
+      orgUuid: uuid,
+      orgSlug: slug,
+      createdAt: docTime,
+      updatedAt: docTime,
+    });
+  }
+  if (cards.length) await db.collection('cards').insertMany(cards, { ordered: true });
+
+  if (bundle.tags.length) {
+    await db.collection('tags').insertMany(bundle.tags.map(t => ({ ...t, orgUuid: uuid, createdAt: docTime, updatedAt: docTime })));
+  }
+  if (bundle.roles.length) {
+    await db.collection('organizationRoles').insertMany(bundle.roles.map(r => ({ ...r, orgUuid: uuid, isSystem: false, createdAt: now, updatedAt: now, createdBy: ssoUserId })));
+  }
+
+  const { members } = await resolveMembers(db, plan.importMembers ? bundle.members : null, new Set(bundle.roles.map(r => r.roleId)), ssoUserId, plan.action === 'overwrite' ? uuid : undefined);
+  if (members?.length) {
+    await db.collection('organizationMembers').insertMany(members.map(m => ({ orgUuid: uuid, ssoUserId: m.ssoUserId, role: m.role, addedBy: ssoUserId, addedAt: now, updatedAt: now })));
+  }
+
+  // WHAT: The overwritten org's files that the imported content doesn't use any more
+  if (plan.action === 'overwrite') {
+    const kept = createUploadKeyCollector();
+    await kept.image(fields.logo);
+    await kept.background(fields.background);
+    for (const c of cards) {
+      await kept.image(c.icon);
+      await kept.background(c.background);
+    }
+    const storage = getUploadStorage();
+    for (const key of oldFiles.keys()) {
+      if (!key.startsWith(`${uuid}/`) || kept.keys().has(key)) continue;
+      // A file left behind is unreachable; don't fail a finished import over it
+      await storage.remove(key).catch(e => console.error('[orgBundle] Failed to remove', key, e.message));
+    }
+  }
+
+  const org = await orgs.findOne({ uuid });
+  return {
+    organization: /** @type {Omit<OrgDoc, '_id'> & { _id: string }} */ ({ ...org, _id: String(org?._id) }),
+    imported: {
+      cards: cards.length,
+      cardGroups: groups.length,
+      tags: bundle.tags.length,
+      roles: bundle.roles.length,
+      members: members ? members.length : 0,
+      files: uploads.count(),
+    },
+  };
+}
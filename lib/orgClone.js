@@ -0,0 +1,116 @@
+// Functional: Clone an organization into a new one -- POST /api/organizations/[uuid]/clone
+// Strategic: A client launcher usually starts from an existing one. The clone gets the
+// source's background, logo, live cards (trash stays behind), card groups, tag metadata and
+// custom roles, and optionally its memberships; the caller always becomes its admin, as on
+// org creation. Card revisions, links, analytics and personal preferences are history of the
+// source and are not copied. Uploaded images are copied under the new org
+// (createUploadCopier), so the clone owns its files like any other org.
+
+import crypto from 'node:crypto';
+import { ObjectId } from 'mongodb';
+import clientPromise from './db.js';
+import { createUploadCopier } from './uploads.js';
+import { notTrashedFilter } from './shared.js';
+
+/** @typedef {import('./types.js').OrgDoc} OrgDoc */
+/** @typedef {import('./types.js').CardDoc} CardDoc */
+/** @typedef {import('./types.js').OrgCloneResult} OrgCloneResult */
+
+function isoNow() { return new Date().toISOString(); }
+
+/**
+ * Functional: Create `name`/`slug` as a copy of `source`
+ * Strategic: The org document goes in first, so the unique slug index settles a race with a
+ * concurrent create (the caller maps code 11000 to 409). Group ids are remapped, so cards keep
+ * their sections; role ids are kept, so card visibility lists and copied memberships still
+ * name the same roles.
+ *
+ * @param {OrgDoc} source - Active organization to copy
+ * @param {{ name: string, slug: string, includeMembers?: boolean, ssoUserId: string }} input - slug
+ *   already normalized and validated (lib/org.js)
+ * @returns {Promise<OrgCloneResult>}
+ */
+export async function cloneOrg(source, { name, slug, includeMembers = false, ssoUserId }) {
+  const client = await clientPromise;
+  const db = client.db(process.env.DB_NAME || 'launchmass');
+  const uuid = crypto.randomUUID();
+  const now = isoNow();
+  const uploads = createUploadCopier(uuid);
+
+  /** @type {OrgDoc} */
+  const org = {
+    uuid,
+    name,
+    slug,
+    description: source.description || '',
+    isActive: true,
+    createdAt: now,
+    updatedAt: now,
+    useSlugAsPublicUrl: !!source.useSlugAsPublicUrl,
+    background: await uploads.background(source.background),
+    logo: await uploads.image(source.logo),
+  };
+  const r = await db.collection('organizations').insertOne(org);
+
+  // Card groups first: cards refer to them by stringified id
+  const groups = await db.collection('cardGroups').find({ orgUuid: source.uuid }).toArray();
+  /** @type {Map<string, string>} */
+  const groupIds = new Map();
+  const newGroups = groups.map(g => {
+    const doc = { ...g, _id: new ObjectId(), orgUuid: uuid, createdAt: new Date(), updatedAt: new Date() };
+    groupIds.set(String(g._id), String(doc._id));
+    return doc;
+  });
+  if (newGroups.length) await db.collection('cardGroups').insertMany(newGroups);
+
+  const cards = /** @type {CardDoc[]} */ (/** @type {unknown} */ (
+    await db.collection('cards').find({ orgUuid: source.uuid, ...notTrashedFilter() }).sort({ order: 1, _id: 1 }).toArray()
+  ));
+  const cardTime = new Date();
+  const newCards = [];
+  for (const card of cards) {
+    newCards.push({
+      ...card,
+      _id: new ObjectId(),
+      orgUuid: uuid,
+      orgSlug: slug,
+      groupId: card.groupId ? groupIds.get(card.groupId) || null : card.groupId,
+      background: await uploads.background(card.background),
+      ...(card.icon ? { icon: await uploads.image(card.icon) } : {}),
+      createdAt: cardTime,
+      updatedAt: cardTime,
+    });
+  }
+  if (newCards.length) await db.collection('cards').insertMany(newCards, { ordered: true });
+
+  const tags = await db.collection('tags').find({ orgUuid: source.uuid }).toArray();
+  if (tags.length) {
+    await db.collection('tags').insertMany(tags.map(t => ({ ...t, _id: new ObjectId(), orgUuid: uuid, createdAt: new Date(), updatedAt: new Date() })));
+  }
+
+  const roles = await db.collection('organizationRoles').find({ orgUuid: source.uuid, isSystem: { $ne: true } }).toArray();
+  if (roles.length) {
+    await db.collection('organizationRoles').insertMany(roles.map(role => ({ ...role, _id: new ObjectId(), orgUuid: uuid, createdAt: now, updatedAt: now, createdBy: ssoUserId })));
+  }
+
+  const members = [{ orgUuid: uuid, ssoUserId, role: 'admin', addedBy: ssoUserId, addedAt: now, updatedAt: now }];
+  if (includeMembers) {
+    const sourceMembers = await db.collection('organizationMembers').find({ orgUuid: source.uuid, ssoUserId: { $ne: ssoUserId } }).toArray();
+    for (const m of sourceMembers) {
+      members.push({ orgUuid: uuid, ssoUserId: m.ssoUserId, role: m.role, addedBy: ssoUserId, addedAt: now, updatedAt: now });
+    }
+  }
+  await db.collection('organizationMembers').insertMany(members);
+
+  return {
+    organization: { ...org, _id: String(r.insertedId) },
+    copied: {
+      cards: newCards.length,
+      cardGroups: newGroups.length,
+      tags: tags.length,
+      roles: roles.length,
+      members: members.length - 1,
+      uploads: uploads.count(),
+    },
+  };
+}
@@ -21,6 +21,7 @@ const SYSTEM_ROLES = {
       'members.read', 'members.invite', 'members.remove', 'members.edit_roles',
       'roles.read', 'roles.write',
       'tags.read', 'tags.write',
+      'analytics.read',
       // Legacy permissions for backward compatibility
       'cards.write', 'members.write'
     ])
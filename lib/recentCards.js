@@ -0,0 +1,123 @@
+// Functional: Each signed-in user's recently opened cards per org, kept in `recentCards` --
+// one document per (ssoUserId, orgUuid) holding the newest RECENT_CARDS_MAX card ids
+// Strategic: Written synchronously by the click redirect (pages/api/cards/[id]/click.js),
+// unlike the batched, best-effort analyticsEvents queue in lib/analytics.js, so the "Recent"
+// strip is right on the next page load. Reads resolve the ids against the live cards with
+// the launcher's own filters, so a trashed, expired or restricted card drops out of the strip
+// without the history being rewritten. Used by /api/me/recent and the public pages.
+
+import { ObjectId } from 'mongodb';
+import clientPromise from './db.js';
+import { notTrashedFilter, publishWindowFilter } from './shared.js';
+import { visibilityFilter } from './cardVisibility.js';
+
+/** @typedef {import('./types.js').RecentCardsDoc} RecentCardsDoc */
+/** @typedef {import('./types.js').RecentCard} RecentCard */
+/** @typedef {import('./types.js').CardViewer} CardViewer */
+
+export const RECENT_CARDS_MAX = 12;
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardRevisions.js
+let recentIndexesEnsured = false;
+
+/**
+ * Functional: Get the recentCards collection with automatic index creation
+ *
+ * @returns {Promise<import('mongodb').Collection<RecentCardsDoc>>}
+ */
+export async function getRecentCardsCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('recentCards');
+
+  if (!recentIndexesEnsured) {
+    await col.createIndex({ ssoUserId: 1, orgUuid: 1 }, { unique: true });
+    recentIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<RecentCardsDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Move `cardId` to the front of the user's recent list for the org
+ * Strategic: One pipeline update (upsert) drops any older entry for the card, prepends the
+ * new one and trims to RECENT_CARDS_MAX, so concurrent clicks can't duplicate or overflow it.
+ *
+ * @param {string} ssoUserId
+ * @param {string} orgUuid
+ * @param {string} cardId
+ * @returns {Promise<void>}
+ */
+export async function recordRecentCard(ssoUserId, orgUuid, cardId) {
+  const col = await getRecentCardsCollection();
+  const now = new Date();
+  await col.updateOne(
+    { ssoUserId: String(ssoUserId), orgUuid: String(orgUuid) },
+    [{
+      $set: {
+        items: {
+          $slice: [{
+            $concatArrays: [
+              [{ cardId: String(cardId), openedAt: now }],
+              { $filter: { input: { $ifNull: ['$items', []] }, cond: { $ne: ['$$this.cardId', String(cardId)] } } },
+            ],
+          }, RECENT_CARDS_MAX],
+        },
+        createdAt: { $ifNull: ['$createdAt', now] },
+        updatedAt: now,
+      },
+    }],
+    { upsert: true }
+  );
+}
+
+/**
+ * Functional: The user's recent cards for the org, newest first, limited to cards `viewer`
+ * can open on the launcher right now
+ *
+ * @param {string} ssoUserId
+ * @param {string} orgUuid
+ * @param {CardViewer} viewer
+ * @returns {Promise<RecentCard[]>}
+ */
+export async function listRecentCards(ssoUserId, orgUuid, viewer) {
+  const col = await getRecentCardsCollection();
+  const doc = await col.findOne({ ssoUserId: String(ssoUserId), orgUuid: String(orgUuid) });
+  const items = Array.isArray(doc?.items) ? doc.items.filter(i => /^[0-9a-f]{24}$/.test(i.cardId)) : [];
+  if (!items.length) return [];
+
+  const client = await clientPromise;
+  const cards = await client.db(process.env.DB_NAME || 'launchmass').collection('cards')
+    .find({
+      _id: { $in: items.map(i => new ObjectId(i.cardId)) },
+      orgUuid: String(orgUuid),
+      ...notTrashedFilter(),
+      ...publishWindowFilter(),
+      ...visibilityFilter(viewer),
+    })
+    .project({ title: 1, background: 1 })
+    .toArray();
+  const byId = new Map(cards.map(c => [String(c._id), c]));
+
+  /** @type {RecentCard[]} */
+  const out = [];
+  for (const { cardId, openedAt } of items) {
+    const c = byId.get(cardId);
+    if (c) out.push({ _id: cardId, title: String(c.title || ''), background: String(c.background || ''), openedAt: new Date(openedAt).toISOString() });
+  }
+  return out;
+}
+
+/**
+ * Functional: Forget the user's recent cards for the org
+ *
+ * @param {string} ssoUserId
+ * @param {string} orgUuid
+ * @returns {Promise<boolean>} Whether there was a history to clear
+ */
+export async function clearRecentCards(ssoUserId, orgUuid) {
+  const col = await getRecentCardsCollection();
+  const r = await col.deleteOne({ ssoUserId: String(ssoUserId), orgUuid: String(orgUuid) });
+  return r.deletedCount > 0;
+}
@@ -0,0 +1,103 @@
+// Public-endpoint abuse guards (ESM)
+// Functional: Per-key fixed-window rate limiting, client-IP extraction, and a user-agent
+// bot heuristic for unauthenticated API routes.
+// Strategic: Public routes that write on every hit (the card click redirect, which feeds
+// analyticsEvents) must not be usable to flood the database. Like lib/org.js's slug cache
+// and lib/permissions.js's role cache, state is in-memory and per-process: a limit is
+// "per instance", not global, which is an accepted trade-off over adding shared
+// infrastructure (Redis, etc.) to a deliberately lightweight app.
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - false once `max` hits have been seen in the current window
+ * @property {number} remaining - Hits left in the current window (0 when blocked)
+ * @property {number} retryAfterMs - Milliseconds until the window resets (0 when allowed)
+ */
+
+// Functional: Entries are pruned lazily once the map grows past this size.
+// Strategic: Bounds memory under a spray of distinct keys (e.g. many client addresses)
+// without a background timer.
+const PRUNE_THRESHOLD = 10000;
+
+// Functional: How many reverse proxies in front of the app append to X-Forwarded-For
+// (TRUSTED_PROXY_HOPS, default 0 = the header is ignored; 1 on Vercel)
+const parsedHops = Number.parseInt(process.env.TRUSTED_PROXY_HOPS || '0', 10);
+export const TRUSTED_PROXY_HOPS = Number.isFinite(parsedHops) && parsedHops > 0 ? parsedHops : 0;
+
+/**
+ * Functional: Create a fixed-window limiter allowing `max` hits per key per `windowMs`.
+ * Strategic: Fixed windows are coarse at the boundary (up to 2x `max` across two adjacent
+ * windows) but need one Map entry per key and no timers — sufficient to stop flooding.
+ *
+ * @param {{ windowMs: number, max: number }} options
+ * @returns {{ check: (key: string) => RateLimitResult }}
+ */
+export function createRateLimiter({ windowMs, max }) {
+  // key -> { count, resetAt }
+  const hits = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of hits.entries()) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  return {
+    check(key) {
+      const now = Date.now();
+      if (hits.size > PRUNE_THRESHOLD) prune(now);
+
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+
+      if (entry.count > max) {
+        return { allowed: false, remaining: 0, retryAfterMs: entry.resetAt - now };
+      }
+      return { allowed: true, remaining: max - entry.count, retryAfterMs: 0 };
+    },
+  };
+}
+
+/**
+ * Functional: Client IP for rate limiting — the socket address, or with TRUSTED_PROXY_HOPS
+ * set, the right-most X-Forwarded-For hop not added by one of those proxies.
+ * Strategic: Anything left of what our own proxies appended is whatever the client sent, so
+ * reading the first value would let a client pick its own rate-limit key. Counting hops from
+ * the socket end only ever trusts addresses our infrastructure wrote.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export function clientIp(req) {
+  const socketIp = req.socket?.remoteAddress || 'unknown';
+  if (!TRUSTED_PROXY_HOPS) return socketIp;
+  const fwd = req.headers['x-forwarded-for'];
+  const hops = (Array.isArray(fwd) ? fwd.join(',') : String(fwd || ''))
+    .split(',')
+    .map(h => h.trim())
+    .filter(Boolean);
+  // [client-supplied..., added by proxy 1, ..., socket]; the socket is the nearest proxy
+  const chain = [...hops, socketIp];
+  return chain[Math.max(0, chain.length - 1 - TRUSTED_PROXY_HOPS)];
+}
+
+// Functional: User-agent fragments identifying crawlers, link unfurlers and HTTP libraries.
+// Strategic: A heuristic, not a security boundary — it keeps automated traffic out of
+// usage analytics; the rate limiter is what bounds abuse.
+const BOT_UA_PATTERN = /bot|crawl|spider|slurp|preview|fetch|monitor|headless|lighthouse|facebookexternalhit|embedly|curl|wget|python-requests|axios|node-fetch|go-http-client|java\//i;
+
+/**
+ * Functional: True when a request's user agent is missing or looks automated.
+ * Strategic: A missing user agent is treated as a bot — every real browser sends one.
+ *
+ * @param {string | undefined} userAgent
+ * @returns {boolean}
+ */
+export function isLikelyBot(userAgent) {
+  if (!userAgent || !String(userAgent).trim()) return true;
+  return BOT_UA_PATTERN.test(String(userAgent));
+}
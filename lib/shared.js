@@ -18,10 +18,17 @@
 // WHY: Consistent visual fallback across the whole app.
 export const DEFAULT_BG = "linear-gradient(90deg, rgba(42, 123, 155, 1) 0%, rgba(87, 199, 133, 1) 50%, rgba(237, 221, 83, 1) 100%)";
 
+// A `background:` declaration whose value is (or starts a layered list with) a gradient
+const GRADIENT_DECLARATION_RE = /^background:\s*(?:repeating-)?(?:linear|radial|conic)-gradient\(/;
+
 // WHAT: Normalize background input to extract a usable CSS `background` value.
 // WHY: Users often paste a full multi-line `background: ...;` CSS declaration (e.g. copied
 // from devtools) rather than just the value -- this extracts the value in either the
-// linear-gradient or hex-color case, and falls back to DEFAULT_BG for empty/unusable input.
+// gradient or hex-color case, and falls back to DEFAULT_BG for empty/unusable input.
+// Gradient lines (v1.43.0+) are any linear/radial/conic (or repeating-*) gradient, including
+// a layered list that starts with one, and win over a hex line as linear ones always did --
+// before, a pasted `background: #hex;` + `background: radial-gradient(...)` pair kept only
+// the hex fallback.
 //
 // Extraction note (issue #14): this is the most defensive of the pre-refactor copies --
 // it carries both the leading `if (!input) return DEFAULT_BG` guard and the trailing
@@ -37,9 +44,9 @@ export const DEFAULT_BG = "linear-gradient(90deg, rgba(42, 123, 155, 1) 0%, rgba
 export function normalizeBg(input) {
   if (!input) return DEFAULT_BG;
   const lines = String(input).split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-  const linear = lines.find(l => l.startsWith('background: linear-gradient'));
+  const gradient = lines.find(l => GRADIENT_DECLARATION_RE.test(l));
   const color = lines.find(l => /^background:\s*#?[0-9a-fA-F]{3,8}/.test(l));
-  const pick = (linear || color || input).replace(/^background:\s*/,'').replace(/;$/,'');
+  const pick = (gradient || color || input).replace(/^background:\s*/,'').replace(/;$/,'');
   return pick || DEFAULT_BG;
 }
 
@@ -73,7 +80,7 @@ export function normalizeTags(input) {
 // (only inline-comment wording differed); no behavioral divergence.
 export function toClient(doc) {
   if (!doc) return doc;
-  const { _id, createdAt, updatedAt, ...rest } = doc;
+  const { _id, createdAt, updatedAt, publishAt, expireAt, deletedAt, ...rest } = doc;
 
   // Functional: Normalize timestamps to ISO strings for consistent JSON serialization
   // Strategic: Handle both Date objects (new cards) and string timestamps (migrated legacy cards)
@@ -91,6 +98,222 @@ export function toClient(doc) {
     tags: Array.isArray(rest?.tags) ? rest.tags : [],
     // Convert timestamps to ISO strings
     ...(createdAt && { createdAt: toISOString(createdAt) }),
-    ...(updatedAt && { updatedAt: toISOString(updatedAt) })
+    ...(updatedAt && { updatedAt: toISOString(updatedAt) }),
+    // Publish window bounds (optional; Date in Mongo, ISO string on the wire)
+    ...(publishAt && { publishAt: toISOString(publishAt) }),
+    ...(expireAt && { expireAt: toISOString(expireAt) }),
+    // Trash marker (soft delete); only present on trashed cards
+    ...(deletedAt && { deletedAt: toISOString(deletedAt) })
   };
 }
+
+// WHAT: Parse an optional publish/expiry timestamp from request input.
+// WHY: Cards carry an optional `publishAt`/`expireAt` window (scheduled event-day links);
+// both API write paths (cards/index.js POST, cards/[id].js PATCH) need the same parsing.
+// Returns a Date for a valid timestamp, `null` for an explicitly empty value (clear the
+// bound), or `undefined` for unparseable input so callers can answer 400 instead of
+// silently storing an Invalid Date.
+export function parseScheduleDate(input) {
+  if (input === null || input === undefined || input === '') return null;
+  const d = input instanceof Date ? input : new Date(String(input));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// WHAT: Classify a card against its publish window: 'scheduled' (publishAt in the future),
+// 'expired' (expireAt reached), or 'live'.
+// WHY: Shared by the admin badge (client, ISO strings from toClient) and any server-side
+// caller (Date objects straight from Mongo) -- both shapes are accepted.
+export function cardScheduleStatus(card, now = new Date()) {
+  const t = now.getTime();
+  const publishAt = card?.publishAt ? new Date(card.publishAt).getTime() : NaN;
+  const expireAt = card?.expireAt ? new Date(card.expireAt).getTime() : NaN;
+  if (Number.isFinite(publishAt) && publishAt > t) return 'scheduled';
+  if (Number.isFinite(expireAt) && expireAt <= t) return 'expired';
+  return 'live';
+}
+
+// WHAT: Mongo filter fragment matching only cards inside their publish window at `now`.
+// WHY: The public pages and GET /api/cards must agree on exactly which cards are visible;
+// a missing or null bound means "unbounded" on that side, so legacy cards (no fields at
+// all) stay visible with no migration. Spread into an existing filter:
+// `{ orgUuid, ...publishWindowFilter() }`.
+/** @returns {Record<string, any>} */
+export function publishWindowFilter(now = new Date()) {
+  return {
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ expireAt: null }, { expireAt: { $gt: now } }] },
+    ],
+  };
+}
+
+// WHAT: Mongo filter fragment excluding trashed (soft-deleted) cards.
+// WHY: DELETE /api/cards/[id] only sets deletedAt; every listing outside the admin Trash
+// view must skip those cards. `deletedAt: null` also matches legacy cards with no field.
+// Spread alongside publishWindowFilter(): `{ orgUuid, ...notTrashedFilter(), ... }`.
+/** @returns {Record<string, any>} */
+export function notTrashedFilter() {
+  return { deletedAt: null };
+}
+
+// WHAT: Upper bound on tags in one ?tags= filter.
+// WHY: Keeps a hand-crafted URL from turning into an arbitrarily large $all/$in list.
+export const MAX_FILTER_TAGS = 20;
+
+// WHAT: Read the tag filter from a request query: `?tags=a,b&match=all|any`, with the older
+// single `?tag=` still accepted. Returns `{ tags, match }`; `tags` is normalized, de-duplicated
+// and capped at MAX_FILTER_TAGS, `match` defaults to 'all' (narrowing is the common case).
+// WHY: The public pages' getServerSideProps and GET /api/cards must read the same URL the
+// same way, so a shared filter link shows the same cards in both.
+/** @returns {{ tags: string[], match: 'all'|'any' }} */
+export function parseTagFilter(query) {
+  const q = query || {};
+  const raw = [q.tags, q.tag].flat().filter(v => typeof v === 'string').flatMap(v => v.split(','));
+  const tags = normalizeTags(raw).slice(0, MAX_FILTER_TAGS);
+  return { tags, match: q.match === 'any' ? 'any' : 'all' };
+}
+
+// WHAT: Mongo filter fragment for parseTagFilter()'s result: every tag (`all`) or at least
+// one (`any`); empty when no tags are selected. Spread like the fragments above.
+/** @returns {Record<string, any>} */
+export function tagFilter({ tags, match }) {
+  if (!tags.length) return {};
+  return { tags: match === 'any' ? { $in: tags } : { $all: tags } };
+}
+
+// WHAT: Split an ordered card list into launcher sections: `[{ group, cards }]`, ungrouped
+// cards first (`group: null`), then each group in `groups` order. Card order inside a
+// section is kept.
+// WHY: Shared by the public pages and the admin grid (lib/cardGroups.js has the data side).
+// A card whose groupId names no listed group counts as ungrouped, so a deleted group never
+// hides cards. Empty sections are dropped unless `includeEmpty` (the admin needs a drop
+// target for every group).
+/** @returns {{ group: import('./types.js').CardGroup | null, cards: any[] }[]} */
+export function groupCards(cards, groups, { includeEmpty = false } = {}) {
+  const list = Array.isArray(groups) ? groups : [];
+  const known = new Set(list.map(g => g._id));
+  const byGroup = new Map(list.map(g => [g._id, []]));
+  const ungrouped = [];
+  for (const c of Array.isArray(cards) ? cards : []) {
+    if (c.groupId && known.has(c.groupId)) byGroup.get(c.groupId).push(c);
+    else ungrouped.push(c);
+  }
+  const sections = [{ group: null, cards: ungrouped }, ...list.map(g => ({ group: g, cards: byGroup.get(g._id) }))];
+  return includeEmpty ? sections : sections.filter(s => s.cards.length);
+}
+
+// WHAT: Apply a user's launcher overlay (lib/userPreferences.js) to an ordered card list:
+// hidden cards drop out, favorites come first in their pinned order, then the rest in the
+// personal `order`, then any card the personal order does not list yet, in the incoming order.
+// WHY: Runs on the client over the same cards everyone gets, so "My launcher" never changes
+// what the org sees; with no preferences the list comes back unchanged.
+/** @returns {any[]} */
+export function applyPreferences(cards, prefs) {
+  const list = Array.isArray(cards) ? cards : [];
+  if (!prefs) return list;
+  const hidden = new Set(prefs.hidden || []);
+  const pinned = new Map((prefs.favorites || []).map((id, i) => [id, i]));
+  const ranked = new Map((prefs.order || []).map((id, i) => [id, i]));
+  const key = (c, i) => {
+    const id = String(c._id);
+    if (pinned.has(id)) return [0, pinned.get(id)];
+    if (ranked.has(id)) return [1, ranked.get(id)];
+    return [2, i];
+  };
+  return list
+    .map((c, i) => ({ c, k: key(c, i) }))
+    .filter(({ c }) => !hidden.has(String(c._id)))
+    .sort((a, b) => a.k[0] - b.k[0] || a.k[1] - b.k[1])
+    .map(({ c }) => c);
+}
+
+// WHAT: Longest ?q= search string read; anything beyond is cut off.
+export const MAX_SEARCH_LENGTH = 100;
+
+// WHAT: Read the card search string from a request query (`?q=`), trimmed and capped;
+// '' when absent.
+// WHY: Shared by GET /api/cards and the public pages' getServerSideProps, like parseTagFilter.
+/** @returns {string} */
+export function parseSearchQuery(query) {
+  const q = query?.q;
+  return typeof q === 'string' ? q.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+}
+
+// WHAT: Split a search string into lowercase terms (quotes and a leading '-' dropped,
+// duplicates removed, at most 10).
+// WHY: lib/cardSearch.js matches on these and the highlighting below marks them, so the
+// grid highlights exactly what the server searched for. Client-safe (no DB imports).
+/** @returns {string[]} */
+export function searchTerms(q) {
+  const out = [];
+  for (const raw of String(q || '').toLowerCase().split(/\s+/)) {
+    const t = raw.replace(/["']/g, '').replace(/^-+/, '');
+    if (t && !out.includes(t)) out.push(t);
+  }
+  return out.slice(0, 10);
+}
+
+// WHAT: Split `text` into `[{ text, match }]` segments, `match` marking case-insensitive
+// occurrences of any of `terms` (longest first, so "launch" wins over "la").
+// WHY: Lets components render <mark> around search hits without dangerouslySetInnerHTML.
+/** @returns {{ text: string, match: boolean }[]} */
+export function highlightSegments(text, terms) {
+  const str = String(text || '');
+  const list = (terms || []).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (!str || !list.length) return str ? [{ text: str, match: false }] : [];
+  const re = new RegExp(`(${list.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  return str.split(re).filter(Boolean).map(part => ({ text: part, match: list.includes(part.toLowerCase()) }));
+}
+
+// WHAT: Fuzzy-match `query` against `text` as an in-order subsequence ("gdoc" matches
+// "Google Docs"); returns 0 for no match, otherwise a score where higher is better.
+// WHY: Backs the Cmd/Ctrl+K command palette (components/CommandPalette.jsx), which ranks the
+// page's cards and tags client-side. The query appearing as one piece, consecutive characters,
+// word starts and an early first hit score extra, so "docs" ranks "Docs" and "Google Docs"
+// above "Design Ops Calendar Sync". Whitespace in the query is ignored.
+export function fuzzyScore(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const t = String(text || '').toLowerCase();
+  if (!q) return 1;
+  if (!t) return 0;
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return 0;
+    score += 1;
+    if (at === prev + 1) score += 3;
+    if (at === 0 || /[^a-z0-9]/.test(t[at - 1])) score += 2;
+    prev = at;
+    from = at + 1;
+  }
+  const first = t.indexOf(q[0]);
+  const contiguous = t.indexOf(q);
+  return score + Math.max(0, 5 - first) + (contiguous === 0 ? 13 : contiguous > 0 ? 8 : 0);
+}
+
+// WHAT: The user-editable card fields that version history diffs and restores.
+// WHY: order/orgUuid/timestamps are positional or bookkeeping, not content an editor
+// "clobbers" -- restoring them would fight the drag-and-drop order instead of undoing an edit.
+export const CARD_REVISION_FIELDS = ['title', 'href', 'description', 'background', 'tags', 'publishAt', 'expireAt'];
+
+// WHAT: Field-level diff between two card shapes: `[{ field, before, after }]` for every
+// CARD_REVISION_FIELDS entry whose value differs.
+// WHY: Used by the admin history drawer against toClient-shaped revision snapshots; tags
+// compare as arrays and timestamps compare as instants, so a Date vs ISO-string round trip
+// never shows up as a spurious change.
+export function diffCardFields(before, after) {
+  const norm = (field, v) => {
+    if (field === 'tags') return (Array.isArray(v) ? v : []).join(', ');
+    if (field === 'publishAt' || field === 'expireAt') return v ? new Date(v).toISOString() : '';
+    return v === null || v === undefined ? '' : String(v);
+  };
+  const out = [];
+  for (const field of CARD_REVISION_FIELDS) {
+    const b = norm(field, before?.[field]);
+    const a = norm(field, after?.[field]);
+    if (a !== b) out.push({ field, before: b, after: a });
+  }
+  return out;
+}
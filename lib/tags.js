@@ -0,0 +1,278 @@
+// Functional: Org-wide tag edits -- rename, merge and delete a tag across every card -- and
+// the per-org tag metadata (label, color, description, order, hidden) kept in `tags`
+// Strategic: Cards still store tags as bare normalized strings in CardDoc.tags, so each edit
+// is one updateMany over the org's cards (trashed ones included, so restoring a card never
+// brings a retired tag back). Metadata is optional and keyed by that same string; a tag with
+// no TagDoc simply shows its name. Used by the /api/tags routes and the public pages.
+
+import clientPromise from './db.js';
+import { normalizeTags, notTrashedFilter, publishWindowFilter } from './shared.js';
+import { ANONYMOUS_VIEWER, visibilityFilter } from './cardVisibility.js';
+
+/** @typedef {import('./types.js').TagDoc} TagDoc */
+/** @typedef {import('./types.js').TagInfo} TagInfo */
+
+export const TAG_LABEL_MAX = 40;
+export const TAG_DESCRIPTION_MAX = 200;
+const TAG_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardRevisions.js
+let tagsIndexesEnsured = false;
+
+/**
+ * Functional: Normalize a single tag name the way card writes do (trim, strip '#', lowercase)
+ *
+ * @param {unknown} raw
+ * @returns {string} The normalized tag, or '' when nothing usable remains
+ */
+export function normalizeTag(raw) {
+  return typeof raw === 'string' ? (normalizeTags([raw])[0] || '') : '';
+}
+
+async function cardsCollection() {
+  const client = await clientPromise;
+  return client.db(process.env.DB_NAME || 'launchmass').collection('cards');
+}
+
+/**
+ * Functional: Get the tags (metadata) collection with automatic index creation
+ *
+ * @returns {Promise<import('mongodb').Collection<TagDoc>>}
+ */
+export async function getTagsCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('tags');
+
+  if (!tagsIndexesEnsured) {
+    await col.createIndex({ orgUuid: 1, name: 1 }, { unique: true });
+    tagsIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<TagDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Validate a metadata edit (PATCH /api/tags body); only fields present are checked
+ * Strategic: An empty label or color clears it back to the default, so the API needs no
+ * separate "reset" call
+ *
+ * @param {Record<string, unknown>} body
+ * @returns {{ meta: Partial<Pick<TagDoc, 'label'|'color'|'description'|'order'|'hidden'>>, errors: string[] }}
+ */
+export function validateTagMeta(body) {
+  const src = body && typeof body === 'object' ? body : {};
+  /** @type {Partial<Pick<TagDoc, 'label'|'color'|'description'|'order'|'hidden'>>} */
+  const meta = {};
+  const errors = [];
+
+  if ('label' in src) {
+    const label = typeof src.label === 'string' ? src.label.trim() : src.label == null ? '' : null;
+    if (label === null) errors.push('label must be a string');
+    else if (label.length > TAG_LABEL_MAX) errors.push(`label must be at most ${TAG_LABEL_MAX} characters`);
+    else meta.label = label || null;
+  }
+  if ('color' in src) {
+    const color = typeof src.color === 'string' ? src.color.trim() : src.color == null ? '' : null;
+    if (color === null || (color && !TAG_COLOR_PATTERN.test(color))) errors.push('color must be a hex color such as #1a7f5a');
+    else meta.color = color ? color.toLowerCase() : null;
+  }
+  if ('description' in src) {
+    const description = typeof src.description === 'string' ? src.description.trim() : src.description == null ? '' : null;
+    if (description === null) errors.push('description must be a string');
+    else if (description.length > TAG_DESCRIPTION_MAX) errors.push(`description must be at most ${TAG_DESCRIPTION_MAX} characters`);
+    else meta.description = description;
+  }
+  if ('order' in src) {
+    if (src.order == null || src.order === '') meta.order = null;
+    else if (typeof src.order === 'number' && Number.isFinite(src.order)) meta.order = src.order;
+    else errors.push('order must be a number or null');
+  }
+  if ('hidden' in src) {
+    if (typeof src.hidden === 'boolean') meta.hidden = src.hidden;
+    else errors.push('hidden must be true or false');
+  }
+  return { meta, errors };
+}
+
+/**
+ * Functional: Create or update the metadata for one tag
+ *
+ * @param {string} orgUuid
+ * @param {string} name - Normalized tag
+ * @param {Partial<Pick<TagDoc, 'label'|'color'|'description'|'order'|'hidden'>>} meta - Output of validateTagMeta()
+ * @returns {Promise<TagDoc>}
+ */
+export async function setTagMeta(orgUuid, name, meta) {
+  const col = await getTagsCollection();
+  const now = new Date();
+  /** @type {Partial<TagDoc>} */
+  const defaults = { label: null, color: null, description: '', order: null, hidden: false };
+  for (const key of Object.keys(meta)) delete defaults[key];
+  const doc = await col.findOneAndUpdate(
+    { orgUuid: String(orgUuid), name },
+    { $set: { ...meta, updatedAt: now }, $setOnInsert: { ...defaults, createdAt: now } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return /** @type {TagDoc} */ (doc);
+}
+
+/**
+ * Functional: Give `names` the display order they are listed in (0, 1, 2, ...)
+ * Strategic: Tags without a TagDoc get one, so any tag in use can be placed in the bar
+ *
+ * @param {string} orgUuid
+ * @param {string[]} names - Normalized tags, in the wanted order
+ * @returns {Promise<void>}
+ */
+export async function reorderTags(orgUuid, names) {
+  if (!names.length) return;
+  const col = await getTagsCollection();
+  const now = new Date();
+  await col.bulkWrite(names.map((name, idx) => ({
+    updateOne: {
+      filter: { orgUuid: String(orgUuid), name },
+      update: { $set: { order: idx, updatedAt: now }, $setOnInsert: { label: null, color: null, description: '', hidden: false, createdAt: now } },
+      upsert: true,
+    },
+  })));
+}
+
+/**
+ * Functional: List an org's tags with their metadata and usage counts, in display order
+ * Strategic: Tags come from the cards (so a tag never needs a TagDoc to appear) plus any
+ * TagDoc without cards yet. `publicOnly` is for the public pages: only tags on cards a
+ * visitor can see right now, counted that way -- including per-card visibility for `viewer`
+ * (lib/cardVisibility.js; anonymous when omitted), so a members-only card's tags never show
+ * up for outsiders. Hidden tags are still returned (flagged) so card chips keep their label;
+ * the tag bar leaves them out.
+ *
+ * @param {string} orgUuid
+ * @param {{ publicOnly?: boolean, viewer?: import('./types.js').CardViewer }} [options]
+ * @returns {Promise<TagInfo[]>}
+ */
+export async function listOrgTags(orgUuid, { publicOnly = false, viewer = ANONYMOUS_VIEWER } = {}) {
+  const cards = await cardsCollection();
+  const match = { orgUuid: String(orgUuid), ...notTrashedFilter(), ...(publicOnly ? { ...publishWindowFilter(), ...visibilityFilter(viewer) } : {}) };
+  const counts = /** @type {{ _id: unknown, count: number }[]} */ (await cards.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+  ]).toArray());
+
+  const col = await getTagsCollection();
+  const docs = await col.find({ orgUuid: String(orgUuid) }).toArray();
+  const metaByName = new Map(docs.map(d => [d.name, d]));
+
+  /** @type {Map<string, number>} */
+  const countByName = new Map();
+  for (const c of counts) {
+    if (typeof c._id === 'string' && c._id.trim() !== '') countByName.set(c._id, c.count);
+  }
+  const names = new Set([...countByName.keys(), ...(publicOnly ? [] : metaByName.keys())]);
+
+  /** @type {TagInfo[]} */
+  const out = [];
+  for (const name of names) {
+    const m = metaByName.get(name);
+    out.push({
+      name,
+      label: m?.label || name,
+      color: m?.color || null,
+      description: m?.description || '',
+      order: typeof m?.order === 'number' ? m.order : null,
+      hidden: m?.hidden === true,
+      count: countByName.get(name) || 0,
+    });
+  }
+  return out.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Functional: Carry tag metadata across a rename or merge onto `target`
+ * Strategic: `target` keeps its own TagDoc if it has one; otherwise it inherits the first
+ * source's (minus a label that only spelled the old name). The sources' TagDocs go either way.
+ *
+ * @param {string} orgUuid
+ * @param {string[]} sources - Normalized tags being replaced
+ * @param {string} target - Normalized replacement tag
+ * @returns {Promise<boolean>} Whether any source had metadata
+ */
+export async function moveTagMeta(orgUuid, sources, target) {
+  const col = await getTagsCollection();
+  const org = String(orgUuid);
+  const docs = await col.find({ orgUuid: org, name: { $in: sources } }).toArray();
+  if (!docs.length) return false;
+
+  const hasTarget = await col.countDocuments({ orgUuid: org, name: target }, { limit: 1 });
+  if (!hasTarget) {
+    const first = sources.map(s => docs.find(d => d.name === s)).find(Boolean);
+    const staleLabel = first.label && normalizeTag(first.label) === first.name;
+    await col.updateOne({ _id: first._id }, { $set: { name: target, updatedAt: new Date(), ...(staleLabel ? { label: null } : {}) } });
+  }
+  await col.deleteMany({ orgUuid: org, name: { $in: sources } });
+  return true;
+}
+
+/**
+ * Functional: Drop a tag's metadata
+ *
+ * @param {string} orgUuid
+ * @param {string} tag - Normalized tag
+ * @returns {Promise<boolean>} Whether a TagDoc existed
+ */
+export async function deleteTagMeta(orgUuid, tag) {
+  const col = await getTagsCollection();
+  const r = await col.deleteOne({ orgUuid: String(orgUuid), name: tag });
+  return r.deletedCount > 0;
+}
+
+/**
+ * Functional: Replace every tag in `sources` with `target` on all of an org's cards
+ * Strategic: Backs both rename (one source) and merge (many). An aggregation-pipeline update
+ * maps each tag and then drops repeats while keeping first-seen order, so a card that
+ * already had `target` does not end up with it twice.
+ *
+ * @param {string} orgUuid
+ * @param {string[]} sources - Normalized tags to replace
+ * @param {string} target - Normalized replacement tag
+ * @returns {Promise<{ matchedCount: number, modifiedCount: number }>}
+ */
+export async function replaceTagsInOrg(orgUuid, sources, target) {
+  const col = await cardsCollection();
+  const r = await col.updateMany(
+    { orgUuid: String(orgUuid), tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $reduce: {
+            // $literal: a tag such as "$foo" must not be read as a field path
+            input: { $map: { input: '$tags', as: 't', in: { $cond: [{ $in: ['$$t', { $literal: sources }] }, { $literal: target }, '$$t'] } } },
+            initialValue: [],
+            in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] },
+          },
+        },
+        updatedAt: new Date(),
+      },
+    }]
+  );
+  return { matchedCount: r.matchedCount, modifiedCount: r.modifiedCount };
+}
+
+/**
+ * Functional: Remove `tag` from all of an org's cards
+ *
+ * @param {string} orgUuid
+ * @param {string} tag - Normalized tag
+ * @returns {Promise<{ matchedCount: number, modifiedCount: number }>}
+ */
+export async function removeTagFromOrg(orgUuid, tag) {
+  const col = await cardsCollection();
+  const r = await col.updateMany(
+    { orgUuid: String(orgUuid), tags: tag },
+    // Cast: the driver's $pull typing resolves to `never` on an untyped collection
+    /** @type {Record<string, any>} */ ({ $pull: { tags: tag }, $set: { updatedAt: new Date() } })
+  );
+  return { matchedCount: r.matchedCount, modifiedCount: r.modifiedCount };
+}
@@ -74,12 +74,87 @@
  * @property {string} uuid - Stable public organization identifier (distinct from Mongo _id)
  * @property {string} name
  * @property {string} slug - Lowercased, unique; used for slug-based org-context lookup
+ * @property {string[]} [slugHistory] - Slugs the org was renamed away from, oldest first. They
+ *   redirect to `slug` and stay reserved; see lib/org.js findOrgHoldingSlug()
  * @property {string} [description]
  * @property {boolean} isActive
  * @property {string} createdAt - ISO 8601 with milliseconds, UTC
  * @property {string} updatedAt - ISO 8601 with milliseconds, UTC
  * @property {boolean} [useSlugAsPublicUrl]
  * @property {string} [background] - CSS background value; see lib/shared.js normalizeBg()
+ * @property {UploadedImage|null} [logo] - Uploaded logo shown in the public header. See
+ *   lib/uploads.js
+ * @property {boolean} [isDefault] - The org the main page shows; at most one active org has it
+ * @property {string} [archivedAt] - ISO 8601; when DELETE /api/organizations/[uuid] archived
+ *   it (isActive false). Cleared on restore. See lib/orgArchive.js
+ * @property {string} [archivedBy] - ssoUserId of whoever archived it
+ */
+
+/**
+ * @typedef {Object} ArchivedOrg
+ * @property {string} _id - Stringified OrgDoc._id
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} slug
+ * @property {string} description
+ * @property {string} archivedAt - ISO 8601; OrgDoc.updatedAt for orgs archived before archivedAt existed
+ * @property {string|null} archivedBy
+ * @property {number} cardCount
+ * @property {number} memberCount
+ */
+
+/**
+ * @typedef {Object} OrgCloneResult
+ * @property {Omit<OrgDoc, '_id'> & { _id: string }} organization - The new org, as POST /api/organizations returns it
+ * @property {{ cards: number, cardGroups: number, tags: number, roles: number, members: number,
+ *   uploads: number }} copied - Documents copied per kind; `members` excludes the caller and
+ *   `uploads` counts image files
+ */
+
+/**
+ * @typedef {Object} OrgBundle - Portable organization export, see lib/orgBundle.js
+ * @property {'launchmass-org-bundle'|string} format
+ * @property {number} version - BUNDLE_VERSION
+ * @property {string} exportedAt - ISO 8601
+ * @property {{ uuid: string, name: string, slug: string, description: string,
+ *   useSlugAsPublicUrl: boolean, background: string, logo: UploadedImage|null }} organization
+ * @property {{ id: string, title: string, collapsed: boolean }[]} cardGroups - In display order;
+ *   `id` is the source instance's group id, only meaningful inside the bundle
+ * @property {Record<string, any>[]} cards - Live cards in display order: the card import fields
+ *   plus groupId, visibility, favicon and icon
+ * @property {Pick<TagDoc, 'name'|'label'|'color'|'description'|'order'|'hidden'>[]} tags
+ * @property {{ roleId: string, roleName: string, description: string, permissions: string[] }[]} roles - Custom roles only
+ * @property {{ ssoUserId: string, email: string|null, role: string }[]|null} members - null
+ *   when exported without members
+ * @property {Record<string, { contentType: string, data: string }>} files - Uploaded images the
+ *   org and its cards reference, base64 by storage key
+ */
+
+/**
+ * @typedef {Object} OrgImportPlan - What POST /api/organizations/import will do (the dry run)
+ * @property {'create'|'overwrite'} action
+ * @property {'fail'|'rename'|'overwrite'} onConflict
+ * @property {{ uuid: string, slug: string, name: string }} organization - Where it will land,
+ *   after any rename
+ * @property {{ uuid: boolean, slug: boolean }} conflicts - Whether an org here already holds
+ *   the bundle's uuid / slug
+ * @property {{ cards: number, cardGroups: number, tags: number, roles: number, members: number,
+ *   files: number }} counts
+ * @property {boolean} importMembers - Whether the bundle's members are added: only for a
+ *   superadmin, or an admin of the org being overwritten
+ * @property {string[]} skippedMembers - Bundle members that won't be added, with the reason
+ * @property {string[]} errors - Why it can't be imported; empty when it can
+ * @property {number} status - HTTP status a non-dry run answers with when `errors` is not empty
+ */
+
+/**
+ * @typedef {Object} OrgPurgeResult
+ * @property {string} uuid
+ * @property {string} slug
+ * @property {string} name
+ * @property {Record<string, number>} removed - Deleted document count per collection,
+ *   `organizations` included
+ * @property {boolean} uploadsRemoved - False when the org's uploaded files could not be deleted
  */
 
 /**
@@ -95,6 +170,191 @@
  * @property {string[]} tags - Normalized via lib/shared.js normalizeTags()
  * @property {string} orgUuid - Owning organization's OrgDoc.uuid
  * @property {string} [orgSlug] - Denormalized copy of the owning org's slug
+ * @property {Date|string|null} [publishAt] - Card is hidden from public listings before this
+ *   instant; absent/null means "already published". See lib/shared.js publishWindowFilter()
+ * @property {Date|string|null} [expireAt] - Card is hidden from public listings from this
+ *   instant on; absent/null means "never expires"
+ * @property {Date|string|null} [deletedAt] - Set when the card is moved to the trash; absent/null
+ *   means live. See lib/cardTrash.js
+ * @property {string|null} [deletedBy] - ssoUserId of the user who trashed the card
+ * @property {string|null} [groupId] - Stringified CardGroupDoc._id of the section the card sits
+ *   in; absent/null (or a group that no longer exists) means ungrouped. See lib/cardGroups.js
+ * @property {CardVisibility} [visibility] - Who may see the card; absent means 'public'.
+ *   See lib/cardVisibility.js
+ * @property {Date|null} [lastCheckedAt] - Last link health check of `href`; absent/null until
+ *   checked (and again after `href` changes). See lib/linkHealth.js
+ * @property {number|null} [lastStatus] - HTTP status of that check; null when no response arrived
+ * @property {Date|null} [brokenSince] - First check of the current failing streak; null while
+ *   the link works
+ * @property {string|null} [favicon] - Icon shown on the card, a base64 image data: URI taken
+ *   from the link preview (never a remote URL). See lib/linkPreview.js
+ * @property {UploadedImage|null} [icon] - Uploaded icon; shown instead of `favicon` when set.
+ *   See lib/uploads.js
+ */
+
+/**
+ * @typedef {'public'|'members'|string[]} CardVisibility - Everyone, any member of the card's
+ *   org, or members holding one of the listed role ids ('admin', 'user' or a custom roleId)
+ */
+
+/**
+ * @typedef {Object} CardViewer
+ * @property {boolean} all - Sees every card (org admin or superadmin)
+ * @property {string|null} role - The viewer's role id in the org; null when not a member
+ * @property {string|null} userId - ssoUserId when signed in, null for anonymous visitors
+ */
+
+/**
+ * @typedef {Object} CardRevisionDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} cardId - Stringified CardDoc._id the revision belongs to
+ * @property {string} orgUuid - Owning organization's OrgDoc.uuid (revisions are tenant-scoped too)
+ * @property {number} rev - 1-based, per-card sequence number; unique with cardId
+ * @property {'update'|'delete'|'restore'} action - The change that replaced this snapshot
+ * @property {CardDoc} snapshot - The full card document as it was *before* the change
+ * @property {string} changedBy - ssoUserId of the user who made the change
+ * @property {string} changedAt - ISO 8601 with milliseconds, UTC
+ */
+
+/**
+ * @typedef {Object} TagDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} orgUuid - Owning organization's OrgDoc.uuid; unique with name
+ * @property {string} name - Normalized tag exactly as stored in CardDoc.tags
+ * @property {string|null} label - Display label (case preserved); null shows `name`
+ * @property {string|null} color - Hex color (#rgb or #rrggbb); null uses the default chip style
+ * @property {string} description - Shown as the chip's tooltip on public pages
+ * @property {number|null} order - Position in the tag bar; null sorts after ordered tags, by name
+ * @property {boolean} hidden - Kept out of the public tag bar (cards still show the tag)
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} TagInfo
+ * @property {string} name
+ * @property {string} label - TagDoc.label, falling back to `name`
+ * @property {string|null} color
+ * @property {string} description
+ * @property {number|null} order
+ * @property {boolean} hidden
+ * @property {number} count - Cards (not trashed) carrying the tag
+ */
+
+/**
+ * @typedef {Object} CardGroupDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} orgUuid - Owning organization's OrgDoc.uuid
+ * @property {string} title - Section heading on the launcher
+ * @property {number} order - Position among the org's groups (ungrouped cards come first)
+ * @property {boolean} collapsed - Section starts collapsed on the public pages
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} LinkDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} [orgUuid] - Owning organization's OrgDoc.uuid; absent on legacy documents
+ *   from the old unscoped /api/links (see scripts/migrate-links-to-cards.mjs)
+ * @property {string} href
+ * @property {string} title
+ * @property {string} description
+ * @property {number} order - Position among the org's links
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} Link
+ * @property {string} _id
+ * @property {string} href
+ * @property {string} title
+ * @property {string} description
+ * @property {number} order
+ * @property {string} createdAt - ISO 8601
+ * @property {string} updatedAt - ISO 8601
+ */
+
+/**
+ * @typedef {Object} CardGroup
+ * @property {string} _id - Stringified CardGroupDoc._id (what CardDoc.groupId holds)
+ * @property {string} title
+ * @property {number} order
+ * @property {boolean} collapsed
+ */
+
+/**
+ * @typedef {Object} UserPreferencesDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} ssoUserId - Owner (UserDoc.ssoUserId)
+ * @property {string} orgUuid - Organization whose launcher the overlay applies to
+ * @property {string[]} favorites - Pinned card ids, shown first in this order
+ * @property {string[]} hidden - Card ids left out of the owner's launcher
+ * @property {string[]} order - Personal order for the remaining cards; unlisted cards follow
+ *   in the org's order
+ * @property {boolean} myLauncher - The public pages open with the overlay on
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Pick<UserPreferencesDoc, 'favorites'|'hidden'|'order'|'myLauncher'>} UserPreferences
+ */
+
+/**
+ * @typedef {Object} RecentCardsDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} ssoUserId - Owner (UserDoc.ssoUserId)
+ * @property {string} orgUuid - Organization the cards belong to
+ * @property {{ cardId: string, openedAt: Date }[]} items - Newest first, one entry per card,
+ *   capped at RECENT_CARDS_MAX
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} RecentCard
+ * @property {string} _id - Stringified CardDoc._id
+ * @property {string} title
+ * @property {string} background
+ * @property {string} openedAt - ISO 8601 time of the last open through the click redirect
+ */
+
+/**
+ * @typedef {Object} LinkPreviewDoc
+ * @property {import('mongodb').ObjectId} [_id] - Mongo document id; absent on a document not yet read back from the driver
+ * @property {string} url - Requested URL, normalized (unique)
+ * @property {string} [finalUrl] - URL after redirects
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {string} [siteName]
+ * @property {string|null} [favicon] - base64 data: URI, or null when none could be fetched
+ * @property {string|null} [error] - Set on a cached failure
+ * @property {number|null} [errorStatus] - HTTP status the preview route answers a cached failure with
+ * @property {Date} fetchedAt
+ * @property {Date} expiresAt - TTL index; failures expire sooner than successes
+ */
+
+/**
+ * @typedef {Object} LinkPreview
+ * @property {string} url
+ * @property {string} finalUrl
+ * @property {string} title
+ * @property {string} description
+ * @property {string} siteName
+ * @property {string|null} favicon
+ * @property {string} fetchedAt - ISO 8601
+ */
+
+/**
+ * @typedef {Object} UploadedImage
+ * @property {'icon'|'background'} kind
+ * @property {string} url - Largest variant
+ * @property {number} width
+ * @property {number} height
+ * @property {{ url: string, width: number, height: number }[]} variants - Smallest first; all
+ *   URLs issued by lib/uploadStorage.js
  */
 
 /**
@@ -0,0 +1,98 @@
+// Functional: Where uploaded images live — a small storage interface plus its local-filesystem
+// implementation
+// Strategic: lib/uploads.js only talks to the interface (put / read / remove / keyFromUrl),
+// so an S3-compatible backend can be added as another factory here without touching the
+// upload route or the stored documents. Cards and orgs keep the public URL `put()` returns;
+// `keyFromUrl()` maps such a URL back to a key so writes can check an image really is one of
+// ours. Keys are `<orgUuid>/<kind>/<id>-<width>.webp` and never change once written, which
+// is what lets GET /api/uploads/... cache them forever.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * @typedef {Object} UploadStorage
+ * @property {string} name
+ * @property {(key: string, body: Buffer, contentType: string) => Promise<string>} put - Stores
+ *   the object and returns its public URL
+ * @property {(key: string) => Promise<{ body: Buffer, contentType: string }|null>} read - For
+ *   backends served through /api/uploads; null when missing
+ * @property {(key: string) => Promise<void>} remove
+ * @property {(orgUuid: string) => Promise<void>} removeOrg - Deletes every object of one org
+ *   (an organization purge, lib/orgArchive.js)
+ * @property {(url: string) => string|null} keyFromUrl - The key behind one of this backend's
+ *   public URLs, or null for any other URL
+ */
+
+// Keys this app writes; also the only paths GET /api/uploads/... will serve
+export const UPLOAD_KEY_RE = /^[A-Za-z0-9-]{1,64}\/(?:icon|background)\/[a-f0-9]{24}-\d{1,4}\.webp$/;
+const LOCAL_URL_PREFIX = '/api/uploads/';
+const CONTENT_TYPES = { '.webp': 'image/webp' };
+
+/**
+ * Functional: Filesystem-backed storage, served by pages/api/uploads/[...key].js
+ * Strategic: Fine for a single instance with a persistent disk; serverless or multi-instance
+ * deployments need a shared backend.
+ *
+ * @param {string} rootDir
+ * @returns {UploadStorage}
+ */
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  // Defense in depth next to UPLOAD_KEY_RE: a key must stay inside the root
+  function fileFor(key) {
+    if (!UPLOAD_KEY_RE.test(key)) throw new Error('Invalid upload key');
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error('Invalid upload key');
+    return file;
+  }
+
+  return {
+    name: 'local',
+    async put(key, body) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return LOCAL_URL_PREFIX + key;
+    },
+    async read(key) {
+      try {
+        const body = await fs.readFile(fileFor(key));
+        return { body, contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream' };
+      } catch (e) {
+        if (/** @type {NodeJS.ErrnoException} */ (e).code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async removeOrg(orgUuid) {
+      // Same org segment UPLOAD_KEY_RE allows, so this can only ever name a directory under root
+      if (!/^[A-Za-z0-9-]{1,64}$/.test(orgUuid)) throw new Error('Invalid organization UUID');
+      await fs.rm(path.join(root, orgUuid), { recursive: true, force: true });
+    },
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(LOCAL_URL_PREFIX)) return null;
+      const key = url.slice(LOCAL_URL_PREFIX.length);
+      return UPLOAD_KEY_RE.test(key) ? key : null;
+    },
+  };
+}
+
+let storage = null;
+
+/**
+ * Functional: The configured backend (UPLOAD_STORAGE, default 'local'; local files go to
+ * UPLOAD_DIR, default ./uploads)
+ *
+ * @returns {UploadStorage}
+ */
+export function getUploadStorage() {
+  if (storage) return storage;
+  const backend = process.env.UPLOAD_STORAGE || 'local';
+  if (backend !== 'local') throw new Error(`Unsupported UPLOAD_STORAGE: ${backend}`);
+  storage = createLocalStorage(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+  return storage;
+}
@@ -0,0 +1,271 @@
+// Functional: Image uploads for cards and organizations — validate, resize into variants and
+// store them (lib/uploadStorage.js)
+// Strategic: Every upload is decoded and re-encoded by sharp, so what gets stored and served
+// is always a plain WebP we produced, never the uploaded bytes: the declared Content-Type has
+// to agree with the decoded format, and SVG is not accepted at all (it can carry script).
+// Icons become square variants (64/128/256), backgrounds keep their aspect ratio at up to
+// 640/1280/1920 wide. The result is an UploadedImage the card/org documents store as is;
+// parseUploadedImage() checks such a value on the way back in.
+
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import { getUploadStorage } from './uploadStorage.js';
+
+/** @typedef {import('./types.js').UploadedImage} UploadedImage */
+/** @typedef {'icon'|'background'} UploadKind */
+
+export const UPLOAD_MAX_BYTES = 5 * 1024 * 1024;
+// Declared Content-Type -> the format sharp must decode it as
+export const UPLOAD_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/webp': 'webp', 'image/gif': 'gif' };
+// Larger inputs are refused before they are decoded (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const VARIANT_WIDTHS = { icon: [64, 128, 256], background: [640, 1280, 1920] };
+
+// Functional: An Error carrying the HTTP status the upload route answers with
+function failure(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * @param {unknown} kind
+ * @returns {kind is UploadKind}
+ */
+export function isUploadKind(kind) {
+  return kind === 'icon' || kind === 'background';
+}
+
+/**
+ * Functional: Decode an upload and render its WebP variants
+ * Strategic: Icons are cropped to a centred square; backgrounds are never enlarged, so a
+ * small image yields fewer (or just one) variant instead of blurry copies.
+ *
+ * @param {Buffer} buffer
+ * @param {string} contentType - The request's declared type
+ * @param {UploadKind} kind
+ * @returns {Promise<{ width: number, height: number, body: Buffer }[]>} Smallest first
+ * @throws {Error} With `status` 415 when the bytes are not a supported image of that type
+ */
+export async function renderVariants(buffer, contentType, kind) {
+  const meta = await decodeUpload(buffer, contentType);
+  const widths = VARIANT_WIDTHS[kind];
+  const fitting = kind === 'background' ? widths.filter(w => w < meta.width) : widths;
+  // A background narrower than the smallest variant is kept at its own width
+  const targets = kind === 'background' ? [...fitting, Math.min(meta.width, widths[widths.length - 1])] : fitting;
+
+  const out = [];
+  for (const width of [...new Set(targets)]) out.push(await encodeVariant(buffer, kind, width));
+  return out;
+}
+
+/**
+ * Functional: Decode and re-render one variant that arrives already made -- an uploaded file
+ * inside an org bundle (lib/orgBundle.js)
+ * Strategic: Those bytes never went through POST /api/uploads, so they get the same treatment
+ * here: decoded as their declared type and re-encoded at the variant's width, never stored as
+ * sent. Icon widths must be one of the icon variants; backgrounds may be any width up to the
+ * largest.
+ *
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ * @param {UploadKind} kind
+ * @param {number} width - The variant's width, from its storage key
+ * @returns {Promise<Buffer>} WebP
+ * @throws {Error} With `status` 415 when the bytes are not a supported image of that type
+ */
+export async function renderVariant(buffer, contentType, kind, width) {
+  const widths = VARIANT_WIDTHS[kind];
+  const allowed = kind === 'icon' ? widths.includes(width) : Number.isInteger(width) && width > 0 && width <= widths[widths.length - 1];
+  if (!allowed) throw failure(`${width} is not a valid width for a ${kind} variant`, 415);
+  await decodeUpload(buffer, contentType);
+  return (await encodeVariant(buffer, kind, width)).body;
+}
+
+// Functional: Check that `buffer` decodes as the declared image type; its metadata
+async function decodeUpload(buffer, contentType) {
+  const expected = UPLOAD_TYPES[String(contentType || '').split(';')[0].trim().toLowerCase()];
+  if (!expected) throw failure(`Unsupported image type; use ${Object.keys(UPLOAD_TYPES).join(', ')}`, 415);
+
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw failure('The file is not a readable image, or it is too large', 415);
+  }
+  if (meta.format !== expected || !meta.width || !meta.height) throw failure('The file does not match its declared image type', 415);
+  return meta;
+}
+
+// Functional: One WebP variant -- icons a centred square, backgrounds never enlarged
+async function encodeVariant(buffer, kind, width) {
+  const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  const { data, info } = await (kind === 'icon'
+    ? pipeline.resize(width, width, { fit: 'cover', position: 'centre' })
+    : pipeline.resize({ width, withoutEnlargement: true })
+  ).webp({ quality: 82 }).toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, body: data };
+}
+
+/**
+ * Functional: Store an upload's variants for an org and describe them
+ *
+ * @param {{ orgUuid: string, kind: UploadKind, buffer: Buffer, contentType: string }} input
+ * @returns {Promise<UploadedImage>} `url` is the largest variant
+ */
+export async function saveUpload({ orgUuid, kind, buffer, contentType }) {
+  const variants = await renderVariants(buffer, contentType, kind);
+  const storage = getUploadStorage();
+  const id = crypto.randomBytes(12).toString('hex');
+  const stored = [];
+  for (const v of variants) {
+    const url = await storage.put(`${orgUuid}/${kind}/${id}-${v.width}.webp`, v.body, 'image/webp');
+    stored.push({ url, width: v.width, height: v.height });
+  }
+  const largest = stored[stored.length - 1];
+  return { kind, url: largest.url, width: largest.width, height: largest.height, variants: stored };
+}
+
+/**
+ * Functional: Validate an UploadedImage sent back on a card/org write
+ * Strategic: Same tri-state as the other parse* helpers (null = remove, undefined = invalid).
+ * Every URL must be one the configured storage issued for this org and kind, so a stored
+ * image can't point anywhere else or at another tenant's files. The value is rebuilt from
+ * the checked fields rather than stored as sent.
+ *
+ * @param {unknown} raw
+ * @param {string} orgUuid
+ * @param {UploadKind} kind
+ * @returns {UploadedImage|null|undefined}
+ */
+export function parseUploadedImage(raw, orgUuid, kind) {
+  if (raw === null || raw === '') return null;
+  if (!raw || typeof raw !== 'object') return undefined;
+  const { url, variants } = /** @type {Record<string, any>} */ (raw);
+  if (!Array.isArray(variants) || !variants.length || variants.length > 6) return undefined;
+
+  const storage = getUploadStorage();
+  const prefix = `${orgUuid}/${kind}/`;
+  const owned = (u) => {
+    const key = storage.keyFromUrl(u);
+    return !!key && key.startsWith(prefix);
+  };
+  const isSize = (n) => Number.isInteger(n) && n > 0 && n <= 4096;
+
+  const clean = [];
+  for (const v of variants) {
+    if (!v || !owned(v.url) || !isSize(v.width) || !isSize(v.height)) return undefined;
+    clean.push({ url: String(v.url), width: v.width, height: v.height });
+  }
+  clean.sort((a, b) => a.width - b.width);
+  const main = clean.find(v => v.url === url);
+  if (!main) return undefined;
+  return { kind, url: main.url, width: main.width, height: main.height, variants: clean };
+}
+
+// Functional: Apply an async URL mapping to every upload an UploadedImage or a CSS background
+// references (image backgrounds are plain CSS, `url("...") center / cover ...`, written by
+// BackgroundEditor). Non-upload URLs are the mapper's to pass through.
+function mapUploadUrls(mapUrl) {
+  return {
+    /** @param {UploadedImage|null|undefined} img */
+    async image(img) {
+      if (!img) return null;
+      const variants = [];
+      for (const v of img.variants) variants.push({ ...v, url: await mapUrl(v.url) });
+      return { ...img, url: await mapUrl(img.url), variants };
+    },
+    /** @param {string|undefined} css */
+    async background(css) {
+      if (typeof css !== 'string' || !css.includes('url("')) return css;
+      let out = css;
+      for (const [, url] of css.matchAll(/url\("([^"]+)"\)/g)) {
+        out = out.split(`url("${url}")`).join(`url("${await mapUrl(url)}")`);
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * Functional: Copy uploaded images into another organization (an org clone or a bundle
+ * import, lib/orgClone.js / lib/orgBundle.js)
+ * Strategic: parseUploadedImage() only accepts images stored under the document's own org, so
+ * a copy still pointing at the source org's files could not be saved again, and would lose
+ * them when the source is purged. Keys keep their kind and file name under the new org. Each
+ * file is copied once however often it is referenced; URLs that aren't ours, or whose file
+ * can't be read, pass through unchanged.
+ *
+ * @param {string} toOrgUuid
+ * @param {(key: string) => Promise<{ body: Buffer, contentType: string }|null>} [read] - Where
+ *   the bytes come from; this instance's storage by default
+ * @returns {{ image: (img: UploadedImage|null|undefined) => Promise<UploadedImage|null>,
+ *   background: (css: string|undefined) => Promise<string|undefined>, count: () => number }}
+ */
+export function createUploadCopier(toOrgUuid, read) {
+  const storage = getUploadStorage();
+  const readFile = read || ((key) => storage.read(key));
+  /** @type {Map<string, Promise<string>>} */
+  const copies = new Map();
+  let copied = 0;
+
+  function copyUrl(url) {
+    const key = storage.keyFromUrl(url);
+    if (!key) return Promise.resolve(url);
+    if (!copies.has(url)) {
+      copies.set(url, (async () => {
+        const file = await readFile(key);
+        if (!file) return url;
+        copied++;
+        return storage.put(`${toOrgUuid}/${key.slice(key.indexOf('/') + 1)}`, file.body, file.contentType);
+      })());
+    }
+    return /** @type {Promise<string>} */ (copies.get(url));
+  }
+
+  return { ...mapUploadUrls(copyUrl), count: () => copied };
+}
+
+/**
+ * Functional: Gather the files behind uploaded images, base64-encoded by key, for an org
+ * bundle export (lib/orgBundle.js); URLs are left as they are
+ *
+ * @returns {{ image: (img: UploadedImage|null|undefined) => Promise<UploadedImage|null>,
+ *   background: (css: string|undefined) => Promise<string|undefined>,
+ *   files: () => Record<string, { contentType: string, data: string }> }}
+ */
+export function createUploadCollector() {
+  const storage = getUploadStorage();
+  /** @type {Record<string, { contentType: string, data: string }>} */
+  const files = {};
+
+  async function collect(url) {
+    const key = storage.keyFromUrl(url);
+    if (key && !files[key]) {
+      const file = await storage.read(key);
+      if (file) files[key] = { contentType: file.contentType, data: file.body.toString('base64') };
+    }
+    return url;
+  }
+
+  return { ...mapUploadUrls(collect), files: () => files };
+}
+
+/**
+ * Functional: Record the storage keys behind uploaded images without reading the files (which
+ * of an org's files are still referenced after an overwriting bundle import, lib/orgBundle.js)
+ *
+ * @returns {{ image: (img: UploadedImage|null|undefined) => Promise<UploadedImage|null>,
+ *   background: (css: string|undefined) => Promise<string|undefined>, keys: () => Set<string> }}
+ */
+export function createUploadKeyCollector() {
+  const storage = getUploadStorage();
+  /** @type {Set<string>} */
+  const keys = new Set();
+
+  async function record(url) {
+    const key = storage.keyFromUrl(url);
+    if (key) keys.add(key);
+    return url;
+  }
+
+  return { ...mapUploadUrls(record), keys: () => keys };
+}
@@ -0,0 +1,72 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/router';
+import { searchTerms } from './shared.js';
+
+/**
+ * @typedef {Object} CardSearch
+ * @property {string} query - Current text in the search box
+ * @property {(q: string) => void} setQuery
+ * @property {any[]} results - Cards to render: the SSR list, or the latest search response
+ * @property {boolean} searching - A request is in flight
+ * @property {string[]} terms - searchTerms(query), for highlighting
+ */
+
+const DEBOUNCE_MS = 250;
+
+// Functional: Search-as-you-type state for the public card grids (/ and /organization/[slug])
+// Strategic: The page's SSR props already hold the result for the URL's ?q=; typing then
+// queries GET /api/cards with the same ?q=/?tags=/?match= after a short pause and writes
+// ?q= back into the URL with a shallow replace, so the address bar stays shareable without
+// re-running getServerSideProps on every keystroke. Responses that arrive after a newer
+// keystroke are dropped.
+/**
+ * @param {{ cards: any[], orgUuid: string|null, initialQuery: string, tags: string[], match: 'all'|'any' }} options
+ * @returns {CardSearch}
+ */
+export function useCardSearch({ cards, orgUuid, initialQuery, tags, match }) {
+  const router = useRouter();
+  const [query, setQuery] = useState(initialQuery || '');
+  const [results, setResults] = useState(cards || []);
+  const [searching, setSearching] = useState(false);
+  const latest = useRef(0);
+
+  // Full navigation (tag chip, back button) brings fresh SSR props
+  useEffect(() => {
+    latest.current += 1;
+    setResults(cards || []);
+    setQuery(initialQuery || '');
+    setSearching(false);
+  }, [cards, initialQuery]);
+
+  function updateQuery(next) {
+    setQuery(next);
+    if (!orgUuid) return;
+    const id = ++latest.current;
+    setSearching(true);
+    setTimeout(async () => {
+      if (id !== latest.current) return;
+      const params = new URLSearchParams({ orgUuid });
+      const q = next.trim();
+      if (q) params.set('q', q);
+      if (tags.length) params.set('tags', tags.join(','));
+      if (tags.length > 1 && match === 'any') params.set('match', 'any');
+      try {
+        const res = await fetch('/api/cards?' + params.toString(), { cache: 'no-store' });
+        const data = await res.json();
+        if (id !== latest.current) return;
+        setResults(Array.isArray(data) ? data : []);
+        const nextQuery = { ...router.query, q };
+        if (!q) delete nextQuery.q;
+        router.replace({ pathname: router.pathname, query: nextQuery }, undefined, { shallow: true, scroll: false });
+      } catch {
+        // Keep the previous results; the next keystroke retries
+      } finally {
+        if (id === latest.current) setSearching(false);
+      }
+    }, DEBOUNCE_MS);
+  }
+
+  return { query, setQuery: updateQuery, results, searching, terms: searchTerms(query) };
+}
@@ -0,0 +1,101 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+/** @typedef {import('./types.js').UserPreferences} UserPreferences */
+
+/**
+ * @typedef {Object} MyLauncher
+ * @property {boolean} available - Signed in, so there is an overlay to manage
+ * @property {boolean} enabled - "My launcher" is on
+ * @property {UserPreferences|null} prefs
+ * @property {string} error - Last save failure, '' when none
+ * @property {(on: boolean) => void} setEnabled
+ * @property {(id: string) => boolean} isFavorite
+ * @property {(id: string) => void} toggleFavorite
+ * @property {(id: string) => void} hide
+ * @property {(id: string) => void} unhide
+ * @property {(id: string, delta: number, shownIds: string[]) => boolean} canMove
+ * @property {(id: string, delta: number, shownIds: string[]) => void} move
+ * @property {() => void} reset
+ */
+
+// Functional: Client state for the personal launcher overlay on the public card grids
+// Strategic: `initial` is the SSR `preferences` prop (null when signed out). Every change is
+// applied at once and then PATCHed to /api/me/preferences with the whole changed list; the
+// server's answer (ids of cards no longer in the org dropped) replaces local state, and a
+// failed save rolls back. The overlay itself is lib/shared.js applyPreferences().
+/**
+ * @param {{ orgUuid: string|null, initial: UserPreferences|null }} options
+ * @returns {MyLauncher}
+ */
+export function useMyLauncher({ orgUuid, initial }) {
+  const [prefs, setPrefs] = useState(initial || null);
+  const [error, setError] = useState('');
+
+  // Full navigation brings fresh SSR props
+  useEffect(() => { setPrefs(initial || null); }, [initial]);
+
+  async function request(method, body) {
+    const res = await fetch('/api/me/preferences?orgUuid=' + encodeURIComponent(orgUuid || ''), {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      credentials: 'include',
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+    return /** @type {UserPreferences} */ (data);
+  }
+
+  async function save(patch) {
+    if (!prefs) return;
+    const before = prefs;
+    setPrefs({ ...prefs, ...patch });
+    setError('');
+    try {
+      setPrefs(await request('PATCH', patch));
+    } catch (e) {
+      setPrefs(before);
+      setError('Could not save your launcher: ' + String(e.message || e));
+    }
+  }
+
+  const isFavorite = (id) => !!prefs && prefs.favorites.includes(id);
+
+  // The card `delta` steps away in the current display, if it sits in the same tier (pinned
+  // cards reorder among themselves, the rest among themselves)
+  function neighbour(id, delta, shownIds) {
+    const at = shownIds.indexOf(id);
+    const other = at < 0 ? undefined : shownIds[at + delta];
+    return other && isFavorite(other) === isFavorite(id) ? other : null;
+  }
+
+  function move(id, delta, shownIds) {
+    const other = neighbour(id, delta, shownIds);
+    if (!prefs || !other) return;
+    const swap = (list) => list.map(x => (x === id ? other : x === other ? id : x));
+    if (isFavorite(id)) return void save({ favorites: swap(prefs.favorites) });
+    // Cards the personal order does not list yet join it where they are shown now
+    const base = [...prefs.order, ...shownIds.filter(x => !isFavorite(x) && !prefs.order.includes(x))];
+    save({ order: swap(base) });
+  }
+
+  return {
+    available: !!prefs,
+    enabled: !!prefs?.myLauncher,
+    prefs,
+    error,
+    setEnabled: (on) => save({ myLauncher: on }),
+    isFavorite,
+    toggleFavorite: (id) => prefs && save({ favorites: isFavorite(id) ? prefs.favorites.filter(x => x !== id) : [...prefs.favorites, id] }),
+    hide: (id) => prefs && save({ hidden: [...prefs.hidden, id], favorites: prefs.favorites.filter(x => x !== id) }),
+    unhide: (id) => prefs && save({ hidden: prefs.hidden.filter(x => x !== id) }),
+    canMove: (id, delta, shownIds) => !!neighbour(id, delta, shownIds),
+    move,
+    reset: async () => {
+      setError('');
+      try { setPrefs(await request('DELETE')); } catch (e) { setError('Could not reset your launcher: ' + String(e.message || e)); }
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// Functional: Per-user launcher overlay -- favorited, hidden and personally ordered cards kept
+// in `userPreferences`, one document per (ssoUserId, orgUuid)
+// Strategic: The overlay is applied on top of the org's card list (lib/shared.js
+// applyPreferences) and never writes to `cards`, so the shared launcher, its order and its
+// groups stay exactly what the org's editors set. Ids only ever reorder or hide cards the
+// visitor can already see; a stale id (card deleted, trashed or restricted) is simply
+// ignored. Used by /api/me/preferences and the public pages.
+
+import { ObjectId } from 'mongodb';
+import clientPromise from './db.js';
+
+/** @typedef {import('./types.js').UserPreferencesDoc} UserPreferencesDoc */
+/** @typedef {import('./types.js').UserPreferences} UserPreferences */
+
+export const MAX_PREFERENCE_IDS = 1000;
+const LIST_FIELDS = /** @type {const} */ (['favorites', 'hidden', 'order']);
+
+// Functional: Module-level flag to avoid repeated index creation calls
+// Strategic: Same once-per-process pattern as lib/cardRevisions.js
+let preferencesIndexesEnsured = false;
+
+/**
+ * Functional: Get the userPreferences collection with automatic index creation
+ *
+ * @returns {Promise<import('mongodb').Collection<UserPreferencesDoc>>}
+ */
+export async function getUserPreferencesCollection() {
+  const client = await clientPromise;
+  const col = client.db(process.env.DB_NAME || 'launchmass').collection('userPreferences');
+
+  if (!preferencesIndexesEnsured) {
+    await col.createIndex({ ssoUserId: 1, orgUuid: 1 }, { unique: true });
+    preferencesIndexesEnsured = true;
+  }
+
+  // Boundary cast — see lib/types.js's "Boundary-cast convention" comment.
+  return /** @type {import('mongodb').Collection<UserPreferencesDoc>} */ (/** @type {unknown} */ (col));
+}
+
+/**
+ * Functional: Shape a UserPreferencesDoc (or its absence) for the client
+ *
+ * @param {Partial<UserPreferencesDoc>|null} doc
+ * @returns {UserPreferences}
+ */
+export function toUserPreferences(doc) {
+  return {
+    favorites: Array.isArray(doc?.favorites) ? doc.favorites : [],
+    hidden: Array.isArray(doc?.hidden) ? doc.hidden : [],
+    order: Array.isArray(doc?.order) ? doc.order : [],
+    myLauncher: doc?.myLauncher === true,
+  };
+}
+
+/**
+ * Functional: Validate a preferences edit; only fields present are checked
+ * Strategic: Each list replaces the stored one wholesale (the client owns the whole list),
+ * is de-duplicated and must hold well-formed card ids. A card that is hidden cannot also be
+ * a favorite, so `hidden` wins when both arrive together.
+ *
+ * @param {Record<string, unknown>} body
+ * @returns {{ fields: Partial<UserPreferences>, errors: string[] }}
+ */
+export function validatePreferences(body) {
+  const src = body && typeof body === 'object' ? body : {};
+  /** @type {Partial<UserPreferences>} */
+  const fields = {};
+  const errors = [];
+
+  for (const key of LIST_FIELDS) {
+    if (!(key in src)) continue;
+    const raw = src[key];
+    if (!Array.isArray(raw) || !raw.every(id => typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id))) {
+      errors.push(`${key} must be an array of card ids`);
+      continue;
+    }
+    const ids = [...new Set(raw.map(id => id.toLowerCase()))];
+    if (ids.length > MAX_PREFERENCE_IDS) errors.push(`${key} may list at most ${MAX_PREFERENCE_IDS} cards`);
+    else fields[key] = ids;
+  }
+  if ('myLauncher' in src) {
+    if (typeof src.myLauncher === 'boolean') fields.myLauncher = src.myLauncher;
+    else errors.push('myLauncher must be true or false');
+  }
+  if (fields.favorites && fields.hidden) {
+    const hidden = new Set(fields.hidden);
+    fields.favorites = fields.favorites.filter(id => !hidden.has(id));
+  }
+  return { fields, errors };
+}
+
+/**
+ * Functional: Read a user's overlay for one org (defaults when they have none yet)
+ *
+ * @param {string} ssoUserId
+ * @param {string} orgUuid
+ * @returns {Promise<UserPreferences>}
+ */
+export async function getUserPreferences(ssoUserId, orgUuid) {
+  const col = await getUserPreferencesCollection();
+  return toUserPreferences(await col.findOne({ ssoUserId: String(ssoUserId), orgUuid: String(orgUuid) }));
+}
+
+/**
+ * Functional: Save part of a user's overlay, creating the document on first use
+ * Strategic: Card ids that are not cards of this org are dropped before writing, so the
+ * document can never point into another tenant's cards.
+ *
+ * @param {string} ssoUserId
+ * @param {string} orgUuid
+ * @param {Partial<UserPreferences>} fields - Output of validatePreferences()
+ * @returns {Promise<UserPreferences>}
+ */
+export async function updateUserPreferences(ssoUserId, orgUuid, fields) {
+  const $set = /** @type {Partial<UserPreferencesDoc>} */ ({ ...fields, updatedAt: new Date() });
+  const lists = LIST_FIELDS.filter(key => fields[key]);
+  if (lists.length) {
+    const client = await clientPromise;
+    const cards = client.db(process.env.DB_NAME || 'launchmass').collection('cards');
+    const ids = [...new Set(lists.flatMap(key => fields[key]))];
+    const owned = await cards
+      .find({ orgUuid: String(orgUuid), _id: { $in: ids.map(id => new ObjectId(id)) } })
+      .project({ _id: 1 })
+      .toArray();
+    const known = new Set(owned.map(d => String(d._id)));
+    for (const key of lists) $set[key] = fields[key].filter(id => known.has(id));
+  }
+
+  const col = await getUserPreferencesCollection();
+  const doc = await col.findOneAndUpdate(
+    { ssoUserId: String(ssoUserId), orgUuid: String(orgUuid) },
+    { $set, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return toUserPreferences(doc);
+}
+
+/**
+ * Functional: Drop a user's overlay for one org, back to the shared launcher
+ *
+ * @param {string} ssoUserId
+ * @param {string} orgUuid
+ * @returns {Promise<boolean>} Whether there was anything to reset
+ */
+export async function resetUserPreferences(ssoUserId, orgUuid) {
+  const col = await getUserPreferencesCollection();
+  const r = await col.deleteOne({ ssoUserId: String(ssoUserId), orgUuid: String(orgUuid) });
+  return r.deletedCount > 0;
+}
@@ -0,0 +1,180 @@
+/**
+ * pages/admin/analytics.js
+ *
+ * WHAT: Per-organization usage dashboard -- top clicked cards, card edit activity per
+ * day, and member logins per day.
+ * WHY: Org admins had no way to see which launcher links are actually used; events were
+ * recorded in analyticsEvents but never read back.
+ * HOW: Reads GET /api/organizations/[uuid]/analytics (gated by `analytics.read`); charts
+ * are plain CSS bars -- no chart library is part of this app's dependency set.
+ */
+
+import { useEffect, useState } from 'react';
+import Header from '../../components/Header';
+import { validateSsoSession, getOAuthLoginUrl } from '../../lib/auth-oauth.js';
+
+const RANGES = [7, 30, 90];
+const EDIT_EVENTS = ['card_create', 'card_update', 'card_delete', 'card_reorder'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Functional: Every UTC day (YYYY-MM-DD) in the selected range, oldest first.
+// Strategic: The API only returns days that had events; charting needs the gaps as zeros.
+function daysInRange(days) {
+  const out = [];
+  const today = Date.now();
+  for (let i = days - 1; i >= 0; i--) out.push(new Date(today - i * DAY_MS).toISOString().slice(0, 10));
+  return out;
+}
+
+// Functional: Horizontal bar list, used for the top-N (card) panel.
+function BarList({ rows, emptyText }) {
+  if (!rows.length) return <p className="analytics-empty">{emptyText}</p>;
+  const max = Math.max(...rows.map(r => r.count), 1);
+  return (
+    <ol className="analytics-bars">
+      {rows.map(r => (
+        <li key={r.key}>
+          <span className="analytics-bar-label" title={String(r.key)}>{r.label || '(deleted card)'}</span>
+          <span className="analytics-bar-track">
+            <span className="analytics-bar-fill" style={{ width: `${(r.count / max) * 100}%` }} />
+          </span>
+          <span className="analytics-bar-value">{r.count}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Functional: Per-day column chart; the table fallback keeps the numbers readable by
+// screen readers (the columns themselves are decorative).
+function DayChart({ rows, days, label }) {
+  const byDay = new Map(rows.map(r => [r.key, r.count]));
+  const series = days.map(d => ({ day: d, count: byDay.get(d) || 0 }));
+  const max = Math.max(...series.map(s => s.count), 1);
+  const total = series.reduce((sum, s) => sum + s.count, 0);
+  return (
+    <>
+      <div className="analytics-columns" aria-hidden="true">
+        {series.map(s => (
+          <span key={s.day} className="analytics-column" title={`${s.day}: ${s.count}`} style={{ height: `${(s.count / max) * 100}%` }} />
+        ))}
+      </div>
+      <p className="analytics-total">{total} {label} in the last {days.length} days</p>
+      <table className="sr-only">
+        <caption>{label} per day</caption>
+        <tbody>
+          {series.map(s => <tr key={s.day}><th scope="row">{s.day}</th><td>{s.count}</td></tr>)}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+export default function AdminAnalytics() {
+  const [orgs, setOrgs] = useState([]);
+  const [orgUuid, setOrgUuid] = useState('');
+  const [rangeDays, setRangeDays] = useState(30);
+  const [data, setData] = useState({ topCards: [], edits: [], logins: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // WHAT: Load the caller's organizations and preselect the one the admin page last used
+  // WHY: Keeps the dashboard scoped to the same org as the card editor
+  useEffect(() => {
+    const fromUrl = new URLSearchParams(window.location.search).get('orgUuid') || '';
+    const saved = fromUrl || localStorage.getItem('admin.selectedOrgUuid') || '';
+    fetch('/api/organizations', { credentials: 'include' })
+      .then(r => r.json())
+      .then(d => {
+        const list = Array.isArray(d.organizations) ? d.organizations : [];
+        setOrgs(list);
+        setOrgUuid(list.some(o => o.uuid === saved) ? saved : (list[0]?.uuid || ''));
+      })
+      .catch(() => setOrgs([]));
+  }, []);
+
+  // WHAT: Fetch all three panels whenever the org or range changes
+  // WHY: One request per panel keeps each pipeline simple (see lib/analytics.js)
+  useEffect(() => {
+    if (!orgUuid) return;
+    const from = new Date(Date.now() - (rangeDays - 1) * DAY_MS);
+    from.setUTCHours(0, 0, 0, 0);
+    const base = `/api/organizations/${encodeURIComponent(orgUuid)}/analytics?from=${encodeURIComponent(from.toISOString())}`;
+    const get = async (qs) => {
+      const res = await fetch(`${base}&${qs}`, { credentials: 'include', cache: 'no-store' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.message || body.error || `HTTP ${res.status}`);
+      return body.rows || [];
+    };
+
+    setLoading(true);
+    setError('');
+    Promise.all([
+      get('groupBy=card&eventType=card_click&limit=10'),
+      get(`groupBy=day&eventType=${EDIT_EVENTS.join(',')}`),
+      get('groupBy=day&eventType=user_login'),
+    ])
+      .then(([topCards, edits, logins]) => setData({ topCards, edits, logins }))
+      .catch(e => {
+        setData({ topCards: [], edits: [], logins: [] });
+        setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [orgUuid, rangeDays]);
+
+  const currentOrg = orgs.find(o => o.uuid === orgUuid);
+  const days = daysInRange(rangeDays);
+
+  return (
+    <>
+      <Header orgName={currentOrg ? currentOrg.name : 'Analytics'} />
+      <main style={{ padding: 16, paddingTop: 80 }}>
+        <section className="analytics-toolbar">
+          <select value={orgUuid} onChange={e => setOrgUuid(e.target.value)} aria-label="Organization">
+            {orgs.map(o => <option key={o.uuid} value={o.uuid}>{o.name} / {o.slug}</option>)}
+          </select>
+          <div role="group" aria-label="Time range" className="analytics-ranges">
+            {RANGES.map(r => (
+              <button key={r} type="button" aria-pressed={r === rangeDays} onClick={() => setRangeDays(r)}>
+                {r} days
+              </button>
+            ))}
+          </div>
+          {loading ? <span className="analytics-status">Loading…</span> : null}
+          {error ? <span className="analytics-status analytics-status--error" role="alert">{error}</span> : null}
+        </section>
+
+        <div className="analytics-grid">
+          <section className="analytics-panel">
+            <h2>Top cards</h2>
+            <BarList rows={data.topCards} emptyText="No card clicks recorded in this range." />
+          </section>
+          <section className="analytics-panel">
+            <h2>Edit activity</h2>
+            <DayChart rows={data.edits} days={days} label="card edits" />
+          </section>
+          <section className="analytics-panel">
+            <h2>Logins</h2>
+            <DayChart rows={data.logins} days={days} label="member logins" />
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+// Functional: SSR guard -- same OAuth redirect as pages/admin/index.js
+// Strategic: Authorization (analytics.read in the selected org) is enforced by the API;
+// the page itself only requires a valid session
+export async function getServerSideProps(context) {
+  try {
+    const { isValid } = await validateSsoSession(context.req);
+    if (!isValid) {
+      return { redirect: { destination: getOAuthLoginUrl(context.resolvedUrl), permanent: false } };
+    }
+    return { props: {} };
+  } catch (err) {
+    console.error('[admin/analytics] getServerSideProps error:', err.message);
+    return { redirect: { destination: getOAuthLoginUrl(context.resolvedUrl || '/admin/analytics'), permanent: false } };
+  }
+}
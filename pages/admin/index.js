@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react';
-import { DndContext, closestCenter, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
+import { DndContext, closestCenter, pointerWithin, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { arrayMove, SortableContext, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import dynamic from 'next/dynamic';
@@ -7,13 +7,20 @@ import Header from '../../components/Header';
 // Functional: Import OAuth-based SSO authentication utilities
 // Strategic: Migrated from legacy cookie-forwarding (lib/auth.js) to OAuth 2.0 flow (lib/auth-oauth.js)
 import { validateSsoSession, getOAuthLoginUrl } from '../../lib/auth-oauth.js';
-import { DEFAULT_BG } from '../../lib/shared.js';
+import { DEFAULT_BG, cardScheduleStatus, searchTerms, groupCards } from '../../lib/shared.js';
 // Structured background/gradient editor (issue #20) -- replaces the raw-CSS textarea
 // as the default editing surface; see BackgroundEditor.jsx for the GDS component-fit
 // writeup (no dedicated GDS color-picker exists, so color entry is a GDS FormField
 // -wrapped, pattern-validated text field, with the Advanced/raw-textarea mode kept
 // unchanged as the power-user fallback).
 import BackgroundEditor from '../../components/admin/BackgroundEditor.jsx';
+import CardHistoryPanel from '../../components/admin/CardHistoryPanel.jsx';
+import TrashView from '../../components/admin/TrashView.jsx';
+import ImportPanel from '../../components/admin/ImportPanel.jsx';
+import TagManager from '../../components/admin/TagManager.jsx';
+import GroupSection from '../../components/admin/GroupSection.jsx';
+import SearchBox from '../../components/SearchBox';
+import Highlight from '../../components/Highlight';
 // Custom lightweight tag input to avoid Popper dependency issues in CI/build environments.
 // We deliberately avoid MUI Autocomplete here to prevent @popperjs/core bundling errors.
 
@@ -34,6 +41,52 @@ function normalizeTags(input){
   return out;
 }
 
+// Functional: Convert between the API's ISO timestamps and <input type="datetime-local">'s
+// zone-less "YYYY-MM-DDTHH:mm" value, interpreted in the editor's local time zone.
+// Strategic: The API stores publishAt/expireAt as absolute instants; the picker only
+// speaks local wall-clock time, so the conversion happens at the input boundary.
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromLocalInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Functional: Who may see a card on the launcher -- 'public', 'members' or a list of role ids
+// (lib/cardVisibility.js). Org admins always see every card, so they need not be listed.
+// Strategic: Role ids are typed as text (custom roles have no picker yet); the draft keeps
+// the raw text so commas and spaces survive while typing, and blanks are dropped on change.
+function VisibilityInput({ value, onChange }) {
+  const mode = Array.isArray(value) ? 'roles' : value === 'members' ? 'members' : 'public';
+  const [rolesText, setRolesText] = useState(Array.isArray(value) ? value.join(', ') : '');
+  const toRoles = (text) => text.split(',').map(r => r.trim()).filter(Boolean);
+
+  return (
+    <div className="visibility-input">
+      <label>Visible to
+        <select value={mode} onChange={e => onChange(e.target.value === 'roles' ? toRoles(rolesText) : e.target.value)}>
+          <option value="public">Everyone</option>
+          <option value="members">Organization members</option>
+          <option value="roles">Specific roles</option>
+        </select>
+      </label>
+      {mode === 'roles' ? (
+        <label>Role ids (comma-separated)
+          <input
+            value={rolesText}
+            placeholder="user, editor"
+            onChange={e => { setRolesText(e.target.value); onChange(toRoles(e.target.value)); }}
+          />
+        </label>
+      ) : null}
+    </div>
+  );
+}
+
 function TagInput({ value = [], options = [], onChange }) {
   const [input, setInput] = useState('');
 
@@ -102,12 +155,96 @@ function TagInput({ value = [], options = [], onChange }) {
   );
 }
 
-function Card({ item, editing, onStartEdit, onCancel, onSave, onDelete, onChange, tagOptions }) {
-  const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id: item._id });
+// Functional: Collision detection for the grouped grid -- the card under the pointer wins,
+// then the section under it (an empty group or the space after its last card).
+// Strategic: closestCenter alone measures to each section's center, so a large section could
+// beat the card the pointer is actually on.
+function groupAwareCollision(args) {
+  const hits = pointerWithin(args);
+  const card = hits.find(h => !String(h.id).startsWith('group:'));
+  if (card) return [card];
+  return hits.length ? hits : closestCenter(args);
+}
+
+// Functional: "Fetch details" for the card editor -- loads the link's title, description and
+// favicon (GET /api/cards/preview, lib/linkPreview.js) and offers them; nothing changes until
+// the editor picks "Use these".
+function LinkPreviewOffer({ href, onPreview, onApply }) {
+  const [state, setState] = useState({ loading: false, preview: null, error: '' });
+
+  async function load() {
+    setState({ loading: true, preview: null, error: '' });
+    try {
+      setState({ loading: false, preview: await onPreview(href), error: '' });
+    } catch (e) {
+      setState({ loading: false, preview: null, error: String(e.message || 'Preview failed') });
+    }
+  }
+
+  const { loading, preview, error } = state;
+  return (
+    <div className="link-preview-offer">
+      <button type="button" onClick={load} disabled={loading || !/^https?:\/\//i.test(href || '')}>
+        {loading ? 'Fetching…' : 'Fetch details from link'}
+      </button>
+      {error ? <p className="link-preview-error" role="alert">{error}</p> : null}
+      {preview ? (
+        <div className="link-preview-card">
+          {preview.favicon ? <img src={preview.favicon} alt="" width={20} height={20} /> : null}
+          <div>
+            <strong>{preview.title || '(no title)'}</strong>
+            {preview.description ? <p>{preview.description}</p> : null}
+          </div>
+          <div className="form-actions">
+            <button type="button" onClick={() => setState({ loading: false, preview: null, error: '' })}>Dismiss</button>
+            <button type="button" onClick={() => { onApply(preview); setState({ loading: false, preview: null, error: '' }); }}>Use these</button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Functional: The card's icon -- an uploaded one (POST /api/uploads, lib/uploads.js) wins
+// over the link preview's favicon; "Remove" drops whichever is showing.
+function CardIconInput({ item, onChange, onUpload }) {
+  const [upload, setUpload] = useState({ busy: false, error: '' });
+
+  async function pick(file) {
+    if (!file) return;
+    setUpload({ busy: true, error: '' });
+    try {
+      const icon = await onUpload(file, 'icon');
+      onChange({ ...item, icon });
+      setUpload({ busy: false, error: '' });
+    } catch (e) {
+      setUpload({ busy: false, error: String(e.message || 'Upload failed') });
+    }
+  }
+
+  const src = item.icon?.url || item.favicon || '';
+  return (
+    <div className="link-preview-current">
+      {src ? <img src={src} alt="" width={18} height={18} /> : null}
+      <span>{item.icon ? 'Uploaded icon' : item.favicon ? 'Icon from link' : 'No icon'}</span>
+      <label className="file-button">
+        {upload.busy ? 'Uploading…' : 'Upload icon'}
+        <input type="file" accept="image/png,image/jpeg,image/webp,image/gif" disabled={upload.busy} onChange={e => { pick(e.target.files?.[0]); e.target.value = ''; }} />
+      </label>
+      {src ? <button type="button" onClick={() => onChange(item.icon ? { ...item, icon: null } : { ...item, favicon: null })}>Remove</button> : null}
+      {upload.error ? <span className="link-preview-error" role="alert">{upload.error}</span> : null}
+    </div>
+  );
+}
+
+function Card({ item, editing, onStartEdit, onCancel, onSave, onDelete, onHistory, onChange, onPreview, onUpload, tagOptions, groups = [], highlight, dragDisabled = false }) {
+  const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id: item._id, disabled: dragDisabled });
   const style = { transform: CSS.Transform.toString(transform), transition };
   const bg = item.background || DEFAULT_BG;
 
   const tags = Array.isArray(item.tags) ? item.tags : [];
+  // Functional: Publish-window state for the scheduled/expired badge (see lib/shared.js).
+  const schedule = cardScheduleStatus(item);
 
   // Functional: Gates the Save button on the structured background editor's own
   // validity (issue #20 acceptance criterion: inline validation feedback, not a
@@ -122,15 +259,40 @@ function Card({ item, editing, onStartEdit, onCancel, onSave, onDelete, onChange
         {!editing ? (
           <>
             <div className="admin-card-top">
-              <button className="drag" title="Drag" {...attributes} {...listeners}>↕</button>
+              <button className="drag" title={dragDisabled ? 'Clear the search and filters to reorder' : 'Drag'} disabled={dragDisabled} {...attributes} {...listeners}>↕</button>
               <div className="actions">
                 <button className="edit" onClick={onStartEdit}>Edit</button>
+                <button className="history" onClick={onHistory}>History</button>
                 <button className="del" onClick={onDelete}>Delete</button>
               </div>
             </div>
             <div className="admin-card-content">
-              <h3>{item.title || 'Untitled'}</h3>
-              <p>{item.description || ''}</p>
+              {schedule !== 'live' ? (
+                <span
+                  className={`schedule-badge schedule-badge--${schedule}`}
+                  title={schedule === 'scheduled' ? 'Hidden from the public launcher until its publish time' : 'Past its expiry time; hidden from the public launcher'}
+                >
+                  {schedule === 'scheduled' ? `Scheduled · ${new Date(item.publishAt).toLocaleString()}` : 'Expired'}
+                </span>
+              ) : null}
+              {item.brokenSince ? (
+                <span
+                  className="schedule-badge schedule-badge--expired"
+                  title={`Failing since ${new Date(item.brokenSince).toLocaleString()}${item.lastCheckedAt ? ` · last checked ${new Date(item.lastCheckedAt).toLocaleString()}` : ''}`}
+                >
+                  Broken link · {item.lastStatus ? `HTTP ${item.lastStatus}` : 'no response'}
+                </span>
+              ) : null}
+              {item.visibility && item.visibility !== 'public' ? (
+                <span className="schedule-badge visibility-badge" title="Hidden from signed-out visitors and from members without access">
+                  {Array.isArray(item.visibility) ? `Roles · ${item.visibility.join(', ')}` : 'Members only'}
+                </span>
+              ) : null}
+              <h3>
+                {item.icon?.url || item.favicon ? <img className="card-favicon-inline" src={item.icon?.url || item.favicon} alt="" width={18} height={18} /> : null}
+                <Highlight text={item.title || 'Untitled'} terms={highlight} />
+              </h3>
+              <p><Highlight text={item.description || ''} terms={highlight} /></p>
               {tags.length ? (
                 <div className="tag-list" style={{ marginTop: 6 }}>
                   {tags.map((t, idx) => (
@@ -145,9 +307,28 @@ function Card({ item, editing, onStartEdit, onCancel, onSave, onDelete, onChange
           <div className="admin-card-form">
             <label>Title<input value={item.title} onChange={e => onChange({ ...item, title: e.target.value })} /></label>
             <label>Link<input value={item.href} onChange={e => onChange({ ...item, href: e.target.value })} /></label>
+            <LinkPreviewOffer
+              href={item.href}
+              onPreview={onPreview}
+              onApply={(p) => onChange({ ...item, title: p.title || item.title, description: p.description || item.description, favicon: p.favicon || item.favicon || null })}
+            />
+            <CardIconInput item={item} onChange={onChange} onUpload={onUpload} />
             <label>Description<textarea value={item.description} onChange={e => onChange({ ...item, description: e.target.value })} rows={3} /></label>
+            {/* Functional: Launcher section; the keyboard alternative to dragging between groups */}
+            {groups.length ? (
+              <label>Group
+                <select value={item.groupId || ''} onChange={e => onChange({ ...item, groupId: e.target.value || null })}>
+                  <option value="">Ungrouped</option>
+                  {groups.map(g => <option key={g._id} value={g._id}>{g.title}</option>)}
+                </select>
+              </label>
+            ) : null}
+            <VisibilityInput value={item.visibility} onChange={visibility => onChange({ ...item, visibility })} />
+            {/* Functional: Optional publish window; empty means unbounded on that side. */}
+            <label>Publish at<input type="datetime-local" value={toLocalInput(item.publishAt)} onChange={e => onChange({ ...item, publishAt: fromLocalInput(e.target.value) })} /></label>
+            <label>Expire at<input type="datetime-local" value={toLocalInput(item.expireAt)} onChange={e => onChange({ ...item, expireAt: fromLocalInput(e.target.value) })} /></label>
             <div style={{ margin: '8px 0' }}>
-              <BackgroundEditor item={item} onChange={onChange} onValidityChange={setBgValid} />
+              <BackgroundEditor item={item} onChange={onChange} onValidityChange={setBgValid} onUpload={file => onUpload(file, 'background')} imageWidth={640} />
             </div>
 {/* Functional: Predictive tags input with chips and remove (x). */}
             {/* Strategic: Lightweight custom input avoids Popper-based Autocomplete to ensure reliable builds. */}
@@ -237,6 +418,23 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
   const [editingId, setEditingId] = useState('');
   const [status, setStatus] = useState('');
   const [tagOptions, setTagOptions] = useState([]);
+  // Functional: The org's launcher sections (GET /api/card-groups) and the group an edit is running on
+  const [groups, setGroups] = useState([]);
+  const [busyGroupId, setBusyGroupId] = useState('');
+  // Functional: Card whose version history panel is open ('' = closed)
+  const [historyId, setHistoryId] = useState('');
+  // Functional: Which list is shown -- the live card grid, the org's tags or its trash
+  const [view, setView] = useState('cards');
+  // Functional: Bulk import dialog visibility
+  const [importOpen, setImportOpen] = useState(false);
+  // Functional: Format picked for the export download link
+  const [exportFormat, setExportFormat] = useState('json');
+  // Functional: Card search -- ids of the matches in relevance order; null = no search active
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchIds, setSearchIds] = useState(null);
+  // Functional: Link health (lib/linkHealth.js) -- show only broken links; a check in flight
+  const [brokenOnly, setBrokenOnly] = useState(false);
+  const [checkingLinks, setCheckingLinks] = useState(false);
   // Functional: Load and select organizations for scoping admin actions.
   // Strategic: Mirrors narimato header-based org context; keeps UI simple with a dropdown selector.
   const [orgs, setOrgs] = useState([]);
@@ -271,13 +469,14 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
     }
   }
 
-  // Functional: Fetch cards scoped to selected organization
-  // Strategic: Public endpoint; org scoping via header
+  // Functional: Fetch cards scoped to selected organization, including scheduled/expired ones
+  // Strategic: includeOutOfWindow requires 'cards.read' in the org, so the session cookie
+  // is sent; the public listing would hide cards outside their publish window
   async function fetchItems(orgUuid) {
     try {
       const headers = /** @type {Record<string, string>} */ ({});
       if (orgUuid) headers['X-Organization-UUID'] = orgUuid;
-      const res = await fetch('/api/cards', { headers, cache: 'no-store' });
+      const res = await fetch('/api/cards?includeOutOfWindow=true', { headers, credentials: 'include', cache: 'no-store' });
       const data = await res.json();
       if (Array.isArray(data)) setItems(data); else setItems([]);
     } catch {
@@ -286,6 +485,7 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
   }
 
   // Helper: Fetch tag suggestions scoped to selected org
+  // (GET /api/tags returns TagInfo objects; the tag input only needs the names)
   async function fetchTags(orgUuid) {
     try {
       const headers = /** @type {Record<string, string>} */ ({});
@@ -293,12 +493,25 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
       const res = await fetch('/api/tags', { headers, cache: 'no-store' });
       if (!res.ok) throw new Error('HTTP ' + res.status);
       const arr = await res.json();
-      setTagOptions(Array.isArray(arr) ? arr : []);
+      setTagOptions(Array.isArray(arr) ? arr.map(t => t.name) : []);
     } catch {
       setTagOptions([]);
     }
   }
 
+  // Helper: Fetch the org's card groups (public endpoint, display order)
+  async function fetchGroups(orgUuid) {
+    try {
+      if (!orgUuid) { setGroups([]); return; }
+      const res = await fetch('/api/card-groups', { headers: { 'X-Organization-UUID': orgUuid }, cache: 'no-store' });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const arr = await res.json();
+      setGroups(Array.isArray(arr) ? arr : []);
+    } catch {
+      setGroups([]);
+    }
+  }
+
   // Functional: Initial data load and session monitoring
   // Strategic: SSO session validated by SSR guard; client monitors for expiration
   useEffect(() => {
@@ -316,6 +529,7 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
     fetchOrgs(!!savedOrg);
     fetchItems(savedOrg);
     fetchTags(savedOrg);
+    fetchGroups(savedOrg);
     
     // Functional: Session monitoring - check every 5 minutes for OAuth session expiration
     // Strategic: Prevents stale sessions; triggers SSR redirect to OAuth login if expired
@@ -340,10 +554,42 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
   useEffect(() => {
     fetchItems(selectedOrgUuid);
     fetchTags(selectedOrgUuid);
+    fetchGroups(selectedOrgUuid);
   }, [selectedOrgUuid]);
 
   const sensors = useSensors(useSensor(PointerSensor));
 
+  // Functional: Search as you type (GET /api/cards?q=, debounced), scheduled/expired cards included
+  // Strategic: Drag-and-drop is off while results are shown -- reorder.js numbers exactly
+  // the ids it is sent, so reordering a filtered subset would scramble the full order
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (!q || !selectedOrgUuid) { setSearchIds(null); return; }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch('/api/cards?includeOutOfWindow=true&q=' + encodeURIComponent(q), {
+          headers: { 'X-Organization-UUID': selectedOrgUuid }, credentials: 'include', cache: 'no-store'
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+        if (!cancelled) setSearchIds(Array.isArray(data) ? data.map(c => c._id) : []);
+      } catch (e) {
+        if (!cancelled) { setStatus(String(e.message || 'Search failed')); setTimeout(() => setStatus(''), 3000); }
+      }
+    }, 250);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [searchQuery, selectedOrgUuid]);
+
+  const matchedItems = searchIds ? searchIds.map(id => items.find(i => i._id === id)).filter(Boolean) : items;
+  const brokenCount = items.filter(i => i.brokenSince).length;
+  const visibleItems = brokenOnly ? matchedItems.filter(i => i.brokenSince) : matchedItems;
+  // Functional: Search and the broken-link filter both show a flat, non-draggable subset
+  const filtered = !!searchIds || brokenOnly;
+  const highlight = searchIds ? searchTerms(searchQuery) : [];
+  // Functional: Launcher sections for the grid -- ungrouped first, every group even when empty
+  const sections = groupCards(items, groups, { includeEmpty: true });
+
   // Functional: Save card changes using SSO session
   // Strategic: credentials: 'include' ensures cookies sent; withSsoAuth validates on server
   async function saveItem(it) {
@@ -354,7 +600,7 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
         method: 'PATCH',
         headers,
         credentials: 'include',
-        body: JSON.stringify({ title: it.title, href: it.href, description: it.description, background: it.background, tags: normalizeTags(it.tags) })
+        body: JSON.stringify({ title: it.title, href: it.href, description: it.description, background: it.background, tags: normalizeTags(it.tags), publishAt: it.publishAt || null, expireAt: it.expireAt || null, groupId: it.groupId || null, visibility: it.visibility || 'public', favicon: it.favicon || null, icon: it.icon || null })
       });
       const txt = await res.text();
       if (!res.ok) throw new Error('HTTP ' + res.status + ' — ' + txt);
@@ -363,12 +609,60 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
       setEditingId('');
       setStatus('Saved'); setTimeout(() => setStatus(''), 1200);
       // Refresh tag options after potential new tag creation
-      fetch('/api/tags').then(r => r.json()).then(arr => setTagOptions(Array.isArray(arr) ? arr : [])).catch(() => {});
+      fetchTags(selectedOrgUuid);
     } catch (e) {
       setStatus(String(e.message || 'Save failed')); setTimeout(() => setStatus(''), 3500);
     }
   }
 
+  // Functional: Check the org's card links now (POST /api/cards/check-links), then reload the
+  // cards for their fresh lastStatus/brokenSince
+  async function checkLinks() {
+    setCheckingLinks(true);
+    setStatus('Checking links…');
+    try {
+      const res = await fetch('/api/cards/check-links', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Organization-UUID': selectedOrgUuid },
+        credentials: 'include',
+        body: JSON.stringify({}),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+      await fetchItems(selectedOrgUuid);
+      setStatus(`Checked ${data.checked} card${data.checked === 1 ? '' : 's'} · ${data.broken} broken${data.skipped ? ` · ${data.skipped} not checked (private address)` : ''}${data.remaining ? ` · ${data.remaining} left, run again` : ''}`);
+      setTimeout(() => setStatus(''), 5000);
+    } catch (e) {
+      setStatus(String(e.message || 'Link check failed')); setTimeout(() => setStatus(''), 3500);
+    } finally {
+      setCheckingLinks(false);
+    }
+  }
+
+  // Functional: Link preview for the card editor's "Fetch details" (throws on failure)
+  async function previewLink(href) {
+    const res = await fetch('/api/cards/preview?url=' + encodeURIComponent(href), {
+      headers: { 'X-Organization-UUID': selectedOrgUuid }, credentials: 'include', cache: 'no-store'
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+    return data;
+  }
+
+  // Functional: Upload a card image (POST /api/uploads, lib/uploads.js); resolves to the
+  // stored UploadedImage, throws on failure
+  async function uploadImage(file, kind) {
+    const res = await fetch(`/api/uploads?kind=${kind}&scope=card`, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type, 'X-Organization-UUID': selectedOrgUuid },
+      credentials: 'include',
+      body: file
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+    return data;
+  }
+
   async function deleteItem(id) {
     try {
       const headers = /** @type {Record<string, string>} */ ({});
@@ -376,6 +670,7 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
       const res = await fetch('/api/cards/' + encodeURIComponent(id), { method: 'DELETE', headers, credentials: 'include' });
       if (!res.ok) throw new Error('HTTP ' + res.status + ' — ' + (await res.text()));
       setItems(prev => prev.filter(i => i._id !== id));
+      setStatus('Moved to trash'); setTimeout(() => setStatus(''), 1500);
     } catch (e) {
       setStatus(String(e.message || 'Delete failed')); setTimeout(() => setStatus(''), 3000);
     }
@@ -400,28 +695,50 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
       const created = await res.json();
       if (!res.ok) throw new Error('HTTP ' + res.status + ' — ' + JSON.stringify(created));
       setItems(prev => [...prev, created]);
+      // Open the new card's editor straight away, where "Fetch details" can prefill it
+      setEditingId(created._id);
       // refresh tag suggestions not necessary here as no new tags yet
     } catch (e) {
       setStatus(String(e.message || 'Add failed')); setTimeout(() => setStatus(''), 3000);
     }
   }
 
+  // Functional: Drop a card onto another card (take its place) or onto a section (append)
+  // Strategic: With groups the whole layout goes to POST /api/cards/reorder as
+  // { groups: [{ groupId, ids }] }, so a move between sections and the new order land in one
+  // write; without groups the flat { ids } payload is unchanged.
   async function onDragEnd(event) {
     const { active, over } = event;
-    if (!over || active.id === over.id) return;
-    const oldIndex = items.findIndex(i => i._id === active.id);
-    const newIndex = items.findIndex(i => i._id === over.id);
-    const reordered = arrayMove(items, oldIndex, newIndex);
-    setItems(reordered);
+    if (searchIds || !over || active.id === over.id) return;
+    const next = sections.map(sec => ({ group: sec.group, cards: [...sec.cards] }));
+    const from = next.find(sec => sec.cards.some(c => c._id === active.id));
+    const overId = String(over.id);
+    const to = overId.startsWith('group:')
+      ? next.find(sec => (sec.group ? sec.group._id : 'none') === overId.slice('group:'.length))
+      : next.find(sec => sec.cards.some(c => c._id === over.id));
+    if (!from || !to) return;
+    const oldIndex = from.cards.findIndex(c => c._id === active.id);
+    const overIndex = to.cards.findIndex(c => c._id === over.id);
+    if (from === to) {
+      if (overIndex === -1) to.cards.push(to.cards.splice(oldIndex, 1)[0]);
+      else to.cards = arrayMove(to.cards, oldIndex, overIndex);
+    } else {
+      const [moved] = from.cards.splice(oldIndex, 1);
+      const placed = { ...moved, groupId: to.group ? to.group._id : null };
+      to.cards.splice(overIndex === -1 ? to.cards.length : overIndex, 0, placed);
+    }
+    setItems(next.flatMap(sec => sec.cards));
     try {
-      const ids = reordered.map(i => i._id);
       const headers = { 'Content-Type': 'application/json' };
       if (selectedOrgUuid) headers['X-Organization-UUID'] = selectedOrgUuid;
+      const body = groups.length
+        ? { groups: next.map(sec => ({ groupId: sec.group ? sec.group._id : null, ids: sec.cards.map(c => c._id) })) }
+        : { ids: next.flatMap(sec => sec.cards.map(c => c._id)) };
       const res = await fetch('/api/cards/reorder', {
         method: 'POST',
         headers,
         credentials: 'include',
-        body: JSON.stringify({ ids })
+        body: JSON.stringify(body)
       });
       if (!res.ok) throw new Error('HTTP ' + res.status + ' — ' + (await res.text()));
     } catch (e) {
@@ -429,6 +746,87 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
     }
   }
 
+  // Functional: Card group edits (/api/card-groups) -- shared busy flag, error surfacing and reload
+  async function runGroupEdit(groupId, request, doneMsg) {
+    setBusyGroupId(groupId);
+    try {
+      const res = await request({ 'Content-Type': 'application/json', 'X-Organization-UUID': selectedOrgUuid });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error('HTTP ' + res.status + ' — ' + (body.error || ''));
+      }
+      setStatus(doneMsg); setTimeout(() => setStatus(''), 1500);
+      await fetchGroups(selectedOrgUuid);
+    } catch (e) {
+      setStatus(String(e.message || 'Group update failed')); setTimeout(() => setStatus(''), 3000);
+    } finally {
+      setBusyGroupId('');
+    }
+  }
+
+  function addGroup() {
+    const title = prompt('New group title (e.g. Tools, Docs, Campaigns):');
+    if (!title || !title.trim()) return;
+    return runGroupEdit('new', headers => fetch('/api/card-groups', {
+      method: 'POST', headers, credentials: 'include', body: JSON.stringify({ title })
+    }), 'Group added');
+  }
+
+  function renameGroup(g) {
+    const title = prompt('Rename group:', g.title);
+    if (!title || !title.trim() || title.trim() === g.title) return;
+    return runGroupEdit(g._id, headers => fetch('/api/card-groups/' + encodeURIComponent(g._id), {
+      method: 'PATCH', headers, credentials: 'include', body: JSON.stringify({ title })
+    }), 'Group renamed');
+  }
+
+  function setGroupCollapsed(g, collapsed) {
+    return runGroupEdit(g._id, headers => fetch('/api/card-groups/' + encodeURIComponent(g._id), {
+      method: 'PATCH', headers, credentials: 'include', body: JSON.stringify({ collapsed })
+    }), collapsed ? 'Group starts collapsed' : 'Group starts open');
+  }
+
+  function moveGroup(index, delta) {
+    const next = [...groups];
+    const [g] = next.splice(index, 1);
+    next.splice(index + delta, 0, g);
+    setGroups(next);
+    return runGroupEdit(g._id, headers => fetch('/api/card-groups/reorder', {
+      method: 'POST', headers, credentials: 'include', body: JSON.stringify({ ids: next.map(x => x._id) })
+    }), 'Group order saved');
+  }
+
+  async function deleteGroup(g) {
+    const count = items.filter(i => i.groupId === g._id).length;
+    if (!confirm(`Delete the group "${g.title}"? Its ${count} card${count === 1 ? '' : 's'} will become ungrouped.`)) return;
+    await runGroupEdit(g._id, headers => fetch('/api/card-groups/' + encodeURIComponent(g._id), {
+      method: 'DELETE', headers, credentials: 'include'
+    }), 'Group deleted');
+    fetchItems(selectedOrgUuid);
+  }
+
+  function renderCard(it) {
+    const editing = editingId === it._id;
+    return (
+      <Card
+        key={it._id}
+        item={it}
+        editing={editing}
+        tagOptions={tagOptions}
+        groups={groups}
+        highlight={highlight}
+        dragDisabled={filtered}
+        onStartEdit={() => setEditingId(it._id)}
+        onCancel={() => setEditingId('')}
+        onSave={() => saveItem(it)}
+        onDelete={() => deleteItem(it._id)}
+        onHistory={() => setHistoryId(it._id)}
+        onPreview={previewLink}
+        onUpload={uploadImage}
+        onChange={(updated) => setItems(prev => prev.map(x => x._id === updated._id ? updated : x))}
+      />
+    );
+  }
 
   function onChangeOrg(e) {
     if (forcedOrgUuid) return; // locked by route
@@ -466,31 +864,115 @@ function AdminPageInner({ forcedOrgUuid = '' }) {
             ))}
           </select>
           <span style={{ color: 'var(--seyu-muted)', fontSize: 12, fontWeight: 600 }}>Org: {selectedOrgUuid ? '✓' : '✗'}</span>
+          {/* Functional: Switch between the live grid, the tag manager and the trash (soft-deleted cards) */}
+          <button type="button" className="toolbar-button" aria-pressed={view === 'tags'} onClick={() => setView(v => v === 'tags' ? 'cards' : 'tags')} disabled={!selectedOrgUuid}>
+            {view === 'tags' ? '← Back to cards' : '# Tags'}
+          </button>
+          <button type="button" className="toolbar-button" aria-pressed={view === 'trash'} onClick={() => setView(v => v === 'trash' ? 'cards' : 'trash')} disabled={!selectedOrgUuid}>
+            {view === 'trash' ? '← Back to cards' : '🗑 Trash'}
+          </button>
+          {view === 'cards' ? (
+            <button type="button" className="toolbar-button" onClick={addGroup} disabled={!selectedOrgUuid || busyGroupId === 'new'}>
+              ▤ Add group
+            </button>
+          ) : null}
+          <button type="button" className="toolbar-button" onClick={() => setImportOpen(true)} disabled={!selectedOrgUuid}>
+            ⇪ Import
+          </button>
+          {/* Functional: Export download -- a plain link; the API takes the org from ?orgUuid= */}
+          <select value={exportFormat} onChange={e => setExportFormat(e.target.value)} aria-label="Export format" className="toolbar-select" disabled={!selectedOrgUuid}>
+            <option value="json">JSON (re-importable)</option>
+            <option value="csv">CSV</option>
+            <option value="html">Browser bookmarks</option>
+            <option value="opml">OPML</option>
+          </select>
+          <a
+            className="toolbar-button"
+            href={selectedOrgUuid ? `/api/cards/export?format=${exportFormat}&orgUuid=${encodeURIComponent(selectedOrgUuid)}` : undefined}
+            aria-disabled={!selectedOrgUuid}
+          >
+            ⇩ Export
+          </a>
+          {view === 'cards' ? (
+            <>
+              <button type="button" className="toolbar-button" onClick={checkLinks} disabled={!selectedOrgUuid || checkingLinks}>
+                {checkingLinks ? 'Checking…' : '⚕ Check links'}
+              </button>
+              <button type="button" className="toolbar-button" aria-pressed={brokenOnly} onClick={() => setBrokenOnly(v => !v)} disabled={!selectedOrgUuid || (!brokenCount && !brokenOnly)}>
+                ⚠ Broken links ({brokenCount})
+              </button>
+            </>
+          ) : null}
+          {view === 'cards' ? (
+            <SearchBox value={searchQuery} onChange={setSearchQuery} className="toolbar-search" placeholder="Search cards" />
+          ) : null}
           {status ? <span style={{ color: 'var(--seyu-magenta)', fontWeight: 700, marginLeft: 'auto' }}>{status}</span> : null}
         </section>
 
-      <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={onDragEnd}>
-        <SortableContext items={items.map(i => i._id)} strategy={verticalListSortingStrategy}>
-          <div className="admin-grid">
-            {items.map(it => {
-              const editing = editingId === it._id;
-              return (
-                <Card
-                  key={it._id}
-                  item={it}
-                  editing={editing}
-                  tagOptions={tagOptions}
-                  onStartEdit={() => setEditingId(it._id)}
-                  onCancel={() => setEditingId('')}
-                  onSave={() => saveItem(it)}
-                  onDelete={() => deleteItem(it._id)}
-                  onChange={(updated) => setItems(prev => prev.map(x => x._id === updated._id ? updated : x))}
-                />
-              );
-            })}
-          </div>
-        </SortableContext>
+      {view === 'tags' ? (
+        <TagManager
+          orgUuid={selectedOrgUuid}
+          onChanged={() => { fetchItems(selectedOrgUuid); fetchTags(selectedOrgUuid); }}
+          onStatus={(msg) => { setStatus(msg); setTimeout(() => setStatus(''), 2500); }}
+        />
+      ) : view === 'trash' ? (
+        <TrashView
+          orgUuid={selectedOrgUuid}
+          onRestored={() => { fetchItems(selectedOrgUuid); fetchTags(selectedOrgUuid); }}
+          onStatus={(msg) => { setStatus(msg); setTimeout(() => setStatus(''), 2500); }}
+        />
+      ) : (
+      <DndContext sensors={sensors} collisionDetection={groups.length ? groupAwareCollision : closestCenter} onDragEnd={onDragEnd}>
+        {filtered || !groups.length ? (
+          <SortableContext items={visibleItems.map(i => i._id)} strategy={verticalListSortingStrategy}>
+            {searchIds && !visibleItems.length ? <p className="trash-note">No cards match your search.</p> : null}
+            {!searchIds && brokenOnly && !visibleItems.length ? <p className="trash-note">No broken links.</p> : null}
+            <div className="admin-grid">
+              {visibleItems.map(renderCard)}
+            </div>
+          </SortableContext>
+        ) : (
+          // Functional: One sortable list per launcher section; cards drag within and between them
+          sections.map((sec, idx) => (
+            <GroupSection
+              key={sec.group ? sec.group._id : 'ungrouped'}
+              group={sec.group}
+              count={sec.cards.length}
+              first={idx === 1}
+              last={idx === sections.length - 1}
+              busy={!!sec.group && busyGroupId === sec.group._id}
+              onRename={() => renameGroup(sec.group)}
+              onToggleCollapsed={(collapsed) => setGroupCollapsed(sec.group, collapsed)}
+              onMove={(delta) => moveGroup(idx - 1, delta)}
+              onDelete={() => deleteGroup(sec.group)}
+            >
+              <SortableContext items={sec.cards.map(i => i._id)} strategy={verticalListSortingStrategy}>
+                <div className="admin-grid">
+                  {sec.cards.map(renderCard)}
+                </div>
+              </SortableContext>
+            </GroupSection>
+          ))
+        )}
       </DndContext>
+      )}
+      <ImportPanel
+        opened={importOpen}
+        orgUuid={selectedOrgUuid}
+        onClose={() => setImportOpen(false)}
+        onImported={(count) => {
+          fetchItems(selectedOrgUuid); fetchTags(selectedOrgUuid);
+          setStatus(`Imported ${count} card${count === 1 ? '' : 's'}`); setTimeout(() => setStatus(''), 2500);
+        }}
+      />
+      {/* Functional: Version history with per-revision diff and restore */}
+      <CardHistoryPanel
+        cardId={historyId}
+        cardTitle={items.find(i => i._id === historyId)?.title}
+        orgUuid={selectedOrgUuid}
+        onClose={() => setHistoryId('')}
+        onRestored={(fresh) => setItems(prev => prev.some(x => x._id === fresh._id) ? prev.map(x => x._id === fresh._id ? fresh : x) : [...prev, fresh])}
+      />
     </main>
     </>
   );
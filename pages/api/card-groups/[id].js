@@ -0,0 +1,38 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { parseGroupId, validateCardGroup, updateCardGroup, deleteCardGroup } from '../../../lib/cardGroups.js';
+
+// /api/card-groups/[id]: PATCH { title?, collapsed? } — edit a section;
+// DELETE — remove it, leaving its cards ungrouped (never deleted with it)
+// Strategic: 'cards.reorder' in the target org, like the rest of /api/card-groups writes.
+export default async function handler(req, res) {
+  const id = parseGroupId(req.query.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+
+  if (req.method === 'PATCH') {
+    return withSsoAuth(withOrgPermission('cards.reorder', async (req, res) => {
+      const ctx = req.orgContext;
+      const { fields, errors } = validateCardGroup(req.body);
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+      if (!Object.keys(fields).length) return res.status(400).json({ error: 'Nothing to update' });
+
+      const group = await updateCardGroup(ctx.orgUuid, id, fields);
+      if (!group) return res.status(404).json({ error: 'Card group not found in this organization' });
+      logEvent(EVENT_TYPES.CARD_GROUP_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, groupId: id, fields: Object.keys(fields) });
+      return res.status(200).json(group);
+    }))(req, res);
+  }
+
+  if (req.method === 'DELETE') {
+    return withSsoAuth(withOrgPermission('cards.reorder', async (req, res) => {
+      const ctx = req.orgContext;
+      const { deleted, ungrouped } = await deleteCardGroup(ctx.orgUuid, id);
+      if (!deleted) return res.status(404).json({ error: 'Card group not found in this organization' });
+      logEvent(EVENT_TYPES.CARD_GROUP_DELETE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, groupId: id, cardCount: ungrouped });
+      return res.status(200).json({ ok: true, ungrouped });
+    }))(req, res);
+  }
+
+  res.setHeader('Allow', ['PATCH', 'DELETE']);
+  return res.status(405).end('Method Not Allowed');
+}
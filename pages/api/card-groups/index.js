@@ -0,0 +1,39 @@
+import { getOrgContext } from '../../../lib/org.js';
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { listCardGroups, validateCardGroup, createCardGroup } from '../../../lib/cardGroups.js';
+
+// /api/card-groups: GET — the organization's launcher sections as
+// { _id, title, order, collapsed }, in display order (public, like GET /api/tags: the
+// sections are shown on the public pages anyway)
+// /api/card-groups: POST { title, collapsed? } — add a section at the end
+// Functional: Cards join a section via CardDoc.groupId (card PATCH, or the group-aware
+// POST /api/cards/reorder); edits and deletes live in [id].js, ordering in reorder.js.
+// Strategic: Writes require 'cards.reorder' -- sections are part of arranging the launcher,
+// the same admin-only permission as drag-and-drop.
+
+export default async function handler(req, res) {
+  if (req.method === 'POST') {
+    return withSsoAuth(withOrgPermission('cards.reorder', async (req, res) => {
+      const ctx = req.orgContext;
+      const { fields, errors } = validateCardGroup(req.body, { create: true });
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+      const group = await createCardGroup(ctx.orgUuid, { title: fields.title, collapsed: fields.collapsed });
+      logEvent(EVENT_TYPES.CARD_GROUP_CREATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, groupId: group._id });
+      return res.status(201).json(group);
+    }))(req, res);
+  }
+
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET', 'POST']); return res.status(405).end('Method Not Allowed'); }
+
+  const ctx = await getOrgContext(req);
+  if (!ctx?.orgUuid) return res.status(400).json({ error: 'Organization context required (X-Organization-UUID or ?orgUuid=)' });
+
+  try {
+    return res.status(200).json(await listCardGroups(ctx.orgUuid));
+  } catch (e) {
+    console.error('[card-groups] list query failed:', e.message);
+    return res.status(500).json({ error: 'Failed to load card groups' });
+  }
+}
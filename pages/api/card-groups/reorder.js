@@ -0,0 +1,22 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { parseGroupId, reorderCardGroups } from '../../../lib/cardGroups.js';
+
+// /api/card-groups/reorder: POST { ids: string[] } — set the order of the launcher sections
+// Functional: Each listed group gets its index as CardGroupDoc.order; ids of other orgs'
+// groups match nothing and are ignored. Ungrouped cards always come first.
+// Strategic: Requires 'cards.reorder' in the target org (X-Organization-UUID/?orgUuid=).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('cards.reorder', async (req, res) => {
+    const ctx = req.orgContext;
+    if (!Array.isArray(req.body?.ids)) return res.status(400).json({ error: 'ids array required' });
+    const ids = req.body.ids.map(parseGroupId);
+    if (ids.some(id => !id)) return res.status(400).json({ error: 'ids must be card group ids' });
+
+    const count = await reorderCardGroups(ctx.orgUuid, ids);
+    logEvent(EVENT_TYPES.CARD_GROUP_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, groupIds: ids, fields: ['order'] });
+    return res.status(200).json({ ok: true, count });
+  }))(req, res);
+}
@@ -2,7 +2,14 @@ import clientPromise from '../../../lib/db';
 import { ObjectId } from 'mongodb';
 import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
 import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
-import { normalizeBg, normalizeTags, toClient } from '../../../lib/shared.js';
+import { normalizeBg, normalizeTags, toClient, parseScheduleDate, diffCardFields, notTrashedFilter } from '../../../lib/shared.js';
+import { recordCardRevision } from '../../../lib/cardRevisions.js';
+import { parseGroupId, findOrgGroupIds } from '../../../lib/cardGroups.js';
+import { parseVisibility } from '../../../lib/cardVisibility.js';
+import { parseFavicon } from '../../../lib/linkPreview.js';
+import { parseUploadedImage } from '../../../lib/uploads.js';
+
+/** @typedef {import('../../../lib/types.js').CardDoc} CardDoc */
 
 export default async function handler(req, res) {
   const client = await clientPromise;
@@ -32,9 +39,75 @@ export default async function handler(req, res) {
           else update[k] = String(req.body[k] ?? '');
         }
       }
+
+      // Functional: Optional publish window -- null/'' clears a bound, anything else must parse.
+      // Strategic: The inverted-window check runs against the stored card when only one bound
+      // is being changed, so a PATCH can't produce a card that can never be visible.
+      for (const k of ['publishAt', 'expireAt']) {
+        if (k in req.body) {
+          const parsed = parseScheduleDate(req.body[k]);
+          if (parsed === undefined) return res.status(400).json({ error: `${k} must be a valid ISO 8601 timestamp` });
+          update[k] = parsed;
+        }
+      }
+      // Functional: Move the card to another launcher section (null = ungrouped).
+      // Strategic: Positional like `order`, so it is not a revision field (CARD_REVISION_FIELDS).
+      if ('groupId' in req.body) {
+        const group = parseGroupId(req.body.groupId);
+        if (group === undefined || (group && !(await findOrgGroupIds(ctx.orgUuid, [group])).has(group))) {
+          return res.status(400).json({ error: 'groupId must be a card group of this organization or null' });
+        }
+        update.groupId = group;
+      }
+      // Functional: Change who may see the card (lib/cardVisibility.js); null/'' resets to public.
+      // Strategic: Access control, not content, so it is not a revision field either -- restoring
+      // an old revision must never quietly re-expose a card that has since been restricted.
+      if ('visibility' in req.body) {
+        const vis = parseVisibility(req.body.visibility);
+        if (vis === undefined) {
+          return res.status(400).json({ error: "visibility must be 'public', 'members' or an array of role ids" });
+        }
+        update.visibility = vis;
+      }
+      // Functional: Card icon from the link preview (lib/linkPreview.js); null removes it.
+      // Strategic: Fetched, not authored, so it stays out of the revision history like groupId.
+      if ('favicon' in req.body) {
+        const icon = parseFavicon(req.body.favicon);
+        if (icon === undefined) {
+          return res.status(400).json({ error: 'favicon must be a base64 image data: URI of at most 32 KB, or null' });
+        }
+        update.favicon = icon;
+      }
+      // Functional: Uploaded card icon (POST /api/uploads, lib/uploads.js); null removes it.
+      // Strategic: Kept out of the revision history with `favicon`, so the two icon fields are
+      // always restored (or not) together.
+      if ('icon' in req.body) {
+        const image = parseUploadedImage(req.body.icon, ctx.orgUuid, 'icon');
+        if (image === undefined) {
+          return res.status(400).json({ error: 'icon must be an icon uploaded to this organization, or null' });
+        }
+        update.icon = image;
+      }
+      if ('publishAt' in update || 'expireAt' in update) {
+        const current = await col.findOne({ _id, orgUuid: ctx.orgUuid }, { projection: { publishAt: 1, expireAt: 1 } });
+        const publishAt = 'publishAt' in update ? update.publishAt : current?.publishAt;
+        const expireAt = 'expireAt' in update ? update.expireAt : current?.expireAt;
+        if (publishAt && expireAt && new Date(expireAt) <= new Date(publishAt)) {
+          return res.status(400).json({ error: 'expireAt must be later than publishAt' });
+        }
+      }
+      // Functional: A new href has not been checked yet; drop the old link health (lib/linkHealth.js)
+      if ('href' in update) Object.assign(update, { lastCheckedAt: null, lastStatus: null, brokenSince: null });
       update.updatedAt = new Date();
-      const r = await col.updateOne({ _id, orgUuid: ctx.orgUuid }, { $set: update });
-      if (!r.matchedCount) return res.status(404).json({ error: 'Card not found in this organization' });
+      // Functional: Atomic update that hands back the pre-change document for version history.
+      // Strategic: Only content changes (see CARD_REVISION_FIELDS) become a revision; an
+      // order-only PATCH is positional, not something an editor would want to restore.
+      // Trashed cards are read-only until restored from the trash (404 here).
+      const previous = await col.findOneAndUpdate({ _id, orgUuid: ctx.orgUuid, ...notTrashedFilter() }, { $set: update }, { returnDocument: 'before' });
+      if (!previous) return res.status(404).json({ error: 'Card not found in this organization' });
+      if (diffCardFields(previous, { ...previous, ...update }).length) {
+        await recordCardRevision(/** @type {CardDoc} */ (previous), 'update', req.user.ssoUserId);
+      }
       const doc = await col.findOne({ _id, orgUuid: ctx.orgUuid });
       logEvent(EVENT_TYPES.CARD_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString() });
       return res.status(200).json(toClient(doc));
@@ -46,12 +119,22 @@ export default async function handler(req, res) {
   // checks the caller holds 'cards.delete' in the target org before running the handler.
   // Org context ensures tenant isolation and is resolved internally, attached as
   // req.orgContext (see issue #8).
+  // Functional: DELETE moves the card to the trash (soft delete) rather than removing it.
+  // Strategic: One misclick used to lose a card for good; a trashed card is hidden everywhere
+  // but the admin Trash view (/api/cards/trash) until restored, deleted permanently, or
+  // purged after CARD_TRASH_RETENTION_DAYS (lib/cardTrash.js).
   if (req.method === 'DELETE') {
     return withSsoAuth(withOrgPermission('cards.delete', async (req, res) => {
       const ctx = req.orgContext;
-      const r = await col.deleteOne({ _id, orgUuid: ctx.orgUuid });
-      if (!r.deletedCount) return res.status(404).json({ error: 'Card not found in this organization' });
-      logEvent(EVENT_TYPES.CARD_DELETE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString() });
+      const previous = await col.findOneAndUpdate(
+        { _id, orgUuid: ctx.orgUuid, ...notTrashedFilter() },
+        { $set: { deletedAt: new Date(), deletedBy: req.user.ssoUserId } },
+        { returnDocument: 'before' }
+      );
+      if (!previous) return res.status(404).json({ error: 'Card not found in this organization' });
+      // Functional: Record the deletion in the card's history (who/when, last live state).
+      await recordCardRevision(/** @type {CardDoc} */ (previous), 'delete', req.user.ssoUserId);
+      logEvent(EVENT_TYPES.CARD_DELETE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString(), trashed: true });
       return res.status(204).end();
     }))(req, res);
   }
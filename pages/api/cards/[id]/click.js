@@ -0,0 +1,82 @@
+import clientPromise from '../../../../lib/db';
+import { ObjectId } from 'mongodb';
+import { getOrgContext } from '../../../../lib/org.js';
+import { getCardViewer, visibilityFilter } from '../../../../lib/cardVisibility.js';
+import { logCardClick } from '../../../../lib/analytics.js';
+import { recordRecentCard } from '../../../../lib/recentCards.js';
+import { publishWindowFilter, notTrashedFilter } from '../../../../lib/shared.js';
+import { createRateLimiter, clientIp, isLikelyBot } from '../../../../lib/requestGuards.js';
+
+// /api/cards/[id]/click: GET (and HEAD) — public click-tracking redirect
+// Functional: Resolves the card inside its organization, records a CARD_CLICK through the
+// batched analytics queue, and 302-redirects to the card's stored href.
+// Strategic: Card clicks used to be a pure client-side navigation, so CARD_CLICK was never
+// logged (see lib/analytics.js's header). The redirect target always comes from the stored
+// card — never from the request — so this cannot be used as an open redirect.
+
+// Functional: 60 clicks per IP per minute — far above any human clicking launcher cards.
+const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', ['GET', 'HEAD']);
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  // Functional: Rate limit before any DB work, so flooding costs us nothing but a Map lookup.
+  const limit = limiter.check(clientIp(req));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+    return res.status(429).json({ error: 'Too many requests' });
+  }
+
+  const { id } = req.query;
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return res.status(400).json({ error: 'Invalid id' }); }
+
+  const ctx = await getOrgContext(req);
+  if (!ctx?.orgUuid) {
+    return res.status(400).json({ error: 'Organization context required (X-Organization-UUID or ?orgUuid=)' });
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+
+    // Functional: Only cards the visitor can see on the launcher (not trashed, inside their
+    // publish window, visible to them -- lib/cardVisibility.js) resolve, so a members-only
+    // card's URL never leaks through its id.
+    const viewer = await getCardViewer(req, ctx.orgUuid);
+    const card = await db.collection('cards').findOne(
+      { _id, orgUuid: ctx.orgUuid, ...notTrashedFilter(), ...publishWindowFilter(), ...visibilityFilter(viewer) },
+      { projection: { href: 1 } }
+    );
+    if (!card?.href) return res.status(404).json({ error: 'Card not found in this organization' });
+
+    // Functional: Log only real GET navigations from non-bot user agents.
+    // Strategic: HEAD requests and crawlers/unfurlers still get the redirect (links keep
+    // working in previews) but are kept out of analyticsEvents.
+    if (req.method === 'GET' && !isLikelyBot(req.headers['user-agent'])) {
+      // Functional: Attribute the click to the signed-in user when there is a session cookie.
+      // Strategic: getCardViewer skips validateSsoSession for cookieless visitors, which avoids
+      // writing an "invalid session" authLogs entry on every anonymous click.
+      logCardClick(_id.toString(), ctx.orgUuid, viewer.userId);
+      // Functional: The user's "Recent" strip (lib/recentCards.js) -- written before the
+      // redirect so it is current on their next page load. A failure only costs the history
+      // entry, never the navigation.
+      if (viewer.userId) {
+        try {
+          await recordRecentCard(viewer.userId, ctx.orgUuid, _id.toString());
+        } catch (error) {
+          console.error('[cards click] Recent cards update failed:', error.message);
+        }
+      }
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.redirect(302, card.href);
+  } catch (error) {
+    console.error('[cards click] Error:', error.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,67 @@
+import clientPromise from '../../../../../../lib/db';
+import { ObjectId } from 'mongodb';
+import { withSsoAuth, withOrgPermission } from '../../../../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../../../../lib/analytics.js';
+import { getCardRevision, recordCardRevision } from '../../../../../../lib/cardRevisions.js';
+import { CARD_REVISION_FIELDS, toClient } from '../../../../../../lib/shared.js';
+
+/** @typedef {import('../../../../../../lib/types.js').CardDoc} CardDoc */
+
+// /api/cards/[id]/revisions/[rev]/restore: POST — roll a card back to a stored revision
+// Functional: Copies the revision's content fields (CARD_REVISION_FIELDS) back onto the card.
+// The state being replaced is itself recorded as a 'restore' revision, so a restore can be
+// undone the same way. A trashed card comes back out of the trash; a card that was removed
+// outright (before the trash existed) is re-created under its original _id.
+// Strategic: Requires 'cards.update' in the target org — restoring is an edit.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  const { id, rev } = req.query;
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return res.status(400).json({ error: 'Invalid id' }); }
+  const revNumber = Number(rev);
+  if (!Number.isInteger(revNumber) || revNumber < 1) return res.status(400).json({ error: 'Invalid revision' });
+
+  return withSsoAuth(withOrgPermission('cards.update', async (req, res) => {
+    const ctx = req.orgContext;
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+    const col = db.collection('cards');
+
+    const revision = await getCardRevision(ctx.orgUuid, _id.toString(), revNumber);
+    if (!revision) return res.status(404).json({ error: 'Revision not found for this card' });
+
+    const fields = {};
+    for (const k of CARD_REVISION_FIELDS) fields[k] = revision.snapshot[k] ?? null;
+    const now = new Date();
+
+    const current = await col.findOne({ _id, orgUuid: ctx.orgUuid });
+    if (current) {
+      await recordCardRevision(/** @type {CardDoc} */ (current), 'restore', req.user.ssoUserId);
+      await col.updateOne(
+        { _id, orgUuid: ctx.orgUuid },
+        // A different href has not been checked yet; drop the old link health (lib/linkHealth.js)
+        { $set: { ...fields, ...(fields.href !== current.href ? { lastCheckedAt: null, lastStatus: null, brokenSince: null } : {}), updatedAt: now }, $unset: { deletedAt: '', deletedBy: '' } }
+      );
+      logEvent(EVENT_TYPES.CARD_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString(), restoredFromRev: revNumber });
+    } else {
+      // Functional: Deleted card — re-create it at the end of the grid under its original _id,
+      // so its history stays attached and earlier revisions remain restorable.
+      const last = await col.find({ orgUuid: ctx.orgUuid }).sort({ order: -1 }).limit(1).toArray();
+      const nextOrder = last.length ? Number(last[0].order) + 1 : 0;
+      await col.insertOne({
+        ...revision.snapshot,
+        ...fields,
+        _id,
+        order: nextOrder,
+        orgUuid: ctx.orgUuid,
+        orgSlug: ctx.orgSlug || '',
+        updatedAt: now,
+      });
+      logEvent(EVENT_TYPES.CARD_CREATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString(), restoredFromRev: revNumber });
+    }
+
+    const doc = await col.findOne({ _id, orgUuid: ctx.orgUuid });
+    return res.status(200).json(toClient(doc));
+  }))(req, res);
+}
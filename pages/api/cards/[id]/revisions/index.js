@@ -0,0 +1,50 @@
+import clientPromise from '../../../../../lib/db';
+import { ObjectId } from 'mongodb';
+import { withSsoAuth, withOrgPermission } from '../../../../../lib/auth-oauth.js';
+import { listCardRevisions } from '../../../../../lib/cardRevisions.js';
+import { toClient } from '../../../../../lib/shared.js';
+
+// /api/cards/[id]/revisions: GET — a card's version history, newest first
+// Functional: Returns every stored pre-change snapshot plus the card's current state, so the
+// admin history drawer can diff each revision against whatever replaced it.
+// Strategic: Requires 'cards.read' in the target org (withOrgPermission resolves org context
+// from X-Organization-UUID/?orgUuid= as on every other card route); revisions are looked up
+// by orgUuid + cardId, so another tenant's history is never reachable by guessing an id.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+
+  const { id } = req.query;
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return res.status(400).json({ error: 'Invalid id' }); }
+
+  return withSsoAuth(withOrgPermission('cards.read', async (req, res) => {
+    const ctx = req.orgContext;
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+
+    const [revisions, current] = await Promise.all([
+      listCardRevisions(ctx.orgUuid, _id.toString()),
+      db.collection('cards').findOne({ _id, orgUuid: ctx.orgUuid }),
+    ]);
+    if (!revisions.length && !current) return res.status(404).json({ error: 'Card not found in this organization' });
+
+    // Functional: Resolve editor display names in one batch lookup
+    const editorIds = [...new Set(revisions.map(r => r.changedBy).filter(Boolean))];
+    const users = editorIds.length
+      ? await db.collection('users').find({ ssoUserId: { $in: editorIds } }).project({ ssoUserId: 1, name: 1, email: 1, _id: 0 }).toArray()
+      : [];
+    const names = new Map(users.map(u => [u.ssoUserId, u.name || u.email || null]));
+
+    return res.status(200).json({
+      current: current ? toClient(current) : null,
+      revisions: revisions.map(r => ({
+        rev: r.rev,
+        action: r.action,
+        changedBy: r.changedBy,
+        changedByName: names.get(r.changedBy) || null,
+        changedAt: r.changedAt,
+        snapshot: toClient(r.snapshot),
+      })),
+    });
+  }))(req, res);
+}
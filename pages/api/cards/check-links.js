@@ -0,0 +1,33 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logAdminAction } from '../../../lib/analytics.js';
+import { checkCardLinks } from '../../../lib/linkHealth.js';
+
+// /api/cards/check-links: POST { limit? } — check the org's card links now (lib/linkHealth.js)
+// Functional: Records lastCheckedAt / lastStatus / brokenSince on each checked card and
+// returns { checked, broken, skipped, urls, remaining }; `skipped` counts links the SSRF guard
+// refused to request (private network addresses, non-default ports).
+// Strategic: 'cards.update', since it writes to the org's cards. A request checks at most
+// `limit` cards (default 100, max 500), least recently checked first, so it stays within a
+// serverless time budget; `remaining` > 0 means another run continues where this one
+// stopped. scripts/check-links.mjs does the full, scheduled sweep.
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('cards.update', async (req, res) => {
+    const ctx = req.orgContext;
+    const raw = Number(req.body?.limit);
+    const limit = Number.isFinite(raw) && raw > 0 ? Math.min(Math.floor(raw), MAX_LIMIT) : DEFAULT_LIMIT;
+
+    try {
+      const summary = await checkCardLinks({ orgUuid: ctx.orgUuid, limit });
+      logAdminAction('check_links', ctx.orgUuid, req.user.ssoUserId, summary);
+      return res.status(200).json(summary);
+    } catch (error) {
+      console.error('[cards check-links] Error:', error.message);
+      return res.status(500).json({ error: 'Link check failed' });
+    }
+  }))(req, res);
+}
@@ -0,0 +1,48 @@
+import clientPromise from '../../../lib/db';
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { notTrashedFilter } from '../../../lib/shared.js';
+import { EXPORT_FORMATS, EXPORT_CONTENT_TYPES, cardsToJson, cardsToCsv, cardsToBookmarksHtml, cardsToOpml } from '../../../lib/cardExport.js';
+
+/** @typedef {import('../../../lib/types.js').CardDoc} CardDoc */
+
+// /api/cards/export?format=csv|json|html|opml — download an organization's cards
+// Functional: Returns every non-trashed card in the org (scheduled and expired ones too --
+// an export is a backup, not the public view) in display order, as a file attachment.
+// `format=json` is the lossless one and imports unchanged through POST /api/cards/import.
+// Strategic: Requires 'cards.read' in the target org. withOrgPermission resolves the org
+// through getOrgContext (X-Organization-UUID header or ?orgUuid=), so a plain download
+// link with ?orgUuid= works from the admin page without a fetch.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+
+  const format = typeof req.query.format === 'string' && req.query.format ? req.query.format.toLowerCase() : 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  return withSsoAuth(withOrgPermission('cards.read', async (req, res) => {
+    const ctx = req.orgContext;
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+
+    const cards = /** @type {CardDoc[]} */ (/** @type {unknown} */ (await db.collection('cards')
+      .find({ orgUuid: ctx.orgUuid, ...notTrashedFilter() })
+      .sort({ order: 1, _id: 1 })
+      .toArray()));
+
+    const org = { uuid: ctx.orgUuid, slug: ctx.orgSlug || '', name: ctx.org?.name || '' };
+    let body;
+    if (format === 'csv') body = cardsToCsv(cards);
+    else if (format === 'html') body = cardsToBookmarksHtml(cards, org);
+    else if (format === 'opml') body = cardsToOpml(cards, org);
+    else body = cardsToJson(cards, org);
+
+    const { type, ext } = EXPORT_CONTENT_TYPES[format];
+    const date = new Date().toISOString().slice(0, 10);
+    const safeSlug = (org.slug || 'cards').replace(/[^a-z0-9-]/gi, '-');
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Disposition', `attachment; filename="launchmass-${safeSlug}-${date}.${ext}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(body);
+  }))(req, res);
+}
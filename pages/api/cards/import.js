@@ -0,0 +1,121 @@
+import clientPromise from '../../../lib/db';
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { notTrashedFilter } from '../../../lib/shared.js';
+import { IMPORT_FORMATS, MAX_IMPORT_ROWS, detectImportFormat, parseImport, validateImportRow } from '../../../lib/cardImport.js';
+import { findOrgGroupIds, parseGroupId } from '../../../lib/cardGroups.js';
+import { parseUploadedImage } from '../../../lib/uploads.js';
+
+// Functional: Allow larger bodies than Next's 1mb default -- a browser bookmark export with a
+// few hundred links and favicons inlined as data URIs easily exceeds it.
+export const config = { api: { bodyParser: { sizeLimit: '5mb' } } };
+
+// /api/cards/import: POST — bulk-create cards from CSV, a JSON array or bookmark HTML
+// Functional: Body `{ content, format?, dryRun?, skipDuplicates? }`. `content` is the file
+// text (or an already-parsed JSON array); `format` is csv|json|html and is detected from
+// the content when omitted. Every row is validated and normalized (lib/cardImport.js);
+// the response lists each row with status ok / invalid / duplicate and its errors.
+// dryRun defaults to true: nothing is written until the caller repeats the request with
+// `dryRun: false`, which inserts the valid rows (invalid rows are skipped) after the org's
+// existing cards, in file order.
+// A JSON export carries each card's visibility, favicon, group and uploaded icon, so it
+// re-imports exactly. The group and icon are org-local: they are kept when they still
+// resolve in this org and dropped otherwise. A role-restricted card whose roles don't all
+// exist here becomes 'members' -- never public.
+// Strategic: Requires 'cards.create' in the target org, like POST /api/cards.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('cards.create', async (req, res) => {
+    const ctx = req.orgContext;
+    const { content, dryRun = true, skipDuplicates = true } = req.body || {};
+    if (content === undefined || content === null || content === '') {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    const format = typeof req.body.format === 'string' && req.body.format ? req.body.format.toLowerCase() : detectImportFormat(content);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    let parsed;
+    try {
+      parsed = parseImport(/** @type {'csv'|'json'|'html'} */ (format), content);
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read ${format} content: ${err.message}` });
+    }
+    if (!parsed.length) return res.status(400).json({ error: 'No rows found in content' });
+    if (parsed.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Too many rows (${parsed.length}); the limit is ${MAX_IMPORT_ROWS} per import` });
+    }
+
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+    const col = db.collection('cards');
+
+    // Functional: Duplicate detection by href -- against the org's live cards and within the file
+    const existing = await col.distinct('href', { orgUuid: ctx.orgUuid, ...notTrashedFilter() });
+    const seen = new Set(existing.map(String));
+
+    // Functional: Org-local references (group, uploaded icon, visibility roles) are resolved
+    // against this org; see the header comment
+    const validated = parsed.map(({ row, raw }) => ({ row, ...validateImportRow(raw) }));
+    const groupCandidates = [...new Set(validated.map(v => parseGroupId(v.card.groupId)).filter(Boolean))];
+    const [groupIds, customRoles] = await Promise.all([
+      findOrgGroupIds(ctx.orgUuid, groupCandidates),
+      db.collection('organizationRoles').distinct('roleId', { orgUuid: ctx.orgUuid }),
+    ]);
+    const roleIds = new Set(['admin', 'user', ...customRoles.map(String)]);
+
+    const rows = validated.map(({ row, card, errors }) => {
+      const groupId = parseGroupId(card.groupId);
+      card.groupId = groupId && groupIds.has(groupId) ? groupId : null;
+      card.icon = card.icon ? parseUploadedImage(card.icon, ctx.orgUuid, 'icon') || null : null;
+      if (Array.isArray(card.visibility) && !card.visibility.every(r => roleIds.has(r))) card.visibility = 'members';
+      let status = errors.length ? 'invalid' : 'ok';
+      if (status === 'ok' && seen.has(card.href)) status = 'duplicate';
+      if (status === 'ok') seen.add(card.href);
+      return { row, status, errors, card };
+    });
+
+    const toInsert = rows.filter(r => r.status === 'ok' || (r.status === 'duplicate' && !skipDuplicates));
+    const summary = {
+      dryRun: dryRun !== false,
+      format,
+      total: rows.length,
+      valid: rows.filter(r => r.status === 'ok').length,
+      invalid: rows.filter(r => r.status === 'invalid').length,
+      duplicates: rows.filter(r => r.status === 'duplicate').length,
+      toInsert: toInsert.length,
+    };
+    // Preview cards have no _id yet, so dates are serialized here rather than via toClient
+    const preview = rows.map(r => ({
+      row: r.row,
+      status: r.status,
+      errors: r.errors,
+      card: { ...r.card, publishAt: r.card.publishAt?.toISOString() ?? null, expireAt: r.card.expireAt?.toISOString() ?? null },
+    }));
+
+    if (summary.dryRun || !toInsert.length) {
+      return res.status(200).json({ ...summary, inserted: 0, rows: preview });
+    }
+
+    const last = await col.find({ orgUuid: ctx.orgUuid }).sort({ order: -1 }).limit(1).toArray();
+    const firstOrder = last.length ? Number(last[0].order) + 1 : 0;
+    const now = new Date();
+    const docs = toInsert.map((r, idx) => ({
+      ...r.card,
+      order: firstOrder + idx,
+      createdAt: now,
+      updatedAt: now,
+      orgUuid: ctx.orgUuid,
+      orgSlug: ctx.orgSlug || '',
+    }));
+    const result = await col.insertMany(docs, { ordered: true });
+    const cardIds = Object.values(result.insertedIds).map(id => id.toString());
+
+    logEvent(EVENT_TYPES.CARD_CREATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardIds, source: 'import', format });
+
+    return res.status(201).json({ ...summary, inserted: cardIds.length, rows: preview });
+  }))(req, res);
+}
@@ -2,7 +2,12 @@ import clientPromise from '../../../lib/db';
 import { getOrgContext } from '../../../lib/org.js';
 import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
 import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
-import { DEFAULT_BG, normalizeBg, normalizeTags, toClient } from '../../../lib/shared.js';
+import { DEFAULT_BG, normalizeBg, normalizeTags, toClient, parseScheduleDate, publishWindowFilter, notTrashedFilter, parseTagFilter, tagFilter, parseSearchQuery } from '../../../lib/shared.js';
+import { searchCards } from '../../../lib/cardSearch.js';
+import { parseGroupId, findOrgGroupIds } from '../../../lib/cardGroups.js';
+import { getCardViewer, visibilityFilter, parseVisibility } from '../../../lib/cardVisibility.js';
+import { parseFavicon } from '../../../lib/linkPreview.js';
+import { parseUploadedImage } from '../../../lib/uploads.js';
 
 // Functional: Debug logger gated behind CARDS_DEBUG.
 // Strategic: Matches the OAUTH_DEBUG (pages/api/oauth/callback.js) / ORG_CACHE_DEBUG
@@ -16,20 +21,9 @@ export default async function handler(req, res) {
     const db = client.db(process.env.DB_NAME || 'launchmass');
     const col = db.collection('cards');
 
-    if (req.method === 'GET') {
-      // Functional: Require an org context to scope results to that organization.
-      // Strategic: Fail closed — absence of org context is a 400, not a cross-tenant
-      // fallback that returns every organization's cards (see issue #10).
-      const ctx = await getOrgContext(req);
-
-      if (!ctx?.orgUuid) {
-        return res.status(400).json({
-          error: 'Organization context required (X-Organization-UUID or ?orgUuid=)'
-        });
-      }
-
-      const filter = { orgUuid: ctx.orgUuid };
-
+    // Functional: Shared GET body for both the public and the includeOutOfWindow path.
+    // Strategic: Keeps pagination (issue #22) identical regardless of which filter applies.
+    async function listCards(req, res, ctx, filter) {
       // Functional: Optional limit/offset pagination (issue #22).
       // Strategic: Strictly additive/backward-compatible — omitting both params must
       // preserve today's exact bare-array response for every existing caller (admin UI,
@@ -42,6 +36,19 @@ export default async function handler(req, res) {
       const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(rawLimit, MAX_LIMIT) : null;
       const offset = Number.isFinite(rawOffset) && rawOffset >= 0 ? rawOffset : 0;
 
+      // Functional: ?q= search (lib/cardSearch.js) -- relevance order instead of display
+      // order, paged over the ranked list with the same limit/offset/total contract.
+      const q = parseSearchQuery(req.query);
+      if (q) {
+        const hits = await searchCards(filter, q);
+        dlog('[cards API]', req.method, 'org=', ctx.orgUuid, 'search hits=', hits.length);
+        if (limit !== null) {
+          const page = hits.slice(offset, offset + limit);
+          return res.status(200).json({ cards: page.map(toClient), total: hits.length, hasMore: hits.length > offset + page.length });
+        }
+        return res.status(200).json(hits.map(toClient));
+      }
+
       const query = col.find(filter).sort({ order: 1, _id: 1 });
 
       if (limit !== null) {
@@ -59,6 +66,41 @@ export default async function handler(req, res) {
       return res.status(200).json(docs.map(toClient));
     }
 
+    if (req.method === 'GET') {
+      // Functional: Require an org context to scope results to that organization.
+      // Strategic: Fail closed — absence of org context is a 400, not a cross-tenant
+      // fallback that returns every organization's cards (see issue #10).
+      const ctx = await getOrgContext(req);
+
+      if (!ctx?.orgUuid) {
+        return res.status(400).json({
+          error: 'Organization context required (X-Organization-UUID or ?orgUuid=)'
+        });
+      }
+
+      // Functional: Publish-window filtering (scheduled/expired cards).
+      // Strategic: The default, public-when-scoped listing only returns cards inside their
+      // publishAt/expireAt window, matching the public pages. ?includeOutOfWindow=true
+      // returns every card (the admin editor needs them to show scheduled/expired badges),
+      // but only to a caller holding 'cards.read' in the org -- a scheduled event link must
+      // not leak through the public endpoint before its publish time. Trashed cards are
+      // excluded on both paths; they are listed only by GET /api/cards/trash.
+      // ?tags=a,b&match=all|any (or a single ?tag=) narrows either path, exactly as on the
+      // public pages (lib/shared.js parseTagFilter).
+      // The public path also applies per-card visibility for whoever is asking (anonymous,
+      // member, role -- lib/cardVisibility.js), the same rule as the public pages; the
+      // editor path lists everything, since 'cards.read' holders manage every card.
+      const byTags = tagFilter(parseTagFilter(req.query));
+      if (req.query.includeOutOfWindow === 'true') {
+        return withSsoAuth(withOrgPermission('cards.read', async (req, res) => (
+          listCards(req, res, ctx, { orgUuid: ctx.orgUuid, ...notTrashedFilter(), ...byTags })
+        )))(req, res);
+      }
+
+      const viewer = await getCardViewer(req, ctx.orgUuid);
+      return listCards(req, res, ctx, { orgUuid: ctx.orgUuid, ...notTrashedFilter(), ...publishWindowFilter(), ...byTags, ...visibilityFilter(viewer) });
+    }
+
   // Functional: Protect POST (create) operation with org-scoped authorization
   // Strategic: withSsoAuth authenticates and populates req.user; withOrgPermission then
   // checks the caller holds 'cards.create' in the target org (X-Organization-UUID/?orgUuid=)
@@ -69,7 +111,44 @@ export default async function handler(req, res) {
     return withSsoAuth(withOrgPermission('cards.create', async (req, res) => {
       const ctx = req.orgContext;
 
-      const { href = '', title = '', description = '', order, background, tags } = req.body || {};
+      const { href = '', title = '', description = '', order, background, tags, publishAt, expireAt, groupId, visibility, favicon, icon } = req.body || {};
+
+      // Functional: Optional publish window; both bounds may be omitted.
+      // Strategic: Reject unparseable or inverted windows up front rather than storing a card
+      // that can never be visible.
+      const publishDate = parseScheduleDate(publishAt);
+      const expireDate = parseScheduleDate(expireAt);
+      if (publishDate === undefined || expireDate === undefined) {
+        return res.status(400).json({ error: 'publishAt/expireAt must be valid ISO 8601 timestamps' });
+      }
+      if (publishDate && expireDate && expireDate <= publishDate) {
+        return res.status(400).json({ error: 'expireAt must be later than publishAt' });
+      }
+
+      // Functional: Optional launcher section (lib/cardGroups.js); must be one of this org's groups
+      const group = parseGroupId(groupId);
+      if (group === undefined || (group && !(await findOrgGroupIds(ctx.orgUuid, [group])).has(group))) {
+        return res.status(400).json({ error: 'groupId must be a card group of this organization or null' });
+      }
+
+      // Functional: Who may see the card (lib/cardVisibility.js); omitted means public
+      const vis = parseVisibility(visibility);
+      if (vis === undefined) {
+        return res.status(400).json({ error: "visibility must be 'public', 'members' or an array of role ids" });
+      }
+
+      // Functional: Optional card icon from the link preview (lib/linkPreview.js)
+      const linkIcon = parseFavicon(favicon);
+      if (linkIcon === undefined) {
+        return res.status(400).json({ error: 'favicon must be a base64 image data: URI of at most 32 KB, or null' });
+      }
+
+      // Functional: Optional uploaded icon (POST /api/uploads, lib/uploads.js)
+      const uploadedIcon = icon === undefined ? null : parseUploadedImage(icon, ctx.orgUuid, 'icon');
+      if (uploadedIcon === undefined) {
+        return res.status(400).json({ error: 'icon must be an icon uploaded to this organization, or null' });
+      }
+
       const last = await col.find({ orgUuid: ctx.orgUuid }).sort({ order: -1 }).limit(1).toArray();
       const nextOrder = Number.isFinite(order) ? Number(order) : (last.length ? (Number(last[0].order) + 1) : 0);
       const now = new Date();
@@ -79,7 +158,7 @@ export default async function handler(req, res) {
       // Strategic: Ensures consistent filtering and prevents duplicates across the system.
       const safeTags = normalizeTags(tags);
 
-      const doc = { href: String(href), title: String(title), description: String(description), background: bg, order: nextOrder, createdAt: now, updatedAt: now, tags: safeTags, orgUuid: ctx.orgUuid, orgSlug: ctx.orgSlug || '' };
+      const doc = { href: String(href), title: String(title), description: String(description), background: bg, order: nextOrder, createdAt: now, updatedAt: now, tags: safeTags, orgUuid: ctx.orgUuid, orgSlug: ctx.orgSlug || '', publishAt: publishDate, expireAt: expireDate, groupId: group, visibility: vis, favicon: linkIcon, icon: uploadedIcon };
       const r = await col.insertOne(doc);
       const created = { _id: r.insertedId.toString(), ...doc };
       logEvent(EVENT_TYPES.CARD_CREATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: created._id });
@@ -0,0 +1,27 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { getLinkPreview } from '../../../lib/linkPreview.js';
+import { createRateLimiter } from '../../../lib/requestGuards.js';
+
+// /api/cards/preview: GET ?url= — title, description, site name and favicon of a page, for
+// prefilling a card in the admin editor (lib/linkPreview.js)
+// Strategic: 'cards.update', since only card editors need it, and the fetch is SSRF-guarded,
+// size-capped, timed out and cached there. The per-user limit keeps an editor's session from
+// being used to make the server crawl: cached answers are cheap, but each miss is an
+// outbound request.
+const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('cards.update', async (req, res) => {
+    const limit = limiter.check(req.user.ssoUserId);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    const { preview, cached, error, status } = await getLinkPreview(req.query.url);
+    if (!preview) return res.status(status).json({ error });
+    return res.status(200).json({ ...preview, cached });
+  }))(req, res);
+}
@@ -2,6 +2,8 @@ import clientPromise from '../../../lib/db';
 import { ObjectId } from 'mongodb';
 import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
 import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { parseGroupId, findOrgGroupIds } from '../../../lib/cardGroups.js';
+import { notTrashedFilter } from '../../../lib/shared.js';
 
 // Functional: Protect reorder operation with org-scoped authorization
 // Strategic: Drag-and-drop reordering is an admin-only operation (permission matrix
@@ -10,28 +12,63 @@ import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
 // the target org before running the handler. withOrgPermission alone does not validate
 // the session -- it resolves org context internally and attaches it as req.orgContext
 // (see issue #8).
+//
+// Payloads:
+//   { ids: [...] }                                   -- flat order; groupId is left alone
+//   { groups: [{ groupId: string|null, ids: [...] }] } -- group-aware (v1.36.0+): each card
+//     moves into its section (null = ungrouped) and `order` runs on across the sections in
+//     payload order, so the flat order still matches the launcher (lib/cardGroups.js)
 export default async function handler(req, res) {
   if (req.method !== 'POST') { res.setHeader('Allow',['POST']); return res.status(405).end('Method Not Allowed'); }
 
   return withSsoAuth(withOrgPermission('cards.reorder', async (req, res) => {
-    const { ids } = req.body || {};
-    if (!Array.isArray(ids)) return res.status(400).json({ error: 'ids array required' });
-
+    const { ids, groups } = req.body || {};
     const ctx = req.orgContext;
 
+    // Normalize both payloads to [{ groupId, ids }]; groupId undefined = leave as is
+    let sections;
+    if (Array.isArray(groups)) {
+      sections = [];
+      for (const g of groups) {
+        const groupId = parseGroupId(g?.groupId);
+        if (groupId === undefined || !Array.isArray(g?.ids)) return res.status(400).json({ error: 'groups must be [{ groupId: string|null, ids: [] }]' });
+        sections.push({ groupId, ids: g.ids.map(String) });
+      }
+      const named = [...new Set(sections.map(s => s.groupId).filter(Boolean))];
+      const found = await findOrgGroupIds(ctx.orgUuid, named);
+      if (found.size !== named.length) return res.status(400).json({ error: 'One or more groups do not belong to this organization' });
+    } else if (Array.isArray(ids)) {
+      sections = [{ groupId: undefined, ids: ids.map(String) }];
+    } else {
+      return res.status(400).json({ error: 'ids array or groups array required' });
+    }
+
+    const allIds = sections.flatMap(s => s.ids);
+    if (new Set(allIds).size !== allIds.length) return res.status(400).json({ error: 'A card may appear only once' });
+
     const client = await clientPromise;
     const db = client.db(process.env.DB_NAME || 'launchmass');
     const col = db.collection('cards');
 
-    // Validate that all ids belong to this organization to prevent cross-tenant leakage
-    const objectIds = ids.map((id) => { try { return new ObjectId(id); } catch { return null; } }).filter(Boolean);
-    const owned = await col.find({ _id: { $in: objectIds }, orgUuid: ctx.orgUuid }).project({ _id: 1 }).toArray();
-    if (owned.length !== objectIds.length) return res.status(400).json({ error: 'One or more cards do not belong to this organization' });
+    // Validate that all ids belong to this organization to prevent cross-tenant leakage; a
+    // trashed card counts as missing, so a stale list can't reorder it behind the trash
+    const objectIds = allIds.map((id) => { try { return new ObjectId(id); } catch { return null; } }).filter(Boolean);
+    if (objectIds.length !== allIds.length) return res.status(400).json({ error: 'Invalid card id' });
+    const owned = await col.find({ _id: { $in: objectIds }, orgUuid: ctx.orgUuid, ...notTrashedFilter() }).project({ _id: 1 }).toArray();
+    if (owned.length !== objectIds.length) return res.status(400).json({ error: 'One or more cards do not belong to this organization or are in the trash' });
 
-    const ops = ids.map((id, idx) => ({ updateOne: { filter: { _id: new ObjectId(id), orgUuid: ctx.orgUuid }, update: { $set: { order: idx, updatedAt: new Date() } } } }));
+    const now = new Date();
+    let idx = 0;
+    const ops = [];
+    for (const s of sections) {
+      for (const id of s.ids) {
+        const $set = { order: idx++, updatedAt: now, ...(s.groupId !== undefined ? { groupId: s.groupId } : {}) };
+        ops.push({ updateOne: { filter: { _id: new ObjectId(id), orgUuid: ctx.orgUuid, ...notTrashedFilter() }, update: { $set } } });
+      }
+    }
     if (ops.length) await col.bulkWrite(ops);
 
-    logEvent(EVENT_TYPES.CARD_REORDER, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardIds: ids });
+    logEvent(EVENT_TYPES.CARD_REORDER, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardIds: allIds, ...(Array.isArray(groups) ? { groupIds: sections.map(s => s.groupId) } : {}) });
 
     return res.status(200).json({ ok: true, count: ops.length });
   }))(req, res);
@@ -0,0 +1,46 @@
+import clientPromise from '../../../../lib/db';
+import { ObjectId } from 'mongodb';
+import { withSsoAuth, withOrgPermission } from '../../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../../lib/analytics.js';
+import { toClient } from '../../../../lib/shared.js';
+import { deleteTrashedCards } from '../../../../lib/cardTrash.js';
+
+// /api/cards/trash/[id]: POST restores a trashed card, DELETE removes it permanently
+// Functional: Both act only on cards that are currently in the trash (deletedAt set);
+// a live card answers 404 here, so "Delete permanently" can never skip the trash.
+// Strategic: Both require 'cards.delete' in the target org, like moving a card to the trash.
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    res.setHeader('Allow', ['POST', 'DELETE']);
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  const { id } = req.query;
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return res.status(400).json({ error: 'Invalid id' }); }
+
+  return withSsoAuth(withOrgPermission('cards.delete', async (req, res) => {
+    const ctx = req.orgContext;
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+    const col = db.collection('cards');
+
+    if (req.method === 'POST') {
+      // Functional: Restore keeps the card's original order slot and content
+      const r = await col.updateOne(
+        { _id, orgUuid: ctx.orgUuid, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt: new Date() } }
+      );
+      if (!r.matchedCount) return res.status(404).json({ error: 'Card not found in this organization\'s trash' });
+      const doc = await col.findOne({ _id, orgUuid: ctx.orgUuid });
+      logEvent(EVENT_TYPES.CARD_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString(), restoredFromTrash: true });
+      return res.status(200).json(toClient(doc));
+    }
+
+    // Functional: Permanent delete — removes the card and its version history
+    const removed = await deleteTrashedCards({ _id, orgUuid: ctx.orgUuid });
+    if (!removed) return res.status(404).json({ error: 'Card not found in this organization\'s trash' });
+    logEvent(EVENT_TYPES.CARD_DELETE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, cardId: _id.toString(), permanent: true });
+    return res.status(204).end();
+  }))(req, res);
+}
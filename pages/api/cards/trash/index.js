@@ -0,0 +1,37 @@
+import clientPromise from '../../../../lib/db';
+import { withSsoAuth, withOrgPermission } from '../../../../lib/auth-oauth.js';
+import { toClient } from '../../../../lib/shared.js';
+import { TRASH_RETENTION_DAYS, trashPurgeAt, purgeExpiredTrash } from '../../../../lib/cardTrash.js';
+
+// /api/cards/trash: GET — trashed (soft-deleted) cards of the current organization
+// Functional: Lists cards moved to the trash by DELETE /api/cards/[id], newest first, with
+// who trashed them and when each will be purged.
+// Strategic: Requires 'cards.delete' in the target org — the trash is the undo surface for
+// deletion, so it is shown to exactly the users who can delete. Expired cards are purged
+// for this org before listing, so the view never shows a card past its retention.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('cards.delete', async (req, res) => {
+    const ctx = req.orgContext;
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+
+    try {
+      await purgeExpiredTrash({ orgUuid: ctx.orgUuid });
+    } catch (err) {
+      // Non-fatal: listing still works; the next view or the scheduled script retries
+      console.error('[cards trash] purge failed:', err.message);
+    }
+
+    const docs = await db.collection('cards')
+      .find({ orgUuid: ctx.orgUuid, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1, _id: 1 })
+      .toArray();
+
+    return res.status(200).json({
+      retentionDays: TRASH_RETENTION_DAYS > 0 ? TRASH_RETENTION_DAYS : null,
+      cards: docs.map(d => ({ ...toClient(d), purgeAt: trashPurgeAt(d.deletedAt) })),
+    });
+  }))(req, res);
+}
@@ -0,0 +1,46 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { parseLinkId, getLink, validateLink, updateLink, deleteLink } from '../../../lib/links.js';
+
+// /api/links/[id]: GET — one link; PATCH { href?, title?, description?, order? } — edit it;
+// DELETE — remove it
+// Strategic: Every lookup is by id *and* the caller's org (lib/links.js), so another org's
+// link id is a 404, never a cross-tenant read or write. Permissions match /api/cards/[id].
+export default async function handler(req, res) {
+  const id = parseLinkId(req.query.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+
+  if (req.method === 'GET') {
+    return withSsoAuth(withOrgPermission('cards.read', async (req, res) => {
+      const link = await getLink(req.orgContext.orgUuid, id);
+      if (!link) return res.status(404).json({ error: 'Link not found in this organization' });
+      return res.status(200).json(link);
+    }))(req, res);
+  }
+
+  if (req.method === 'PATCH') {
+    return withSsoAuth(withOrgPermission('cards.update', async (req, res) => {
+      const ctx = req.orgContext;
+      const { fields, errors } = validateLink(req.body);
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+      if (!Object.keys(fields).length) return res.status(400).json({ error: 'Nothing to update' });
+
+      const link = await updateLink(ctx.orgUuid, id, fields);
+      if (!link) return res.status(404).json({ error: 'Link not found in this organization' });
+      logEvent(EVENT_TYPES.LINK_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, linkId: id, fields: Object.keys(fields) });
+      return res.status(200).json(link);
+    }))(req, res);
+  }
+
+  if (req.method === 'DELETE') {
+    return withSsoAuth(withOrgPermission('cards.delete', async (req, res) => {
+      const ctx = req.orgContext;
+      if (!(await deleteLink(ctx.orgUuid, id))) return res.status(404).json({ error: 'Link not found in this organization' });
+      logEvent(EVENT_TYPES.LINK_DELETE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, linkId: id });
+      return res.status(200).json({ ok: true });
+    }))(req, res);
+  }
+
+  res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']);
+  return res.status(405).end('Method Not Allowed');
+}
@@ -1,32 +1,38 @@
-import clientPromise from '../../../lib/db';
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { listLinks, validateLink, createLink } from '../../../lib/links.js';
 
+// /api/links: GET — the organization's links as { _id, href, title, description, order,
+// createdAt, updatedAt }, in order
+// /api/links: POST { href, title?, description?, order? } — add one link
+// Functional: Per-link edits and deletes live in [id].js (lib/links.js).
+// Strategic: Org-scoped and authenticated like /api/cards, with the same permissions
+// ('cards.read' / 'cards.create'). This replaces the old unscoped endpoint whose PUT
+// replaced the whole collection for anyone who knew the URL; that bulk PUT is gone.
 export default async function handler(req, res) {
-  const client = await clientPromise;
-  const db = client.db(process.env.DB_NAME || 'launchmass');
-  const col = db.collection('links');
-
   if (req.method === 'GET') {
-    const docs = await col.find({}).sort({ order: 1, _id: 1 }).toArray();
-    return res.status(200).json(docs);
+    return withSsoAuth(withOrgPermission('cards.read', async (req, res) => {
+      try {
+        return res.status(200).json(await listLinks(req.orgContext.orgUuid));
+      } catch (e) {
+        console.error('[links] list query failed:', e.message);
+        return res.status(500).json({ error: 'Failed to load links' });
+      }
+    }))(req, res);
   }
 
-  if (req.method === 'PUT') {
-    if (!Array.isArray(req.body)) return res.status(400).json({ error: 'Array required' });
-    const now = new Date();
-    const docs = req.body.map((d, i) => ({
-      href: String(d.href || ''),
-      title: String(d.title || ''),
-      description: String(d.description || ''),
-      order: Number.isFinite(d.order) ? d.order : i,
-      createdAt: now,
-      updatedAt: now,
-    }));
-    await col.deleteMany({});
-    if (docs.length) await col.insertMany(docs);
-    await col.createIndex({ order: 1 });
-    return res.status(200).json({ ok: true, count: docs.length });
+  if (req.method === 'POST') {
+    return withSsoAuth(withOrgPermission('cards.create', async (req, res) => {
+      const ctx = req.orgContext;
+      const { fields, errors } = validateLink(req.body, { create: true });
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+      const link = await createLink(ctx.orgUuid, { href: fields.href, title: fields.title, description: fields.description, order: fields.order });
+      logEvent(EVENT_TYPES.LINK_CREATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, linkId: link._id });
+      return res.status(201).json(link);
+    }))(req, res);
   }
 
-  res.setHeader('Allow', ['GET', 'PUT']);
+  res.setHeader('Allow', ['GET', 'POST']);
   return res.status(405).end('Method Not Allowed');
 }
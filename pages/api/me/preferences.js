@@ -0,0 +1,38 @@
+import { withSsoAuth } from '../../../lib/auth-oauth.js';
+import { getOrgContext } from '../../../lib/org.js';
+import { validatePreferences, getUserPreferences, updateUserPreferences, resetUserPreferences } from '../../../lib/userPreferences.js';
+
+// /api/me/preferences: the signed-in user's own launcher overlay for one org
+// (X-Organization-UUID or ?orgUuid=) -- GET; PATCH { favorites?, hidden?, order?, myLauncher? }
+// (each list replaces the stored one); DELETE resets to the shared launcher.
+// Strategic: Only a valid SSO session is required, not an org permission: the overlay is
+// personal, touches no shared data (lib/userPreferences.js) and is keyed by the caller's own
+// ssoUserId, so nobody can read or change another user's launcher.
+export default async function handler(req, res) {
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']);
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  return withSsoAuth(async (req, res) => {
+    const ctx = await getOrgContext(req);
+    if (!ctx?.orgUuid) {
+      return res.status(400).json({ error: 'Organization context required (X-Organization-UUID or ?orgUuid=)' });
+    }
+    const userId = req.user.ssoUserId;
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await getUserPreferences(userId, ctx.orgUuid));
+    }
+
+    if (req.method === 'PATCH') {
+      const { fields, errors } = validatePreferences(req.body);
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+      if (!Object.keys(fields).length) return res.status(400).json({ error: 'Nothing to update' });
+      return res.status(200).json(await updateUserPreferences(userId, ctx.orgUuid, fields));
+    }
+
+    await resetUserPreferences(userId, ctx.orgUuid);
+    return res.status(200).json(await getUserPreferences(userId, ctx.orgUuid));
+  })(req, res);
+}
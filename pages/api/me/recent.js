@@ -0,0 +1,32 @@
+import { withSsoAuth } from '../../../lib/auth-oauth.js';
+import { getOrgContext } from '../../../lib/org.js';
+import { cardViewerFor } from '../../../lib/cardVisibility.js';
+import { listRecentCards, clearRecentCards } from '../../../lib/recentCards.js';
+
+// /api/me/recent: the signed-in user's recently opened cards in one org
+// (X-Organization-UUID or ?orgUuid=) -- GET, newest first; DELETE clears the history.
+// Strategic: Recorded by the click redirect (lib/recentCards.js), so it is immediately
+// consistent, and keyed by the caller's own ssoUserId like /api/me/preferences. Only cards
+// the caller can still open on the launcher are listed.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    res.setHeader('Allow', ['GET', 'DELETE']);
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  return withSsoAuth(async (req, res) => {
+    const ctx = await getOrgContext(req);
+    if (!ctx?.orgUuid) {
+      return res.status(400).json({ error: 'Organization context required (X-Organization-UUID or ?orgUuid=)' });
+    }
+
+    if (req.method === 'DELETE') {
+      const cleared = await clearRecentCards(req.user.ssoUserId, ctx.orgUuid);
+      return res.status(200).json({ ok: true, cleared });
+    }
+
+    const viewer = await cardViewerFor(req.user, ctx.orgUuid);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(await listRecentCards(req.user.ssoUserId, ctx.orgUuid, viewer));
+  })(req, res);
+}
@@ -3,6 +3,8 @@ import { getOrgBySlugCached } from '../../../lib/org.js';
 // /api/organization/[slug]: GET — public resolver by slug
 // Functional: Resolve an active organization by slug for SSR/client use.
 // Strategic: Mirrors narimato resolver and enables path-based org pages.
+// A previous slug (slugHistory) resolves to the renamed org; callers compare `organization.slug`
+// with what they asked for to notice the rename.
 
 export default async function handler(req, res) {
   const { slug } = req.query || {};
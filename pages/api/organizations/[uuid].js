@@ -1,21 +1,14 @@
 import clientPromise from '../../../lib/db.js';
-import { invalidateOrgCacheBySlug } from '../../../lib/org.js';
+import { invalidateOrgCacheBySlug, normalizeSlug, validateSlug, findOrgHoldingSlug } from '../../../lib/org.js';
 import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
 import { normalizeBg } from '../../../lib/shared.js';
+import { parseUploadedImage } from '../../../lib/uploads.js';
 
 // /api/organizations/[uuid]: GET, PUT (update), DELETE (soft delete)
 // Functional: Read, update, or soft-delete organization by UUID with permission checks
 // Strategic: Enforces org.read, org.write, org.delete permissions; slug changes denormalize to cards
 
 
-function normalizeSlug(input) {
-  return String(input || '').trim().toLowerCase();
-}
-
-function validateSlug(slug) {
-  return /^[a-z0-9-]{2,}$/.test(slug);
-}
-
 function coerceBoolean(v) {
   if (typeof v === 'boolean') return v;
   if (typeof v === 'string') return v.toLowerCase() === 'true';
@@ -86,6 +79,11 @@ export default async function handler(req, res) {
     const slugPublic = coerceBoolean(useSlugAsPublicUrl);
     const setAsDefault = coerceBoolean(isDefault);
     const bg = background !== undefined ? normalizeBg(background) : undefined;
+    // WHAT: Optional uploaded logo (POST /api/uploads?kind=icon&scope=org); null removes it
+    const logo = req.body?.logo !== undefined ? parseUploadedImage(req.body.logo, uuid, 'icon') : undefined;
+    if (req.body?.logo !== undefined && logo === undefined) {
+      return res.status(400).json({ error: 'logo must be an icon uploaded to this organization, or null' });
+    }
 
     // WHAT: Allow updating just isDefault field without other required fields
     // WHY: Radio button only sends isDefault: true
@@ -101,8 +99,10 @@ export default async function handler(req, res) {
     const org = await orgs.findOne({ uuid });
     if (!org || org.isActive === false) return res.status(404).json({ error: 'Organization not found' });
 
+    // WHAT: The new slug must not be any other org's current or previous slug
+    // WHY: Previous slugs redirect to their org (lib/org.js), so they stay reserved
     if (!isDefaultOnlyUpdate && org.slug !== newSlugLower) {
-      const conflict = await orgs.findOne({ slug: newSlugLower });
+      const conflict = await findOrgHoldingSlug(newSlugLower, uuid);
       if (conflict) return res.status(409).json({ error: 'slug already exists' });
     }
 
@@ -123,6 +123,12 @@ export default async function handler(req, res) {
           updateFields.slug = newSlugLower;
           updateFields.description = descStr;
           updateFields.useSlugAsPublicUrl = slugPublic;
+          // WHAT: Record the slug being renamed away from; going back to an old slug takes it
+          // off the list again
+          if (org.slug !== newSlugLower) {
+            const history = (org.slugHistory || []).filter(s => s !== newSlugLower && s !== org.slug);
+            updateFields.slugHistory = [...history, org.slug];
+          }
         }
         if (isDefault !== undefined) {
           updateFields.isDefault = setAsDefault;
@@ -132,6 +138,9 @@ export default async function handler(req, res) {
         if (bg !== undefined) {
           updateFields.background = bg;
         }
+        if (logo !== undefined) {
+          updateFields.logo = logo;
+        }
 
         await orgs.updateOne(
           { uuid },
@@ -149,6 +158,10 @@ export default async function handler(req, res) {
           invalidateOrgCacheBySlug(newSlugLower);
         }
 
+        // WHAT: Public pages read the org through the slug cache; drop it so a new logo or
+        // background shows up right away
+        if (logo !== undefined || bg !== undefined) invalidateOrgCacheBySlug(org.slug);
+
         const updated = await orgs.findOne({ uuid });
         return res.status(200).json({
           organization: {
@@ -179,10 +192,12 @@ export default async function handler(req, res) {
         }
 
         // Functional: Soft delete by setting isActive to false
-        // Strategic: Preserves data for potential recovery; cards remain linked
+        // Strategic: Preserves data for potential recovery; cards remain linked. A superadmin
+        // can restore or purge it later (lib/orgArchive.js)
+        const now = isoNow();
         await orgs.updateOne(
           { uuid },
-          { $set: { isActive: false, updatedAt: isoNow() } }
+          { $set: { isActive: false, archivedAt: now, archivedBy: req.user.ssoUserId, updatedAt: now } }
         );
         invalidateOrgCacheBySlug(org.slug);
 
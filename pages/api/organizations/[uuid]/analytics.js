@@ -0,0 +1,135 @@
+// Functional: Per-organization analytics query endpoint
+// Strategic: analyticsEvents was write-only (lib/analytics.js batches events in, nothing read
+// them back); this exposes time-range / event-type / group-by aggregations to org admins so
+// they can see which launcher links are actually used
+
+import clientPromise from '../../../../lib/db.js';
+import { ObjectId } from 'mongodb';
+import { withSsoAuth, withOrgPermission } from '../../../../lib/auth-oauth.js';
+import { EVENT_TYPES, ANALYTICS_GROUP_BY, buildAnalyticsPipeline } from '../../../../lib/analytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Functional: Default and maximum query windows
+// Strategic: A bounded range keeps the aggregation on the { orgUuid, timestamp } index slice
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MAX_TOP_N = 100;
+
+// Functional: Parse an optional ISO 8601 query param; undefined when absent, null when invalid
+function parseDateParam(value) {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export default async function handler(req, res) {
+  const { uuid: orgUuid } = req.query;
+
+  // Functional: Validate orgUuid from URL parameter
+  if (!orgUuid || typeof orgUuid !== 'string') {
+    return res.status(400).json({ error: 'Invalid organization UUID' });
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  // ===================================================================
+  // GET /api/organizations/[uuid]/analytics
+  //   ?from=ISO&to=ISO             (default: last 30 days, max 366)
+  //   &eventType=card_click,...    (comma-separated EVENT_TYPES values; default: all)
+  //   &groupBy=day|card|user       (default: day)
+  //   &limit=N                     (card/user grouping only; default 20, max 100)
+  // ===================================================================
+
+  return withSsoAuth(async (req, res) => {
+    // WHAT: Manually set org context from URL path UUID
+    // WHY: withOrgPermission expects orgUuid in headers/query, but we have it in URL path
+    req.query.orgUuid = orgUuid;
+
+    return withOrgPermission('analytics.read', async (req, res) => {
+      // WHAT: An X-Organization-UUID header wins over the query, so make sure the permission
+      // was checked on the org in the path before aggregating its data
+      if (req.orgContext.orgUuid !== orgUuid) return res.status(400).json({ error: 'X-Organization-UUID does not match the organization in the URL' });
+      const groupBy = typeof req.query.groupBy === 'string' && req.query.groupBy ? req.query.groupBy : 'day';
+      if (!ANALYTICS_GROUP_BY.includes(groupBy)) {
+        return res.status(400).json({ error: `groupBy must be one of: ${ANALYTICS_GROUP_BY.join(', ')}` });
+      }
+
+      const known = new Set(Object.values(EVENT_TYPES));
+      const eventTypes = String(req.query.eventType || '')
+        .split(',')
+        .map(t => t.trim())
+        .filter(Boolean);
+      const unknown = eventTypes.filter(t => !known.has(t));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown eventType: ${unknown.join(', ')}` });
+      }
+
+      const toParam = parseDateParam(req.query.to);
+      const fromParam = parseDateParam(req.query.from);
+      if (toParam === null || fromParam === null) {
+        return res.status(400).json({ error: 'from/to must be ISO 8601 timestamps' });
+      }
+      const to = toParam || new Date();
+      const from = fromParam || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+      if (from >= to) return res.status(400).json({ error: 'from must be earlier than to' });
+      if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+        return res.status(400).json({ error: `Range cannot exceed ${MAX_RANGE_DAYS} days` });
+      }
+
+      const rawLimit = Number(req.query.limit);
+      const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(Math.floor(rawLimit), MAX_TOP_N) : 20;
+
+      const client = await clientPromise;
+      const db = client.db(process.env.DB_NAME || 'launchmass');
+
+      // Functional: Current members, for attributing org-less USER_LOGIN events to this org
+      const memberships = await db.collection('organizationMembers')
+        .find({ orgUuid })
+        .project({ ssoUserId: 1, _id: 0 })
+        .toArray();
+      const memberUserIds = memberships.map(m => m.ssoUserId);
+
+      const pipeline = buildAnalyticsPipeline({
+        orgUuid,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        groupBy: /** @type {'day'|'card'|'user'} */ (groupBy),
+        eventTypes,
+        memberUserIds,
+        limit,
+      });
+      const rows = await db.collection('analyticsEvents').aggregate(pipeline).toArray();
+
+      // Functional: Label card/user rows for display
+      // Strategic: Events store identifiers only (no titles/emails), so labels are joined here
+      // at read time from the owning collections, scoped to this org
+      if (groupBy === 'card' && rows.length) {
+        const ids = rows.map(r => { try { return new ObjectId(String(r.key)); } catch { return null; } }).filter(Boolean);
+        const cards = await db.collection('cards')
+          .find({ _id: { $in: ids }, orgUuid })
+          .project({ title: 1 })
+          .toArray();
+        const titles = new Map(cards.map(c => [c._id.toString(), c.title]));
+        for (const r of rows) r.label = titles.get(String(r.key)) || null;
+      }
+      if (groupBy === 'user' && rows.length) {
+        const users = await db.collection('users')
+          .find({ ssoUserId: { $in: rows.map(r => String(r.key)) } })
+          .project({ ssoUserId: 1, name: 1, email: 1, _id: 0 })
+          .toArray();
+        const names = new Map(users.map(u => [u.ssoUserId, u.name || u.email || null]));
+        for (const r of rows) r.label = names.get(String(r.key)) || null;
+      }
+
+      return res.status(200).json({
+        range: { from: from.toISOString(), to: to.toISOString() },
+        groupBy,
+        eventTypes,
+        rows,
+      });
+    })(req, res);
+  })(req, res);
+}
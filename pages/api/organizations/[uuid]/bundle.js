@@ -0,0 +1,39 @@
+import { withSsoAuth, withOrgPermission } from '../../../../lib/auth-oauth.js';
+import { logAdminAction } from '../../../../lib/analytics.js';
+import { buildOrgBundle } from '../../../../lib/orgBundle.js';
+
+// /api/organizations/[uuid]/bundle?members=true — download the organization as a portable
+// bundle (lib/orgBundle.js) for POST /api/organizations/import on this or another instance
+// Functional: A JSON attachment with the org document, live cards, card groups, tag metadata,
+// custom roles, the uploaded images they use and, with `members=true`, the memberships.
+// Strategic: Requires 'org.write', as cloning does -- the bundle carries every card regardless
+// of visibility and the org's role setup.
+export default async function handler(req, res) {
+  const { uuid } = req.query || {};
+  if (typeof uuid !== 'string' || !uuid.trim()) return res.status(400).json({ error: 'Organization UUID required' });
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(async (req, res) => {
+    // WHAT: withOrgPermission reads the org from headers/query; the UUID is in the path
+    req.query.orgUuid = uuid;
+
+    return withOrgPermission('org.write', async (req, res) => {
+      const org = req.orgContext.org;
+      if (org.uuid !== uuid) return res.status(400).json({ error: 'X-Organization-UUID does not match the organization in the URL' });
+
+      try {
+        const bundle = await buildOrgBundle(org, { includeMembers: req.query.members === 'true' });
+        logAdminAction('export_org', org.uuid, req.user.ssoUserId, { cards: bundle.cards.length, members: bundle.members ? bundle.members.length : null });
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="launchmass-org-${org.slug}-${date}.json"`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(JSON.stringify(bundle, null, 2));
+      } catch (e) {
+        console.error('[organizations bundle] Error:', e.message);
+        return res.status(500).json({ error: 'Export failed' });
+      }
+    })(req, res);
+  })(req, res);
+}
@@ -0,0 +1,51 @@
+import { withSsoAuth, withOrgPermission } from '../../../../lib/auth-oauth.js';
+import { logAdminAction } from '../../../../lib/analytics.js';
+import { normalizeSlug, validateSlug, findOrgHoldingSlug } from '../../../../lib/org.js';
+import { cloneOrg } from '../../../../lib/orgClone.js';
+
+// /api/organizations/[uuid]/clone: POST { name, slug, includeMembers? } — create a new
+// organization as a copy of this one (lib/orgClone.js)
+// Functional: Returns 201 { organization, copied } -- `organization` shaped like POST
+// /api/organizations' response, `copied` the per-kind counts. Name and slug follow the same
+// rules as org creation (409 when the slug is taken, by an active or archived org, or was
+// an org's slug before a rename).
+// Strategic: Requires 'org.write' on the source: a clone carries every card regardless of
+// visibility, the custom roles and optionally the member list, which is more than 'cards.read'
+// or 'org.read' exposes. The caller becomes the clone's admin, as on org creation.
+export default async function handler(req, res) {
+  const { uuid } = req.query || {};
+  if (typeof uuid !== 'string' || !uuid.trim()) return res.status(400).json({ error: 'Organization UUID required' });
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(async (req, res) => {
+    // WHAT: withOrgPermission reads the org from headers/query; the UUID is in the path
+    req.query.orgUuid = uuid;
+
+    return withOrgPermission('org.write', async (req, res) => {
+      const source = req.orgContext.org;
+      // WHAT: An X-Organization-UUID header wins over the query, so make sure the permission
+      // was checked on the org in the path
+      if (source.uuid !== uuid) return res.status(400).json({ error: 'X-Organization-UUID does not match the organization in the URL' });
+      const { name, slug, includeMembers } = req.body || {};
+      const nameStr = String(name || '').trim();
+      const slugLower = normalizeSlug(slug);
+      if (!nameStr || !slugLower) return res.status(400).json({ error: 'name and slug required' });
+      if (!validateSlug(slugLower)) return res.status(400).json({ error: 'invalid slug format' });
+      if (includeMembers !== undefined && typeof includeMembers !== 'boolean') {
+        return res.status(400).json({ error: 'includeMembers must be true or false' });
+      }
+
+      if (await findOrgHoldingSlug(slugLower)) return res.status(409).json({ error: 'slug already exists' });
+
+      try {
+        const result = await cloneOrg(source, { name: nameStr, slug: slugLower, includeMembers: includeMembers === true, ssoUserId: req.user.ssoUserId });
+        logAdminAction('clone_org', source.uuid, req.user.ssoUserId, { cloneUuid: result.organization.uuid, copied: result.copied });
+        return res.status(201).json({ organization: { ...result.organization, userRole: 'admin' }, copied: result.copied });
+      } catch (e) {
+        if (e?.code === 11000) return res.status(409).json({ error: 'slug already exists' });
+        console.error('[organizations clone] Error:', e.message);
+        return res.status(500).json({ error: 'Clone failed' });
+      }
+    })(req, res);
+  })(req, res);
+}
@@ -0,0 +1,33 @@
+import { withSsoAuth } from '../../../../lib/auth-oauth.js';
+import { isSuperAdmin } from '../../../../lib/permissions.js';
+import { logEvent, EVENT_TYPES } from '../../../../lib/analytics.js';
+import { purgeOrg } from '../../../../lib/orgArchive.js';
+
+// /api/organizations/[uuid]/purge: DELETE — permanently remove an archived organization
+// Functional: Deletes the org and its cards, card revisions, groups, tags, links, member
+// preferences and recents, memberships, custom roles, analytics events and uploaded images,
+// and returns { uuid, slug, name, removed: { <collection>: count }, uploadsRemoved }.
+// Strategic: Superadmin only, and only for an org that is already archived (404 otherwise),
+// so an active org always takes the recoverable soft delete first. There is no undo.
+export default async function handler(req, res) {
+  const { uuid } = req.query || {};
+  if (typeof uuid !== 'string' || !uuid.trim()) return res.status(400).json({ error: 'Organization UUID required' });
+  if (req.method !== 'DELETE') { res.setHeader('Allow', ['DELETE']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(async (req, res) => {
+    if (!isSuperAdmin(req.user)) return res.status(403).json({ error: 'Superadmin only' });
+
+    try {
+      const result = await purgeOrg(uuid);
+      if (!result) return res.status(404).json({ error: 'Archived organization not found' });
+
+      // WHAT: Logged without orgUuid -- the org's own events were just purged, and this record
+      // should outlive them rather than be the first row of a deleted org
+      logEvent(EVENT_TYPES.ORG_DELETE, { userId: req.user.ssoUserId, purgedOrgUuid: result.uuid, permanent: true, removed: result.removed });
+      return res.status(200).json(result);
+    } catch (e) {
+      console.error('[organizations purge] Error:', e.message);
+      return res.status(500).json({ error: 'Purge failed' });
+    }
+  })(req, res);
+}
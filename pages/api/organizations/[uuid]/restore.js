@@ -0,0 +1,27 @@
+import { withSsoAuth } from '../../../../lib/auth-oauth.js';
+import { isSuperAdmin } from '../../../../lib/permissions.js';
+import { logEvent, EVENT_TYPES } from '../../../../lib/analytics.js';
+import { restoreOrg } from '../../../../lib/orgArchive.js';
+
+// /api/organizations/[uuid]/restore: POST — reactivate an archived (soft-deleted) organization
+// Functional: Returns { organization } as GET /api/organizations/[uuid] does; 404 unless the
+// org exists and is archived.
+// Strategic: Superadmin only, like the archived list it comes from. Cards, members and roles
+// were never touched by the soft delete, so they come back as they were.
+export default async function handler(req, res) {
+  const { uuid } = req.query || {};
+  if (typeof uuid !== 'string' || !uuid.trim()) return res.status(400).json({ error: 'Organization UUID required' });
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(async (req, res) => {
+    if (!isSuperAdmin(req.user)) return res.status(403).json({ error: 'Superadmin only' });
+
+    const org = await restoreOrg(uuid);
+    if (!org) return res.status(404).json({ error: 'Archived organization not found' });
+
+    logEvent(EVENT_TYPES.ORG_UPDATE, { orgUuid: org.uuid, userId: req.user.ssoUserId, restored: true });
+    return res.status(200).json({
+      organization: { ...org, _id: org._id?.toString?.() || String(org._id) },
+    });
+  })(req, res);
+}
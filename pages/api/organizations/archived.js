@@ -0,0 +1,22 @@
+import { withSsoAuth } from '../../../lib/auth-oauth.js';
+import { isSuperAdmin } from '../../../lib/permissions.js';
+import { listArchivedOrgs } from '../../../lib/orgArchive.js';
+
+// /api/organizations/archived: GET — every soft-deleted organization (isActive: false) with
+// archivedAt / archivedBy and its remaining card and member counts (lib/orgArchive.js)
+// Strategic: Superadmin only. getOrgContext() never resolves an archived org, so
+// withOrgPermission and org roles can't gate this; restore.js and purge.js under [uuid]/
+// act on the entries listed here.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(async (req, res) => {
+    if (!isSuperAdmin(req.user)) return res.status(403).json({ error: 'Superadmin only' });
+    try {
+      return res.status(200).json({ organizations: await listArchivedOrgs() });
+    } catch (e) {
+      console.error('[organizations archived] list failed:', e.message);
+      return res.status(500).json({ error: 'Failed to load archived organizations' });
+    }
+  })(req, res);
+}
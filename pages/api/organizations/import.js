@@ -0,0 +1,46 @@
+import { withSsoAuth } from '../../../lib/auth-oauth.js';
+import { logAdminAction } from '../../../lib/analytics.js';
+import { BUNDLE_CONFLICT_MODES, parseOrgBundle, planOrgImport, applyOrgImport } from '../../../lib/orgBundle.js';
+
+// Functional: Bundles carry their uploaded images inline (base64), so they are far larger than
+// Next's 1mb default
+export const config = { api: { bodyParser: { sizeLimit: '25mb' } } };
+
+// /api/organizations/import: POST { bundle, onConflict?, dryRun? } — create (or overwrite) an
+// organization from a bundle made by GET /api/organizations/[uuid]/bundle (lib/orgBundle.js)
+// Functional: `onConflict` is fail (default) | rename | overwrite and decides what happens when
+// an org here already has the bundle's uuid or slug. dryRun defaults to true, as in POST
+// /api/cards/import: the response is { dryRun: true, plan } (where it would land, conflicts,
+// counts, skipped members, errors) and nothing is written. With `dryRun: false` it returns
+// 201 { dryRun: false, plan, organization, imported }, or the plan's 409/403 when it has errors.
+// An invalid bundle is a 400 with every problem listed.
+// Strategic: Any signed-in user may import as a new org, as anyone may create one; overwriting
+// needs 'org.write' in the org being replaced. The bundle's members are only added for a
+// superadmin or an admin of the org being overwritten, and never as admins (lib/orgBundle.js).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(async (req, res) => {
+    const { bundle: raw, onConflict = 'fail', dryRun = true } = req.body || {};
+    if (!BUNDLE_CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict must be one of: ${BUNDLE_CONFLICT_MODES.join(', ')}` });
+    }
+
+    const { bundle, errors } = await parseOrgBundle(raw);
+    if (!bundle) return res.status(400).json({ error: 'Invalid bundle', errors });
+
+    const plan = await planOrgImport(bundle, { onConflict, user: req.user });
+    if (dryRun !== false) return res.status(200).json({ dryRun: true, plan });
+    if (plan.errors.length) return res.status(plan.status).json({ error: plan.errors.join('; '), plan });
+
+    try {
+      const { organization, imported } = await applyOrgImport(bundle, plan, { ssoUserId: req.user.ssoUserId });
+      logAdminAction('import_org', organization.uuid, req.user.ssoUserId, { action: plan.action, onConflict, imported });
+      return res.status(201).json({ dryRun: false, plan, organization, imported });
+    } catch (e) {
+      if (e?.code === 11000) return res.status(409).json({ error: 'The uuid or slug was taken meanwhile; run the dry run again' });
+      console.error('[organizations import] Error:', e.message);
+      return res.status(500).json({ error: 'Import failed' });
+    }
+  })(req, res);
+}
@@ -2,6 +2,7 @@ import clientPromise from '../../../lib/db.js';
 import { withSsoAuth } from '../../../lib/auth-oauth.js';
 import { isSuperAdmin } from '../../../lib/permissions.js';
 import { normalizeBg } from '../../../lib/shared.js';
+import { normalizeSlug, validateSlug, findOrgHoldingSlug } from '../../../lib/org.js';
 
 // /api/organizations (index): GET (list active) and POST (create)
 // Functional: Manage organizations with permission-based filtering and auto-admin membership
@@ -10,15 +11,6 @@ import { normalizeBg } from '../../../lib/shared.js';
 
 function isoNow() { return new Date().toISOString(); }
 
-function normalizeSlug(input) {
-  return String(input || '').trim().toLowerCase();
-}
-
-function validateSlug(slug) {
-  // a-z, 0-9, dash; length >= 2
-  return /^[a-z0-9-]{2,}$/.test(slug);
-}
-
 function coerceBoolean(v) {
   // Functional: Normalize boolean-like inputs from JSON to true/false
   // Strategic: Avoids UI differences (checkbox true/false or string 'true') causing inconsistent storage
@@ -106,8 +98,9 @@ export default async function handler(req, res) {
       // Use crypto.randomUUID() (Node >= 18) to avoid new deps
       const uuid = globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
-      // Ensure uniqueness by checking before insert (unique index recommended separately)
-      const existing = await col.findOne({ slug: slugLower });
+      // Ensure uniqueness by checking before insert (unique index recommended separately);
+      // previous slugs of renamed orgs are reserved too
+      const existing = await findOrgHoldingSlug(slugLower);
       if (existing) return res.status(409).json({ error: 'slug already exists' });
 
       const doc = { uuid, name: nameStr, slug: slugLower, description: descStr, isActive: true, createdAt: now, updatedAt: now, useSlugAsPublicUrl: slugPublic, background: bg };
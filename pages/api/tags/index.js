@@ -1,26 +1,80 @@
-import clientPromise from '../../../lib/db.js';
 import { getOrgContext } from '../../../lib/org.js';
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { hasOrgPermission } from '../../../lib/permissions.js';
+import { ANONYMOUS_VIEWER, cardViewerFor, getOptionalUser } from '../../../lib/cardVisibility.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { normalizeTag, removeTagFromOrg, deleteTagMeta, validateTagMeta, setTagMeta, listOrgTags } from '../../../lib/tags.js';
 
-// /api/tags: GET — distinct tags for the current organization
-// Functional: Returns the set of tags available within the selected organization.
+// /api/tags: GET — the organization's tags as TagInfo objects, in display order
+// Functional: { name, label, color, description, order, hidden, count } per tag: every tag on
+// a non-trashed card plus any tag with metadata but no cards yet. Card writes still take
+// bare tag strings; `name` is that string. Only callers holding 'cards.read' or 'tags.write'
+// (the tag manager, the card editor's suggestions) get that full list; everyone else gets
+// the public pages' view -- tags on cards they can see right now, per-card visibility
+// included -- so restricted, scheduled or trashed cards' tags never leak.
 // Strategic: Keeps suggestions and filtering org-scoped to prevent cross-tenant leakage.
+// /api/tags?tag=<name>: PATCH { label?, color?, description?, order?, hidden? } — edit a
+// tag's metadata; DELETE — remove a tag from every card in the organization (one bulk
+// write) along with its metadata. Both require 'tags.write'. Rename, merge and reorder
+// live in rename.js / merge.js / reorder.js.
 
 export default async function handler(req, res) {
-  if (req.method !== 'GET') { res.setHeader('Allow', ['GET']); return res.status(405).end('Method Not Allowed'); }
+  if (req.method === 'PATCH') {
+    return withSsoAuth(withOrgPermission('tags.write', async (req, res) => {
+      const ctx = req.orgContext;
+      const tag = normalizeTag(req.query.tag);
+      if (!tag) return res.status(400).json({ error: 'tag query parameter is required' });
+
+      const { meta, errors } = validateTagMeta(req.body);
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+      if (!Object.keys(meta).length) return res.status(400).json({ error: 'Nothing to update' });
+
+      const doc = await setTagMeta(ctx.orgUuid, tag, meta);
+      logEvent(EVENT_TYPES.TAG_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, tag, fields: Object.keys(meta) });
+      return res.status(200).json({
+        name: doc.name,
+        label: doc.label || doc.name,
+        color: doc.color,
+        description: doc.description,
+        order: doc.order,
+        hidden: doc.hidden,
+      });
+    }))(req, res);
+  }
+
+  if (req.method === 'DELETE') {
+    return withSsoAuth(withOrgPermission('tags.write', async (req, res) => {
+      const ctx = req.orgContext;
+      const tag = normalizeTag(req.query.tag);
+      if (!tag) return res.status(400).json({ error: 'tag query parameter is required' });
+
+      const { matchedCount, modifiedCount } = await removeTagFromOrg(ctx.orgUuid, tag);
+      const hadMeta = await deleteTagMeta(ctx.orgUuid, tag);
+      if (!matchedCount && !hadMeta) return res.status(404).json({ error: `No cards are tagged "${tag}"` });
+
+      logEvent(EVENT_TYPES.TAG_DELETE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, tag, cardCount: modifiedCount });
+      return res.status(200).json({ ok: true, tag, modified: modifiedCount });
+    }))(req, res);
+  }
+
+  if (req.method !== 'GET') { res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']); return res.status(405).end('Method Not Allowed'); }
 
   const ctx = await getOrgContext(req);
   if (!ctx?.orgUuid) return res.status(400).json({ error: 'Organization context required (X-Organization-UUID or ?orgUuid=)' });
 
-  const client = await clientPromise;
-  const db = client.db(process.env.DB_NAME || 'launchmass');
-
   try {
-    // Distinct tags scoped by orgUuid; tags are normalized to lowercase at write time
-    const tags = await db.collection('cards').distinct('tags', { orgUuid: ctx.orgUuid });
-    const safe = (Array.isArray(tags) ? tags : []).filter(t => typeof t === 'string' && t.trim() !== '');
-    return res.status(200).json(safe);
+    const user = await getOptionalUser(req);
+    const editor = !!user && (
+      await hasOrgPermission(user, ctx.orgUuid, 'cards.read', req)
+      || await hasOrgPermission(user, ctx.orgUuid, 'tags.write', req)
+    );
+    // Tags are normalized to lowercase at write time; trashed cards are not counted, so a
+    // tag used only by them stops being suggested.
+    if (editor) return res.status(200).json(await listOrgTags(ctx.orgUuid));
+    const viewer = user ? await cardViewerFor(user, ctx.orgUuid) : ANONYMOUS_VIEWER;
+    return res.status(200).json(await listOrgTags(ctx.orgUuid, { publicOnly: true, viewer }));
   } catch (e) {
-    console.error('[tags] distinct query failed:', e.message);
+    console.error('[tags] list query failed:', e.message);
     return res.status(200).json([]);
   }
 }
@@ -0,0 +1,29 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { normalizeTags } from '../../../lib/shared.js';
+import { normalizeTag, replaceTagsInOrg, moveTagMeta } from '../../../lib/tags.js';
+
+// /api/tags/merge: POST { sources: string[], target } — merge several tags into one
+// Functional: Every card carrying any source tag gets `target` in its place (once, at the
+// position of the first source), in one bulk write. `target` may be a new or existing tag;
+// listing it among the sources is allowed and has no effect. The sources' metadata is
+// dropped; `target` keeps its own, or takes the first source's if it has none.
+// Strategic: Requires 'tags.write' in the target org (X-Organization-UUID/?orgUuid=).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('tags.write', async (req, res) => {
+    const ctx = req.orgContext;
+    const target = normalizeTag(req.body?.target);
+    const sources = normalizeTags(req.body?.sources).filter(t => t !== target);
+    if (!target) return res.status(400).json({ error: 'target is required' });
+    if (!sources.length) return res.status(400).json({ error: 'sources must list at least one tag other than target' });
+
+    const { matchedCount, modifiedCount } = await replaceTagsInOrg(ctx.orgUuid, sources, target);
+    const hadMeta = await moveTagMeta(ctx.orgUuid, sources, target);
+    if (!matchedCount && !hadMeta) return res.status(404).json({ error: 'No cards carry any of the source tags' });
+
+    logEvent(EVENT_TYPES.TAG_MERGE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, sources, target, cardCount: modifiedCount });
+    return res.status(200).json({ ok: true, sources, target, modified: modifiedCount });
+  }))(req, res);
+}
@@ -0,0 +1,27 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { normalizeTag, replaceTagsInOrg, moveTagMeta } from '../../../lib/tags.js';
+
+// /api/tags/rename: POST { from, to } — rename a tag on every card in the organization
+// Functional: One bulk write; renaming onto a tag that already exists folds the two together
+// on each card (no duplicates). The tag's metadata (label, color, ...) moves with it unless
+// `to` already has its own. Responds with how many cards changed.
+// Strategic: Requires 'tags.write' in the target org (X-Organization-UUID/?orgUuid=).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('tags.write', async (req, res) => {
+    const ctx = req.orgContext;
+    const from = normalizeTag(req.body?.from);
+    const to = normalizeTag(req.body?.to);
+    if (!from || !to) return res.status(400).json({ error: 'from and to are required' });
+    if (from === to) return res.status(400).json({ error: 'from and to are the same tag' });
+
+    const { matchedCount, modifiedCount } = await replaceTagsInOrg(ctx.orgUuid, [from], to);
+    const hadMeta = await moveTagMeta(ctx.orgUuid, [from], to);
+    if (!matchedCount && !hadMeta) return res.status(404).json({ error: `No cards are tagged "${from}"` });
+
+    logEvent(EVENT_TYPES.TAG_RENAME, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, from, to, cardCount: modifiedCount });
+    return res.status(200).json({ ok: true, from, to, modified: modifiedCount });
+  }))(req, res);
+}
@@ -0,0 +1,22 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { logEvent, EVENT_TYPES } from '../../../lib/analytics.js';
+import { normalizeTags } from '../../../lib/shared.js';
+import { reorderTags } from '../../../lib/tags.js';
+
+// /api/tags/reorder: POST { names: string[] } — set the public tag bar's order
+// Functional: Each listed tag gets its index as TagDoc.order; unlisted tags keep theirs
+// (tags without an order sort after ordered ones, by name).
+// Strategic: Requires 'tags.write' in the target org (X-Organization-UUID/?orgUuid=).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  return withSsoAuth(withOrgPermission('tags.write', async (req, res) => {
+    const ctx = req.orgContext;
+    if (!Array.isArray(req.body?.names)) return res.status(400).json({ error: 'names array required' });
+    const names = normalizeTags(req.body.names);
+
+    await reorderTags(ctx.orgUuid, names);
+    logEvent(EVENT_TYPES.TAG_UPDATE, { orgUuid: ctx.orgUuid, userId: req.user.ssoUserId, tags: names, fields: ['order'] });
+    return res.status(200).json({ ok: true, count: names.length });
+  }))(req, res);
+}
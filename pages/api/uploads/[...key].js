@@ -0,0 +1,23 @@
+import { getUploadStorage, UPLOAD_KEY_RE } from '../../../lib/uploadStorage.js';
+
+// /api/uploads/<orgUuid>/<kind>/<file>: GET — serve an uploaded image from the local storage
+// backend (lib/uploadStorage.js)
+// Strategic: Public, since cards and org pages show these to anonymous visitors, and keys are
+// unguessable and never rewritten, so responses are cacheable forever. Only keys the app
+// itself issues are served; anything else is a 404 before the disk is touched.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') { res.setHeader('Allow', ['GET', 'HEAD']); return res.status(405).end('Method Not Allowed'); }
+
+  const parts = Array.isArray(req.query.key) ? req.query.key : [req.query.key];
+  const key = parts.join('/');
+  if (!UPLOAD_KEY_RE.test(key)) return res.status(404).json({ error: 'Not found' });
+
+  const file = await getUploadStorage().read(key);
+  if (!file) return res.status(404).json({ error: 'Not found' });
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Length', String(file.body.length));
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  return res.status(200).end(req.method === 'HEAD' ? undefined : file.body);
+}
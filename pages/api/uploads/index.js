@@ -0,0 +1,64 @@
+import { withSsoAuth, withOrgPermission } from '../../../lib/auth-oauth.js';
+import { saveUpload, isUploadKind, UPLOAD_MAX_BYTES } from '../../../lib/uploads.js';
+import { createRateLimiter } from '../../../lib/requestGuards.js';
+
+// /api/uploads: POST ?kind=icon|background&scope=card|org — upload one image (lib/uploads.js)
+// The body is the raw file with its own Content-Type (PNG, JPEG, WebP or GIF), not a
+// multipart form, so no form parser is needed and the size cap applies while streaming.
+// Answers the stored UploadedImage, which the caller then saves on a card (`icon`,
+// `background`) or org (`logo`, `background`) through the usual write routes.
+// Strategic: The permission follows what the image is for — 'cards.update' for card images,
+// 'org.write' for an org's own — and every upload is resized and re-encoded, so the limit
+// keeps one session from monopolizing the CPU.
+export const config = { api: { bodyParser: false } };
+
+const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 20 });
+
+// Functional: Read the raw body, giving up as soon as it passes `max` bytes
+function readBody(req, max) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    req.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > max) {
+        req.destroy();
+        return reject(Object.assign(new Error('File is too large'), { status: 413 }));
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') { res.setHeader('Allow', ['POST']); return res.status(405).end('Method Not Allowed'); }
+
+  const { kind, scope } = req.query || {};
+  if (!isUploadKind(kind)) return res.status(400).json({ error: 'kind must be icon or background' });
+  if (scope !== 'card' && scope !== 'org') return res.status(400).json({ error: 'scope must be card or org' });
+
+  return withSsoAuth(withOrgPermission(scope === 'org' ? 'org.write' : 'cards.update', async (req, res) => {
+    const limit = limiter.check(req.user.ssoUserId);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    const declared = Number(req.headers['content-length']);
+    if (declared > UPLOAD_MAX_BYTES) return res.status(413).json({ error: `File is too large (max ${UPLOAD_MAX_BYTES / 1024 / 1024} MB)` });
+
+    try {
+      const buffer = await readBody(req, UPLOAD_MAX_BYTES);
+      if (!buffer.length) return res.status(400).json({ error: 'Empty upload' });
+      const image = await saveUpload({ orgUuid: req.orgContext.orgUuid, kind, buffer, contentType: req.headers['content-type'] });
+      return res.status(201).json(image);
+    } catch (e) {
+      const status = /** @type {any} */ (e).status;
+      if (status) return res.status(status).json({ error: e.message });
+      console.error('[uploads] store failed:', e.message);
+      return res.status(500).json({ error: 'Upload failed' });
+    }
+  }))(req, res);
+}
@@ -1,8 +1,24 @@
 import { useRouter } from 'next/router';
-import { ChoiceChip, GdsEmptyStateTemplate, GdsErrorPageTemplate } from '@sovereignsquad/gds-core';
+import { GdsEmptyStateTemplate, GdsErrorPageTemplate } from '@sovereignsquad/gds-core';
 import OversizedLink from '../components/OversizedLink';
+import TagBar from '../components/TagBar';
+import SearchBox from '../components/SearchBox';
+import CommandPalette from '../components/CommandPalette';
+import CardSections from '../components/CardSections';
+import MyLauncherBar from '../components/MyLauncherBar';
+import PersonalCardActions from '../components/PersonalCardActions';
+import RecentStrip from '../components/RecentStrip';
 import Header from '../components/Header';
 import clientPromise from '../lib/db';
+import { publishWindowFilter, notTrashedFilter, parseTagFilter, tagFilter, parseSearchQuery, groupCards, applyPreferences } from '../lib/shared.js';
+import { listOrgTags } from '../lib/tags.js';
+import { searchCards } from '../lib/cardSearch.js';
+import { listCardGroups } from '../lib/cardGroups.js';
+import { getCardViewer, visibilityFilter, ANONYMOUS_VIEWER } from '../lib/cardVisibility.js';
+import { useCardSearch } from '../lib/useCardSearch.js';
+import { useMyLauncher } from '../lib/useMyLauncher.js';
+import { getUserPreferences } from '../lib/userPreferences.js';
+import { listRecentCards } from '../lib/recentCards.js';
 
 /**
  * WHAT: Public card-grid landing page -- renders exactly one of three
@@ -24,13 +40,27 @@ import clientPromise from '../lib/db';
  * className="grid">` below is only rendered when there are cards to show --
  * avoiding two `<main>` landmarks on the same page.
  */
-export default function Home({ cards, activeTag, orgName, orgBackground, fetchError }) {
-  const hasCards = Array.isArray(cards) && cards.length > 0;
+export default function Home({ cards, groups, tags, activeTags, match, q, orgUuid, orgName, orgBackground, orgLogo, preferences, recent, fetchError }) {
   const router = useRouter();
+  const tagMeta = Object.fromEntries((tags || []).map(t => [t.name, t]));
+  // Search as you type; `shown` is `cards` until the visitor types (see lib/useCardSearch.js)
+  const search = useCardSearch({ cards, orgUuid, initialQuery: q, tags: activeTags || [], match });
+  // "My launcher": the signed-in visitor's favorites/hidden/order over the same cards
+  // (lib/useMyLauncher.js); a search still covers every card
+  const launcher = useMyLauncher({ orgUuid, initial: preferences });
+  const searching = !!search.query.trim();
+  const personal = launcher.enabled && !searching;
+  const shown = personal ? applyPreferences(groupCards(search.results, groups).flatMap(s => s.cards), launcher.prefs) : search.results;
+  const shownIds = shown.map(c => String(c._id));
+  const hasCards = Array.isArray(shown) && shown.length > 0;
+  // Group sections (lib/cardGroups.js); search results and the personal launcher stay one
+  // flat list (relevance order / the visitor's own order)
+  const sections = searching || personal ? [{ group: null, cards: shown }] : groupCards(shown, groups);
+  const launchOrder = groupCards(cards, groups).flatMap(s => s.cards);
 
   // WHAT: Retry re-triggers the SSR data fetch via a full navigation.
-  // WHY: This page has no client-side data-fetching layer (SSR-per-request
-  // model, unchanged by this issue -- see issue #19 Non-Goals), so a full
+  // WHY: The grid itself is SSR-per-request (search-as-you-type aside, see
+  // lib/useCardSearch.js -- unchanged by issue #19, see its Non-Goals), so a full
   // reload is the simplest correct retry mechanism; the browser's own
   // native loading indicator covers the "retry in flight" UX.
   function handleRetry() {
@@ -47,7 +77,18 @@ export default function Home({ cards, activeTag, orgName, orgBackground, fetchEr
           }
         `}</style>
       )}
-      <Header orgName={orgName || 'launchmass'} />
+      <Header orgName={orgName || 'launchmass'} orgLogo={orgLogo} />
+      {/* Search, tag bar and quick-open first, so a filter with zero matches can be changed right above the empty state */}
+      {!fetchError && orgUuid ? (
+        <div className="launcher-tools">
+          <SearchBox value={search.query} onChange={search.setQuery} busy={search.searching} />
+          <TagBar tags={tags} activeTags={activeTags} match={match} basePath="/" q={search.query.trim()} />
+          {/* Cmd/Ctrl+K palette over the server-rendered cards and tags */}
+          <CommandPalette cards={launcher.enabled ? applyPreferences(launchOrder, launcher.prefs) : launchOrder} tags={tags} basePath="/" />
+          <MyLauncherBar launcher={launcher} cards={cards} />
+          <RecentStrip orgUuid={orgUuid} initial={recent} />
+        </div>
+      ) : null}
       {fetchError ? (
         // WHAT: Distinct from the empty state below -- a DB/fetch failure,
         // not a legitimately-empty org. Copy is fixed/generic on purpose:
@@ -60,38 +101,39 @@ export default function Home({ cards, activeTag, orgName, orgBackground, fetchEr
           retryLabel="Try again"
         />
       ) : !hasCards ? (
-        // WHAT: Genuinely-empty org (including a tag filter with zero
-        // matches, see the filter bar below) -- restyled onto GDS from the
-        // previous hand-rolled <section>, same copy and same two quick links.
+        // WHAT: Genuinely-empty org, or a search/tag filter with zero matches
+        // (see the tools above) -- restyled onto GDS from the previous
+        // hand-rolled <section>, same copy and same two quick links.
         <GdsEmptyStateTemplate
           title="Welcome to SEYU"
-          description="No content found yet."
+          description={searching ? 'No cards match your search.' : activeTags?.length ? 'No cards match these tags.' : personal && cards.length ? 'Every card is hidden from your launcher.' : 'No content found yet.'}
           actions={[
             { id: 'organizations', label: 'Organizations', onClick: () => router.push('/settings#organizations') },
             { id: 'admin', label: 'Admin', onClick: () => router.push('/admin') },
           ]}
         />
       ) : null}
-      {activeTag ? (
-        <div className="filter-bar" style={{ padding: '8px 16px', marginTop: 64, display: 'flex', alignItems: 'center', gap: 8 }}>
-          <span>Filtering by</span>
-          <ChoiceChip active label={`#${activeTag}`} href={`/?tag=${encodeURIComponent(activeTag)}`} />
-          <ChoiceChip label="Clear" href="/" />
-        </div>
-      ) : null}
       {hasCards && (
-        <main className="grid">
-          {cards.map((c, i) => (
+        <CardSections
+          sections={sections}
+          renderCard={(c, i) => (
             <OversizedLink
-              key={i}
+              key={c._id || i}
+              cardId={c._id}
+              orgUuid={c.orgUuid}
               href={c.href}
               title={c.title}
               description={c.description}
               background={c.background}
               tags={Array.isArray(c.tags) ? c.tags : []}
+              favicon={c.favicon || null}
+            icon={c.icon || null}
+              tagMeta={tagMeta}
+              highlight={search.terms}
+              actions={personal ? <PersonalCardActions launcher={launcher} card={c} shownIds={shownIds} /> : null}
             />
-          ))}
-        </main>
+          )}
+        />
       )}
     </>
   );
@@ -107,20 +149,25 @@ export async function getServerSideProps(context) {
     const orgsCol = db.collection('organizations');
     const defaultOrg = await orgsCol.findOne({ isDefault: true, isActive: { $ne: false } });
 
-    const rawTag = typeof context.query.tag === 'string' ? context.query.tag : '';
-    const filterTag = rawTag.trim().toLowerCase();
-    
-    // WHAT: Build query to filter by default org (if exists) and optional tag
-    // WHY: Show only cards from default org on main page
-    let query = {};
+    // ?tags=a,b&match=all|any (single ?tag= still works) and ?q=; same parsing as GET /api/cards
+    const filter = parseTagFilter(context.query);
+    const q = parseSearchQuery(context.query);
+
+    // WHAT: Build query to filter by default org (if exists) and optional tags
+    // WHY: Show only cards from default org on main page; scheduled/expired cards
+    // (outside their publishAt/expireAt window) and trashed cards never render publicly.
+    // Per-card visibility follows the visitor's SSO session and role in the org
+    // (lib/cardVisibility.js); without a default org there is no role, so public cards only.
+    const viewer = defaultOrg ? await getCardViewer(context.req, defaultOrg.uuid) : ANONYMOUS_VIEWER;
+    let query = { ...notTrashedFilter(), ...publishWindowFilter(), ...tagFilter(filter), ...visibilityFilter(viewer) };
     if (defaultOrg) {
       query.orgUuid = defaultOrg.uuid;
     }
-    if (filterTag) {
-      query.tags = filterTag;
-    }
 
-    const cards = await db.collection('cards').find(query).sort({ order: 1, _id: 1 }).toArray();
+    // A search needs an org to stay scoped; without a default org ?q= is ignored
+    const cards = /** @type {Record<string, any>[]} */ (q && defaultOrg
+      ? await searchCards(query, q)
+      : await db.collection('cards').find(query).sort({ order: 1, _id: 1 }).toArray());
 
     // Functional: Normalize timestamps to ISO strings for consistent JSON serialization
     // Strategic: Handle both Date objects (new cards) and string timestamps (migrated legacy cards)
@@ -131,16 +178,35 @@ export async function getServerSideProps(context) {
       return undefined;
     };
 
-    const safe = cards.map(({ createdAt, updatedAt, ...rest }) => {
-      delete rest._id;
+    const safe = cards.map(({ _id, createdAt, updatedAt, ...rest }) => {
+      // Publish-window bounds are Date objects (not JSON-serializable props) and
+      // only matter server-side for the filter above
+      delete rest.publishAt;
+      delete rest.expireAt;
+      // Role lists are an access rule, not something the launcher shows
+      delete rest.visibility;
+      // Link health (lib/linkHealth.js) is admin-only and holds Dates
+      delete rest.lastCheckedAt;
+      delete rest.lastStatus;
+      delete rest.brokenSince;
       return {
         ...rest,
+        // Stringified id: OversizedLink routes clicks through /api/cards/[id]/click
+        _id: _id.toString(),
         tags: Array.isArray(rest?.tags) ? rest.tags : [],
         ...(createdAt && { createdAt: toISOString(createdAt) }),
         ...(updatedAt && { updatedAt: toISOString(updatedAt) })
       };
     });
-    return { props: { cards: safe, activeTag: filterTag || null, orgName: defaultOrg?.name || null, orgBackground: defaultOrg?.background || null, fetchError: false } };
+    // Tag bar: the org's tags with their labels/colors, counted over the cards this visitor sees
+    const tags = defaultOrg ? await listOrgTags(defaultOrg.uuid, { publicOnly: true, viewer }) : [];
+    // Launcher sections; cards are split into them client-side (lib/shared.js groupCards)
+    const groups = defaultOrg ? await listCardGroups(defaultOrg.uuid) : [];
+    // Signed-in visitors get their personal overlay (lib/userPreferences.js); null hides "My launcher"
+    const preferences = defaultOrg && viewer.userId ? await getUserPreferences(viewer.userId, defaultOrg.uuid) : null;
+    // ...and their recently opened cards (lib/recentCards.js); null hides the strip
+    const recent = defaultOrg && viewer.userId ? await listRecentCards(viewer.userId, defaultOrg.uuid, viewer) : null;
+    return { props: { cards: safe, groups, tags, activeTags: filter.tags, match: filter.match, q: defaultOrg ? q : '', orgUuid: defaultOrg?.uuid || null, orgName: defaultOrg?.name || null, orgBackground: defaultOrg?.background || null, orgLogo: defaultOrg?.logo || null, preferences, recent, fetchError: false } };
   } catch (err) {
     // WHAT: Capture and log the real error, then tell the page this was a
     // failure -- not a legitimately-empty org (see issue #19).
@@ -149,6 +215,6 @@ export async function getServerSideProps(context) {
     // was indistinguishable from "no content yet" to both visitors and
     // anyone checking server logs.
     console.error('[index] getServerSideProps failed:', err.message);
-    return { props: { cards: [], activeTag: null, orgName: null, orgBackground: null, fetchError: true } };
+    return { props: { cards: [], groups: [], tags: [], activeTags: [], match: 'all', q: '', orgUuid: null, orgName: null, orgBackground: null, orgLogo: null, preferences: null, recent: null, fetchError: true } };
   }
 }
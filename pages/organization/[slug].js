@@ -1,16 +1,46 @@
 import OversizedLink from '../../components/OversizedLink';
 import Header from '../../components/Header';
 import clientPromise from '../../lib/db';
-import { getOrgBySlugCached, getOrgByUuid } from '../../lib/org.js';
+import { getOrgBySlugCached, getOrgByUuid, normalizeSlug } from '../../lib/org.js';
+import { publishWindowFilter, notTrashedFilter, parseTagFilter, tagFilter, parseSearchQuery, groupCards, applyPreferences } from '../../lib/shared.js';
+import { listOrgTags } from '../../lib/tags.js';
+import { searchCards } from '../../lib/cardSearch.js';
+import { listCardGroups } from '../../lib/cardGroups.js';
+import { getCardViewer, visibilityFilter } from '../../lib/cardVisibility.js';
+import { useCardSearch } from '../../lib/useCardSearch.js';
+import { useMyLauncher } from '../../lib/useMyLauncher.js';
+import { getUserPreferences } from '../../lib/userPreferences.js';
+import { listRecentCards } from '../../lib/recentCards.js';
+import TagBar from '../../components/TagBar';
+import SearchBox from '../../components/SearchBox';
+import CommandPalette from '../../components/CommandPalette';
+import CardSections from '../../components/CardSections';
+import MyLauncherBar from '../../components/MyLauncherBar';
+import PersonalCardActions from '../../components/PersonalCardActions';
+import RecentStrip from '../../components/RecentStrip';
 
 // /organization/[slug]: organization-specific launchmass (SSR)
-// Functional: Renders the grid of cards for a specific organization, with optional tag filtering via ?tag=.
+// Functional: Renders the grid of cards for a specific organization, with a search box (?q=), a Cmd/Ctrl+K quick-open palette, collapsible group sections, a "My launcher" overlay and a "Recent" strip for signed-in visitors, the curated tag bar and optional multi-tag filtering via ?tags=a,b&match=all|any.
 // Strategic: Mirrors narimato's path-based routing; uses server-side org resolution and org-scoped DB queries.
 
-export default function OrgHome({ org, cards, activeTag }) {
+export default function OrgHome({ org, cards, groups, tags, activeTags, match, q, preferences, recent }) {
   // WHAT: Apply organization-specific background if set
   // WHY: Each organization can have its own visual identity via custom background
   const orgBackground = org?.background || null;
+  const tagMeta = Object.fromEntries((tags || []).map(t => [t.name, t]));
+  // Search as you type (see lib/useCardSearch.js)
+  const search = useCardSearch({ cards, orgUuid: org.uuid, initialQuery: q, tags: activeTags || [], match });
+  // "My launcher": the signed-in visitor's favorites/hidden/order over the same cards
+  // (lib/useMyLauncher.js); a search still covers every card
+  const launcher = useMyLauncher({ orgUuid: org.uuid, initial: preferences });
+  const searching = !!search.query.trim();
+  const personal = launcher.enabled && !searching;
+  const shown = personal ? applyPreferences(groupCards(search.results, groups).flatMap(s => s.cards), launcher.prefs) : search.results;
+  const shownIds = shown.map(c => String(c._id));
+  // Group sections (lib/cardGroups.js); search results and the personal launcher stay one
+  // flat list (relevance order / the visitor's own order)
+  const sections = searching || personal ? [{ group: null, cards: shown }] : groupCards(shown, groups);
+  const launchOrder = groupCards(cards, groups).flatMap(s => s.cards);
   
   return (
     <>
@@ -22,26 +52,37 @@ export default function OrgHome({ org, cards, activeTag }) {
           }
         `}</style>
       )}
-      <Header orgName={org?.name || 'Organization'} />
-      {activeTag ? (
-        <div className="filter-bar" style={{ padding: '8px 16px' }}>
-          <span>Filtering by</span>
-          <a className="tag-chip" href={`/organization/${encodeURIComponent(org.uuid)}?tag=${encodeURIComponent(activeTag)}`} style={{ marginLeft: 8 }}>#{activeTag}</a>
-          <a className="tag-chip" href={`/organization/${encodeURIComponent(org.uuid)}`} style={{ marginLeft: 8 }}>Clear</a>
-        </div>
-      ) : null}
-      <main className="grid">
-        {cards.map((c, i) => (
+      <Header orgName={org?.name || 'Organization'} orgLogo={org?.logo || null} />
+      <div className="launcher-tools">
+        <SearchBox value={search.query} onChange={search.setQuery} busy={search.searching} />
+        <TagBar tags={tags} activeTags={activeTags} match={match} basePath={`/organization/${encodeURIComponent(org.uuid)}`} q={search.query.trim()} />
+        {/* Cmd/Ctrl+K palette over the server-rendered cards and tags */}
+        <CommandPalette cards={launcher.enabled ? applyPreferences(launchOrder, launcher.prefs) : launchOrder} tags={tags} basePath={`/organization/${encodeURIComponent(org.uuid)}`} />
+        <MyLauncherBar launcher={launcher} cards={cards} />
+        <RecentStrip orgUuid={org.uuid} initial={recent} />
+      </div>
+      {!search.results.length && searching ? <p className="search-empty">No cards match your search.</p> : null}
+      {personal && !shown.length && cards.length ? <p className="search-empty">Every card is hidden from your launcher.</p> : null}
+      <CardSections
+        sections={sections}
+        renderCard={(c, i) => (
           <OversizedLink
-            key={i}
+            key={c._id || i}
+            cardId={c._id}
+            orgUuid={c.orgUuid}
             href={c.href}
             title={c.title}
             description={c.description}
             background={c.background}
             tags={Array.isArray(c.tags) ? c.tags : []}
+            favicon={c.favicon || null}
+            icon={c.icon || null}
+            tagMeta={tagMeta}
+            highlight={search.terms}
+            actions={personal ? <PersonalCardActions launcher={launcher} card={c} shownIds={shownIds} /> : null}
           />
-        ))}
-      </main>
+        )}
+      />
     </>
   );
 }
@@ -62,15 +103,29 @@ export async function getServerSideProps(context) {
   }
   if (!org || org.isActive === false) return { notFound: true };
 
+  // A previous slug (OrgDoc.slugHistory) resolves to the renamed org; move bookmarks to the
+  // current URL for good, keeping ?tags= / ?q=
+  if (normalizeSlug(slugOrUuid) !== org.slug && (org.slugHistory || []).includes(normalizeSlug(slugOrUuid))) {
+    const resolvedUrl = String(context.resolvedUrl || '');
+    const qs = resolvedUrl.includes('?') ? resolvedUrl.slice(resolvedUrl.indexOf('?')) : '';
+    return { redirect: { destination: `/organization/${encodeURIComponent(org.slug)}${qs}`, permanent: true } };
+  }
+
   try {
     const client = await clientPromise;
     const db = client.db(process.env.DB_NAME || 'launchmass');
 
-    const rawTag = typeof query.tag === 'string' ? query.tag : '';
-    const filterTag = rawTag.trim().toLowerCase();
+    // ?tags=a,b&match=all|any (single ?tag= still works) and ?q=; same parsing as GET /api/cards
+    const filter = parseTagFilter(query);
+    const search = parseSearchQuery(query);
 
-    const q = filterTag ? { orgUuid: org.uuid, tags: filterTag } : { orgUuid: org.uuid };
-    const rows = await db.collection('cards').find(q).sort({ order: 1, _id: 1 }).toArray();
+    // Only non-trashed cards inside their publishAt/expireAt window are publicly visible, and
+    // only those whose visibility admits this visitor's session/role (lib/cardVisibility.js)
+    const viewer = await getCardViewer(context.req, org.uuid);
+    const q = { orgUuid: org.uuid, ...notTrashedFilter(), ...publishWindowFilter(), ...tagFilter(filter), ...visibilityFilter(viewer) };
+    const rows = /** @type {Record<string, any>[]} */ (search
+      ? await searchCards(q, search)
+      : await db.collection('cards').find(q).sort({ order: 1, _id: 1 }).toArray());
 
     // Functional: Normalize timestamps to ISO strings for consistent JSON serialization
     // Strategic: Handle both Date objects (new cards) and string timestamps (migrated legacy cards)
@@ -81,19 +136,37 @@ export async function getServerSideProps(context) {
       return undefined;
     };
 
-    const safe = rows.map(({ createdAt, updatedAt, ...rest }) => {
-      delete rest._id;
+    const safe = rows.map(({ _id, createdAt, updatedAt, ...rest }) => {
+      // Publish-window bounds are Date objects (not JSON-serializable props)
+      delete rest.publishAt;
+      delete rest.expireAt;
+      // Role lists are an access rule, not something the launcher shows
+      delete rest.visibility;
+      // Link health (lib/linkHealth.js) is admin-only and holds Dates
+      delete rest.lastCheckedAt;
+      delete rest.lastStatus;
+      delete rest.brokenSince;
       return {
         ...rest,
+        // Stringified id: OversizedLink routes clicks through /api/cards/[id]/click
+        _id: _id.toString(),
         tags: Array.isArray(rest?.tags) ? rest.tags : [],
         ...(createdAt && { createdAt: toISOString(createdAt) }),
         ...(updatedAt && { updatedAt: toISOString(updatedAt) })
       };
     });
 
-    return { props: { org: { uuid: org.uuid, slug: org.slug, name: org.name, background: org.background || null }, cards: safe, activeTag: filterTag || null } };
+    // Tag bar: the org's tags with their labels/colors, counted over the cards this visitor sees
+    const tags = await listOrgTags(org.uuid, { publicOnly: true, viewer });
+    // Launcher sections; cards are split into them client-side (lib/shared.js groupCards)
+    const groups = await listCardGroups(org.uuid);
+    // Signed-in visitors get their personal overlay (lib/userPreferences.js); null hides "My launcher"
+    const preferences = viewer.userId ? await getUserPreferences(viewer.userId, org.uuid) : null;
+    // ...and their recently opened cards (lib/recentCards.js); null hides the strip
+    const recent = viewer.userId ? await listRecentCards(viewer.userId, org.uuid, viewer) : null;
+    return { props: { org: { uuid: org.uuid, slug: org.slug, name: org.name, background: org.background || null, logo: org.logo || null }, cards: safe, groups, tags, activeTags: filter.tags, match: filter.match, q: search, preferences, recent } };
   } catch (error) {
     console.error('[organization/[slug]] Error fetching cards:', error);
-    return { props: { org: { uuid: org.uuid, slug: org.slug, name: org.name, background: org.background || null }, cards: [], activeTag: null } };
+    return { props: { org: { uuid: org.uuid, slug: org.slug, name: org.name, background: org.background || null, logo: org.logo || null }, cards: [], groups: [], tags: [], activeTags: [], match: 'all', q: '', preferences: null, recent: null } };
   }
 }
@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
-import { getOrgBySlugCached, getOrgByUuid } from '../../../lib/org.js';
+import { getOrgBySlugCached, getOrgByUuid, normalizeSlug } from '../../../lib/org.js';
 
 // /organization/[id]/admin — Organization-scoped admin UI
 // Functional: Reuses the existing Admin UI but locks organization selection to the path's org (slug or UUID).
@@ -46,6 +46,10 @@ export async function getServerSideProps(context) {
     if (byUuid && byUuid.isActive !== false) org = byUuid;
   }
   if (!org || org.isActive === false) return { notFound: true };
+  // Previous slug (OrgDoc.slugHistory): permanent redirect to the current one
+  if (normalizeSlug(id) !== org.slug && (org.slugHistory || []).includes(normalizeSlug(id))) {
+    return { redirect: { destination: `/organization/${encodeURIComponent(org.slug)}/admin`, permanent: true } };
+  }
 
   return {
     props: {
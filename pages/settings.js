@@ -1,23 +1,32 @@
 import { useEffect, useState } from 'react';
 import Header from '../components/Header';
+import BackgroundEditor from '../components/admin/BackgroundEditor.jsx';
 import { validateSsoSession, getOAuthLoginUrl } from '../lib/auth-oauth.js';
+import { isSuperAdmin } from '../lib/permissions.js';
 import { DEFAULT_BG, normalizeBg } from '../lib/shared.js';
 
 // Settings page for Organizations management.
 // Functional: Single place to manage organizations (list/create/edit/delete).
-// Strategic: OAuth-based authentication - no admin tokens needed.
+// Strategic: OAuth-based authentication - no admin tokens needed. Superadmins also get the
+// archived (soft-deleted) organizations, with restore and permanent delete (lib/orgArchive.js).
 
-export default function Settings() {
+export default function Settings({ superAdmin = false }) {
   // Organizations state
   const [orgs, setOrgs] = useState([]);
   const [form, setForm] = useState({ name: '', slug: '', description: '', useSlugAsPublicUrl: false, background: '', _bgInput: '' });
   const [editing, setEditing] = useState(null); // uuid
-  const [editForm, setEditForm] = useState({ name: '', slug: '', description: '', useSlugAsPublicUrl: false, background: '', _bgInput: '' });
+  const [editForm, setEditForm] = useState({ name: '', slug: '', description: '', useSlugAsPublicUrl: false, background: '', _bgInput: '', logo: null });
   const [status, setStatus] = useState('');
+  const [bgValid, setBgValid] = useState(true);
+  const [logoUpload, setLogoUpload] = useState({ busy: false, error: '' });
+  // Archived organizations (superadmin only)
+  const [archived, setArchived] = useState([]);
+  const [purgeReport, setPurgeReport] = useState(null);
 
   useEffect(() => {
     refreshOrgs();
-  }, []);
+    if (superAdmin) refreshArchived();
+  }, [superAdmin]);
 
   async function refreshOrgs() {
     try {
@@ -34,6 +43,55 @@ export default function Settings() {
     }
   }
 
+  async function refreshArchived() {
+    try {
+      const res = await fetch('/api/organizations/archived', { credentials: 'include' });
+      const data = await res.json();
+      setArchived(Array.isArray(data.organizations) ? data.organizations : []);
+    } catch (error) {
+      console.error('Refresh archived orgs error:', error);
+      setArchived([]);
+    }
+  }
+
+  async function restoreArchived(uuid) {
+    try {
+      const res = await fetch('/api/organizations/' + encodeURIComponent(uuid) + '/restore', {
+        method: 'POST',
+        credentials: 'include',
+      });
+      if (!res.ok) throw new Error(await res.text());
+      await Promise.all([refreshOrgs(), refreshArchived()]);
+      setStatus('Organization restored');
+      setTimeout(() => setStatus(''), 1200);
+    } catch (error) {
+      console.error('Restore org error:', error);
+      setStatus('Restore failed');
+      setTimeout(() => setStatus(''), 2000);
+    }
+  }
+
+  async function purgeArchived(org) {
+    // WHAT: Typing the slug back is the confirmation
+    // WHY: This cannot be undone, and a plain OK dialog is too easy to click through
+    const typed = prompt(`Permanently delete "${org.name}", its ${org.cardCount} card(s), ${org.memberCount} membership(s), roles and analytics?\nType the slug (${org.slug}) to confirm.`);
+    if (typed === null) return;
+    if (typed.trim().toLowerCase() !== org.slug) { alert('Slug did not match; nothing was deleted.'); return; }
+    try {
+      const res = await fetch('/api/organizations/' + encodeURIComponent(org.uuid) + '/purge', {
+        method: 'DELETE',
+        credentials: 'include',
+      });
+      if (!res.ok) throw new Error(await res.text());
+      setPurgeReport(await res.json());
+      await refreshArchived();
+    } catch (error) {
+      console.error('Purge org error:', error);
+      setStatus('Permanent delete failed');
+      setTimeout(() => setStatus(''), 2000);
+    }
+  }
+
   async function createOrg(e){
     e.preventDefault();
     try {
@@ -73,13 +131,41 @@ export default function Settings() {
       description: org.description || '',
       useSlugAsPublicUrl: !!org.useSlugAsPublicUrl,
       background: org.background || DEFAULT_BG,
-      _bgInput: org.background ? ('background: ' + org.background) : ('background: ' + DEFAULT_BG)
+      _bgInput: org.background ? ('background: ' + org.background) : ('background: ' + DEFAULT_BG),
+      logo: org.logo || null
     });
+    setLogoUpload({ busy: false, error: '' });
   }
   
   function cancelEdit(){ 
     setEditing(null); 
-    setEditForm({ name:'', slug:'', description:'', useSlugAsPublicUrl: false, background: '', _bgInput: '' }); 
+    setEditForm({ name:'', slug:'', description:'', useSlugAsPublicUrl: false, background: '', _bgInput: '', logo: null }); 
+  }
+
+  // WHAT: Upload an image for the organization being edited (POST /api/uploads, lib/uploads.js)
+  // WHY: Resolves to the stored UploadedImage; saving the form is what puts it on the org
+  async function uploadOrgImage(file, kind) {
+    const res = await fetch(`/api/uploads?kind=${kind}&scope=org`, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type, 'X-Organization-UUID': editing },
+      credentials: 'include',
+      body: file
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+    return data;
+  }
+
+  async function uploadLogo(file) {
+    if (!file) return;
+    setLogoUpload({ busy: true, error: '' });
+    try {
+      const logo = await uploadOrgImage(file, 'icon');
+      setEditForm(prev => ({ ...prev, logo }));
+      setLogoUpload({ busy: false, error: '' });
+    } catch (error) {
+      setLogoUpload({ busy: false, error: error.message || 'Upload failed' });
+    }
   }
 
   async function setDefaultOrg(uuid) {
@@ -117,12 +203,13 @@ export default function Settings() {
           slug: (editForm.slug || '').toLowerCase(), 
           description: editForm.description,
           useSlugAsPublicUrl: !!editForm.useSlugAsPublicUrl,
-          background: editForm.background
+          background: editForm.background,
+          logo: editForm.logo || null
         })
       });
       if (!res.ok) throw new Error(await res.text());
       setEditing(null);
-      setEditForm({ name:'', slug:'', description:'', useSlugAsPublicUrl: false, background: '', _bgInput: '' });
+      setEditForm({ name:'', slug:'', description:'', useSlugAsPublicUrl: false, background: '', _bgInput: '', logo: null });
       await refreshOrgs();
       setStatus('Organization updated'); 
       setTimeout(() => setStatus(''), 1200);
@@ -143,6 +230,7 @@ export default function Settings() {
       });
       if (!res.ok) throw new Error(await res.text());
       await refreshOrgs();
+      if (superAdmin) await refreshArchived();
       setStatus('Organization deleted'); 
       setTimeout(() => setStatus(''), 1200);
     } catch (error) {
@@ -263,17 +351,30 @@ export default function Settings() {
                       />
                       <span>Use slug as public URL</span>
                     </label>
-                    <label>
-                      Background (paste your 2 lines)
-                      <textarea
-                        placeholder={"background: #2A7B9B;\nbackground: linear-gradient(90deg, rgba(42, 123, 155, 1) 0%, rgba(87, 199, 133, 1) 50%, rgba(237, 221, 83, 1) 100%);"}
-                        value={editForm._bgInput}
-                        onChange={e => setEditForm(prev => ({ ...prev, _bgInput: e.target.value, background: normalizeBg(e.target.value) }))}
-                        rows={4}
+                    {/* WHAT: Logo shown beside the org name in the public header */}
+                    <div style={{ display:'flex', alignItems:'center', gap: 8, flexWrap:'wrap' }}>
+                      <span>Logo</span>
+                      {editForm.logo?.url ? <img src={editForm.logo.url} alt="" width={32} height={32} style={{ borderRadius: 6 }} /> : <span style={{ opacity: 0.7 }}>none</span>}
+                      <input
+                        type="file"
+                        accept="image/png,image/jpeg,image/webp,image/gif"
+                        disabled={logoUpload.busy}
+                        onChange={e => { uploadLogo(e.target.files?.[0]); e.target.value = ''; }}
+                        aria-label="Upload logo"
                       />
-                    </label>
+                      {editForm.logo ? <button type="button" onClick={() => setEditForm(prev => ({ ...prev, logo: null }))}>Remove logo</button> : null}
+                      {logoUpload.busy ? <span>Uploading…</span> : null}
+                      {logoUpload.error ? <span role="alert" style={{ color: '#c00' }}>{logoUpload.error}</span> : null}
+                    </div>
+                    <BackgroundEditor
+                      item={editForm}
+                      onChange={next => setEditForm(prev => ({ ...prev, background: next.background, _bgInput: next._bgInput }))}
+                      onValidityChange={setBgValid}
+                      onUpload={file => uploadOrgImage(file, 'background')}
+                      imageWidth={1920}
+                    />
                     <div style={{ display:'flex', gap: 8 }}>
-                      <button type="submit">Save</button>
+                      <button type="submit" disabled={!bgValid || logoUpload.busy}>Save</button>
                       <button type="button" onClick={cancelEdit}>Cancel</button>
                     </div>
                   </form>
@@ -325,6 +426,51 @@ export default function Settings() {
           </div>
         )}
       </section>
+
+      {/* Archived Organizations (superadmin only) */}
+      {superAdmin ? (
+        <section id="archived-organizations" style={{ padding: 12, marginTop: 16, background: 'rgba(0,0,0,0.05)', borderRadius: 12 }}>
+          <h2 style={{ marginTop: 0 }}>Archived organizations</h2>
+          <p style={{ marginTop: 0, opacity: 0.7 }}>
+            Deleted organizations stay here with their cards and members until restored or permanently deleted.
+          </p>
+
+          {purgeReport ? (
+            <div role="status" style={{ padding: 12, marginBottom: 16, background: 'rgba(0,255,0,0.1)', borderRadius: 8, color: '#060' }}>
+              <strong>{purgeReport.name}</strong> permanently deleted. Removed:{' '}
+              {Object.entries(purgeReport.removed).filter(([, n]) => n > 0).map(([name, n]) => `${name} ${n}`).join(', ') || 'nothing else'}
+              {purgeReport.uploadsRemoved ? '' : ' (uploaded images could not be deleted)'}
+              <button type="button" onClick={() => setPurgeReport(null)} style={{ marginLeft: 8 }}>Dismiss</button>
+            </div>
+          ) : null}
+
+          {archived.length === 0 ? (
+            <p style={{ opacity: 0.75 }}>No archived organizations.</p>
+          ) : (
+            <div style={{ display: 'grid', gap: 12 }}>
+              {archived.map(o => (
+                <div key={o.uuid} style={{ border: '1px solid rgba(0,0,0,0.15)', borderRadius: 8, padding: 12, background: '#fff' }}>
+                  <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <strong>{o.name}</strong>
+                    <span style={{ opacity: 0.7 }}>/ {o.slug}</span>
+                    <span style={{ opacity: 0.7, fontSize: 12 }}>UUID: {o.uuid}</span>
+                    <span className="tag-chip">{o.cardCount} cards</span>
+                    <span className="tag-chip">{o.memberCount} members</span>
+                    <span style={{ opacity: 0.7, fontSize: 12, marginLeft: 'auto' }}>
+                      Archived {o.archivedAt ? new Date(o.archivedAt).toLocaleString() : ''}
+                    </span>
+                  </div>
+                  {o.description ? <p style={{ marginTop: 6, marginBottom: 0 }}>{o.description}</p> : null}
+                  <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                    <button onClick={() => restoreArchived(o.uuid)}>Restore</button>
+                    <button onClick={() => purgeArchived(o)} style={{ background: '#c00', color: '#fff' }}>Delete permanently</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      ) : null}
     </main>
     </>
   );
@@ -338,7 +484,7 @@ export async function getServerSideProps(context) {
     
     // WHAT: Validate OAuth-based SSO session from sso_session cookie
     // WHY: OAuth 2.0 flow - tokens stored in HttpOnly cookie, validated server-side
-    const { isValid } = await validateSsoSession(req);
+    const { isValid, user } = await validateSsoSession(req);
     
     if (!isValid) {
       // WHAT: Redirect to OAuth authorization URL
@@ -353,7 +499,8 @@ export async function getServerSideProps(context) {
       };
     }
     
-    return { props: {} };
+    // WHAT: Tells the page whether to show archived organizations; the API checks again
+    return { props: { superAdmin: isSuperAdmin(user) } };
   } catch (err) {
     // WHAT: Graceful error handling - redirect to OAuth login on any error
     // WHY: Prevents 500 errors from blocking access; user can retry OAuth authentication
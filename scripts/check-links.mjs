@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// scripts/check-links.mjs
+// Functional: Checks every non-trashed card's href across all organizations (HEAD, then GET
+// fallback) and records lastCheckedAt / lastStatus / brokenSince on each card.
+// Strategic: The admin "Check links" button covers one org on demand; this is the scheduled
+// sweep (cron / CI job) so dead links are flagged without anyone asking. Timeout and
+// concurrency come from LINK_CHECK_TIMEOUT_MS / LINK_CHECK_CONCURRENCY (lib/linkHealth.js).
+// Usage: node --env-file=.env.local scripts/check-links.mjs [--org=<uuid>]
+
+import { checkCardLinks, LINK_CHECK_TIMEOUT_MS, LINK_CHECK_CONCURRENCY } from '../lib/linkHealth.js';
+
+function isoNow() { return new Date().toISOString(); }
+
+async function run() {
+  const orgArg = process.argv.find(a => a.startsWith('--org='));
+  const orgUuid = orgArg ? orgArg.slice('--org='.length) : undefined;
+  try {
+    console.log(`[check-links] ${isoNow()} Checking ${orgUuid ? `org ${orgUuid}` : 'all orgs'} (timeout ${LINK_CHECK_TIMEOUT_MS} ms, concurrency ${LINK_CHECK_CONCURRENCY})...`);
+    const { checked, broken, skipped, urls } = await checkCardLinks({ orgUuid });
+    console.log(`[check-links] ${isoNow()} Checked ${checked} card(s) over ${urls} URL(s); ${broken} broken; ${skipped} not requested (private address or port).`);
+    process.exit(0);
+  } catch (e) {
+    console.error(`[check-links] ${isoNow()} Link check error:`, e);
+    process.exit(1);
+  }
+}
+
+await run();
@@ -30,11 +30,34 @@ const INDEXES = {
     { keys: { orgUuid: 1, order: 1 }, options: { name: 'orgUuid_1_order_1' } },
     { keys: { orgUuid: 1, tags: 1 }, options: { name: 'orgUuid_1_tags_1' } },
     { keys: { orgUuid: 1 }, options: { name: 'orgUuid_1' } },
+    { keys: { orgUuid: 1, deletedAt: -1 }, options: { name: 'orgUuid_1_deletedAt_-1' } },
+    // Full-text card search (lib/cardSearch.js ensures the same index at runtime)
+    { keys: { title: 'text', description: 'text', href: 'text' }, options: { name: 'cards_text_search', weights: { title: 10, description: 4, href: 2 }, default_language: 'none' } },
+  ],
+  tags: [
+    { keys: { orgUuid: 1, name: 1 }, options: { name: 'orgUuid_1_name_1', unique: true } },
+  ],
+  cardGroups: [
+    { keys: { orgUuid: 1, order: 1 }, options: { name: 'orgUuid_1_order_1' } },
+  ],
+  userPreferences: [
+    { keys: { ssoUserId: 1, orgUuid: 1 }, options: { name: 'ssoUserId_1_orgUuid_1', unique: true } },
+  ],
+  recentCards: [
+    { keys: { ssoUserId: 1, orgUuid: 1 }, options: { name: 'ssoUserId_1_orgUuid_1', unique: true } },
+  ],
+  links: [
+    { keys: { orgUuid: 1, order: 1 }, options: { name: 'orgUuid_1_order_1' } },
+  ],
+  linkPreviews: [
+    { keys: { url: 1 }, options: { name: 'url_1', unique: true } },
+    { keys: { expiresAt: 1 }, options: { name: 'expiresAt_1', expireAfterSeconds: 0 } },
   ],
   organizations: [
     { keys: { slug: 1 }, options: { name: 'slug_1', unique: true } },
     { keys: { uuid: 1 }, options: { name: 'uuid_1', unique: true } },
     { keys: { isActive: 1 }, options: { name: 'isActive_1' } },
+    { keys: { slugHistory: 1 }, options: { name: 'slugHistory_1' } },
   ],
   organizationMembers: [
     { keys: { orgUuid: 1, ssoUserId: 1 }, options: { name: 'orgUuid_1_ssoUserId_1', unique: true } },
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// scripts/migrate-links-to-cards.mjs
+// Functional: Folds the legacy, unscoped `links` documents (no orgUuid -- written by the old
+// unauthenticated PUT /api/links) into an organization's cards, then removes them.
+// Strategic: Rows go through the card importer's validation (lib/cardImport.js), so bad
+// hrefs never become cards; invalid rows are reported and left in place. A link whose href
+// the org already has as a card is not duplicated, only removed, so re-running after a
+// partial run is safe. Org-scoped links created through the new /api/links are untouched.
+// Usage: node --env-file=.env.local scripts/migrate-links-to-cards.mjs [--org=<uuid|slug>] [--dry-run]
+//   Without --org the default organization (isDefault) receives the cards.
+
+import clientPromise from '../lib/db.js';
+import { validateImportRow } from '../lib/cardImport.js';
+
+function isoNow() { return new Date().toISOString(); }
+
+const LEGACY_FILTER = { $or: [{ orgUuid: { $exists: false } }, { orgUuid: null }, { orgUuid: '' }] };
+
+async function run() {
+  const orgArg = process.argv.find(a => a.startsWith('--org='));
+  const orgRef = orgArg ? orgArg.slice('--org='.length) : '';
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const client = await clientPromise;
+    const db = client.db(process.env.DB_NAME || 'launchmass');
+    const links = db.collection('links');
+    const cards = db.collection('cards');
+
+    const org = orgRef
+      ? await db.collection('organizations').findOne({ $or: [{ uuid: orgRef }, { slug: orgRef.toLowerCase() }], isActive: { $ne: false } })
+      : await db.collection('organizations').findOne({ isDefault: true, isActive: { $ne: false } });
+    if (!org) {
+      console.error(`[migrate-links] ${isoNow()} ${orgRef ? `Organization ${orgRef} not found` : 'No default organization; pass --org=<uuid|slug>'}`);
+      process.exit(1);
+    }
+
+    const legacy = await links.find(LEGACY_FILTER).sort({ order: 1, _id: 1 }).toArray();
+    console.log(`[migrate-links] ${isoNow()} ${legacy.length} legacy link(s) -> ${org.name} (${org.uuid})${dryRun ? ' [dry run]' : ''}`);
+    if (!legacy.length) process.exit(0);
+
+    const existing = new Set((await cards.find({ orgUuid: org.uuid, deletedAt: null }).project({ href: 1 }).toArray()).map(c => c.href));
+    const toInsert = [];
+    const done = [];
+    let invalid = 0;
+    for (const link of legacy) {
+      const { card, errors } = validateImportRow({ href: link.href, title: link.title, description: link.description });
+      if (errors.length) {
+        invalid++;
+        console.warn(`[migrate-links] ${isoNow()} Skipping link ${link._id}: ${errors.join('; ')}`);
+        continue;
+      }
+      done.push(link._id);
+      if (existing.has(card.href)) continue;
+      existing.add(card.href);
+      toInsert.push(card);
+    }
+    console.log(`[migrate-links] ${isoNow()} New cards: ${toInsert.length}; already present: ${done.length - toInsert.length}; invalid (kept): ${invalid}`);
+    if (dryRun) process.exit(0);
+
+    if (toInsert.length) {
+      const last = await cards.find({ orgUuid: org.uuid }).sort({ order: -1 }).limit(1).toArray();
+      const firstOrder = last.length ? Number(last[0].order) + 1 : 0;
+      const now = new Date();
+      await cards.insertMany(toInsert.map((card, idx) => ({
+        ...card,
+        order: firstOrder + idx,
+        createdAt: now,
+        updatedAt: now,
+        orgUuid: org.uuid,
+        orgSlug: org.slug || '',
+      })), { ordered: true });
+    }
+    const removed = done.length ? (await links.deleteMany({ _id: { $in: done } })).deletedCount : 0;
+    console.log(`[migrate-links] ${isoNow()} Inserted ${toInsert.length} card(s); removed ${removed} legacy link(s).`);
+    process.exit(0);
+  } catch (e) {
+    console.error(`[migrate-links] ${isoNow()} Migration error:`, e);
+    process.exit(1);
+  }
+}
+
+await run();
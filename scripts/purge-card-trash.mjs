@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// scripts/purge-card-trash.mjs
+// Functional: Permanently removes cards that have been in the trash longer than
+// CARD_TRASH_RETENTION_DAYS (default 30), across all organizations, with their revisions.
+// Strategic: The admin Trash view already purges its own org on open; this is the scheduled
+// sweep (cron / CI job) so orgs nobody looks at do not keep trashed cards forever.
+// Usage: node --env-file=.env.local scripts/purge-card-trash.mjs
+
+import { TRASH_RETENTION_DAYS, purgeExpiredTrash } from '../lib/cardTrash.js';
+
+function isoNow() { return new Date().toISOString(); }
+
+async function run() {
+  try {
+    if (TRASH_RETENTION_DAYS <= 0) {
+      console.log(`[purge-trash] ${isoNow()} CARD_TRASH_RETENTION_DAYS=${TRASH_RETENTION_DAYS}; automatic purge disabled.`);
+      process.exit(0);
+    }
+    const purged = await purgeExpiredTrash();
+    console.log(`[purge-trash] ${isoNow()} Purged ${purged} card(s) trashed more than ${TRASH_RETENTION_DAYS} day(s) ago.`);
+    process.exit(0);
+  } catch (e) {
+    console.error(`[purge-trash] ${isoNow()} Purge error:`, e);
+    process.exit(1);
+  }
+}
+
+await run();
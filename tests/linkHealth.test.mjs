@@ -0,0 +1,126 @@
+// Functional: lib/linkHealth.js against a local HTTP stub server — HEAD→GET fallback,
+// timeouts, and how brokenSince is set, kept and cleared across runs
+// Strategic: The production probe goes through the SSRF guard, which (correctly) refuses
+// 127.0.0.1, so the checks below inject a plain fetch-based probe via `fetchImpl`. The cards
+// collection is an in-memory fake installed as lib/db.js's cached client promise before the
+// module is imported, so no MongoDB is needed. Run with `npm test`.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+process.env.MONGODB_URI ||= 'mongodb://127.0.0.1:1/unused';
+
+/** @type {{ _id: string, href: string, [k: string]: any }[]} */
+let cards = [];
+const cardsCollection = {
+  find: () => ({
+    project: () => ({
+      sort: () => ({ toArray: async () => cards.map(c => ({ _id: c._id, href: c.href })) }),
+    }),
+  }),
+  // Applies the checker's pipeline update; `$ifNull: ['$brokenSince', now]` is the only
+  // expression it uses
+  bulkWrite: async (ops) => {
+    for (const { updateOne: { filter, update } } of ops) {
+      const card = cards.find(c => c._id === filter._id);
+      for (const [key, value] of Object.entries(update[0].$set)) {
+        card[key] = value && value.$ifNull ? (card.brokenSince ?? value.$ifNull[1]) : value;
+      }
+    }
+  },
+};
+global._mongoClientPromise = Promise.resolve({ db: () => ({ collection: () => cardsCollection }) });
+
+const { checkUrl, checkCardLinks } = await import('../lib/linkHealth.js');
+
+/** @type {{ method: string, path: string }[]} */
+let requests = [];
+let toggleStatus = 500;
+const server = http.createServer((req, res) => {
+  requests.push({ method: req.method, path: req.url });
+  const status = {
+    '/ok': 200,
+    '/missing': 404,
+    '/head-405': req.method === 'HEAD' ? 405 : 200,
+    '/head-501': req.method === 'HEAD' ? 501 : 200,
+    '/toggle': toggleStatus,
+  }[req.url];
+  if (req.url === '/hang') return; // never answers
+  res.writeHead(status || 404).end();
+});
+let base = '';
+
+// Plain fetch with the same contract as the guarded probe: status only, body discarded
+const fetchImpl = async (url, { method, timeoutMs }) => {
+  const res = await fetch(url, { method, signal: AbortSignal.timeout(timeoutMs) });
+  await res.body?.cancel();
+  return { status: res.status };
+};
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+test('HEAD success needs no GET', async () => {
+  assert.deepEqual(await checkUrl(`${base}/ok`, { fetchImpl }), { status: 200, ok: true, refused: false });
+  assert.deepEqual(requests.map(r => r.method), ['HEAD']);
+});
+
+for (const status of [405, 501]) {
+  test(`HEAD ${status} falls back to GET`, async () => {
+    assert.deepEqual(await checkUrl(`${base}/head-${status}`, { fetchImpl }), { status: 200, ok: true, refused: false });
+    assert.deepEqual(requests.map(r => r.method), ['HEAD', 'GET']);
+  });
+}
+
+test('an error status on both methods is broken, with the status kept', async () => {
+  assert.deepEqual(await checkUrl(`${base}/missing`, { fetchImpl }), { status: 404, ok: false, refused: false });
+  assert.deepEqual(requests.map(r => r.method), ['HEAD', 'GET']);
+});
+
+test('a server that never answers times out on both methods with no status', async () => {
+  const started = Date.now();
+  assert.deepEqual(await checkUrl(`${base}/hang`, { fetchImpl, timeoutMs: 200 }), { status: null, ok: false, refused: false });
+  assert.deepEqual(requests.map(r => r.method), ['HEAD', 'GET']);
+  assert.ok(Date.now() - started < 5000, 'timeout was not applied');
+});
+
+test('the default probe refuses a loopback URL without requesting it', async () => {
+  assert.deepEqual(await checkUrl(`${base}/ok`), { status: null, ok: false, refused: true });
+  assert.deepEqual(requests, []);
+});
+
+test('brokenSince is set on the first failing run, kept while broken, cleared on recovery', async () => {
+  cards = [{ _id: 'card-1', href: `${base}/toggle` }];
+  const t1 = new Date('2026-01-01T00:00:00Z');
+  const t2 = new Date('2026-01-02T00:00:00Z');
+  const t3 = new Date('2026-01-03T00:00:00Z');
+
+  toggleStatus = 500;
+  assert.deepEqual(
+    await checkCardLinks({ now: t1, fetchImpl }),
+    { checked: 1, broken: 1, skipped: 0, urls: 1, remaining: 0 },
+  );
+  assert.deepEqual(cards[0], { _id: 'card-1', href: `${base}/toggle`, lastCheckedAt: t1, lastStatus: 500, brokenSince: t1 });
+
+  await checkCardLinks({ now: t2, fetchImpl });
+  assert.equal(cards[0].lastCheckedAt, t2);
+  assert.equal(cards[0].brokenSince, t1);
+
+  toggleStatus = 200;
+  const summary = await checkCardLinks({ now: t3, fetchImpl });
+  assert.equal(summary.broken, 0);
+  assert.equal(cards[0].lastStatus, 200);
+  assert.equal(cards[0].brokenSince, null);
+});